@@ -0,0 +1,228 @@
+import { Coordinates } from './Coordinates.js';
+
+/**
+ * Coordinate modes for RA/Dec inputs.
+ * - J2000: catalogue values used as-is (mean equator and equinox of J2000.0)
+ * - APPARENT: precessed to the epoch of date, with nutation and annual aberration
+ */
+export const COORDINATE_MODES = {
+  J2000: 'j2000',
+  APPARENT: 'apparent'
+};
+
+const ARCSEC = 1 / 3600; // degrees per arcsecond
+
+// Constant of aberration (arcseconds)
+const KAPPA = 20.49552;
+
+/**
+ * ApparentPlace - J2000 mean place to apparent place of date
+ *
+ * Follows Meeus, Astronomical Algorithms (2nd ed.), chapters 21-23:
+ * - Precession: IAU 1976 (Lieske) angles zeta, z, theta
+ * - Nutation: IAU 1980 series truncated to its four largest terms (~0.5" accuracy)
+ * - Aberration: annual aberration including the e-terms of Earth's orbit
+ *
+ * All angles are in degrees unless noted; RA inputs/outputs at the
+ * apparentPosition level are in hours to match StellarCalculations.
+ */
+export class ApparentPlace {
+  /**
+   * Julian centuries since J2000.0
+   * @param {Date} date - UTC date
+   * @returns {number} Julian centuries (T)
+   */
+  static julianCenturies(date) {
+    return Coordinates.daysSinceJ2000(date) / 36525;
+  }
+
+  /**
+   * Precess J2000 equatorial coordinates to the mean equinox of date
+   * @param {number} raDeg  - J2000 right ascension (degrees)
+   * @param {number} decDeg - J2000 declination (degrees)
+   * @param {number} T      - Julian centuries since J2000.0
+   * @returns {Object} { ra, dec } in degrees, mean equinox of date
+   */
+  static precess(raDeg, decDeg, T) {
+    const T2 = T * T;
+    const T3 = T2 * T;
+    const zeta  = Coordinates.toRadians((2306.2181 * T + 0.30188 * T2 + 0.017998 * T3) * ARCSEC);
+    const z     = Coordinates.toRadians((2306.2181 * T + 1.09468 * T2 + 0.018203 * T3) * ARCSEC);
+    const theta = Coordinates.toRadians((2004.3109 * T - 0.42665 * T2 - 0.041833 * T3) * ARCSEC);
+
+    const ra0  = Coordinates.toRadians(raDeg);
+    const dec0 = Coordinates.toRadians(decDeg);
+
+    const A = Math.cos(dec0) * Math.sin(ra0 + zeta);
+    const B = Math.cos(theta) * Math.cos(dec0) * Math.cos(ra0 + zeta) - Math.sin(theta) * Math.sin(dec0);
+    const C = Math.sin(theta) * Math.cos(dec0) * Math.cos(ra0 + zeta) + Math.cos(theta) * Math.sin(dec0);
+
+    const ra = Coordinates.toDegrees(Math.atan2(A, B) + z);
+    const dec = Coordinates.toDegrees(Math.asin(C));
+
+    return { ra: ((ra % 360) + 360) % 360, dec };
+  }
+
+  /**
+   * Nutation in longitude and obliquity, plus mean and true obliquity
+   * @param {number} T - Julian centuries since J2000.0
+   * @returns {Object} { deltaPsi, deltaEpsilon, meanObliquity, trueObliquity } in degrees
+   */
+  static nutation(T) {
+    const omega = Coordinates.toRadians(125.04452 - 1934.136261 * T);
+    const L     = Coordinates.toRadians(280.4665 + 36000.7698 * T);   // Sun mean longitude
+    const Lm    = Coordinates.toRadians(218.3165 + 481267.8813 * T);  // Moon mean longitude
+
+    const deltaPsi = (-17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * L)
+                      - 0.23 * Math.sin(2 * Lm) + 0.21 * Math.sin(2 * omega)) * ARCSEC;
+    const deltaEpsilon = (9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * L)
+                          + 0.10 * Math.cos(2 * Lm) - 0.09 * Math.cos(2 * omega)) * ARCSEC;
+
+    const meanObliquity = 23 + 26 / 60
+      + (21.448 - 46.8150 * T - 0.00059 * T * T + 0.001813 * T * T * T) * ARCSEC;
+
+    return {
+      deltaPsi,
+      deltaEpsilon,
+      meanObliquity,
+      trueObliquity: meanObliquity + deltaEpsilon
+    };
+  }
+
+  /**
+   * Equation of the equinoxes (apparent minus mean sidereal time)
+   * @param {number} T - Julian centuries since J2000.0
+   * @returns {number} Correction in degrees
+   */
+  static equationOfEquinoxes(T) {
+    const { deltaPsi, trueObliquity } = ApparentPlace.nutation(T);
+    return deltaPsi * Math.cos(Coordinates.toRadians(trueObliquity));
+  }
+
+  /**
+   * Nutation correction to equatorial coordinates of date
+   * @param {number} raDeg  - Right ascension, mean equinox of date (degrees)
+   * @param {number} decDeg - Declination, mean equinox of date (degrees)
+   * @param {number} T      - Julian centuries since J2000.0
+   * @returns {Object} { deltaRa, deltaDec } in degrees
+   */
+  static nutationOffset(raDeg, decDeg, T) {
+    const { deltaPsi, deltaEpsilon, trueObliquity } = ApparentPlace.nutation(T);
+    const ra = Coordinates.toRadians(raDeg);
+    const dec = Coordinates.toRadians(decDeg);
+    const eps = Coordinates.toRadians(trueObliquity);
+
+    const deltaRa = (Math.cos(eps) + Math.sin(eps) * Math.sin(ra) * Math.tan(dec)) * deltaPsi
+                    - Math.cos(ra) * Math.tan(dec) * deltaEpsilon;
+    const deltaDec = Math.sin(eps) * Math.cos(ra) * deltaPsi + Math.sin(ra) * deltaEpsilon;
+
+    return { deltaRa, deltaDec };
+  }
+
+  /**
+   * Annual aberration correction to equatorial coordinates of date
+   * @param {number} raDeg  - Right ascension (degrees)
+   * @param {number} decDeg - Declination (degrees)
+   * @param {number} T      - Julian centuries since J2000.0
+   * @returns {Object} { deltaRa, deltaDec } in degrees
+   */
+  static aberrationOffset(raDeg, decDeg, T) {
+    const ra = Coordinates.toRadians(raDeg);
+    const dec = Coordinates.toRadians(decDeg);
+    const eps = Coordinates.toRadians(ApparentPlace.nutation(T).trueObliquity);
+
+    // Sun's true geometric longitude (Meeus 25.2, low precision)
+    const L0 = 280.46646 + 36000.76983 * T;
+    const M = Coordinates.toRadians(357.52911 + 35999.05029 * T);
+    const center = (1.914602 - 0.004817 * T) * Math.sin(M)
+                 + 0.019993 * Math.sin(2 * M)
+                 + 0.000289 * Math.sin(3 * M);
+    const sun = Coordinates.toRadians(L0 + center);
+
+    // Eccentricity and longitude of perihelion of Earth's orbit
+    const e = 0.016708634 - 0.000042037 * T;
+    const pi = Coordinates.toRadians(102.93735 + 1.71946 * T);
+
+    const cosRa = Math.cos(ra), sinRa = Math.sin(ra);
+    const cosDec = Math.cos(dec), sinDec = Math.sin(dec);
+    const cosEps = Math.cos(eps), tanEps = Math.tan(eps);
+
+    const deltaRa = (
+      -KAPPA * (cosRa * Math.cos(sun) * cosEps + sinRa * Math.sin(sun)) / cosDec
+      + e * KAPPA * (cosRa * Math.cos(pi) * cosEps + sinRa * Math.sin(pi)) / cosDec
+    ) * ARCSEC;
+
+    const deltaDec = (
+      -KAPPA * (Math.cos(sun) * cosEps * (tanEps * cosDec - sinRa * sinDec) + cosRa * sinDec * Math.sin(sun))
+      + e * KAPPA * (Math.cos(pi) * cosEps * (tanEps * cosDec - sinRa * sinDec) + cosRa * sinDec * Math.sin(pi))
+    ) * ARCSEC;
+
+    return { deltaRa, deltaDec };
+  }
+
+  /**
+   * Convert J2000 catalogue coordinates to the requested coordinate mode
+   * @param {number} raHrs  - J2000 right ascension (hours)
+   * @param {number} decDeg - J2000 declination (degrees)
+   * @param {Date} date     - UTC date
+   * @param {string} mode   - One of COORDINATE_MODES (default: apparent)
+   * @returns {Object} { ra, dec } with RA in hours and Dec in degrees
+   */
+  static apparentPosition(raHrs, decDeg, date, mode = COORDINATE_MODES.APPARENT) {
+    if (mode === COORDINATE_MODES.J2000) {
+      return { ra: raHrs, dec: decDeg };
+    }
+    if (mode !== COORDINATE_MODES.APPARENT) {
+      throw new Error(`Unknown coordinate mode: ${mode}`);
+    }
+
+    const T = ApparentPlace.julianCenturies(date);
+    const mean = ApparentPlace.precess(raHrs * 15, decDeg, T);
+    const nut = ApparentPlace.nutationOffset(mean.ra, mean.dec, T);
+    const abe = ApparentPlace.aberrationOffset(mean.ra, mean.dec, T);
+
+    const raDeg = mean.ra + nut.deltaRa + abe.deltaRa;
+    const dec = mean.dec + nut.deltaDec + abe.deltaDec;
+
+    return { ra: (((raDeg % 360) + 360) % 360) / 15, dec };
+  }
+
+  /**
+   * Inverse of apparentPosition: J2000 catalogue coordinates for a position in the given mode
+   * @param {number} raHrs  - Right ascension in the given mode (hours)
+   * @param {number} decDeg - Declination in the given mode (degrees)
+   * @param {Date} date     - UTC date
+   * @param {string} mode   - One of COORDINATE_MODES (default: apparent)
+   * @returns {Object} { ra, dec } J2000, RA in hours and Dec in degrees
+   */
+  static meanPosition(raHrs, decDeg, date, mode = COORDINATE_MODES.APPARENT) {
+    if (mode === COORDINATE_MODES.J2000) {
+      return { ra: raHrs, dec: decDeg };
+    }
+
+    // Fixed-point iteration: the correction varies slowly across the sky
+    let ra = raHrs;
+    let dec = decDeg;
+    for (let i = 0; i < 3; i++) {
+      const apparent = ApparentPlace.apparentPosition(ra, dec, date, mode);
+      let dRa = raHrs - apparent.ra;
+      if (dRa > 12) dRa -= 24;
+      if (dRa < -12) dRa += 24;
+      ra = (((ra + dRa) % 24) + 24) % 24;
+      dec += decDeg - apparent.dec;
+    }
+    return { ra, dec };
+  }
+
+  /**
+   * Angular size of the J2000 -> apparent correction for a direction
+   * @param {number} raHrs  - J2000 right ascension (hours)
+   * @param {number} decDeg - J2000 declination (degrees)
+   * @param {Date} date     - UTC date
+   * @returns {number} Separation between mean J2000 and apparent place (degrees)
+   */
+  static correctionAngle(raHrs, decDeg, date) {
+    const apparent = ApparentPlace.apparentPosition(raHrs, decDeg, date, COORDINATE_MODES.APPARENT);
+    return Coordinates.angleBetweenPoints(raHrs * 15, decDeg, apparent.ra * 15, apparent.dec);
+  }
+}
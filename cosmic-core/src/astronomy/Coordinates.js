@@ -1,3 +1,51 @@
+/**
+ * Celestial reference frames supported by Coordinates.convertFrame
+ */
+export const FRAMES = {
+  EQUATORIAL: 'equatorial',       // ICRS / J2000 RA, Dec
+  GALACTIC: 'galactic',           // IAU 1958 l, b (J2000 rotation)
+  SUPERGALACTIC: 'supergalactic', // de Vaucouleurs SGL, SGB
+  ECLIPTIC: 'ecliptic'            // J2000 mean ecliptic lambda, beta
+};
+
+// Obliquity of the ecliptic at J2000.0 (degrees)
+const J2000_OBLIQUITY = 23.4392911;
+
+// Rotation matrices: equatorial (J2000) Cartesian -> frame Cartesian.
+// Galactic: Hipparcos catalogue, vol. 1, sec. 1.5.3 (NGP RA 192.85948°, Dec 27.12825°, l_NCP 122.93192°)
+const EQUATORIAL_TO_GALACTIC = [
+  [-0.0548755604, -0.8734370902, -0.4838350155],
+  [ 0.4941094279, -0.4448296300,  0.7469822445],
+  [-0.8676661490, -0.1980763734,  0.4559837762]
+];
+
+// Supergalactic: SGP at l = 47.37°, b = 6.32°; SGL = 0 at l = 137.37°, b = 0° (Lahav et al. 2000)
+const GALACTIC_TO_SUPERGALACTIC = [
+  [-0.7357425748,  0.6772612964,  0.0000000000],
+  [-0.0745537783, -0.0809914713,  0.9939225904],
+  [ 0.6731453021,  0.7312711658,  0.1100812622]
+];
+
+function multiply(a, b) {
+  return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+function transpose(m) {
+  return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+}
+
+const EPS = J2000_OBLIQUITY * Math.PI / 180;
+const FRAME_MATRICES = {
+  [FRAMES.EQUATORIAL]: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+  [FRAMES.GALACTIC]: EQUATORIAL_TO_GALACTIC,
+  [FRAMES.SUPERGALACTIC]: multiply(GALACTIC_TO_SUPERGALACTIC, EQUATORIAL_TO_GALACTIC),
+  [FRAMES.ECLIPTIC]: [
+    [1, 0, 0],
+    [0,  Math.cos(EPS), Math.sin(EPS)],
+    [0, -Math.sin(EPS), Math.cos(EPS)]
+  ]
+};
+
 export class Coordinates {
   static toRadians(degrees) {
     return degrees * (Math.PI / 180);
@@ -121,4 +169,162 @@ export class Coordinates {
 
     return { azimuth, altitude };
   }
-}
\ No newline at end of file
+
+  /**
+   * Convert horizontal coordinates to equatorial coordinates
+   * (inverse of equatorialToHorizontal)
+   * @param {number} azimuth  - Azimuth (rad, north = 0, east = +)
+   * @param {number} altitude - Altitude (rad)
+   * @param {number} lat      - Observer latitude (rad)
+   * @returns {Object} { ha, dec } in radians, hour angle in [0, 2π)
+   */
+  static horizontalToEquatorial(azimuth, altitude, lat) {
+    const sinDec =
+      Math.sin(lat) * Math.sin(altitude) +
+      Math.cos(lat) * Math.cos(altitude) * Math.cos(azimuth);
+    const dec = Math.asin(Math.max(-1, Math.min(1, sinDec)));
+
+    // Hour angle measured westward from the meridian
+    const y = -Math.sin(azimuth) * Math.cos(altitude);
+    const x = Math.sin(altitude) * Math.cos(lat) -
+              Math.cos(altitude) * Math.sin(lat) * Math.cos(azimuth);
+
+    let ha = Math.atan2(y, x);
+    if (ha < 0) ha += 2 * Math.PI;
+
+    return { ha, dec };
+  }
+
+  /**
+   * Convert equatorial coordinates to ecliptic coordinates
+   * @param {number} ra  - Right ascension (rad)
+   * @param {number} dec - Declination (rad)
+   * @param {number} eps - Obliquity of the ecliptic (rad)
+   * @returns {Object} { lambda, beta } in radians
+   */
+  static equatorialToEcliptic(ra, dec, eps) {
+    let lambda = Math.atan2(
+      Math.sin(ra) * Math.cos(eps) + Math.tan(dec) * Math.sin(eps),
+      Math.cos(ra)
+    );
+    if (lambda < 0) lambda += 2 * Math.PI;
+
+    const beta = Math.asin(
+      Math.sin(dec) * Math.cos(eps) - Math.cos(dec) * Math.sin(eps) * Math.sin(ra)
+    );
+
+    return { lambda, beta };
+  }
+
+  /**
+   * Unit vector for a longitude/latitude pair
+   * @param {number} lonDeg - Longitude-like angle (RA, l, SGL, lambda) in degrees
+   * @param {number} latDeg - Latitude-like angle (Dec, b, SGB, beta) in degrees
+   * @returns {Array} [x, y, z]
+   */
+  static sphericalToVector(lonDeg, latDeg) {
+    const lon = Coordinates.toRadians(lonDeg);
+    const lat = Coordinates.toRadians(latDeg);
+    return [
+      Math.cos(lat) * Math.cos(lon),
+      Math.cos(lat) * Math.sin(lon),
+      Math.sin(lat)
+    ];
+  }
+
+  /**
+   * Longitude/latitude of a Cartesian vector
+   * @param {Array} v - [x, y, z] (any length)
+   * @returns {Object} { lon, lat } in degrees, lon in [0, 360)
+   */
+  static vectorToSpherical(v) {
+    const r = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    let lon = Coordinates.toDegrees(Math.atan2(v[1], v[0]));
+    if (lon < 0) lon += 360;
+    const lat = r === 0 ? 0 : Coordinates.toDegrees(Math.asin(v[2] / r));
+    return { lon, lat };
+  }
+
+  /**
+   * Rotation matrix from one frame's Cartesian axes to another's
+   * @param {string} fromFrame - One of FRAMES
+   * @param {string} toFrame   - One of FRAMES
+   * @returns {Array} 3x3 matrix
+   */
+  static frameMatrix(fromFrame, toFrame) {
+    const from = FRAME_MATRICES[fromFrame];
+    const to = FRAME_MATRICES[toFrame];
+    if (!from) throw new Error(`Unknown frame: ${fromFrame}`);
+    if (!to) throw new Error(`Unknown frame: ${toFrame}`);
+    return multiply(to, transpose(from));
+  }
+
+  /**
+   * Rotate a Cartesian vector between frames
+   * @param {Array} v - [x, y, z] in fromFrame
+   * @param {string} fromFrame - One of FRAMES
+   * @param {string} toFrame   - One of FRAMES
+   * @returns {Array} [x, y, z] in toFrame
+   */
+  static rotateVector(v, fromFrame, toFrame) {
+    const m = Coordinates.frameMatrix(fromFrame, toFrame);
+    return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+  }
+
+  /**
+   * Convert a direction between equatorial, galactic, supergalactic and ecliptic frames
+   * @param {number} lonDeg - Longitude in fromFrame (RA in degrees for equatorial)
+   * @param {number} latDeg - Latitude in fromFrame (degrees)
+   * @param {string} fromFrame - One of FRAMES
+   * @param {string} toFrame   - One of FRAMES
+   * @returns {Object} { lon, lat } in degrees
+   */
+  static convertFrame(lonDeg, latDeg, fromFrame, toFrame) {
+    const v = Coordinates.rotateVector(Coordinates.sphericalToVector(lonDeg, latDeg), fromFrame, toFrame);
+    return Coordinates.vectorToSpherical(v);
+  }
+
+  /**
+   * Convert J2000 equatorial to galactic coordinates
+   * @param {number} raDeg  - Right ascension (degrees)
+   * @param {number} decDeg - Declination (degrees)
+   * @returns {Object} { l, b } in degrees
+   */
+  static equatorialToGalactic(raDeg, decDeg) {
+    const { lon, lat } = Coordinates.convertFrame(raDeg, decDeg, FRAMES.EQUATORIAL, FRAMES.GALACTIC);
+    return { l: lon, b: lat };
+  }
+
+  /**
+   * Convert galactic to J2000 equatorial coordinates
+   * @param {number} lDeg - Galactic longitude (degrees)
+   * @param {number} bDeg - Galactic latitude (degrees)
+   * @returns {Object} { ra, dec } in degrees
+   */
+  static galacticToEquatorial(lDeg, bDeg) {
+    const { lon, lat } = Coordinates.convertFrame(lDeg, bDeg, FRAMES.GALACTIC, FRAMES.EQUATORIAL);
+    return { ra: lon, dec: lat };
+  }
+
+  /**
+   * Convert galactic to supergalactic coordinates
+   * @param {number} lDeg - Galactic longitude (degrees)
+   * @param {number} bDeg - Galactic latitude (degrees)
+   * @returns {Object} { sgl, sgb } in degrees
+   */
+  static galacticToSupergalactic(lDeg, bDeg) {
+    const { lon, lat } = Coordinates.convertFrame(lDeg, bDeg, FRAMES.GALACTIC, FRAMES.SUPERGALACTIC);
+    return { sgl: lon, sgb: lat };
+  }
+
+  /**
+   * Convert supergalactic to galactic coordinates
+   * @param {number} sglDeg - Supergalactic longitude (degrees)
+   * @param {number} sgbDeg - Supergalactic latitude (degrees)
+   * @returns {Object} { l, b } in degrees
+   */
+  static supergalacticToGalactic(sglDeg, sgbDeg) {
+    const { lon, lat } = Coordinates.convertFrame(sglDeg, sgbDeg, FRAMES.SUPERGALACTIC, FRAMES.GALACTIC);
+    return { l: lon, b: lat };
+  }
+}
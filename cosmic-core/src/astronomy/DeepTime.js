@@ -0,0 +1,546 @@
+import { Coordinates } from './Coordinates.js';
+import { ApparentPlace, COORDINATE_MODES } from './ApparentPlace.js';
+
+/**
+ * Calendars for converting between calendar dates and Julian days.
+ * - GREGORIAN: proleptic Gregorian (what a JS Date uses for every year)
+ * - JULIAN: proleptic Julian (the historians' convention before 1582)
+ * - AUTO: Julian up to 1582 October 4, Gregorian from 1582 October 15
+ */
+export const CALENDARS = {
+  GREGORIAN: 'gregorian',
+  JULIAN: 'julian',
+  AUTO: 'auto'
+};
+
+const ARCSEC = 1 / 3600; // degrees per arcsecond
+const MS_PER_DAY = 86400000;
+
+// Julian day of the Unix epoch and of J2000.0
+const JD_UNIX_EPOCH = 2440587.5;
+const JD_J2000 = 2451545.0;
+
+// First day of the Gregorian calendar, 1582 October 15 (JD at 0h)
+const JD_GREGORIAN_START = 2299160.5;
+
+// Obliquity of the ecliptic at J2000.0 (IAU 2006, arcseconds)
+const EPS0 = 84381.406;
+
+// Long-term precession (Vondrák, Capitaine & Wallace 2011, A&A 534, A22), valid
+// ±200 000 years around J2000. Polynomial coefficients for T^0..T^3 per component,
+// and periodic terms [period (centuries), cos term of each component, sin term of
+// each component], arcseconds. Ecliptic pole: P_A, Q_A. The Q_A T² term is negative:
+// with it precessionMatrix reproduces SOFA's iauLtp test matrix (t_sofa_c, epoch
+// 1666.666) to 1e-15, with +0.00000020 only to 4e-12.
+const ECLIPTIC_POLYNOMIAL = [
+  [5851.607687, -0.1189000, -0.00028913, 0.000000101],
+  [-1600.886300, 1.1689818, -0.00000020, -0.000000437]
+];
+const ECLIPTIC_PERIODIC = [
+  [708.15, -5486.751211, -684.661560, 667.666730, -5523.863691],
+  [2309.00, -17.127623, 2446.283880, -2354.886252, -549.747450],
+  [1620.00, -617.517403, 399.671049, -428.152441, -310.998056],
+  [492.20, 413.442940, -356.652376, 376.202861, 421.535876],
+  [1183.00, 78.614193, -186.387003, 184.778874, -36.776172],
+  [622.00, -180.732815, -316.800070, 335.321713, -145.278396],
+  [882.00, -87.676083, 198.296701, -185.138669, -34.744450],
+  [547.00, 46.140315, 101.135679, -120.972830, 22.885731]
+];
+
+// Equator pole: X_A, Y_A
+const EQUATOR_POLYNOMIAL = [
+  [5453.282155, 0.4252841, -0.00037173, -0.000000152],
+  [-73750.930350, -0.7675452, -0.00018725, 0.000000231]
+];
+const EQUATOR_PERIODIC = [
+  [256.75, -819.940624, 75004.344875, 81491.287984, 1558.515853],
+  [708.15, -8444.676815, 624.033993, 787.163481, 7774.939698],
+  [274.20, 2600.009459, 1251.136893, 1251.296102, -2219.534038],
+  [241.45, 2755.175630, -1102.212834, -1257.950837, -2523.969396],
+  [2309.00, -167.659835, -2660.664980, -2966.799730, 247.850422],
+  [492.20, 871.855056, 699.291817, 639.744522, -846.485643],
+  [396.10, 44.769698, 153.167220, 131.600209, -1393.124055],
+  [288.90, -512.313065, -950.865637, -445.040117, 368.526116],
+  [231.10, -819.415595, 499.754645, 584.522874, 749.045012],
+  [1610.00, -538.071099, -145.188210, -89.756563, 444.704518],
+  [620.00, -189.793622, 558.116553, 524.429630, 235.934465],
+  [157.87, -402.922932, -23.923029, -13.549067, 374.049623],
+  [220.30, 179.516345, -165.405086, -210.157124, -171.330180],
+  [1200.00, -9.814756, 9.344131, -44.919798, -22.899655]
+];
+
+// Evaluate one Vondrák pole series: periodic terms [period, cosA, cosB, sinA, sinB]
+// plus the cubic polynomials; returns the two components in radians
+function poleSeries(T, polynomial, periodic) {
+  let a = 0;
+  let b = 0;
+  periodic.forEach(([period, cosA, cosB, sinA, sinB]) => {
+    const angle = 2 * Math.PI * T / period;
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    a += c * cosA + s * sinA;
+    b += c * cosB + s * sinB;
+  });
+  let w = 1;
+  for (let i = 0; i < 4; i++) {
+    a += polynomial[0][i] * w;
+    b += polynomial[1][i] * w;
+    w *= T;
+  }
+  return [a, b].map(v => Coordinates.toRadians(v * ARCSEC));
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]);
+  return v.map(c => c / length);
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+/**
+ * DeepTime - Dates and sky orientation for epochs thousands of years from J2000
+ *
+ * The everyday path (Coordinates.localSiderealTime, ApparentPlace.precess) uses
+ * linear sidereal time in UT and IAU 1976 precession, both tuned to a few centuries
+ * around J2000. This module is the replacement when options.deepTime is set:
+ * - Julian days and proleptic Julian/Gregorian calendar dates, including BCE years
+ *   (astronomical numbering: 1 BCE = year 0, 3000 BCE = year -2999)
+ * - ΔT = TT - UT (Espenak & Meeus 2006; Morrison & Stephenson 2004 parabola outside
+ *   -500..2150), so dynamical quantities run on TT while Earth's rotation runs on UT
+ * - Greenwich sidereal time from the Earth rotation angle (IAU 2006)
+ * - Long-term precession (Vondrák et al. 2011), good to arcseconds over millennia
+ *
+ * A JS Date reaches ±271 821 years, which covers the precession model's range.
+ */
+export class DeepTime {
+  /**
+   * Julian day (UT) of a date
+   * @param {Date} date - UTC date
+   * @returns {number} Julian day
+   */
+  static julianDay(date) {
+    return date.getTime() / MS_PER_DAY + JD_UNIX_EPOCH;
+  }
+
+  /**
+   * Date for a Julian day (UT), to the millisecond
+   * @param {number} jd - Julian day
+   * @returns {Date}
+   */
+  static dateFromJulianDay(jd) {
+    return new Date(Math.round((jd - JD_UNIX_EPOCH) * MS_PER_DAY));
+  }
+
+  /**
+   * Julian day of a calendar date (Meeus, Astronomical Algorithms, ch. 7)
+   * @param {Object} parts - { year (astronomical), month (1-12), day, hour, minute, second }
+   * @param {string} calendar - One of CALENDARS (default: auto)
+   * @returns {number} Julian day
+   */
+  static calendarToJulianDay(parts, calendar = CALENDARS.AUTO) {
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+    DeepTime.validateCalendar(calendar);
+
+    let Y = year;
+    let M = month;
+    if (M <= 2) {
+      Y -= 1;
+      M += 12;
+    }
+
+    const gregorian = calendar === CALENDARS.GREGORIAN || (calendar === CALENDARS.AUTO
+      && (year > 1582 || (year === 1582 && (month > 10 || (month === 10 && day >= 15)))));
+    const century = Math.floor(Y / 100);
+    const B = gregorian ? 2 - century + Math.floor(century / 4) : 0;
+
+    const dayFraction = (hour + minute / 60 + second / 3600) / 24;
+    return Math.floor(365.25 * (Y + 4716)) + Math.floor(30.6001 * (M + 1)) + day + dayFraction + B - 1524.5;
+  }
+
+  /**
+   * Calendar date of a Julian day (Meeus ch. 7), rounded to the millisecond
+   * @param {number} jd - Julian day (non-negative, i.e. after 4713 BCE January 1)
+   * @param {string} calendar - One of CALENDARS (default: auto)
+   * @returns {Object} { year (astronomical), month, day, hour, minute, second, calendar }
+   *   where calendar is the one actually used
+   */
+  static julianDayToCalendar(jd, calendar = CALENDARS.AUTO) {
+    DeepTime.validateCalendar(calendar);
+    const ms = Math.round((jd + 0.5) * MS_PER_DAY);
+    const Z = Math.floor(ms / MS_PER_DAY);
+    const msOfDay = ms - Z * MS_PER_DAY;
+
+    const gregorian = calendar === CALENDARS.GREGORIAN
+      || (calendar === CALENDARS.AUTO && Z >= JD_GREGORIAN_START + 0.5);
+    let A = Z;
+    if (gregorian) {
+      const alpha = Math.floor((Z - 1867216.25) / 36524.25);
+      A = Z + 1 + alpha - Math.floor(alpha / 4);
+    }
+    const B = A + 1524;
+    const C = Math.floor((B - 122.1) / 365.25);
+    const D = Math.floor(365.25 * C);
+    const E = Math.floor((B - D) / 30.6001);
+
+    const month = E < 14 ? E - 1 : E - 13;
+    return {
+      year: month > 2 ? C - 4716 : C - 4715,
+      month,
+      day: B - D - Math.floor(30.6001 * E),
+      hour: Math.floor(msOfDay / 3600000),
+      minute: Math.floor(msOfDay / 60000) % 60,
+      second: (msOfDay % 60000) / 1000,
+      calendar: gregorian ? CALENDARS.GREGORIAN : CALENDARS.JULIAN
+    };
+  }
+
+  /**
+   * Date for a calendar date in UT
+   * @param {Object} parts - { year (astronomical), month, day, hour, minute, second }
+   * @param {string} calendar - One of CALENDARS (default: auto)
+   * @returns {Date}
+   */
+  static fromCalendar(parts, calendar = CALENDARS.AUTO) {
+    return DeepTime.dateFromJulianDay(DeepTime.calendarToJulianDay(parts, calendar));
+  }
+
+  /**
+   * Calendar date (UT) of a Date
+   * @param {Date} date - UTC date
+   * @param {string} calendar - One of CALENDARS (default: auto)
+   * @returns {Object} See julianDayToCalendar
+   */
+  static toCalendar(date, calendar = CALENDARS.AUTO) {
+    return DeepTime.julianDayToCalendar(DeepTime.julianDay(date), calendar);
+  }
+
+  /**
+   * Parse a calendar date such as '3000 BCE-06-21 04:30', '-2999-06-21T04:30:00'
+   * or '1066-10-14'. A trailing or leading BCE/BC/CE/AD marks the era; without one
+   * the year is astronomical (0 = 1 BCE, negative years before that). The day is
+   * checked against the length of the month in the calendar the date is read in.
+   * @param {string} text - Date text; time of day is optional
+   * @param {string} calendar - One of CALENDARS (default: auto), for leap years
+   * @returns {Object} { year (astronomical), month, day, hour, minute, second }
+   */
+  static parseCalendarDate(text, calendar = CALENDARS.AUTO) {
+    DeepTime.validateCalendar(calendar);
+    const match = String(text).trim().match(
+      /^(?:(BCE|BC|CE|AD)\s*)?([+-]?\d+)\s*(BCE|BC|CE|AD)?\s*-\s*(\d{1,2})-(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?$/i
+    );
+    if (!match) {
+      throw new Error(`Unrecognised date: "${text}" (expected e.g. "3000 BCE-06-21 04:30" or "-2999-06-21")`);
+    }
+
+    const [, eraBefore, yearText, eraAfter, month, day, hour, minute, second] = match;
+    const era = (eraBefore ?? eraAfter)?.toUpperCase();
+    let year = parseInt(yearText, 10);
+    if (era === 'BCE' || era === 'BC') {
+      if (year < 1) throw new Error(`Year ${yearText} ${era} is not a valid era year`);
+      year = 1 - year;
+    }
+
+    const parts = {
+      year,
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hour: hour ? parseInt(hour, 10) : 0,
+      minute: minute ? parseInt(minute, 10) : 0,
+      second: second ? parseFloat(second) : 0
+    };
+    if (parts.month < 1 || parts.month > 12 || parts.day < 1
+        || parts.day > DeepTime.daysInMonth(parts.year, parts.month, calendar) || parts.hour > 23 || parts.minute > 59 || parts.second >= 60) {
+      throw new Error(`Date out of range: "${text}"`);
+    }
+    return parts;
+  }
+
+  /**
+   * Number of days in a month: Julian years are leap every fourth year, Gregorian ones
+   * skip the centuries not divisible by 400; auto is Julian up to 1582
+   * @param {number} year - Astronomical year
+   * @param {number} month - 1-12
+   * @param {string} calendar - One of CALENDARS (default: auto)
+   * @returns {number}
+   */
+  static daysInMonth(year, month, calendar = CALENDARS.AUTO) {
+    if (month !== 2) return [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+    const gregorian = calendar === CALENDARS.GREGORIAN || (calendar === CALENDARS.AUTO && year > 1582);
+    const leap = year % 4 === 0 && (!gregorian || year % 100 !== 0 || year % 400 === 0);
+    return leap ? 29 : 28;
+  }
+
+  /**
+   * Era-style label for an astronomical year: 2024 -> '2024 CE', -2999 -> '3000 BCE'
+   * @param {number} year - Astronomical year
+   * @returns {string}
+   */
+  static formatYear(year) {
+    return year > 0 ? `${year} CE` : `${1 - year} BCE`;
+  }
+
+  /**
+   * Calendar date of a Date as text, e.g. '3000 BCE-06-21 04:30:00 UT (Julian)'
+   * @param {Date} date - UTC date
+   * @param {string} calendar - One of CALENDARS (default: auto)
+   * @returns {string}
+   */
+  static formatCalendarDate(date, calendar = CALENDARS.AUTO) {
+    const c = DeepTime.toCalendar(date, calendar);
+    const name = c.calendar === CALENDARS.JULIAN ? 'Julian' : 'Gregorian';
+    return `${DeepTime.formatYear(c.year)}-${pad(c.month)}-${pad(c.day)} `
+      + `${pad(c.hour)}:${pad(c.minute)}:${pad(Math.floor(c.second))} UT (${name})`;
+  }
+
+  /**
+   * Decimal year of a date (Julian years from J2000)
+   * @param {Date} date - UTC date
+   * @returns {number}
+   */
+  static decimalYear(date) {
+    return 2000 + (DeepTime.julianDay(date) - JD_J2000) / 365.25;
+  }
+
+  /**
+   * ΔT = TT - UT for a date: Espenak & Meeus (2006) polynomials for -500..2150,
+   * the Morrison & Stephenson (2004) parabola -20 + 32u² outside that range.
+   * Roughly 64 s at 2000, 2.9 h at 0 CE and 21 h at 3000 BCE.
+   * @param {Date} date - UTC date
+   * @returns {number} ΔT in seconds
+   */
+  static deltaT(date) {
+    const y = DeepTime.decimalYear(date);
+    const parabola = u => -20 + 32 * u * u;
+
+    if (y < -500) return parabola((y - 1820) / 100);
+    if (y < 500) {
+      const u = y / 100;
+      return 10583.6 - 1014.41 * u + 33.78311 * u ** 2 - 5.952053 * u ** 3
+        - 0.1798452 * u ** 4 + 0.022174192 * u ** 5 + 0.0090316521 * u ** 6;
+    }
+    if (y < 1600) {
+      const u = (y - 1000) / 100;
+      return 1574.2 - 556.01 * u + 71.23472 * u ** 2 + 0.319781 * u ** 3
+        - 0.8503463 * u ** 4 - 0.005050998 * u ** 5 + 0.0083572073 * u ** 6;
+    }
+    if (y < 1700) {
+      const t = y - 1600;
+      return 120 - 0.9808 * t - 0.01532 * t ** 2 + t ** 3 / 7129;
+    }
+    if (y < 1800) {
+      const t = y - 1700;
+      return 8.83 + 0.1603 * t - 0.0059285 * t ** 2 + 0.00013336 * t ** 3 - t ** 4 / 1174000;
+    }
+    if (y < 1860) {
+      const t = y - 1800;
+      return 13.72 - 0.332447 * t + 0.0068612 * t ** 2 + 0.0041116 * t ** 3 - 0.00037436 * t ** 4
+        + 0.0000121272 * t ** 5 - 0.0000001699 * t ** 6 + 0.000000000875 * t ** 7;
+    }
+    if (y < 1900) {
+      const t = y - 1860;
+      return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3
+        - 0.0004473624 * t ** 4 + t ** 5 / 233174;
+    }
+    if (y < 1920) {
+      const t = y - 1900;
+      return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (y < 1941) {
+      const t = y - 1920;
+      return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+    }
+    if (y < 1961) {
+      const t = y - 1950;
+      return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+    }
+    if (y < 1986) {
+      const t = y - 1975;
+      return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+    }
+    if (y < 2005) {
+      const t = y - 2000;
+      return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3
+        + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (y < 2050) {
+      const t = y - 2000;
+      return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    if (y < 2150) return parabola((y - 1820) / 100) - 0.5628 * (2150 - y);
+    return parabola((y - 1820) / 100);
+  }
+
+  /**
+   * Julian centuries of Terrestrial Time since J2000.0, the argument of the
+   * precession, nutation and orbital series
+   * @param {Date} date - UTC date
+   * @returns {number} T (TT)
+   */
+  static julianCenturiesTT(date) {
+    const jdTT = DeepTime.julianDay(date) + DeepTime.deltaT(date) / 86400;
+    return (jdTT - JD_J2000) / 36525;
+  }
+
+  /**
+   * Earth rotation angle (IAU 2000), linear in UT1 (taken as UT)
+   * @param {Date} date - UTC date
+   * @returns {number} Degrees, 0-360
+   */
+  static earthRotationAngle(date) {
+    const Du = DeepTime.julianDay(date) - JD_J2000;
+    // Split off whole days first to keep precision millennia from J2000
+    const turns = (Du % 1) + 0.7790572732640 + 0.00273781191135448 * Du;
+    return ((turns % 1) + 1) % 1 * 360;
+  }
+
+  /**
+   * Greenwich mean sidereal time (IAU 2006: Earth rotation angle plus the
+   * accumulated precession in right ascension, in TT)
+   * @param {Date} date - UTC date
+   * @returns {number} Degrees, 0-360
+   */
+  static greenwichMeanSiderealTime(date) {
+    const t = DeepTime.julianCenturiesTT(date);
+    const precession = 0.014506 + 4612.156534 * t + 1.3915817 * t ** 2 - 0.00000044 * t ** 3
+      - 0.000029956 * t ** 4 - 0.0000000368 * t ** 5;
+    const gmst = DeepTime.earthRotationAngle(date) + precession * ARCSEC;
+    return ((gmst % 360) + 360) % 360;
+  }
+
+  /**
+   * Local sidereal time for a coordinate mode (deep-time counterpart of
+   * StellarCalculations.siderealTime)
+   * @param {number} obsLonDeg - Observer longitude (degrees)
+   * @param {Date} date - UTC date
+   * @param {string} coordinateMode - One of COORDINATE_MODES (default: apparent)
+   * @returns {number} Local sidereal time (degrees)
+   */
+  static siderealTime(obsLonDeg, date, coordinateMode = COORDINATE_MODES.APPARENT) {
+    let lstDeg = DeepTime.greenwichMeanSiderealTime(date) + obsLonDeg;
+    if (coordinateMode === COORDINATE_MODES.APPARENT) {
+      lstDeg += ApparentPlace.equationOfEquinoxes(DeepTime.julianCenturiesTT(date));
+    }
+    return lstDeg;
+  }
+
+  /**
+   * Unit vector of the ecliptic pole in J2000 equatorial axes (Vondrák et al. 2011)
+   * @param {number} T - Julian centuries (TT) since J2000.0
+   * @returns {Array} [x, y, z]
+   */
+  static eclipticPole(T) {
+    const [P, Q] = poleSeries(T, ECLIPTIC_POLYNOMIAL, ECLIPTIC_PERIODIC);
+    const Z = Math.sqrt(Math.max(1 - P * P - Q * Q, 0));
+    const eps0 = Coordinates.toRadians(EPS0 * ARCSEC);
+    const s = Math.sin(eps0);
+    const c = Math.cos(eps0);
+    return [P, -Q * c - Z * s, -Q * s + Z * c];
+  }
+
+  /**
+   * Unit vector of the celestial (equator) pole in J2000 equatorial axes
+   * (Vondrák et al. 2011)
+   * @param {number} T - Julian centuries (TT) since J2000.0
+   * @returns {Array} [x, y, z]
+   */
+  static equatorPole(T) {
+    const [X, Y] = poleSeries(T, EQUATOR_POLYNOMIAL, EQUATOR_PERIODIC);
+    return [X, Y, Math.sqrt(Math.max(1 - X * X - Y * Y, 0))];
+  }
+
+  /**
+   * Precession matrix from the J2000 mean equator and equinox to those of date:
+   * rows are the equinox of date, the 90° RA point and the pole of date
+   * @param {number} T - Julian centuries (TT) since J2000.0
+   * @returns {Array} 3x3 matrix, v_date = M · v_J2000
+   */
+  static precessionMatrix(T) {
+    const pole = DeepTime.equatorPole(T);
+    const equinox = normalize(cross(pole, DeepTime.eclipticPole(T)));
+    return [equinox, cross(pole, equinox), pole];
+  }
+
+  /**
+   * Precess J2000 equatorial coordinates to the mean equator and equinox of date
+   * @param {number} raDeg  - J2000 right ascension (degrees)
+   * @param {number} decDeg - J2000 declination (degrees)
+   * @param {number} T      - Julian centuries (TT) since J2000.0
+   * @returns {Object} { ra, dec } in degrees, mean equinox of date
+   */
+  static precess(raDeg, decDeg, T) {
+    const v = Coordinates.sphericalToVector(raDeg, decDeg);
+    const rotated = DeepTime.precessionMatrix(T).map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+    const { lon, lat } = Coordinates.vectorToSpherical(rotated);
+    return { ra: lon, dec: lat };
+  }
+
+  /**
+   * Deep-time counterpart of ApparentPlace.apparentPosition: long-term precession,
+   * then nutation and annual aberration, all on TT
+   * @param {number} raHrs  - J2000 right ascension (hours)
+   * @param {number} decDeg - J2000 declination (degrees)
+   * @param {Date} date     - UTC date
+   * @param {string} mode   - One of COORDINATE_MODES (default: apparent)
+   * @returns {Object} { ra, dec } with RA in hours and Dec in degrees
+   */
+  static apparentPosition(raHrs, decDeg, date, mode = COORDINATE_MODES.APPARENT) {
+    if (mode === COORDINATE_MODES.J2000) {
+      return { ra: raHrs, dec: decDeg };
+    }
+    if (mode !== COORDINATE_MODES.APPARENT) {
+      throw new Error(`Unknown coordinate mode: ${mode}`);
+    }
+
+    const T = DeepTime.julianCenturiesTT(date);
+    const mean = DeepTime.precess(raHrs * 15, decDeg, T);
+    const nut = ApparentPlace.nutationOffset(mean.ra, mean.dec, T);
+    const abe = ApparentPlace.aberrationOffset(mean.ra, mean.dec, T);
+
+    const raDeg = mean.ra + nut.deltaRa + abe.deltaRa;
+    const dec = mean.dec + nut.deltaDec + abe.deltaDec;
+
+    return { ra: (((raDeg % 360) + 360) % 360) / 15, dec };
+  }
+
+  /**
+   * Inverse of apparentPosition: J2000 catalogue coordinates for a position of date
+   * @param {number} raHrs  - Right ascension in the given mode (hours)
+   * @param {number} decDeg - Declination in the given mode (degrees)
+   * @param {Date} date     - UTC date
+   * @param {string} mode   - One of COORDINATE_MODES (default: apparent)
+   * @returns {Object} { ra, dec } J2000, RA in hours and Dec in degrees
+   */
+  static meanPosition(raHrs, decDeg, date, mode = COORDINATE_MODES.APPARENT) {
+    if (mode === COORDINATE_MODES.J2000) {
+      return { ra: raHrs, dec: decDeg };
+    }
+
+    // Iterate away the small nutation and aberration offsets in the frame of date,
+    // then undo the precession exactly (the matrix is orthogonal)
+    const T = DeepTime.julianCenturiesTT(date);
+    let ra = raHrs * 15;
+    let dec = decDeg;
+    for (let i = 0; i < 3; i++) {
+      const nut = ApparentPlace.nutationOffset(ra, dec, T);
+      const abe = ApparentPlace.aberrationOffset(ra, dec, T);
+      ra = raHrs * 15 - nut.deltaRa - abe.deltaRa;
+      dec = decDeg - nut.deltaDec - abe.deltaDec;
+    }
+
+    const matrix = DeepTime.precessionMatrix(T);
+    const v = Coordinates.sphericalToVector(ra, dec);
+    const j2000 = [0, 1, 2].map(i => matrix[0][i] * v[0] + matrix[1][i] * v[1] + matrix[2][i] * v[2]);
+    const { lon, lat } = Coordinates.vectorToSpherical(j2000);
+    return { ra: lon / 15, dec: lat };
+  }
+
+  static validateCalendar(calendar) {
+    if (!Object.values(CALENDARS).includes(calendar)) {
+      throw new Error(`Unknown calendar: ${calendar}`);
+    }
+  }
+}
@@ -2,7 +2,15 @@ import { StellarCalculations } from './StellarCalculations.js';
 import { Coordinates } from './Coordinates.js';
 
 export class GalacticCenter {
-  static currentMilkyWayPosition(lat, lon, utcDatetime = null) {
+  /**
+   * Galactic center orientation for skybox alignment
+   * @param {number} lat - Observer latitude (degrees)
+   * @param {number} lon - Observer longitude (degrees)
+   * @param {Date} utcDatetime - UTC date (default: now)
+   * @param {Object} options - Passed to StellarCalculations (e.g. coordinateMode)
+   * @returns {Array} [azimuth, altitude, angle] in degrees
+   */
+  static currentMilkyWayPosition(lat, lon, utcDatetime = null, options = {}) {
     if (utcDatetime === null) {
       utcDatetime = new Date();
     }
@@ -10,9 +18,9 @@ export class GalacticCenter {
     // The center of the milky way is located at Sagittarius A*
     // Right ascension: 17h 45m 40.0409s
     // Declination: -29 0' 28.118"
-    const sagAPos = StellarCalculations.calculateStarLocation(lat, lon, 17.7611, -28.992, utcDatetime);
+    const sagAPos = StellarCalculations.calculateStarLocation(lat, lon, 17.7611, -28.992, utcDatetime, options);
 
-    const com31Pos = StellarCalculations.calculateStarLocation(lat, lon, 12.81, 27.4, utcDatetime);
+    const com31Pos = StellarCalculations.calculateStarLocation(lat, lon, 12.81, 27.4, utcDatetime, options);
 
     let galacticNorthPoleAz, galacticNorthPoleAlt;
 
@@ -0,0 +1,260 @@
+import { Coordinates, FRAMES } from './Coordinates.js';
+
+/**
+ * Keplerian mean elements of the planets, J2000 ecliptic and equinox
+ * (Standish, "Keplerian Elements for Approximate Positions of the Major Planets",
+ * JPL, table 1: valid 1800-2050 AD, positions good to a few arcminutes).
+ *
+ * Each element is [value at J2000, rate per Julian century]:
+ * a (AU), e, I (inclination), L (mean longitude), peri (longitude of perihelion),
+ * node (longitude of ascending node), angles in degrees.
+ * sunMassRatio is M_Sun / M_planet (DE405; Earth entry includes the Moon).
+ */
+export const PLANETS = {
+  mercury: {
+    name: 'Mercury', sunMassRatio: 6023600,
+    a: [0.38709927, 0.00000037], e: [0.20563593, 0.00001906], I: [7.00497902, -0.00594749],
+    L: [252.25032350, 149472.67411175], peri: [77.45779628, 0.16047689], node: [48.33076593, -0.12534081]
+  },
+  venus: {
+    name: 'Venus', sunMassRatio: 408523.71,
+    a: [0.72333566, 0.00000390], e: [0.00677672, -0.00004107], I: [3.39467605, -0.00078890],
+    L: [181.97909950, 58517.81538729], peri: [131.60246718, 0.00268329], node: [76.67984255, -0.27769418]
+  },
+  earthMoon: {
+    name: 'Earth-Moon', sunMassRatio: 328900.56,
+    a: [1.00000261, 0.00000562], e: [0.01671123, -0.00004392], I: [-0.00001531, -0.01294668],
+    L: [100.46457166, 35999.37244981], peri: [102.93768193, 0.32327364], node: [0, 0]
+  },
+  mars: {
+    name: 'Mars', sunMassRatio: 3098708,
+    a: [1.52371034, 0.00001847], e: [0.09339410, 0.00007882], I: [1.84969142, -0.00813131],
+    L: [-4.55343205, 19140.30268499], peri: [-23.94362959, 0.44441088], node: [49.55953891, -0.29257343]
+  },
+  jupiter: {
+    name: 'Jupiter', sunMassRatio: 1047.3486,
+    a: [5.20288700, -0.00011607], e: [0.04838624, -0.00013253], I: [1.30439695, -0.00183714],
+    L: [34.39644051, 3034.74612775], peri: [14.72847983, 0.21252668], node: [100.47390909, 0.20469106]
+  },
+  saturn: {
+    name: 'Saturn', sunMassRatio: 3497.898,
+    a: [9.53667594, -0.00125060], e: [0.05386179, -0.00050991], I: [2.48599187, 0.00193609],
+    L: [49.95424423, 1222.49362201], peri: [92.59887831, -0.41897216], node: [113.66242448, -0.28867794]
+  },
+  uranus: {
+    name: 'Uranus', sunMassRatio: 22902.98,
+    a: [19.18916464, -0.00196176], e: [0.04725744, -0.00004397], I: [0.77263783, -0.00242939],
+    L: [313.23810451, 428.48202785], peri: [170.95427630, 0.40805281], node: [74.01692503, 0.04240589]
+  },
+  neptune: {
+    name: 'Neptune', sunMassRatio: 19412.24,
+    a: [30.06992276, 0.00026291], e: [0.00859048, 0.00005105], I: [1.77004347, 0.00035372],
+    L: [-55.12002969, 218.45945325], peri: [44.96476227, -0.32241464], node: [131.78422574, -0.00508664]
+  }
+};
+
+const AU_KM = 1.495978707e8;
+const SECONDS_PER_DAY = 86400;
+const LIGHT_TIME_PER_AU = 499.004784; // seconds
+
+/**
+ * Visual magnitude at 1 AU from Sun and observer, and phase coefficients for the phase
+ * angle i in degrees (Astronomical Almanac 1984, as in Meeus, Astronomical Algorithms
+ * ch. 41): V = V0 + 5 log10(r Δ) + c1 i + c2 i² + c3 i³. Saturn's rings are added
+ * separately (see ringTerm).
+ */
+const MAGNITUDES = {
+  mercury: [-0.42, 0.0380, -0.000273, 0.000002],
+  venus: [-4.40, 0.0009, 0.000239, -0.00000065],
+  mars: [-1.52, 0.016, 0, 0],
+  jupiter: [-9.40, 0.005, 0, 0],
+  saturn: [-8.88, 0, 0, 0],
+  uranus: [-7.19, 0, 0, 0],
+  neptune: [-6.87, 0, 0, 0]
+};
+
+// Saturn's north pole (J2000 equatorial, degrees), the normal of its ring plane
+const SATURN_POLE = Coordinates.rotateVector(
+  Coordinates.sphericalToVector(40.589, 83.537), FRAMES.EQUATORIAL, FRAMES.ECLIPTIC
+);
+
+/**
+ * The planets seen from Earth: PLANETS without the Earth-Moon barycentre
+ */
+export const VISIBLE_PLANETS = Object.keys(MAGNITUDES);
+
+const subtract = (a, b) => a.map((c, i) => c - b[i]);
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+/**
+ * Planets - Heliocentric positions and velocities from mean elements
+ */
+export class Planets {
+  /**
+   * Osculating-like elements for a date
+   * @param {string} id - Key of PLANETS
+   * @param {number} T - Julian centuries since J2000.0
+   * @returns {Object} { a, e, I, L, peri, node, meanMotion } (degrees; meanMotion in degrees/day)
+   */
+  static elements(id, T) {
+    const planet = PLANETS[id];
+    if (!planet) {
+      throw new Error(`Unknown planet: ${id}`);
+    }
+    const at = ([value, rate]) => value + rate * T;
+    return {
+      a: at(planet.a),
+      e: at(planet.e),
+      I: at(planet.I),
+      L: at(planet.L),
+      peri: at(planet.peri),
+      node: at(planet.node),
+      meanMotion: planet.L[1] / 36525
+    };
+  }
+
+  /**
+   * Solve Kepler's equation M = E - e sin E (Newton's method)
+   * @param {number} M - Mean anomaly (radians)
+   * @param {number} e - Eccentricity
+   * @returns {number} Eccentric anomaly (radians)
+   */
+  static eccentricAnomaly(M, e) {
+    let E = M + e * Math.sin(M);
+    for (let i = 0; i < 8; i++) {
+      const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+      E -= delta;
+      if (Math.abs(delta) < 1e-12) break;
+    }
+    return E;
+  }
+
+  /**
+   * Heliocentric position and velocity, J2000 ecliptic axes
+   * @param {string} id - Key of PLANETS
+   * @param {Date} date - UTC date
+   * @returns {Object} { position: [x, y, z] (AU), velocity: [x, y, z] (km/s) }
+   */
+  static heliocentricState(id, date) {
+    const T = Coordinates.daysSinceJ2000(date) / 36525;
+    const { a, e, I, L, peri, node, meanMotion } = Planets.elements(id, T);
+
+    const M = Coordinates.toRadians(((L - peri) % 360 + 540) % 360 - 180);
+    const E = Planets.eccentricAnomaly(M, e);
+    const cosE = Math.cos(E);
+    const sinE = Math.sin(E);
+    const root = Math.sqrt(1 - e * e);
+
+    // Orbital plane, x toward perihelion
+    const x = a * (cosE - e);
+    const y = a * root * sinE;
+    const dE = Coordinates.toRadians(meanMotion) / (1 - e * cosE); // radians/day
+    const vx = -a * sinE * dE;
+    const vy = a * root * cosE * dE;
+
+    // Rotate by argument of perihelion, inclination, node
+    const w = Coordinates.toRadians(peri - node);
+    const O = Coordinates.toRadians(node);
+    const i = Coordinates.toRadians(I);
+    const cw = Math.cos(w), sw = Math.sin(w);
+    const cO = Math.cos(O), sO = Math.sin(O);
+    const ci = Math.cos(i), si = Math.sin(i);
+
+    const rotate = (px, py) => [
+      (cw * cO - sw * sO * ci) * px + (-sw * cO - cw * sO * ci) * py,
+      (cw * sO + sw * cO * ci) * px + (-sw * sO + cw * cO * ci) * py,
+      (sw * si) * px + (cw * si) * py
+    ];
+
+    const kmPerSecond = AU_KM / SECONDS_PER_DAY;
+    return {
+      position: rotate(x, y),
+      velocity: rotate(vx, vy).map(v => v * kmPerSecond)
+    };
+  }
+
+  /**
+   * Where a planet appears from the centre of the Earth: the light-time corrected
+   * direction (astrometric J2000 RA and Dec, to which calculateStarLocation then applies
+   * precession, nutation and aberration) and its apparent magnitude. Earth is placed at
+   * the Earth-Moon barycentre, which shifts the direction by at most a few arcseconds
+   * (Venus at its closest: about 20"), well inside the elements' own error.
+   * @param {string} id - One of VISIBLE_PLANETS
+   * @param {Date} date - UTC date
+   * @returns {Object} { ra (hours), dec (degrees), distance (AU from Earth), sunDistance (AU),
+   *   phaseAngle (degrees, Sun-planet-Earth), elongation (degrees from the Sun), magnitude }
+   */
+  static geocentricPosition(id, date) {
+    if (!MAGNITUDES[id]) {
+      throw new Error(`Not a planet seen from Earth: ${id}`);
+    }
+    const earth = Planets.heliocentricState('earthMoon', date).position;
+
+    // Where the planet was when the light now arriving left it
+    let planet = Planets.heliocentricState(id, date).position;
+    let delta = subtract(planet, earth);
+    for (let i = 0; i < 2; i++) {
+      const lightTime = Math.hypot(...delta) * LIGHT_TIME_PER_AU * 1000;
+      planet = Planets.heliocentricState(id, new Date(date.getTime() - lightTime)).position;
+      delta = subtract(planet, earth);
+    }
+
+    const distance = Math.hypot(...delta);
+    const sunDistance = Math.hypot(...planet);
+    const earthDistance = Math.hypot(...earth);
+    const angle = cos => Coordinates.toDegrees(Math.acos(Math.max(-1, Math.min(1, cos))));
+    const phaseAngle = angle(dot(planet, delta) / (sunDistance * distance));
+    const elongation = angle(-dot(earth, delta) / (earthDistance * distance));
+
+    const { lon, lat } = Coordinates.vectorToSpherical(
+      Coordinates.rotateVector(delta, FRAMES.ECLIPTIC, FRAMES.EQUATORIAL)
+    );
+
+    return {
+      ra: lon / 15,
+      dec: lat,
+      distance,
+      sunDistance,
+      phaseAngle,
+      elongation,
+      magnitude: Planets.magnitude(id, sunDistance, distance, phaseAngle)
+        + (id === 'saturn' ? Planets.ringTerm(planet, earth) : 0)
+    };
+  }
+
+  /**
+   * Apparent visual magnitude of a planet's disk (Saturn without its rings)
+   * @param {string} id - One of VISIBLE_PLANETS
+   * @param {number} sunDistance - r, AU
+   * @param {number} distance - Δ, AU from the observer
+   * @param {number} phaseAngle - i, degrees
+   * @returns {number} Magnitude
+   */
+  static magnitude(id, sunDistance, distance, phaseAngle) {
+    const [v0, c1, c2, c3] = MAGNITUDES[id];
+    const i = phaseAngle;
+    return v0 + 5 * Math.log10(sunDistance * distance) + c1 * i + c2 * i * i + c3 * i * i * i;
+  }
+
+  /**
+   * Brightening by Saturn's rings: 0.044 |ΔU| - 2.60 sin|B| + 1.25 sin²B, with B the
+   * Earth's elevation above the ring plane and ΔU the angle between the Sun and the Earth
+   * measured in that plane (Meeus ch. 41, 45)
+   * @param {Array} saturn - Heliocentric position of Saturn (AU, J2000 ecliptic)
+   * @param {Array} earth - Heliocentric position of the Earth
+   * @returns {number} Magnitude correction (negative: brighter)
+   */
+  static ringTerm(saturn, earth) {
+    const inPlane = v => {
+      const unit = v.map(c => c / Math.hypot(...v));
+      const along = dot(unit, SATURN_POLE);
+      return { sinB: along, u: unit.map((c, i) => c - along * SATURN_POLE[i]) };
+    };
+    const toEarth = inPlane(subtract(earth, saturn));
+    const toSun = inPlane(saturn.map(c => -c));
+    const cosU = dot(toEarth.u, toSun.u) / (Math.hypot(...toEarth.u) * Math.hypot(...toSun.u));
+    const deltaU = Coordinates.toDegrees(Math.acos(Math.max(-1, Math.min(1, cosU))));
+    const sinB = toEarth.sinB;
+    return 0.044 * deltaU - 2.60 * Math.abs(sinB) + 1.25 * sinB * sinB;
+  }
+}
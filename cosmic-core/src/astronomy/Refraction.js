@@ -0,0 +1,143 @@
+import { Coordinates } from './Coordinates.js';
+
+/**
+ * Refraction models
+ * - SAEMUNDSSON: R from geometric (true) altitude, Meeus eq. 16.4
+ * - BENNETT: R from apparent altitude, Meeus eq. 16.3 (inverted by iteration)
+ */
+export const REFRACTION_MODELS = {
+  SAEMUNDSSON: 'saemundsson',
+  BENNETT: 'bennett'
+};
+
+// Standard atmosphere the formulas are calibrated for
+const STANDARD_PRESSURE = 1010;   // millibars
+const STANDARD_TEMPERATURE = 10;  // °C
+
+// Below this geometric altitude the formulas are no longer valid; refraction
+// is faded linearly to zero at FADE_END so positions stay continuous
+const FADE_START = -1; // degrees
+const FADE_END = -5;   // degrees
+
+/**
+ * Refraction - Atmospheric refraction for horizon-frame altitudes
+ *
+ * Lifts objects near the horizon by ~0.5° so computed positions line up
+ * with what an observer actually sees. Azimuth is unaffected.
+ */
+export class Refraction {
+  /**
+   * Normalize a refraction option into settings
+   * @param {boolean|Object|null} option - false/null = off, true = standard atmosphere,
+   *   or { model, pressure (mbar), temperature (°C) }
+   * @returns {Object|null} { model, pressure, temperature } or null when disabled
+   */
+  static resolveSettings(option) {
+    if (!option) return null;
+    const settings = option === true ? {} : option;
+    if (settings.enabled === false) return null;
+
+    const model = settings.model ?? REFRACTION_MODELS.SAEMUNDSSON;
+    if (!Object.values(REFRACTION_MODELS).includes(model)) {
+      throw new Error(`Unknown refraction model: ${model}`);
+    }
+
+    return {
+      model,
+      pressure: settings.pressure ?? STANDARD_PRESSURE,
+      temperature: settings.temperature ?? STANDARD_TEMPERATURE
+    };
+  }
+
+  /**
+   * Pressure/temperature scaling relative to the standard atmosphere
+   * @param {number} pressure - Pressure in millibars
+   * @param {number} temperature - Temperature in °C
+   * @returns {number} Multiplicative factor for R
+   */
+  static atmosphereFactor(pressure = STANDARD_PRESSURE, temperature = STANDARD_TEMPERATURE) {
+    return (pressure / 1010) * (283 / (273 + temperature));
+  }
+
+  /**
+   * Saemundsson's formula
+   * @param {number} trueAltDeg - Geometric altitude (degrees)
+   * @returns {number} Refraction in degrees (standard atmosphere)
+   */
+  static saemundsson(trueAltDeg) {
+    const arcmin = 1.02 / Math.tan(Coordinates.toRadians(trueAltDeg + 10.3 / (trueAltDeg + 5.11)));
+    return arcmin / 60;
+  }
+
+  /**
+   * Bennett's formula
+   * @param {number} apparentAltDeg - Apparent altitude (degrees)
+   * @returns {number} Refraction in degrees (standard atmosphere)
+   */
+  static bennett(apparentAltDeg) {
+    const arcmin = 1 / Math.tan(Coordinates.toRadians(apparentAltDeg + 7.31 / (apparentAltDeg + 4.4)));
+    return arcmin / 60;
+  }
+
+  /**
+   * Refraction for a geometric altitude using the given settings
+   * @param {number} trueAltDeg - Geometric altitude (degrees)
+   * @param {Object} settings - Output of resolveSettings
+   * @returns {number} Refraction in degrees
+   */
+  static refractionAt(trueAltDeg, settings) {
+    if (trueAltDeg <= FADE_END) return 0;
+
+    const h = Math.max(trueAltDeg, FADE_START);
+    let refraction;
+
+    if (settings.model === REFRACTION_MODELS.BENNETT) {
+      // Bennett takes apparent altitude: iterate h_app = h + R(h_app)
+      refraction = Refraction.saemundsson(h);
+      for (let i = 0; i < 3; i++) {
+        refraction = Refraction.bennett(h + refraction);
+      }
+    } else {
+      refraction = Refraction.saemundsson(h);
+    }
+
+    refraction *= Refraction.atmosphereFactor(settings.pressure, settings.temperature);
+
+    if (trueAltDeg < FADE_START) {
+      refraction *= (trueAltDeg - FADE_END) / (FADE_START - FADE_END);
+    }
+    return refraction;
+  }
+
+  /**
+   * Apply refraction to a geometric altitude
+   * @param {number} altitudeRad - Geometric altitude (radians)
+   * @param {boolean|Object|null} option - Refraction option (see resolveSettings)
+   * @returns {number} Apparent altitude (radians); unchanged when disabled
+   */
+  static apparentAltitude(altitudeRad, option) {
+    const settings = Refraction.resolveSettings(option);
+    if (!settings) return altitudeRad;
+
+    const altDeg = Coordinates.toDegrees(altitudeRad);
+    return Coordinates.toRadians(altDeg + Refraction.refractionAt(altDeg, settings));
+  }
+
+  /**
+   * SunCalc.getMoonPosition always adds its own refraction (Meeus 16.4, standard
+   * atmosphere). Invert it so the Moon is geometric like every other body.
+   * @param {number} altitude - SunCalc moon altitude (radians)
+   * @returns {number} Geometric altitude (radians)
+   */
+  static removeSunCalcRefraction(altitude) {
+    const sunCalcRefraction = h => {
+      h = Math.max(h, 0);
+      return 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+    };
+    let geometric = altitude;
+    for (let i = 0; i < 4; i++) {
+      geometric = altitude - sunCalcRefraction(geometric);
+    }
+    return geometric;
+  }
+}
@@ -0,0 +1,476 @@
+import { Coordinates } from './Coordinates.js';
+import { StellarCalculations } from './StellarCalculations.js';
+
+/**
+ * Kinds of object in the sky catalogue
+ */
+export const OBJECT_TYPES = {
+  STAR: 'star',
+  GALAXY: 'galaxy',
+  GALAXY_CLUSTER: 'galaxy-cluster',
+  GLOBULAR_CLUSTER: 'globular-cluster',
+  OPEN_CLUSTER: 'open-cluster',
+  NEBULA: 'nebula',
+  PLANETARY_NEBULA: 'planetary-nebula',
+  SUPERNOVA_REMNANT: 'supernova-remnant',
+  STAR_CLOUD: 'star-cloud',
+  ASTERISM: 'asterism',
+  BLACK_HOLE: 'black-hole'
+};
+
+const T = OBJECT_TYPES;
+
+/**
+ * The brightest stars (to about magnitude 2.9), plus a few well-known fainter ones such as
+ * Thuban and Albireo and the brightest stars of Crater, where the CMB dipole points.
+ * The cut keeps the stars that still stand out from a town sky, the ones worth naming in
+ * the HUD; to 3.5 would add some 300 that mostly cannot be seen from where the app is used.
+ * J2000 positions rounded to about 0.001 h / 0.001°.
+ * [name, designation, RA (hours), Dec (degrees), visual magnitude, aliases]
+ */
+const STARS = [
+  ['Sirius', 'α CMa', 6.7525, -16.7161, -1.46, ['Dog Star']],
+  ['Canopus', 'α Car', 6.3992, -52.6957, -0.74],
+  ['Rigil Kentaurus', 'α Cen', 14.6600, -60.8340, -0.27, ['Alpha Centauri', 'Rigil Kent']],
+  ['Arcturus', 'α Boo', 14.2610, 19.1825, -0.05],
+  ['Vega', 'α Lyr', 18.6156, 38.7837, 0.03],
+  ['Capella', 'α Aur', 5.2782, 45.9980, 0.08],
+  ['Rigel', 'β Ori', 5.2423, -8.2016, 0.13],
+  ['Procyon', 'α CMi', 7.6550, 5.2250, 0.34],
+  ['Achernar', 'α Eri', 1.6286, -57.2367, 0.46],
+  ['Betelgeuse', 'α Ori', 5.9195, 7.4071, 0.50, ['Betelgeux']],
+  ['Hadar', 'β Cen', 14.0637, -60.3730, 0.61, ['Agena']],
+  ['Altair', 'α Aql', 19.8464, 8.8683, 0.76],
+  ['Acrux', 'α Cru', 12.4433, -63.0991, 0.76],
+  ['Aldebaran', 'α Tau', 4.5987, 16.5093, 0.86],
+  ['Antares', 'α Sco', 16.4901, -26.4320, 0.96],
+  ['Spica', 'α Vir', 13.4199, -11.1613, 0.97],
+  ['Pollux', 'β Gem', 7.7553, 28.0262, 1.14],
+  ['Fomalhaut', 'α PsA', 22.9608, -29.6222, 1.16],
+  ['Deneb', 'α Cyg', 20.6905, 45.2803, 1.25],
+  ['Mimosa', 'β Cru', 12.7954, -59.6888, 1.25, ['Becrux']],
+  ['Regulus', 'α Leo', 10.1395, 11.9672, 1.40],
+  ['Adhara', 'ε CMa', 6.9771, -28.9721, 1.50],
+  ['Castor', 'α Gem', 7.5767, 31.8883, 1.58],
+  ['Shaula', 'λ Sco', 17.5601, -37.1038, 1.62],
+  ['Gacrux', 'γ Cru', 12.5194, -57.1132, 1.63],
+  ['Bellatrix', 'γ Ori', 5.4189, 6.3497, 1.64],
+  ['Elnath', 'β Tau', 5.4382, 28.6075, 1.65, ['Alnath']],
+  ['Miaplacidus', 'β Car', 9.2200, -69.7172, 1.69],
+  ['Alnilam', 'ε Ori', 5.6036, -1.2019, 1.69],
+  ['Alnair', 'α Gru', 22.1372, -46.9610, 1.74],
+  ['Alnitak', 'ζ Ori', 5.6793, -1.9426, 1.77],
+  ['Alioth', 'ε UMa', 12.9005, 55.9598, 1.77],
+  ['Dubhe', 'α UMa', 11.0621, 61.7510, 1.79],
+  ['Mirfak', 'α Per', 3.4054, 49.8612, 1.79],
+  ['Regor', 'γ Vel', 8.1589, -47.3366, 1.83],
+  ['Wezen', 'δ CMa', 7.1399, -26.3932, 1.84],
+  ['Kaus Australis', 'ε Sgr', 18.4029, -34.3846, 1.85],
+  ['Sargas', 'θ Sco', 17.6219, -42.9978, 1.86],
+  ['Avior', 'ε Car', 8.3752, -59.5095, 1.86],
+  ['Alkaid', 'η UMa', 13.7923, 49.3133, 1.86, ['Benetnash']],
+  ['Menkalinan', 'β Aur', 5.9921, 44.9474, 1.90],
+  ['Atria', 'α TrA', 16.8111, -69.0277, 1.91],
+  ['Alhena', 'γ Gem', 6.6285, 16.3993, 1.92],
+  ['Peacock', 'α Pav', 20.4275, -56.7351, 1.94],
+  ['Alsephina', 'δ Vel', 8.7451, -54.7083, 1.96],
+  ['Polaris', 'α UMi', 2.5303, 89.2641, 1.98, ['North Star', 'Pole Star']],
+  ['Mirzam', 'β CMa', 6.3783, -17.9559, 1.98],
+  ['Alphard', 'α Hya', 9.4598, -8.6586, 1.98],
+  ['Hamal', 'α Ari', 2.1196, 23.4624, 2.00],
+  ['Algieba', 'γ Leo', 10.3329, 19.8415, 2.01],
+  ['Diphda', 'β Cet', 0.7265, -17.9866, 2.04],
+  ['Nunki', 'σ Sgr', 18.9211, -26.2967, 2.05],
+  ['Mirach', 'β And', 1.1622, 35.6206, 2.05],
+  ['Menkent', 'θ Cen', 14.1114, -36.3700, 2.06],
+  ['Alpheratz', 'α And', 0.1398, 29.0904, 2.06],
+  ['Rasalhague', 'α Oph', 17.5822, 12.5600, 2.07],
+  ['Tiaki', 'β Gru', 22.7111, -46.8846, 2.07],
+  ['Kochab', 'β UMi', 14.8451, 74.1555, 2.08],
+  ['Saiph', 'κ Ori', 5.7959, -9.6696, 2.09],
+  ['Almach', 'γ And', 2.0650, 42.3297, 2.10, ['Alamak']],
+  ['Algol', 'β Per', 3.1361, 40.9556, 2.12, ['Demon Star']],
+  ['Denebola', 'β Leo', 11.8177, 14.5721, 2.14],
+  ['Muhlifain', 'γ Cen', 12.6919, -48.9599, 2.17],
+  ['Aspidiske', 'ι Car', 9.2848, -59.2752, 2.21],
+  ['Suhail', 'λ Vel', 9.1333, -43.4326, 2.21],
+  ['Alphecca', 'α CrB', 15.5781, 26.7147, 2.23],
+  ['Mizar', 'ζ UMa', 13.3988, 54.9254, 2.23],
+  ['Sadr', 'γ Cyg', 20.3705, 40.2567, 2.23],
+  ['Mintaka', 'δ Ori', 5.5334, -0.2991, 2.23],
+  ['Schedar', 'α Cas', 0.6751, 56.5373, 2.24],
+  ['Eltanin', 'γ Dra', 17.9434, 51.4889, 2.24],
+  ['Naos', 'ζ Pup', 8.0597, -40.0031, 2.25],
+  ['Caph', 'β Cas', 0.1530, 59.1498, 2.28],
+  ['Dschubba', 'δ Sco', 16.0056, -22.6217, 2.29],
+  ['Larawag', 'ε Sco', 16.8361, -34.2932, 2.29],
+  ['ε Centauri', 'ε Cen', 13.6648, -53.4664, 2.30],
+  ['α Lupi', 'α Lup', 14.6988, -47.3882, 2.30],
+  ['η Centauri', 'η Cen', 14.5918, -42.1578, 2.35],
+  ['Merak', 'β UMa', 11.0307, 56.3824, 2.37],
+  ['Izar', 'ε Boo', 14.7498, 27.0742, 2.37, ['Pulcherrima']],
+  ['Enif', 'ε Peg', 21.7364, 9.8750, 2.38],
+  ['Girtab', 'κ Sco', 17.7081, -39.0300, 2.39],
+  ['Ankaa', 'α Phe', 0.4381, -42.3060, 2.40],
+  ['Scheat', 'β Peg', 23.0629, 28.0828, 2.42],
+  ['Sabik', 'η Oph', 17.1730, -15.7249, 2.43],
+  ['Phecda', 'γ UMa', 11.8972, 53.6948, 2.44],
+  ['Alderamin', 'α Cep', 21.3096, 62.5856, 2.45],
+  ['Aludra', 'η CMa', 7.4016, -29.3031, 2.45],
+  ['Markeb', 'κ Vel', 9.3686, -55.0107, 2.47],
+  ['Navi', 'γ Cas', 0.9451, 60.7167, 2.47],
+  ['Aljanah', 'ε Cyg', 20.7702, 33.9703, 2.48],
+  ['Markab', 'α Peg', 23.0794, 15.2053, 2.49],
+  ['δ Centauri', 'δ Cen', 12.1393, -50.7224, 2.52],
+  ['Menkar', 'α Cet', 3.0380, 4.0897, 2.54],
+  ['ζ Centauri', 'ζ Cen', 13.9257, -47.2883, 2.55],
+  ['Zosma', 'δ Leo', 11.2351, 20.5237, 2.56],
+  ['ζ Ophiuchi', 'ζ Oph', 16.6193, -10.5671, 2.56],
+  ['Arneb', 'α Lep', 5.5455, -17.8222, 2.58],
+  ['Gienah', 'γ Crv', 12.2634, -17.5419, 2.59],
+  ['Ascella', 'ζ Sgr', 19.0435, -29.8801, 2.60],
+  ['Zubeneschamali', 'β Lib', 15.2834, -9.3829, 2.61],
+  ['Acrab', 'β Sco', 16.0906, -19.8054, 2.62],
+  ['Mahasim', 'θ Aur', 5.9954, 37.2126, 2.62],
+  ['Unukalhai', 'α Ser', 15.7378, 6.4256, 2.63],
+  ['Sheratan', 'β Ari', 1.9107, 20.8080, 2.64],
+  ['Phact', 'α Col', 5.6608, -34.0741, 2.65],
+  ['Kraz', 'β Crv', 12.5731, -23.3968, 2.65],
+  ['Ruchbah', 'δ Cas', 1.4303, 60.2353, 2.68],
+  ['Muphrid', 'η Boo', 13.9114, 18.3978, 2.68],
+  ['β Lupi', 'β Lup', 14.9755, -43.1340, 2.68],
+  ['Lesath', 'υ Sco', 17.5127, -37.2958, 2.69],
+  ['Hassaleh', 'ι Aur', 4.9499, 33.1661, 2.69],
+  ['α Muscae', 'α Mus', 12.6197, -69.1356, 2.69],
+  ['Kaus Media', 'δ Sgr', 18.3499, -29.8281, 2.70],
+  ['π Puppis', 'π Pup', 7.2857, -37.0975, 2.70],
+  ['Tarazed', 'γ Aql', 19.7710, 10.6133, 2.72],
+  ['Porrima', 'γ Vir', 12.6943, -1.4494, 2.74],
+  ['Yed Prior', 'δ Oph', 16.2391, -3.6944, 2.75],
+  ['Zubenelgenubi', 'α Lib', 14.8480, -16.0418, 2.75],
+  ['θ Carinae', 'θ Car', 10.7160, -64.3945, 2.76],
+  ['Cebalrai', 'β Oph', 17.7245, 4.5673, 2.77],
+  ['Kornephoros', 'β Her', 16.5037, 21.4897, 2.77],
+  ['Hatysa', 'ι Ori', 5.5906, -5.9099, 2.77],
+  ['Tureis', 'ρ Pup', 8.1257, -24.3043, 2.78],
+  ['γ Lupi', 'γ Lup', 15.5857, -41.1669, 2.78],
+  ['Rastaban', 'β Dra', 17.5072, 52.3014, 2.79],
+  ['Cursa', 'β Eri', 5.1308, -5.0864, 2.79],
+  ['Imai', 'δ Cru', 12.2524, -58.7489, 2.79],
+  ['β Hydri', 'β Hyi', 0.4292, -77.2542, 2.80],
+  ['Kaus Borealis', 'λ Sgr', 18.4662, -25.4217, 2.81],
+  ['ζ Herculis', 'ζ Her', 16.6881, 31.6028, 2.81],
+  ['Paikauhale', 'τ Sco', 16.5980, -28.2160, 2.82],
+  ['Vindemiatrix', 'ε Vir', 13.0363, 10.9592, 2.83],
+  ['Algenib', 'γ Peg', 0.2206, 15.1836, 2.83],
+  ['Nihal', 'β Lep', 5.4708, -20.7595, 2.84],
+  ['α Arae', 'α Ara', 17.5307, -49.8761, 2.84],
+  ['ζ Persei', 'ζ Per', 3.9022, 31.8836, 2.85],
+  ['β Arae', 'β Ara', 17.4217, -55.5300, 2.85],
+  ['Deneb Algedi', 'δ Cap', 21.7840, -16.1273, 2.85],
+  ['β Trianguli Australis', 'β TrA', 15.9190, -63.4307, 2.85],
+  ['α Tucanae', 'α Tuc', 22.3084, -60.2597, 2.86],
+  ['α Hydri', 'α Hyi', 1.9795, -61.5697, 2.86],
+  ['Alcyone', 'η Tau', 3.7914, 24.1051, 2.87],
+  ['Sadalsuud', 'β Aqr', 21.5260, -5.5712, 2.87],
+  ['Tejat', 'μ Gem', 6.3827, 22.5136, 2.87],
+  ['Fawaris', 'δ Cyg', 19.7496, 45.1308, 2.87],
+  ['Cor Caroli', 'α CVn', 12.9338, 38.3184, 2.88],
+  ['Acamar', 'θ Eri', 2.9710, -40.3047, 2.88],
+  ['γ Trianguli Australis', 'γ TrA', 15.3152, -68.6795, 2.87],
+  ['Fang', 'π Sco', 15.9809, -26.1141, 2.89],
+  ['ε Persei', 'ε Per', 3.9642, 40.0102, 2.89],
+  ['Gomeisa', 'β CMi', 7.4525, 8.2894, 2.89],
+  ['γ Persei', 'γ Per', 3.0799, 53.5064, 2.93],
+  ['Matar', 'η Peg', 22.7167, 30.2214, 2.94],
+  ['Algorab', 'δ Crv', 12.4977, -16.5154, 2.94],
+  ['Zaurak', 'γ Eri', 3.9672, -13.5086, 2.95],
+  ['Sadalmelik', 'α Aqr', 22.0964, -0.3199, 2.95],
+  ['Ras Elased Australis', 'ε Leo', 9.7642, 23.7743, 2.98],
+  ['Mebsuta', 'ε Gem', 6.7322, 25.1311, 2.98],
+  ['Alnasl', 'γ Sgr', 18.0968, -30.4241, 2.99],
+  ['ι¹ Scorpii', 'ι¹ Sco', 17.7931, -40.1270, 2.99],
+  ['Tianguan', 'ζ Tau', 5.6274, 21.1425, 3.00],
+  ['Pherkad', 'γ UMi', 15.3455, 71.8340, 3.00],
+  ['Furud', 'ζ CMa', 6.3385, -30.0634, 3.02],
+  ['Seginus', 'γ Boo', 14.5346, 38.3083, 3.03],
+  ['Mira', 'ο Cet', 2.3224, -2.9776, 3.04],
+  ['Tania Australis', 'μ UMa', 10.3722, 41.4995, 3.05],
+  ['Albireo', 'β Cyg', 19.5120, 27.9597, 3.08],
+  ['Rasalgethi', 'α Her', 17.2441, 14.3903, 3.10],
+  ['Sulafat', 'γ Lyr', 18.9824, 32.6896, 3.25],
+  ['Megrez', 'δ UMa', 12.2571, 57.0326, 3.31],
+  ['Chertan', 'θ Leo', 11.2373, 15.4295, 3.33],
+  ['Meissa', 'λ Ori', 5.5856, 9.9342, 3.39],
+  ['Sheliak', 'β Lyr', 18.8347, 33.3627, 3.52],
+  ['Thuban', 'α Dra', 14.0731, 64.3758, 3.65],
+  ['ν Hydrae', 'ν Hya', 10.8271, -16.1936, 3.11],
+  ['Labrum', 'δ Crt', 11.3224, -14.7786, 3.56],
+  ['Alkes', 'α Crt', 10.9962, -18.2989, 4.08]
+];
+
+/**
+ * All 110 Messier objects, J2000 (centres of extended objects to about 0.05°).
+ * [designation, common name or null, type, RA (hours), Dec (degrees), visual magnitude, aliases]
+ */
+const MESSIER = [
+  ['M1', 'Crab Nebula', T.SUPERNOVA_REMNANT, 5.5756, 22.0145, 8.4, ['NGC 1952']],
+  ['M2', null, T.GLOBULAR_CLUSTER, 21.5583, -0.8233, 6.5],
+  ['M3', null, T.GLOBULAR_CLUSTER, 13.7034, 28.3773, 6.2],
+  ['M4', null, T.GLOBULAR_CLUSTER, 16.3931, -26.5258, 5.6],
+  ['M5', null, T.GLOBULAR_CLUSTER, 15.3092, 2.0810, 5.6],
+  ['M6', 'Butterfly Cluster', T.OPEN_CLUSTER, 17.6683, -32.2533, 4.2],
+  ['M7', 'Ptolemy Cluster', T.OPEN_CLUSTER, 17.8983, -34.8133, 3.3],
+  ['M8', 'Lagoon Nebula', T.NEBULA, 18.0600, -24.3833, 6.0],
+  ['M9', null, T.GLOBULAR_CLUSTER, 17.3199, -18.5163, 7.7],
+  ['M10', null, T.GLOBULAR_CLUSTER, 16.9525, -4.1003, 6.6],
+  ['M11', 'Wild Duck Cluster', T.OPEN_CLUSTER, 18.8517, -6.2667, 6.3],
+  ['M12', null, T.GLOBULAR_CLUSTER, 16.7872, -1.9485, 6.7],
+  ['M13', 'Hercules Cluster', T.GLOBULAR_CLUSTER, 16.6949, 36.4613, 5.8],
+  ['M14', null, T.GLOBULAR_CLUSTER, 17.6265, -3.2459, 7.6],
+  ['M15', null, T.GLOBULAR_CLUSTER, 21.4999, 12.1670, 6.2],
+  ['M16', 'Eagle Nebula', T.NEBULA, 18.3130, -13.7833, 6.0],
+  ['M17', 'Omega Nebula', T.NEBULA, 18.3467, -16.1833, 6.0],
+  ['M18', null, T.OPEN_CLUSTER, 18.3333, -17.1000, 7.5],
+  ['M19', null, T.GLOBULAR_CLUSTER, 17.0438, -26.2679, 6.8],
+  ['M20', 'Trifid Nebula', T.NEBULA, 18.0433, -23.0300, 6.3],
+  ['M21', null, T.OPEN_CLUSTER, 18.0700, -22.5000, 5.9],
+  ['M22', null, T.GLOBULAR_CLUSTER, 18.6066, -23.9048, 5.1],
+  ['M23', null, T.OPEN_CLUSTER, 17.9500, -18.9833, 6.9],
+  ['M24', 'Sagittarius Star Cloud', T.STAR_CLOUD, 18.2833, -18.4833, 4.6],
+  ['M25', null, T.OPEN_CLUSTER, 18.5300, -19.1167, 4.6],
+  ['M26', null, T.OPEN_CLUSTER, 18.7550, -9.3833, 8.0],
+  ['M27', 'Dumbbell Nebula', T.PLANETARY_NEBULA, 19.9934, 22.7212, 7.5],
+  ['M28', null, T.GLOBULAR_CLUSTER, 18.4091, -24.8698, 6.8],
+  ['M29', null, T.OPEN_CLUSTER, 20.3983, 38.5233, 7.1],
+  ['M30', null, T.GLOBULAR_CLUSTER, 21.6728, -23.1799, 7.2],
+  ['M31', 'Andromeda Galaxy', T.GALAXY, 0.7123, 41.2692, 3.4, ['NGC 224', 'Andromeda']],
+  ['M32', null, T.GALAXY, 0.7116, 40.8652, 8.1],
+  ['M33', 'Triangulum Galaxy', T.GALAXY, 1.5642, 30.6602, 5.7, ['NGC 598']],
+  ['M34', null, T.OPEN_CLUSTER, 2.7017, 42.7667, 5.5],
+  ['M35', null, T.OPEN_CLUSTER, 6.1483, 24.3333, 5.3],
+  ['M36', null, T.OPEN_CLUSTER, 5.6050, 34.1333, 6.3],
+  ['M37', null, T.OPEN_CLUSTER, 5.8717, 32.5500, 6.2],
+  ['M38', null, T.OPEN_CLUSTER, 5.4783, 35.8500, 7.4],
+  ['M39', null, T.OPEN_CLUSTER, 21.5283, 48.4333, 4.6],
+  ['M40', 'Winnecke 4', T.ASTERISM, 12.3700, 58.0833, 8.4],
+  ['M41', null, T.OPEN_CLUSTER, 6.7667, -20.7667, 4.5],
+  ['M42', 'Orion Nebula', T.NEBULA, 5.5881, -5.3911, 4.0, ['NGC 1976']],
+  ['M43', 'De Mairan\'s Nebula', T.NEBULA, 5.5933, -5.2667, 9.0],
+  ['M44', 'Beehive Cluster', T.OPEN_CLUSTER, 8.6733, 19.6667, 3.7, ['Praesepe']],
+  ['M45', 'Pleiades', T.OPEN_CLUSTER, 3.7833, 24.1167, 1.6, ['Seven Sisters']],
+  ['M46', null, T.OPEN_CLUSTER, 7.6967, -14.8167, 6.1],
+  ['M47', null, T.OPEN_CLUSTER, 7.6100, -14.4833, 4.2],
+  ['M48', null, T.OPEN_CLUSTER, 8.2283, -5.7500, 5.5],
+  ['M49', null, T.GALAXY, 12.4963, 8.0006, 8.4],
+  ['M50', null, T.OPEN_CLUSTER, 7.0533, -8.3333, 5.9],
+  ['M51', 'Whirlpool Galaxy', T.GALAXY, 13.4980, 47.1952, 8.4, ['NGC 5194']],
+  ['M52', null, T.OPEN_CLUSTER, 23.4033, 61.5833, 5.0],
+  ['M53', null, T.GLOBULAR_CLUSTER, 13.2154, 18.1682, 7.6],
+  ['M54', null, T.GLOBULAR_CLUSTER, 18.9176, -30.4798, 7.6],
+  ['M55', null, T.GLOBULAR_CLUSTER, 19.6665, -30.9647, 6.3],
+  ['M56', null, T.GLOBULAR_CLUSTER, 19.2765, 30.1835, 8.3],
+  ['M57', 'Ring Nebula', T.PLANETARY_NEBULA, 18.8931, 33.0292, 8.8],
+  ['M58', null, T.GALAXY, 12.6288, 11.8181, 9.7],
+  ['M59', null, T.GALAXY, 12.7006, 11.6470, 9.6],
+  ['M60', null, T.GALAXY, 12.7278, 11.5528, 8.8],
+  ['M61', null, T.GALAXY, 12.3653, 4.4736, 9.7],
+  ['M62', null, T.GLOBULAR_CLUSTER, 17.0202, -30.1124, 6.5],
+  ['M63', 'Sunflower Galaxy', T.GALAXY, 13.2637, 42.0292, 8.6],
+  ['M64', 'Black Eye Galaxy', T.GALAXY, 12.9455, 21.6828, 8.5],
+  ['M65', null, T.GALAXY, 11.3155, 13.0922, 9.3],
+  ['M66', null, T.GALAXY, 11.3375, 12.9917, 8.9],
+  ['M67', null, T.OPEN_CLUSTER, 8.8550, 11.8167, 6.1],
+  ['M68', null, T.GLOBULAR_CLUSTER, 12.6582, -26.7441, 7.8],
+  ['M69', null, T.GLOBULAR_CLUSTER, 18.5230, -32.3481, 7.6],
+  ['M70', null, T.GLOBULAR_CLUSTER, 18.7202, -32.2921, 7.9],
+  ['M71', null, T.GLOBULAR_CLUSTER, 19.8962, 18.7792, 8.2],
+  ['M72', null, T.GLOBULAR_CLUSTER, 20.8911, -12.5373, 9.3],
+  ['M73', null, T.ASTERISM, 20.9817, -12.6333, 9.0],
+  ['M74', null, T.GALAXY, 1.6116, 15.7836, 9.4],
+  ['M75', null, T.GLOBULAR_CLUSTER, 20.1013, -21.9222, 8.5],
+  ['M76', 'Little Dumbbell Nebula', T.PLANETARY_NEBULA, 1.7053, 51.5753, 10.1],
+  ['M77', null, T.GALAXY, 2.7113, -0.0133, 8.9],
+  ['M78', null, T.NEBULA, 5.7783, 0.0500, 8.3],
+  ['M79', null, T.GLOBULAR_CLUSTER, 5.4027, -24.5247, 7.7],
+  ['M80', null, T.GLOBULAR_CLUSTER, 16.2842, -22.9761, 7.3],
+  ['M81', 'Bode\'s Galaxy', T.GALAXY, 9.9259, 69.0653, 6.9],
+  ['M82', 'Cigar Galaxy', T.GALAXY, 9.9312, 69.6797, 8.4],
+  ['M83', 'Southern Pinwheel Galaxy', T.GALAXY, 13.6169, -29.8658, 7.5],
+  ['M84', null, T.GALAXY, 12.4177, 12.8869, 9.1],
+  ['M85', null, T.GALAXY, 12.4233, 18.1911, 9.1],
+  ['M86', null, T.GALAXY, 12.4366, 12.9461, 8.9],
+  ['M87', 'Virgo A', T.GALAXY, 12.5137, 12.3911, 8.6, ['NGC 4486']],
+  ['M88', null, T.GALAXY, 12.5331, 14.4206, 9.6],
+  ['M89', null, T.GALAXY, 12.5944, 12.5564, 9.8],
+  ['M90', null, T.GALAXY, 12.6138, 13.1628, 9.5],
+  ['M91', null, T.GALAXY, 12.5907, 14.4964, 10.2],
+  ['M92', null, T.GLOBULAR_CLUSTER, 17.2854, 43.1359, 6.4],
+  ['M93', null, T.OPEN_CLUSTER, 7.7433, -23.8667, 6.0],
+  ['M94', null, T.GALAXY, 12.8481, 41.1206, 8.2],
+  ['M95', null, T.GALAXY, 10.7327, 11.7039, 9.7],
+  ['M96', null, T.GALAXY, 10.7794, 11.8200, 9.2],
+  ['M97', 'Owl Nebula', T.PLANETARY_NEBULA, 11.2466, 55.0192, 9.9],
+  ['M98', null, T.GALAXY, 12.2301, 14.9003, 10.1],
+  ['M99', null, T.GALAXY, 12.3138, 14.4164, 9.9],
+  ['M100', null, T.GALAXY, 12.3819, 15.8225, 9.3],
+  ['M101', 'Pinwheel Galaxy', T.GALAXY, 14.0535, 54.3492, 7.9],
+  ['M102', 'Spindle Galaxy', T.GALAXY, 15.1082, 55.7633, 9.9, ['NGC 5866']],
+  ['M103', null, T.OPEN_CLUSTER, 1.5533, 60.7000, 7.4],
+  ['M104', 'Sombrero Galaxy', T.GALAXY, 12.6665, -11.6231, 8.0],
+  ['M105', null, T.GALAXY, 10.7971, 12.5817, 9.3],
+  ['M106', null, T.GALAXY, 12.3160, 47.3039, 8.4],
+  ['M107', null, T.GLOBULAR_CLUSTER, 16.5421, -13.0538, 7.9],
+  ['M108', null, T.GALAXY, 11.1919, 55.6742, 10.0],
+  ['M109', null, T.GALAXY, 11.9600, 53.3744, 9.8],
+  ['M110', null, T.GALAXY, 0.6728, 41.6853, 8.5]
+];
+
+/**
+ * Named objects outside the Messier list, including the targets of the cosmic levels.
+ * Galaxy clusters have no magnitude.
+ * [name, designation, type, RA (hours), Dec (degrees), visual magnitude or null, aliases]
+ */
+const NAMED = [
+  ['Sagittarius A*', 'Sgr A*', T.BLACK_HOLE, 17.7611, -29.0078, null, ['Galactic Centre', 'Galactic Center']],
+  ['Large Magellanic Cloud', 'LMC', T.GALAXY, 5.3928, -69.7561, 0.9],
+  ['Small Magellanic Cloud', 'SMC', T.GALAXY, 0.8772, -72.8003, 2.7],
+  ['Centaurus A', 'NGC 5128', T.GALAXY, 13.4243, -43.0192, 6.8],
+  ['Sculptor Galaxy', 'NGC 253', T.GALAXY, 0.7925, -25.2883, 7.1],
+  ['Omega Centauri', 'NGC 5139', T.GLOBULAR_CLUSTER, 13.4465, -47.4794, 3.9],
+  ['47 Tucanae', 'NGC 104', T.GLOBULAR_CLUSTER, 0.4016, -72.0814, 4.1],
+  ['Double Cluster', 'NGC 869/884', T.OPEN_CLUSTER, 2.3417, 57.1333, 3.7],
+  ['Hyades', 'Mel 25', T.OPEN_CLUSTER, 4.4483, 15.8667, 0.5],
+  ['Carina Nebula', 'NGC 3372', T.NEBULA, 10.7524, -59.8678, 1.0],
+  ['Virgo Cluster', 'Virgo Cluster', T.GALAXY_CLUSTER, 12.4500, 12.7167, null],
+  ['Coma Cluster', 'Abell 1656', T.GALAXY_CLUSTER, 12.9969, 27.9806, null],
+  ['Norma Cluster', 'Abell 3627', T.GALAXY_CLUSTER, 16.2508, -60.9072, null, ['Great Attractor']],
+  ['Shapley Supercluster', 'Abell 3558', T.GALAXY_CLUSTER, 13.4660, -31.4956, null, ['Shapley Concentration', 'Shapley']]
+];
+
+// Greek letter names accepted in lookups ("alpha Leo" finds α Leo)
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+  iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', rho: 'ρ',
+  sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω'
+};
+
+// Latin genitives of the constellations accepted in lookups ("alpha Centauri" finds α Cen)
+const GENITIVES = {
+  andromedae: 'and', antliae: 'ant', apodis: 'aps', aquarii: 'aqr', aquilae: 'aql', arae: 'ara',
+  arietis: 'ari', aurigae: 'aur', bootis: 'boo', caeli: 'cae', camelopardalis: 'cam', cancri: 'cnc',
+  'canum venaticorum': 'cvn', 'canis majoris': 'cma', 'canis minoris': 'cmi', capricorni: 'cap',
+  carinae: 'car', cassiopeiae: 'cas', centauri: 'cen', cephei: 'cep', ceti: 'cet',
+  chamaeleontis: 'cha', circini: 'cir', columbae: 'col', 'comae berenices': 'com',
+  'coronae australis': 'cra', 'coronae borealis': 'crb', corvi: 'crv', crateris: 'crt',
+  crucis: 'cru', cygni: 'cyg', delphini: 'del', doradus: 'dor', draconis: 'dra', equulei: 'equ',
+  eridani: 'eri', fornacis: 'for', geminorum: 'gem', gruis: 'gru', herculis: 'her',
+  horologii: 'hor', hydrae: 'hya', hydri: 'hyi', indi: 'ind', lacertae: 'lac', leonis: 'leo',
+  'leonis minoris': 'lmi', leporis: 'lep', librae: 'lib', lupi: 'lup', lyncis: 'lyn', lyrae: 'lyr',
+  mensae: 'men', microscopii: 'mic', monocerotis: 'mon', muscae: 'mus', normae: 'nor',
+  octantis: 'oct', ophiuchi: 'oph', orionis: 'ori', pavonis: 'pav', pegasi: 'peg', persei: 'per',
+  phoenicis: 'phe', pictoris: 'pic', piscium: 'psc', 'piscis austrini': 'psa', puppis: 'pup',
+  pyxidis: 'pyx', reticuli: 'ret', sagittae: 'sge', sagittarii: 'sgr', scorpii: 'sco',
+  sculptoris: 'scl', scuti: 'sct', serpentis: 'ser', sextantis: 'sex', tauri: 'tau',
+  telescopii: 'tel', trianguli: 'tri', 'trianguli australis': 'tra', tucanae: 'tuc',
+  'ursae majoris': 'uma', 'ursae minoris': 'umi', velorum: 'vel', virginis: 'vir',
+  volantis: 'vol', vulpeculae: 'vul'
+};
+const GENITIVE_PATTERN = new RegExp(`\\b(${Object.keys(GENITIVES)
+  .sort((a, b) => b.length - a.length)
+  .map(genitive => genitive.replace(' ', '\\s+'))
+  .join('|')})\\b`, 'g');
+
+/**
+ * Lookup key: case, accents, spaces, apostrophes and dots ignored, constellation genitives
+ * as abbreviations, Greek letter names as letters, "Messier 31" as "m31". A Greek name
+ * is only a letter when another word follows, so the "Tau" of "α Tau" (and of "alpha
+ * Tauri") stays Taurus while "tau Scorpii" becomes "τ Sco".
+ */
+function lookupKey(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(GENITIVE_PATTERN, genitive => GENITIVES[genitive.replace(/\s+/g, ' ')])
+    .replace(/\b(alpha|beta|gamma|delta|epsilon|zeta|eta|theta|iota|kappa|lambda|mu|nu|xi|omicron|pi|rho|sigma|tau|upsilon|phi|chi|psi|omega)\b(?=\s+\S)/g, word => GREEK[word])
+    .replace(/\bmessier\s*/g, 'm')
+    .replace(/[\s'’.\-_]/g, '');
+}
+
+/**
+ * Catalogue entries: { name, designation, type, ra (hours), dec (degrees), magnitude
+ * (null when not given), aliases }
+ */
+export const SKY_OBJECTS = Object.freeze([
+  ...STARS.map(([name, designation, ra, dec, magnitude, aliases = []]) => ({
+    name, designation, type: T.STAR, ra, dec, magnitude, aliases
+  })),
+  ...MESSIER.map(([designation, name, type, ra, dec, magnitude, aliases = []]) => ({
+    name: name ?? designation, designation, type, ra, dec, magnitude, aliases
+  })),
+  ...NAMED.map(([name, designation, type, ra, dec, magnitude, aliases = []]) => ({
+    name, designation, type, ra, dec, magnitude, aliases
+  }))
+].map(entry => Object.freeze(entry)));
+
+const BY_KEY = new Map();
+SKY_OBJECTS.forEach(entry => {
+  [entry.name, entry.designation, ...entry.aliases].forEach(text => {
+    const key = lookupKey(text);
+    if (!BY_KEY.has(key)) BY_KEY.set(key, entry);
+  });
+});
+
+/**
+ * SkyCatalog - Offline catalogue of bright stars, Messier objects and named galaxies,
+ * with name lookup and nearest-object search (J2000 positions)
+ */
+export class SkyCatalog {
+  /**
+   * Look an object up by name, designation or alias
+   * @param {string} name - e.g. 'Regulus', 'alpha Leo', 'M 87', 'Messier 31', 'Centaurus A'
+   * @returns {Object|null} Catalogue entry (see SKY_OBJECTS), null when not found
+   */
+  static find(name) {
+    return BY_KEY.get(lookupKey(name)) ?? null;
+  }
+
+  /**
+   * Objects closest to a J2000 direction
+   * @param {number} raHrs - Right ascension (hours)
+   * @param {number} decDeg - Declination (degrees)
+   * @param {Object} options - { limit (default 1), types (OBJECT_TYPES values to keep),
+   *   maxMagnitude (drops fainter objects and those without a magnitude),
+   *   maxSeparation (degrees) }
+   * @returns {Array} Entries with separationDegrees, nearest first
+   */
+  static nearest(raHrs, decDeg, options = {}) {
+    const { limit = 1, types, maxMagnitude, maxSeparation = 180 } = options;
+    return SKY_OBJECTS
+      .filter(entry => !types || types.includes(entry.type))
+      .filter(entry => maxMagnitude == null || (entry.magnitude != null && entry.magnitude <= maxMagnitude))
+      .map(entry => ({
+        ...entry,
+        separationDegrees: Coordinates.angleBetweenPoints(raHrs * 15, decDeg, entry.ra * 15, entry.dec)
+      }))
+      .filter(entry => entry.separationDegrees <= maxSeparation)
+      .sort((a, b) => a.separationDegrees - b.separationDegrees)
+      .slice(0, limit);
+  }
+
+  /**
+   * Objects closest to a direction in an observer's sky (e.g. the resultant apex)
+   * @param {number} obsLatDeg - Observer latitude (degrees)
+   * @param {number} obsLonDeg - Observer longitude (degrees)
+   * @param {number} azimuthDeg - Azimuth (degrees, north = 0, east = 90)
+   * @param {number} altitudeDeg - Geometric altitude (degrees)
+   * @param {Date} utcDatetime - UTC date
+   * @param {Object} options - nearest options, plus calculateRaDec's coordinateMode and deepTime
+   * @returns {Array} See nearest
+   */
+  static nearestInSky(obsLatDeg, obsLonDeg, azimuthDeg, altitudeDeg, utcDatetime, options = {}) {
+    const { ra, dec } = StellarCalculations.calculateRaDec(obsLatDeg, obsLonDeg, azimuthDeg, altitudeDeg, utcDatetime, options);
+    return SkyCatalog.nearest(ra, dec, options);
+  }
+}
@@ -1,26 +1,219 @@
 import { Coordinates } from './Coordinates.js';
+import { ApparentPlace, COORDINATE_MODES } from './ApparentPlace.js';
+import { Refraction } from './Refraction.js';
+import { DeepTime } from './DeepTime.js';
+
+// Event search: altitude sampled every 10 minutes, crossings and culminations then
+// refined to about a second
+const EVENT_STEP = 10 * 60 * 1000; // ms
+const EVENT_PRECISION = 1000; // ms
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
 
 export class StellarCalculations {
-  static calculateStarLocation(obsLatDeg, obsLonDeg, starRaHrs, starDecDeg, utcDatetime = null) {
+  /**
+   * Horizontal position of a star from its J2000 catalogue coordinates
+   * @param {number} obsLatDeg - Observer latitude (degrees)
+   * @param {number} obsLonDeg - Observer longitude (degrees)
+   * @param {number} starRaHrs - J2000 right ascension (hours)
+   * @param {number} starDecDeg - J2000 declination (degrees)
+   * @param {Date} utcDatetime - UTC date (default: now)
+   * @param {Object} options - { coordinateMode: 'apparent' (default) | 'j2000',
+   *   refraction: false (default) | true | { model, pressure, temperature },
+   *   deepTime: false (default) | true for DeepTime's ΔT, sidereal time and long-term precession }
+   * @returns {Array} [altitude, azimuth] in degrees
+   */
+  static calculateStarLocation(obsLatDeg, obsLonDeg, starRaHrs, starDecDeg, utcDatetime = null, options = {}) {
     if (utcDatetime === null) {
       utcDatetime = new Date();
     }
+    const coordinateMode = options.coordinateMode ?? COORDINATE_MODES.APPARENT;
 
     const obsLatRad = Coordinates.toRadians(obsLatDeg);
-    const obsLonRad = Coordinates.toRadians(obsLonDeg);
-    const d = Coordinates.daysSinceJ2000(utcDatetime);
+    const place = options.deepTime ? DeepTime : ApparentPlace;
 
-    const lstDeg = Coordinates.localSiderealTime(d, obsLonDeg);
+    const lstDeg = StellarCalculations.siderealTime(obsLonDeg, utcDatetime, coordinateMode, options.deepTime);
+    const star = place.apparentPosition(starRaHrs, starDecDeg, utcDatetime, coordinateMode);
 
-    const starRaDeg = starRaHrs * 15;
-    const starDecRad = Coordinates.toRadians(starDecDeg);
+    const starRaDeg = star.ra * 15;
+    const starDecRad = Coordinates.toRadians(star.dec);
     const haRad = Coordinates.toRadians(Coordinates.hourAngle(lstDeg, starRaDeg));
     const starAltRad = Coordinates.calculateAltitude(obsLatRad, starDecRad, haRad);
     const starAzRad = Coordinates.calculateAzimuth(obsLatRad, starDecRad, starAltRad, haRad);
 
-    const starAltDeg = Coordinates.toDegrees(starAltRad);
+    // Azimuth uses the geometric altitude; refraction only lifts the altitude
+    const starAltDeg = Coordinates.toDegrees(Refraction.apparentAltitude(starAltRad, options.refraction));
     const starAzDeg = Coordinates.toDegrees(starAzRad);
 
     return [starAltDeg, starAzDeg];
   }
+
+  /**
+   * Local sidereal time matching a coordinate mode
+   * Apparent places are referred to the true equinox, so apparent mode
+   * adds the equation of the equinoxes to the mean sidereal time.
+   * @param {number} obsLonDeg - Observer longitude (degrees)
+   * @param {Date} utcDatetime - UTC date
+   * @param {string} coordinateMode - One of COORDINATE_MODES (default: apparent)
+   * @param {boolean} deepTime - Use DeepTime's IAU 2006 sidereal time, valid over millennia
+   * @returns {number} Local sidereal time (degrees)
+   */
+  static siderealTime(obsLonDeg, utcDatetime, coordinateMode = COORDINATE_MODES.APPARENT, deepTime = false) {
+    if (deepTime) {
+      return DeepTime.siderealTime(obsLonDeg, utcDatetime, coordinateMode);
+    }
+    const d = Coordinates.daysSinceJ2000(utcDatetime);
+    let lstDeg = Coordinates.localSiderealTime(d, obsLonDeg);
+    if (coordinateMode === COORDINATE_MODES.APPARENT) {
+      lstDeg += ApparentPlace.equationOfEquinoxes(d / 36525);
+    }
+    return lstDeg;
+  }
+
+  /**
+   * J2000 catalogue coordinates of a horizon direction (inverse of calculateStarLocation,
+   * without refraction)
+   * @param {number} obsLatDeg - Observer latitude (degrees)
+   * @param {number} obsLonDeg - Observer longitude (degrees)
+   * @param {number} azimuthDeg - Azimuth (degrees, north = 0, east = 90)
+   * @param {number} altitudeDeg - Geometric altitude (degrees)
+   * @param {Date} utcDatetime - UTC date
+   * @param {Object} options - { coordinateMode: 'apparent' (default) | 'j2000', deepTime }
+   * @returns {Object} { ra, dec } with RA in hours and Dec in degrees
+   */
+  static calculateRaDec(obsLatDeg, obsLonDeg, azimuthDeg, altitudeDeg, utcDatetime, options = {}) {
+    const coordinateMode = options.coordinateMode ?? COORDINATE_MODES.APPARENT;
+    const { ha, dec } = Coordinates.horizontalToEquatorial(
+      Coordinates.toRadians(azimuthDeg),
+      Coordinates.toRadians(altitudeDeg),
+      Coordinates.toRadians(obsLatDeg)
+    );
+
+    const lstDeg = StellarCalculations.siderealTime(obsLonDeg, utcDatetime, coordinateMode, options.deepTime);
+    const raDeg = ((lstDeg - Coordinates.toDegrees(ha)) % 360 + 360) % 360;
+
+    const place = options.deepTime ? DeepTime : ApparentPlace;
+    return place.meanPosition(raDeg / 15, Coordinates.toDegrees(dec), utcDatetime, coordinateMode);
+  }
+
+  /**
+   * Rise, transit and set of a fixed J2000 direction (star or motion apex) between two times
+   * @param {number} obsLatDeg - Observer latitude (degrees)
+   * @param {number} obsLonDeg - Observer longitude (degrees)
+   * @param {number} raHrs - J2000 right ascension (hours)
+   * @param {number} decDeg - J2000 declination (degrees)
+   * @param {Date} start - Start of the search
+   * @param {Date} end - End of the search
+   * @param {Object} options - calculateStarLocation options, plus findAltitudeEvents' horizon,
+   *   zenithTolerance and step
+   * @returns {Object} See findAltitudeEvents
+   */
+  static riseTransitSet(obsLatDeg, obsLonDeg, raHrs, decDeg, start, end, options = {}) {
+    return StellarCalculations.findAltitudeEvents(
+      date => StellarCalculations.calculateStarLocation(obsLatDeg, obsLonDeg, raHrs, decDeg, date, options),
+      start, end, options
+    );
+  }
+
+  /**
+   * Horizon crossings and upper culminations of any direction that moves across the sky.
+   * The altitude is sampled every step, then rises and sets are refined by bisection and
+   * culminations by golden-section search.
+   * @param {Function} locate - date => [altitude, azimuth] in degrees (as calculateStarLocation)
+   * @param {Date} start - Start of the search
+   * @param {Date} end - End of the search
+   * @param {Object} options - { horizon: altitude of the horizon in degrees (default 0),
+   *   zenithTolerance: degrees from the zenith a culmination counts as passing it (default 1),
+   *   step: sampling interval in ms (default 10 minutes) }
+   * @returns {Object} { events: [{ type: 'rise' | 'set' | 'transit' | 'zenith', time,
+   *   altitudeDegrees, azimuthDegrees }] in time order (a zenith event shares its transit's
+   *   time), alwaysUp, neverUp (above / below the horizon throughout; both false for a
+   *   direction that stays on it),
+   *   highest: { time, altitudeDegrees, azimuthDegrees } }
+   */
+  static findAltitudeEvents(locate, start, end, options = {}) {
+    const horizon = options.horizon ?? 0;
+    const zenithTolerance = options.zenithTolerance ?? 1;
+    const step = options.step ?? EVENT_STEP;
+    const t0 = start.getTime();
+    const t1 = end.getTime();
+
+    const at = t => {
+      const [altitudeDegrees, azimuthDegrees] = locate(new Date(t));
+      return { time: new Date(t), altitudeDegrees, azimuthDegrees: ((azimuthDegrees % 360) + 360) % 360 };
+    };
+
+    const samples = [];
+    for (let t = t0; t < t1; t += step) samples.push(at(t));
+    samples.push(at(t1));
+
+    const altitudes = samples.map(sample => sample.altitudeDegrees);
+    let highest = samples[altitudes.indexOf(Math.max(...altitudes))];
+    const events = [];
+
+    const culminate = (lo, hi) => {
+      const transit = at(StellarCalculations.findMaximum(t => at(t).altitudeDegrees, lo, hi));
+      events.push({ type: 'transit', ...transit });
+      if (transit.altitudeDegrees >= 90 - zenithTolerance) events.push({ type: 'zenith', ...transit });
+      if (transit.altitudeDegrees > highest.altitudeDegrees) highest = transit;
+    };
+    const climbing = t => at(t + EVENT_PRECISION).altitudeDegrees > at(t).altitudeDegrees;
+
+    // Directions fixed to the horizon (Earth rotation points due east) have no events
+    if (Math.max(...altitudes) - Math.min(...altitudes) > 1e-6) {
+      // A culmination inside the first or last interval has no sample on both sides:
+      // there the altitude falls between the samples while still climbing at the start
+      // (or still rises between them while already falling at the end)
+      const last = samples.length - 1;
+      if (altitudes[1] < altitudes[0] && climbing(t0)) culminate(t0, samples[1].time.getTime());
+      if (last > 1 && altitudes[last] > altitudes[last - 1] && !climbing(t1 - EVENT_PRECISION)) {
+        culminate(samples[last - 1].time.getTime(), t1);
+      }
+
+      for (let i = 0; i < samples.length - 1; i++) {
+        const [a, b] = [samples[i], samples[i + 1]];
+        const rising = a.altitudeDegrees < horizon && b.altitudeDegrees >= horizon;
+        const setting = a.altitudeDegrees >= horizon && b.altitudeDegrees < horizon;
+        if (rising || setting) {
+          let [lo, hi] = [a.time.getTime(), b.time.getTime()];
+          while (hi - lo > EVENT_PRECISION) {
+            const mid = (lo + hi) / 2;
+            const above = at(mid).altitudeDegrees >= horizon;
+            if (above === rising) hi = mid; else lo = mid;
+          }
+          events.push({ type: rising ? 'rise' : 'set', ...at((lo + hi) / 2) });
+        }
+
+        const prev = samples[i - 1];
+        if (prev && a.altitudeDegrees > prev.altitudeDegrees && a.altitudeDegrees >= b.altitudeDegrees) {
+          culminate(prev.time.getTime(), b.time.getTime());
+        }
+      }
+    }
+
+    events.sort((x, y) => x.time - y.time);
+    const crossed = events.some(event => event.type === 'rise' || event.type === 'set');
+    return {
+      events,
+      alwaysUp: !crossed && altitudes.every(alt => alt > horizon),
+      neverUp: !crossed && altitudes.every(alt => alt < horizon),
+      highest
+    };
+  }
+
+  /**
+   * Time of the maximum of a quantity with a single peak between two times (golden-section
+   * search, to about a second)
+   * @param {Function} value - time in ms => number
+   * @param {number} lo - Start of the bracket (ms)
+   * @param {number} hi - End of the bracket (ms)
+   * @returns {number} Time of the maximum (ms)
+   */
+  static findMaximum(value, lo, hi) {
+    while (hi - lo > EVENT_PRECISION) {
+      const m1 = hi - GOLDEN * (hi - lo);
+      const m2 = lo + GOLDEN * (hi - lo);
+      if (value(m1) < value(m2)) lo = m1; else hi = m2;
+    }
+    return (lo + hi) / 2;
+  }
 }
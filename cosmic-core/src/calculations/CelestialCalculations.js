@@ -7,31 +7,84 @@
 
 import { GalacticCenter } from '../astronomy/GalacticCenter.js';
 import { StellarCalculations } from '../astronomy/StellarCalculations.js';
-import { Coordinates } from '../astronomy/Coordinates.js';
-import { COSMIC_LEVELS } from '../config/CosmicLevels.js';
-import { VectorSum } from '../math/VectorSum.js';
+import { Coordinates, FRAMES } from '../astronomy/Coordinates.js';
+import { ApparentPlace, COORDINATE_MODES } from '../astronomy/ApparentPlace.js';
+import { Refraction } from '../astronomy/Refraction.js';
+import { DeepTime, CALENDARS } from '../astronomy/DeepTime.js';
+import { Planets, PLANETS, VISIBLE_PLANETS } from '../astronomy/Planets.js';
+import { resolveLevels, getParameterSet } from '../config/ParameterSets.js';
+import { VectorSum, REFERENCE_FRAMES, COMPOSITION_MODES } from '../math/VectorSum.js';
 
 // SunCalc: use globalThis (browser sets window.SunCalc via <script>), fall back to npm package in Node.js
 const SunCalc = globalThis.SunCalc ?? (await import('suncalc')).default;
 
+// Sagittarius A* (J2000), used to report the size of the apparent-place correction
+const SGR_A_RA = 17.7611;
+const SGR_A_DEC = -28.992;
+
+/**
+ * Calculation options shared by the functions below
+ * @typedef {Object} CalculationOptions
+ * @property {string} [coordinateMode] - 'apparent' (default) or 'j2000', see COORDINATE_MODES
+ * @property {boolean|Object} [refraction] - false (default, geometric altitudes), true for a
+ *   standard atmosphere, or { model, pressure, temperature }, see Refraction.resolveSettings.
+ *   Lifts the Sun, Moon, planets and galactic points. Motion directions are not light and
+ *   stay geometric; they gain a display-only apparentAltitude (where the sky in that
+ *   direction appears) next to their altitude
+ * @property {string} [frame] - Frame for calculateVectorSum's frameResultant, see REFERENCE_FRAMES
+ *   (default: horizon)
+ * @property {string} [composition] - How calculateVectorSum combines levels: 'galilean'
+ *   (default) or 'relativistic' (Lorentz addition from level 0 outward), see COMPOSITION_MODES
+ * @property {Object} [uncertainty] - Options for calculateVectorSum's uncertainty block:
+ *   { method, confidence, samples, seed }, see VectorSum.getUncertainty
+ * @property {Object} [verificationTolerance] - { separationDegrees, magnitude (km/s) } limits
+ *   for calculateVectorSum's verification.withinTolerance, see VERIFICATION_TOLERANCE
+ * @property {number} [timeOffset] - Myr added to the date when evaluating time-dependent
+ *   level definitions (see CosmicMotion), for epochs beyond the range of a Date; the sky
+ *   is still oriented for the date itself
+ * @property {boolean} [deepTime] - Orient the sky with DeepTime (ΔT, IAU 2006 sidereal time,
+ *   long-term precession) instead of the linear formulas tuned to the present, for dates
+ *   thousands of years from J2000
+ * @property {string} [parameterSet] - Published values to use for the levels, see
+ *   PARAMETER_SETS (default: the values in COSMIC_LEVELS)
+ * @property {Array} [levels] - Level list to calculate instead of COSMIC_LEVELS, e.g. the
+ *   levels of loadLevelCatalog
+ * @property {string[]} [activeLevels] - Ids of the levels calculateVectorSum may add (e.g.
+ *   ['virgoPull', 'localVoidPush']), on top of the maxLevel cutoff (default: all of them)
+ * @property {Object} [observer] - The observer's own state: { altitude (m above sea level),
+ *   speed (m/s over the ground), heading (degrees from true north) }, as in Geolocation's
+ *   coords. Altitude scales Earth rotation; speed and heading enable level 0
+ */
+
+/**
+ * Default agreement limits between the summed levels and the CMB dipole
+ */
+export const VERIFICATION_TOLERANCE = {
+  separationDegrees: 10,
+  magnitude: 50 // km/s
+};
+
 /**
  * Calculate all celestial body positions
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees
  * @param {Date} date - Date object (will be used as-is, timezone handled by individual functions)
+ * @param {CalculationOptions} options - Calculation options
  * @returns {Object} - Celestial body positions and debug info
  */
-export function calculateCelestialPositions(lat, lon, date) {
+export function calculateCelestialPositions(lat, lon, date, options = {}) {
+  const coordinateMode = options.coordinateMode ?? COORDINATE_MODES.APPARENT;
+
   // Sun and Moon positions using SunCalc
   const sunLoc = SunCalc.getPosition(date, lat, lon);
   const moonLoc = SunCalc.getMoonPosition(date, lat, lon);
 
   // Galactic center position
-  const galacticRotations = GalacticCenter.currentMilkyWayPosition(lat, lon, date);
+  const galacticRotations = GalacticCenter.currentMilkyWayPosition(lat, lon, date, options);
 
   // Galactic North Pole position
   // J2000 coordinates: RA 12h 51m 26.28s, Dec +27° 07' 41.7"
-  const galacticNorthPole = StellarCalculations.calculateStarLocation(lat, lon, 12.8573, 27.1283, date);
+  const galacticNorthPole = StellarCalculations.calculateStarLocation(lat, lon, 12.8573, 27.1283, date, options);
 
   // Debug timezone information
   const debugInfo = {
@@ -48,19 +101,32 @@ export function calculateCelestialPositions(lat, lon, date) {
     },
     calculations: {
       daysSinceJ2000: Coordinates.daysSinceJ2000(date),
-      localSiderealTime: Coordinates.localSiderealTime(Coordinates.daysSinceJ2000(date), lon)
+      localSiderealTime: Coordinates.localSiderealTime(Coordinates.daysSinceJ2000(date), lon),
+      coordinateMode: coordinateMode,
+      refraction: Refraction.resolveSettings(options.refraction),
+      // J2000 mean -> apparent of date offset for Sgr A* (degrees)
+      apparentCorrection: ApparentPlace.correctionAngle(SGR_A_RA, SGR_A_DEC, date)
     }
   };
 
+  if (options.deepTime) {
+    debugInfo.calculations.deepTime = {
+      julianDay: DeepTime.julianDay(date),
+      calendarDate: DeepTime.formatCalendarDate(date, CALENDARS.AUTO),
+      deltaT: DeepTime.deltaT(date), // seconds, TT - UT
+      localSiderealTime: StellarCalculations.siderealTime(lon, date, coordinateMode, true)
+    };
+  }
+
   return {
     sun: {
       azimuth: sunLoc.azimuth + Math.PI, // SunCalc adjustment
-      altitude: sunLoc.altitude,
+      altitude: Refraction.apparentAltitude(sunLoc.altitude, options.refraction),
       source: 'SunCalc.getPosition'
     },
     moon: {
       azimuth: moonLoc.azimuth + Math.PI, // SunCalc adjustment
-      altitude: moonLoc.altitude,
+      altitude: Refraction.apparentAltitude(Refraction.removeSunCalcRefraction(moonLoc.altitude), options.refraction),
       source: 'SunCalc.getMoonPosition'
     },
     galacticCenter: {
@@ -71,21 +137,89 @@ export function calculateCelestialPositions(lat, lon, date) {
       rotations: [galacticNorthPole[1], galacticNorthPole[0]], // [azimuth, altitude]
       source: 'StellarCalculations.calculateStarLocation'
     },
+    planets: calculatePlanetPositions(lat, lon, date, options),
     debug: debugInfo
   };
 }
 
 /**
- * Calculate all motion vectors for the 8 cosmic levels
+ * Calculate where the planets are in the observer's sky, from JPL mean elements
+ * (Planets.geocentricPosition: a few arcminutes, 1800-2050 AD) placed like a star
+ * with calculateStarLocation, so coordinateMode, refraction and deepTime apply
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees
  * @param {Date} date - Date object
+ * @param {CalculationOptions} options - Calculation options
+ * @returns {Object} Keyed by planet id (mercury ... neptune): { name, azimuth, altitude
+ *   (radians, like sun and moon), ra (J2000 hours), dec (degrees), distance (AU),
+ *   elongation (degrees from the Sun), magnitude, source }
+ */
+export function calculatePlanetPositions(lat, lon, date, options = {}) {
+  return Object.fromEntries(VISIBLE_PLANETS.map(id => {
+    const { ra, dec, distance, elongation, magnitude } = Planets.geocentricPosition(id, date);
+    const [altitude, azimuth] = StellarCalculations.calculateStarLocation(lat, lon, ra, dec, date, options);
+    return [id, {
+      name: PLANETS[id].name,
+      azimuth: Coordinates.toRadians(azimuth),
+      altitude: Coordinates.toRadians(altitude),
+      ra,
+      dec,
+      distance,
+      elongation,
+      magnitude,
+      source: 'Planets.geocentricPosition'
+    }];
+  }));
+}
+
+/**
+ * Calculate all motion vectors for the 8 cosmic levels (and level 0 when
+ * options.observer carries a ground velocity)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Date} date - Date object
+ * @param {CalculationOptions} options - Calculation options
  * @returns {Array} - Array of motion vector calculations
  */
-export function calculateMotionVectors(lat, lon, date) {
+export function calculateMotionVectors(lat, lon, date, options = {}) {
+  return evaluateMotionVectors(createMotionInstances(options), lat, lon, date, options);
+}
+
+/**
+ * Motion class instances for the levels of options.levels with options.parameterSet
+ * applied. Instances hold no per-date state, so one set serves every date of a series.
+ * @param {CalculationOptions} options - Calculation options
+ * @returns {Array} [{ level, instance }], instance undefined for unimplemented levels
+ */
+function createMotionInstances(options) {
+  return resolveLevels(options.parameterSet, options.levels).map(level => {
+    if (!level.implemented || !level.motionClass) return { level };
+    try {
+      return { level, instance: new level.motionClass(level) };
+    } catch (error) {
+      return { level, error };
+    }
+  });
+}
+
+/**
+ * Options for locating motion directions: a velocity is not light, so its apex is never
+ * refracted (see apparentAltitudeOf for the display value)
+ */
+function geometricOptions(options) {
+  return options.refraction ? { ...options, refraction: false } : options;
+}
+
+/**
+ * Motion vectors of prepared instances (see createMotionInstances) for one date
+ */
+function evaluateMotionVectors(instances, lat, lon, date, options) {
+  const coordinateMode = options.coordinateMode ?? COORDINATE_MODES.APPARENT;
+  const geometric = geometricOptions(options);
+
   const motionVectors = [];
 
-  COSMIC_LEVELS.forEach(level => {
+  instances.forEach(({ level, instance, error: setupError }) => {
     if (!level.implemented || !level.motionClass) {
       motionVectors.push({
         level: level.level,
@@ -97,12 +231,19 @@ export function calculateMotionVectors(lat, lon, date) {
     }
 
     try {
-      // Create motion class instance
-      const instance = new level.motionClass(level);
+      if (setupError) throw setupError;
+
+      // Optional levels (observer vehicle) are left out when they have no data
+      if (level.optional && !instance.isAvailable(geometric)) return;
 
       // Get calculations
-      const velocity = instance.getVelocity(lat, lon);
-      const direction = instance.getDirection(lat, lon, date);
+      const velocity = instance.getVelocity(lat, lon, date, geometric);
+      const direction = instance.getDirection(lat, lon, date, geometric);
+
+      // Size of the J2000 -> apparent correction for catalogue directions
+      const apparentCorrection = level.coordinates?.type === 'radec'
+        ? ApparentPlace.correctionAngle(level.coordinates.ra, level.coordinates.dec, date)
+        : null;
 
       motionVectors.push({
         level: level.level,
@@ -114,10 +255,19 @@ export function calculateMotionVectors(lat, lon, date) {
           azimuth: direction.azimuth,
           altitude: direction.altitude,
           azimuthDegrees: Coordinates.toDegrees(direction.azimuth),
-          altitudeDegrees: Coordinates.toDegrees(direction.altitude)
+          altitudeDegrees: Coordinates.toDegrees(direction.altitude),
+          ...apparentAltitudeOf(direction.altitude, options.refraction)
         },
+        coordinateMode: coordinateMode,
+        apparentCorrection: apparentCorrection,
         implemented: true,
         isVerification: level.isVerification || false,
+        subLevel: level.subLevel || false,
+        geocentric: level.geocentric || false,
+        uncertainty: level.uncertainty ?? null,
+        // Breakdown of the velocity, for levels whose class provides one (GalacticOrbit)
+        components: instance.getComponents?.(date, geometric) ?? null,
+        parameterReference: level.parameterReference ?? null,
         motionClass: level.motionClass.name
       });
     } catch (error) {
@@ -133,36 +283,170 @@ export function calculateMotionVectors(lat, lon, date) {
   return motionVectors;
 }
 
+/**
+ * Display-only refracted altitude of a geometric motion direction: where the stars that
+ * lie in that direction appear. Empty when refraction is off.
+ * @returns {Object} { apparentAltitude (radians), apparentAltitudeDegrees } or {}
+ */
+function apparentAltitudeOf(altitude, refraction) {
+  if (!refraction) return {};
+  const apparentAltitude = Refraction.apparentAltitude(altitude, refraction);
+  return { apparentAltitude, apparentAltitudeDegrees: Coordinates.toDegrees(apparentAltitude) };
+}
+
+/**
+ * Whether a motion vector takes part in the vector sum
+ */
+function isSummable(vector, maxLevel, activeLevels) {
+  // Excludes verification-only levels (e.g. CMB dipole)
+  return vector.level <= maxLevel && vector.implemented && !vector.error && !vector.isVerification
+    && (!activeLevels || activeLevels.includes(vector.id));
+}
+
+/**
+ * Compare summed levels with the verification level (CMB dipole)
+ *
+ * The dipole is the Sun's velocity relative to the CMB, so geocentric levels
+ * (observer vehicle, Earth rotation, orbit and lunar wobble) are left out of the
+ * comparison sum.
+ * @returns {Object|null} Verification block (see VectorSum.verifyAgainst) or null
+ */
+function verifyVectorSum(activeVectors, motionVectors, options) {
+  const reference = motionVectors.find(vector => vector.isVerification && vector.implemented && !vector.error);
+  if (!reference) return null;
+
+  const heliocentricSum = new VectorSum({ composition: options.composition });
+  activeVectors
+    .filter(vector => !vector.geocentric)
+    .forEach(vector => {
+      heliocentricSum.addVector(
+        vector.name,
+        vector.velocity,
+        vector.direction.azimuth,
+        vector.direction.altitude,
+        { level: vector.level, id: vector.id }
+      );
+    });
+
+  const verification = heliocentricSum.verifyAgainst({
+    name: reference.name,
+    magnitude: reference.velocity,
+    azimuth: reference.direction.azimuth,
+    altitude: reference.direction.altitude
+  });
+  if (!verification) return null;
+
+  const tolerance = { ...VERIFICATION_TOLERANCE, ...options.verificationTolerance };
+  return {
+    ...verification,
+    level: reference.level,
+    tolerance: tolerance,
+    withinTolerance: verification.separationDegrees <= tolerance.separationDegrees
+      && Math.abs(verification.magnitudeDifference) <= tolerance.magnitude
+  };
+}
+
+/**
+ * Express summed motion vectors in a reference frame
+ * @param {Array} vectors - Summable motion vectors (horizon directions, no refraction)
+ * @param {string} frame - One of REFERENCE_FRAMES other than horizon
+ * @returns {Object} { frame, magnitude, lon, lat, cartesian, vectorCount }
+ */
+function resultantInFrame(vectors, frame, lat, lon, date, options) {
+  const skyFrame = frame === REFERENCE_FRAMES.HELIOCENTRIC ? FRAMES.ECLIPTIC : frame;
+  if (!Object.values(FRAMES).includes(skyFrame)) {
+    throw new Error(`Unknown reference frame: ${frame}`);
+  }
+
+  const included = frame === REFERENCE_FRAMES.HELIOCENTRIC
+    ? vectors.filter(vector => !vector.geocentric)
+    : vectors;
+
+  const velocities = included.map(vector => {
+    const { ra, dec } = StellarCalculations.calculateRaDec(
+      lat, lon,
+      vector.direction.azimuthDegrees,
+      vector.direction.altitudeDegrees,
+      date, options
+    );
+    const unit = Coordinates.rotateVector(Coordinates.sphericalToVector(ra * 15, dec), FRAMES.EQUATORIAL, skyFrame);
+    return { x: unit[0] * vector.velocity, y: unit[1] * vector.velocity, z: unit[2] * vector.velocity };
+  });
+  const sum = VectorSum.compose(velocities, options.composition ?? COMPOSITION_MODES.GALILEAN);
+
+  const direction = Coordinates.vectorToSpherical([sum.x, sum.y, sum.z]);
+  return {
+    frame: frame,
+    magnitude: Math.sqrt(sum.x * sum.x + sum.y * sum.y + sum.z * sum.z),
+    lon: direction.lon,
+    lat: direction.lat,
+    cartesian: sum,
+    vectorCount: included.length
+  };
+}
+
 /**
  * Calculate vector sum for active motion levels
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees
  * @param {Date} date - Date object
- * @param {number} maxLevel - Maximum level to include (1-8)
- * @returns {Object} - Vector sum calculation results
+ * @param {number} maxLevel - Maximum level to include (1-8); level 0 is included whenever
+ *   options.observer provides it. options.activeLevels narrows this to chosen levels
+ * @param {CalculationOptions} options - Calculation options
+ * @returns {Object} - Vector sum calculation results; resultant carries beta, gamma and
+ *   galileanDifference for options.composition (see VectorSum), frameResultant holds the resultant
+ *   in options.frame as { frame, magnitude, lon, lat (degrees), cartesian (km/s) }, and
+ *   verification compares the heliocentric sum with the CMB dipole (level 8), and
+ *   uncertainty holds the resultant speed interval and direction error ellipse
+ */
+export function calculateVectorSum(lat, lon, date, maxLevel = 8, options = {}) {
+  return vectorSumAt(createMotionInstances(options), lat, lon, date, maxLevel, options);
+}
+
+/**
+ * calculateVectorSum for prepared instances (see createMotionInstances)
  */
-export function calculateVectorSum(lat, lon, date, maxLevel = 8) {
-  const vectorSum = new VectorSum();
-  const motionVectors = calculateMotionVectors(lat, lon, date);
+function vectorSumAt(instances, lat, lon, date, maxLevel, options) {
+  const vectorSum = new VectorSum({ composition: options.composition });
+  const motionVectors = evaluateMotionVectors(instances, lat, lon, date, options);
+  const frame = options.frame ?? REFERENCE_FRAMES.HORIZON;
 
-  // Add vectors up to maxLevel, excluding verification-only levels (e.g. CMB dipole)
-  const activeVectors = motionVectors
-    .filter(vector => vector.level <= maxLevel && vector.implemented && !vector.error && !vector.isVerification);
+  const activeVectors = motionVectors.filter(vector => isSummable(vector, maxLevel, options.activeLevels));
 
   activeVectors.forEach(vector => {
     vectorSum.addVector(
       vector.name,
       vector.velocity,
       vector.direction.azimuth,
-      vector.direction.altitude
+      vector.direction.altitude,
+      { level: vector.level, id: vector.id, uncertainty: vector.uncertainty }
     );
   });
 
-  const resultant = vectorSum.getResultant();
+  // Summed from geometric directions; refraction only labels where the apex appears
+  const summed = vectorSum.getResultant();
+  const resultant = summed && { ...summed, ...apparentAltitudeOf(summed.altitude, options.refraction) };
+
+  let frameResultant = null;
+  if (frame === REFERENCE_FRAMES.HORIZON) {
+    frameResultant = resultant && {
+      frame: frame,
+      magnitude: resultant.magnitude,
+      lon: ((resultant.azimuthDegrees % 360) + 360) % 360,
+      lat: resultant.altitudeDegrees,
+      cartesian: resultant.cartesian,
+      vectorCount: activeVectors.length
+    };
+  } else {
+    frameResultant = resultantInFrame(activeVectors, frame, lat, lon, date, options);
+  }
 
   return {
     vectorSum: vectorSum,
     resultant: resultant,
+    frameResultant: frameResultant,
+    verification: verifyVectorSum(activeVectors, motionVectors, options),
+    uncertainty: vectorSum.getUncertainty(options.uncertainty),
     summary: vectorSum.getSummary(),
     activeVectors: activeVectors,
     motionVectors: motionVectors,
@@ -170,24 +454,328 @@ export function calculateVectorSum(lat, lon, date, maxLevel = 8) {
   };
 }
 
+/**
+ * Resultant of the same levels under two parameter sets, and how they differ
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Date} date - Date object
+ * @param {number} maxLevel - Maximum level to include
+ * @param {string} setA - Key of PARAMETER_SETS
+ * @param {string} setB - Key of PARAMETER_SETS
+ * @param {CalculationOptions} options - Calculation options (parameterSet is ignored)
+ * @returns {Object} { a, b } (each { set, resultant, verification }), magnitudeDifference
+ *   (b - a, km/s), separationDegrees between the apexes, and levels: the levels whose
+ *   vectors differ, with their speed change, separation and the references of both sets
+ */
+export function compareParameterSets(lat, lon, date, maxLevel, setA, setB, options = {}) {
+  const sums = [setA, setB].map(set => {
+    const result = calculateVectorSum(lat, lon, date, maxLevel, { ...options, parameterSet: set });
+    return { set: getParameterSet(set), result };
+  });
+  const [a, b] = sums.map(({ set, result }) => ({
+    set: { id: set.id, name: set.name },
+    resultant: result.resultant,
+    verification: result.verification
+  }));
+
+  const separation = (dirA, dirB) => Coordinates.angleBetweenPoints(
+    Coordinates.toDegrees(dirA.azimuth), Coordinates.toDegrees(dirA.altitude),
+    Coordinates.toDegrees(dirB.azimuth), Coordinates.toDegrees(dirB.altitude)
+  );
+
+  const levels = [];
+  sums[0].result.motionVectors.forEach(vectorA => {
+    const vectorB = sums[1].result.motionVectors.find(v => v.id === vectorA.id);
+    if (!vectorA.implemented || vectorA.error || !vectorB?.implemented || vectorB.error) return;
+
+    const velocityDifference = vectorB.velocity - vectorA.velocity;
+    const separationDegrees = separation(vectorA.direction, vectorB.direction);
+    if (Math.abs(velocityDifference) < 1e-9 && separationDegrees < 1e-9) return;
+
+    levels.push({
+      level: vectorA.level,
+      id: vectorA.id,
+      name: vectorA.name,
+      velocityDifference,
+      separationDegrees,
+      referenceA: vectorA.parameterReference,
+      referenceB: vectorB.parameterReference
+    });
+  });
+
+  return {
+    a,
+    b,
+    magnitudeDifference: b.resultant.magnitude - a.resultant.magnitude,
+    separationDegrees: separation(a.resultant, b.resultant),
+    levels
+  };
+}
+
 /**
  * Main calculation function that returns all results
  * @param {number} lat - Latitude in degrees
  * @param {number} lon - Longitude in degrees
  * @param {Date} date - Date object
  * @param {number} maxLevel - Maximum motion level to include
+ * @param {CalculationOptions} options - Calculation options
  * @returns {Object} - Complete calculation results
  */
-export function calculateAll(lat, lon, date, maxLevel = 8) {
+export function calculateAll(lat, lon, date, maxLevel = 8, options = {}) {
   return {
     input: {
       latitude: lat,
       longitude: lon,
       date: date,
-      maxLevel: maxLevel
+      maxLevel: maxLevel,
+      options: options
+    },
+    celestialBodies: calculateCelestialPositions(lat, lon, date, options),
+    motionVectors: calculateMotionVectors(lat, lon, date, options),
+    vectorSum: calculateVectorSum(lat, lon, date, maxLevel, options)
+  };
+}
+
+/**
+ * Resultant of the summable vectors alone (no uncertainty, verification or frames)
+ * @returns {Object|null} VectorSum.getResultant, null when no level is active
+ */
+function resultantOf(motionVectors, maxLevel, options) {
+  const vectorSum = new VectorSum({ composition: options.composition });
+  motionVectors
+    .filter(vector => isSummable(vector, maxLevel, options.activeLevels))
+    .forEach(vector => vectorSum.addVector(vector.name, vector.velocity, vector.direction.azimuth, vector.direction.altitude));
+  return vectorSum.getResultant();
+}
+
+// Longest series calculateTimeSeries will compute (e.g. a year at 5-minute steps)
+const MAX_SERIES_SAMPLES = 200000;
+
+/**
+ * Motion vectors, resultant and celestial positions over a time range, for charts and
+ * exports. The levels are resolved and their motion class instances built once, then
+ * evaluated at every sample time.
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Object} range - { start, end (Dates, end included when it falls on a step),
+ *   step (milliseconds) }
+ * @param {number} maxLevel - Maximum motion level to include in the resultant
+ * @param {CalculationOptions} options - Calculation options (frame and uncertainty are not
+ *   used: the resultant is in horizon coordinates)
+ * @returns {Object} Column-wise series, one entry per sample time:
+ *   { times: Date[],
+ *     levels: [{ id, level, name, subLevel, samples: [{ velocity, azimuthDegrees,
+ *       altitudeDegrees } | null] }] (null where the level has no value, e.g. level 0
+ *       without observer speed, or failed),
+ *     resultant: [{ magnitude, azimuthDegrees, altitudeDegrees } | null],
+ *     celestial: { sun, moon, galacticCenter: [{ azimuthDegrees, altitudeDegrees }] } }
+ */
+export function calculateTimeSeries(lat, lon, range, maxLevel = 8, options = {}) {
+  const { start, end, step } = range ?? {};
+  if (!(start instanceof Date) || !(end instanceof Date) || isNaN(start) || isNaN(end)) {
+    throw new Error('Time series needs start and end Dates');
+  }
+  if (!(step > 0)) {
+    throw new Error(`Time series step must be a positive number of milliseconds (got ${step})`);
+  }
+  if (end < start) {
+    throw new Error('Time series end is before its start');
+  }
+  const count = Math.floor((end - start) / step) + 1;
+  if (count > MAX_SERIES_SAMPLES) {
+    throw new Error(`Time series of ${count} samples is longer than ${MAX_SERIES_SAMPLES}; use a larger step`);
+  }
+
+  const instances = createMotionInstances(options);
+  const times = Array.from({ length: count }, (_, i) => new Date(start.getTime() + i * step));
+  const levels = instances.map(({ level }) => ({
+    id: level.id,
+    level: level.level,
+    name: level.name,
+    subLevel: level.subLevel || false,
+    samples: []
+  }));
+  const resultant = [];
+  const celestial = { sun: [], moon: [], galacticCenter: [] };
+  const horizon = (azimuth, altitude) => ({
+    azimuthDegrees: ((Coordinates.toDegrees(azimuth) % 360) + 360) % 360,
+    altitudeDegrees: Coordinates.toDegrees(altitude)
+  });
+
+  times.forEach(date => {
+    const motionVectors = evaluateMotionVectors(instances, lat, lon, date, options);
+    levels.forEach(series => {
+      const vector = motionVectors.find(v => v.id === series.id);
+      series.samples.push(vector?.implemented && !vector.error
+        ? {
+            velocity: vector.velocity,
+            azimuthDegrees: vector.direction.azimuthDegrees,
+            altitudeDegrees: vector.direction.altitudeDegrees
+          }
+        : null);
+    });
+
+    const sum = resultantOf(motionVectors, maxLevel, options);
+    resultant.push(sum && {
+      magnitude: sum.magnitude,
+      azimuthDegrees: sum.azimuthDegrees,
+      altitudeDegrees: sum.altitudeDegrees
+    });
+
+    const bodies = calculateCelestialPositions(lat, lon, date, options);
+    celestial.sun.push(horizon(bodies.sun.azimuth, bodies.sun.altitude));
+    celestial.moon.push(horizon(bodies.moon.azimuth, bodies.moon.altitude));
+    const [azimuthDegrees, altitudeDegrees] = bodies.galacticCenter.rotations;
+    celestial.galacticCenter.push({ azimuthDegrees, altitudeDegrees });
+  });
+
+  return { times, levels, resultant, celestial };
+}
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * When each level's apex and the resultant rise, set, reach their highest altitude and
+ * pass the zenith, found with StellarCalculations.findAltitudeEvents. The levels' motion
+ * class instances are built once for the search.
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Object} search - { start (Date), end (default: start + 24 h), horizon,
+ *   zenithTolerance, step (see findAltitudeEvents), levels (ids to search, default all),
+ *   resultant (false to skip it) }
+ * @param {number} maxLevel - Maximum motion level to include in the resultant
+ * @param {CalculationOptions} options - Calculation options
+ * @returns {Object} { start, end, levels: [{ id, level, name, subLevel, events, alwaysUp,
+ *   neverUp, highest } or { id, level, name, subLevel, error }], resultant: { events, alwaysUp,
+ *   neverUp, highest } or null when no level is active or it was skipped }
+ */
+export function calculateApexEvents(lat, lon, search, maxLevel = 8, options = {}) {
+  const start = search?.start;
+  const end = search?.end ?? (start instanceof Date ? new Date(start.getTime() + DAY_MS) : undefined);
+  if (!(start instanceof Date) || !(end instanceof Date) || isNaN(start) || isNaN(end) || end <= start) {
+    throw new Error('Apex events need a start Date before the end Date');
+  }
+
+  const instances = createMotionInstances(options);
+  const toDegrees = direction => [Coordinates.toDegrees(direction.altitude), Coordinates.toDegrees(direction.azimuth)];
+  // Apexes rise and set geometrically, the levels like the resultant
+  const geometric = geometricOptions(options);
+
+  const levels = instances
+    .filter(({ level, instance }) => instance && (!search.levels || search.levels.includes(level.id)))
+    .filter(({ level, instance }) => !level.optional || instance.isAvailable(geometric))
+    .map(({ level, instance }) => {
+      const about = { id: level.id, level: level.level, name: level.name, subLevel: level.subLevel || false };
+      try {
+        const locate = date => toDegrees(instance.getDirection(lat, lon, date, geometric));
+        return { ...about, ...StellarCalculations.findAltitudeEvents(locate, start, end, search) };
+      } catch (error) {
+        return { ...about, error: error.message };
+      }
+    });
+
+  const resultantAt = date => resultantOf(evaluateMotionVectors(instances, lat, lon, date, options), maxLevel, options);
+  const resultant = search.resultant === false || !resultantAt(start)
+    ? null
+    : StellarCalculations.findAltitudeEvents(
+      date => {
+        const sum = resultantAt(date);
+        return [sum.altitudeDegrees, sum.azimuthDegrees];
+      },
+      start, end, search
+    );
+
+  return { start, end, levels, resultant };
+}
+
+// Speed extremes: samples per range by default (10 minutes to 6 hours apart), and how
+// many of the best sampled peaks of each quantity are refined
+const EXTREMES_SAMPLES = 1500;
+const EXTREMES_MIN_STEP = 10 * 60 * 1000;
+const EXTREMES_MAX_STEP = 6 * 3600 * 1000;
+const EXTREMES_CANDIDATES = 8;
+
+/**
+ * Moments the resultant is fastest and slowest, and points most upward and most downward
+ * (largest and smallest vertical component, magnitude × sin altitude), between two times.
+ * Earth's rotation makes the total change over the day and Earth's orbit over the year.
+ * The resultant is sampled every step; the best sampled peaks of each quantity are then
+ * refined to about a second with StellarCalculations.findMaximum, so day-to-day peaks
+ * missed between samples over a long range are still compared.
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Object} range - { start, end (Dates), step (ms, default: the range in about 1500
+ *   samples, 10 minutes to 6 hours apart) }
+ * @param {number} maxLevel - Maximum motion level to include in the resultant
+ * @param {CalculationOptions} options - Calculation options
+ * @returns {Object} { start, end, step,
+ *   series: { times, magnitude, vertical } (the samples, for charts),
+ *   fastest, slowest, mostUpward, mostDownward: { time, magnitude, vertical,
+ *     azimuthDegrees, altitudeDegrees } }
+ */
+export function calculateSpeedExtremes(lat, lon, range, maxLevel = 8, options = {}) {
+  const { start, end } = range ?? {};
+  if (!(start instanceof Date) || !(end instanceof Date) || isNaN(start) || isNaN(end) || end <= start) {
+    throw new Error('Speed extremes need a start Date before the end Date');
+  }
+  const span = end - start;
+  const step = range.step ?? Math.min(Math.max(span / EXTREMES_SAMPLES, EXTREMES_MIN_STEP), EXTREMES_MAX_STEP);
+  if (!(step > 0)) {
+    throw new Error(`Speed extremes step must be a positive number of milliseconds (got ${step})`);
+  }
+  const count = Math.floor(span / step) + 1;
+  if (count > MAX_SERIES_SAMPLES) {
+    throw new Error(`Speed extremes over ${count} samples is more than ${MAX_SERIES_SAMPLES}; use a larger step`);
+  }
+
+  const instances = createMotionInstances(options);
+  const at = t => {
+    const time = new Date(t);
+    const sum = resultantOf(evaluateMotionVectors(instances, lat, lon, time, options), maxLevel, options);
+    if (!sum) throw new Error('Speed extremes need at least one active level');
+    return {
+      time,
+      magnitude: sum.magnitude,
+      vertical: sum.magnitude * Math.sin(Coordinates.toRadians(sum.altitudeDegrees)),
+      azimuthDegrees: ((sum.azimuthDegrees % 360) + 360) % 360,
+      altitudeDegrees: sum.altitudeDegrees
+    };
+  };
+
+  const times = Array.from({ length: count }, (_, i) => start.getTime() + i * step);
+  if (times[count - 1] < end.getTime()) times.push(end.getTime());
+  const samples = times.map(at);
+
+  // Refine the highest sampled peaks of value(sample) within the neighbouring samples
+  const extreme = value => {
+    const peaks = samples
+      .map((_, i) => i)
+      .filter(i => (i === 0 || value(samples[i]) >= value(samples[i - 1]))
+        && (i === samples.length - 1 || value(samples[i]) >= value(samples[i + 1])))
+      .sort((i, j) => value(samples[j]) - value(samples[i]))
+      .slice(0, EXTREMES_CANDIDATES);
+    return peaks
+      .map(i => at(StellarCalculations.findMaximum(
+        t => value(at(t)),
+        times[Math.max(i - 1, 0)],
+        times[Math.min(i + 1, times.length - 1)]
+      )))
+      .concat(peaks.map(i => samples[i]))
+      .reduce((best, sample) => (value(sample) > value(best) ? sample : best));
+  };
+
+  return {
+    start,
+    end,
+    step,
+    series: {
+      times: samples.map(sample => sample.time),
+      magnitude: samples.map(sample => sample.magnitude),
+      vertical: samples.map(sample => sample.vertical)
     },
-    celestialBodies: calculateCelestialPositions(lat, lon, date),
-    motionVectors: calculateMotionVectors(lat, lon, date),
-    vectorSum: calculateVectorSum(lat, lon, date, maxLevel)
+    fastest: extreme(sample => sample.magnitude),
+    slowest: extreme(sample => -sample.magnitude),
+    mostUpward: extreme(sample => sample.vertical),
+    mostDownward: extreme(sample => -sample.vertical)
   };
 }
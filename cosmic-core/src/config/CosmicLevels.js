@@ -2,42 +2,103 @@
  * Cosmic Levels Configuration
  *
  * Defines the 8 levels of an observer's motion through space, from local rotation
- * to motion relative to the Cosmic Microwave Background.
+ * to motion relative to the Cosmic Microwave Background, plus an optional level 0
+ * for the observer's own travel over the ground.
  *
  * Based on COSMIC_LEVELS.md with peer-reviewed astronomical data.
  */
 
-import { Coordinates } from '../astronomy/Coordinates.js';
+import { Coordinates, FRAMES } from '../astronomy/Coordinates.js';
 
 // Motion class imports
+import { ObserverVehicle } from '../motion/ObserverVehicle.js'; // Speed and heading from options.observer
 import { EarthRotation } from '../motion/EarthRotation.js'; // Custom velocity logic
 import { EarthOrbit } from '../motion/EarthOrbit.js'; // Custom orbital calculations
+import { EarthMoonWobble } from '../motion/EarthMoonWobble.js'; // Lunar reflex from SunCalc
+import { SolarReflex } from '../motion/SolarReflex.js'; // Planetary reflex from mean elements
+import { GalacticOrbit } from '../motion/GalacticOrbit.js'; // LSR rotation + peculiar U, V, W
 import { CosmicMotion } from '../motion/CosmicMotion.js'; // Generic for simple motions
 
+function formatSigned(value) {
+  return `${value >= 0 ? '+' : '-'}${Math.abs(value).toFixed(1)}`;
+}
+
+function formatRA(hours) {
+  let h = Math.floor(hours);
+  let m = Math.round((hours - h) * 60);
+  if (m === 60) { h = (h + 1) % 24; m = 0; }
+  return `${String(h).padStart(2, '0')}h ${String(m).padStart(2, '0')}m`;
+}
+
 /**
- * Convert RA (hours) and Dec (degrees) to decimal values
+ * Build level coordinates from a direction given in its source paper's frame.
+ * RA/Dec (used by the motion classes) and the display strings are computed.
+ * @param {string} frame - One of FRAMES
+ * @param {number} lon - Longitude in that frame (RA in degrees for equatorial)
+ * @param {number} lat - Latitude in that frame (degrees)
+ * @param {string} note - Human-readable location note
  */
-function parseRA(raString) {
-  // Parse "18h 28m" format to decimal hours
-  const match = raString.match(/(\d+)h\s*(\d+)m/);
-  if (match) {
-    const hours = parseInt(match[1]);
-    const minutes = parseInt(match[2]);
-    return hours + minutes / 60;
-  }
-  return 0;
-}
+export function coordinatesFrom(frame, lon, lat, note) {
+  const equatorial = Coordinates.convertFrame(lon, lat, frame, FRAMES.EQUATORIAL);
+  const galactic = Coordinates.convertFrame(lon, lat, frame, FRAMES.GALACTIC);
+  const ra = equatorial.lon / 15;
 
-function parseDec(decString) {
-  // Parse "+30°" or "-61°" format to decimal degrees
-  const match = decString.match(/([+-]?\d+)°/);
-  return match ? parseInt(match[1]) : 0;
+  return {
+    type: 'radec',
+    frame: frame,
+    lon: lon,
+    lat: lat,
+    ra: ra, // hours
+    dec: equatorial.lat, // degrees
+    galactic: `l = ${galactic.lon.toFixed(1)}°, b = ${formatSigned(galactic.lat)}°`,
+    description: `RA: ${formatRA(ra)}, Dec: ${formatSigned(equatorial.lat)}° (${note})`
+  };
 }
 
 /**
  * Cosmic motion levels ordered by scale
  */
 export const COSMIC_LEVELS = [
+  {
+    // Optional: only computed when the calculation options carry a ground
+    // velocity (options.observer), so the sum is "you" in a car or aircraft,
+    // not the ground under you. Below every maxLevel, so always included.
+    level: 0,
+    optional: true,
+    id: 'observerVehicle',
+    name: 'Observer Vehicle',
+    description: 'Your own travel over Earth\'s surface: walking, driving, sailing or flying',
+
+    // Physics
+    velocity: null, // km/s, from options.observer.speed
+    velocityDescription: '0-250 m/s (GPS ground speed or entered by hand)',
+    direction: 'Heading over the ground',
+    period: 'None',
+
+    // Scale
+    scale: 0.000000000001, // light-years (~10 km journey)
+    scaleDescription: 'A 10 km journey = 0.000000000001 light-years',
+
+    // Coordinates (from the observer's heading)
+    coordinates: {
+      type: 'calculated'
+    },
+
+    // Motion over Earth's surface (excluded from heliocentric sums)
+    geocentric: true,
+
+    // Implementation
+    implemented: true,
+    motionClass: ObserverVehicle,
+    bodyId: 'observerVehicle',
+    elementId: 'observer-vehicle-hud-text',
+
+    // Historical
+    discoverer: 'Galileo Galilei (1632) - relativity of motion (the ship\'s cabin)',
+    earlierTheory: 'Nicole Oresme (~1377) argued motion can only be perceived relative to other bodies',
+    references: 'Galilei, G. (1632), Dialogo sopra i due massimi sistemi del mondo'
+  },
+
   {
     level: 1,
     id: 'earthRotation',
@@ -61,6 +122,9 @@ export const COSMIC_LEVELS = [
       altitude: 0 // Horizontal
     },
 
+    // Motion of the observer relative to Earth's centre (excluded from heliocentric sums)
+    geocentric: true,
+
     // Implementation
     implemented: true,
     motionClass: EarthRotation,
@@ -80,8 +144,8 @@ export const COSMIC_LEVELS = [
     description: 'Earth orbits the Sun along the ecliptic plane',
 
     // Physics
-    velocity: 29.8, // km/s
-    velocityDescription: '~30 km/s',
+    velocity: 29.78, // km/s (mean; EarthOrbit computes 29.29-30.29 from the date)
+    velocityDescription: '29.3-30.3 km/s (fastest at perihelion in January)',
     direction: 'Eastward along ecliptic',
     period: '365.25 days',
 
@@ -94,6 +158,9 @@ export const COSMIC_LEVELS = [
       type: 'calculated'
     },
 
+    // Motion of Earth relative to the Sun (excluded from heliocentric sums)
+    geocentric: true,
+
     // Implementation
     implemented: true,
     motionClass: EarthOrbit,
@@ -106,6 +173,82 @@ export const COSMIC_LEVELS = [
     references: 'Copernicus (1543), De revolutionibus; Kepler (1609), Astronomia nova'
   },
 
+  {
+    // Sub-level of level 2: enabled with it, listed after it, and never returned
+    // by getCosmicLevelByNumber. Level 2's ellipse is the barycentre's orbit;
+    // this completes Earth's heliocentric motion.
+    level: 2,
+    subLevel: true,
+    parentId: 'earthOrbit',
+    id: 'earthMoonWobble',
+    name: 'Earth-Moon Barycentre Wobble',
+    description: 'Earth circles the Earth-Moon barycentre once a month, always opposite the Moon',
+
+    // Physics
+    velocity: 0.0124, // km/s (mean; EarthMoonWobble computes it from the Moon's motion)
+    velocityDescription: '~12 m/s',
+    direction: 'Opposite the Moon\'s orbital motion',
+    period: '27.3 days (sidereal month)',
+
+    // Scale
+    scale: 0.000000001, // light-years (barycentre ~4,670 km from Earth's centre)
+    scaleDescription: 'Wobble diameter = ~9,300 km (barycentre 4,670 km from Earth\'s centre)',
+
+    // Coordinates (calculated from the Moon's geocentric position)
+    coordinates: {
+      type: 'calculated'
+    },
+
+    // Motion of Earth relative to the barycentre (excluded from heliocentric sums)
+    geocentric: true,
+
+    // Implementation
+    implemented: true,
+    motionClass: EarthMoonWobble,
+    bodyId: 'earthMoonWobble',
+    elementId: 'earth-moon-wobble-hud-text',
+
+    // Historical
+    discoverer: 'Isaac Newton (1687) - Earth and Moon orbit their common centre of gravity',
+    references: 'Newton (1687), Principia, Book III; IAU 2009 system of astronomical constants (Earth/Moon mass ratio 81.3006)'
+  },
+
+  {
+    // Sub-level of level 2, between Earth's orbit and the galactic orbit: with it,
+    // level 2 adds up to Earth's velocity relative to the Solar System barycentre
+    level: 2,
+    subLevel: true,
+    parentId: 'earthOrbit',
+    id: 'solarReflex',
+    name: 'Sun Around Solar System Barycentre',
+    description: 'The Sun circles the Solar System barycentre in reflex to Jupiter and Saturn',
+
+    // Physics
+    velocity: 0.013, // km/s (typical; SolarReflex computes 9-16 m/s from planetary elements)
+    velocityDescription: '~9-16 m/s',
+    direction: 'Opposite the planets\' momentum, mostly Jupiter\'s',
+    period: '~11.9 years (Jupiter), modulated over the ~20 year Jupiter-Saturn cycle',
+
+    // Scale
+    scale: 0.0000002, // light-years (barycentre up to ~2 solar radii from the Sun's centre)
+    scaleDescription: 'Barycentre wanders up to ~1.5 million km (~2 solar radii) from the Sun\'s centre',
+
+    // Coordinates (calculated from planetary mean elements)
+    coordinates: {
+      type: 'calculated'
+    },
+
+    // Implementation
+    implemented: true,
+    motionClass: SolarReflex,
+    bodyId: 'solarReflex',
+    elementId: 'solar-reflex-hud-text',
+
+    // Historical
+    discoverer: 'Isaac Newton (1687) - the Sun moves around the common centre of gravity',
+    references: 'Newton (1687), Principia, Book III; Standish (1992), JPL Keplerian elements for approximate positions of the major planets'
+  },
+
   {
     level: 3,
     id: 'solarOrbit',
@@ -122,27 +265,39 @@ export const COSMIC_LEVELS = [
     scale: 52000, // light-years (galactic orbit diameter)
     scaleDescription: 'Galactic orbit diameter = ~52,000 light-years',
 
-    // Coordinates (RA/Dec) - Sun's total velocity relative to galactic center
+    // Coordinates (galactic) - Sun's total velocity relative to galactic center
     // Galactic rotation (l=90°, b=0°) + peculiar motion (Schoenrich+ 2010)
     // Combined: l ≈ 87.3°, b ≈ 1.8°
-    coordinates: {
-      type: 'radec',
-      ra: 20.833, // 20h 50m (toward Cygnus, near Deneb)
-      dec: 46.5, // +46.5°
-      galactic: 'l = 87.3°, b = 1.8°',
-      description: 'RA: 20h 50m, Dec: +46.5° (toward Cygnus, near Deneb)'
+    coordinates: coordinatesFrom(FRAMES.GALACTIC, 87.3, 1.8, 'toward Cygnus, near Deneb'),
+
+    // Uncertainty (1-sigma): dominated by the LSR circular speed (published values
+    // span ~220-240 km/s); U,V,W errors (~1-2 km/s) move the apex by under 1°
+    uncertainty: {
+      velocity: 10, // km/s
+      direction: 1 // degrees
+    },
+
+    // Orbit model (GalacticOrbit): LSR rotation plus peculiar motion at J2000. The
+    // velocity turns toward the Galactic centre at Omega = 220/8 ~ 28 km/s/kpc
+    // (~1.6°/Myr); W follows the vertical oscillation through the disk, which with
+    // z = +20.8 pc and W = +7.3 km/s today has a ~81 pc amplitude over ~66 Myr
+    galacticOrbit: {
+      circularSpeed: 220, // km/s (LSR)
+      radius: 8.0, // kpc (Sun - Galactic centre)
+      peculiar: { U: 11.1, V: 12.2, W: 7.3 }, // km/s (Schoenrich+ 2010)
+      vertical: { height: 20.8, period: 66 } // pc above the plane (Bennett & Bovy 2019), Myr
     },
 
     // Implementation
     implemented: true,
-    motionClass: CosmicMotion, // Use generic motion class
+    motionClass: GalacticOrbit,
     bodyId: 'solarOrbit',
     elementId: 'solar-orbit-hud-text',
 
     // Historical
     discoverer: 'Jan Oort (1927) - galactic rotation; Schoenrich, Binney & Dehnen (2010) - solar peculiar motion',
     references: 'Oort, J. (1927), Bull. Astron. Inst. Netherlands, 3, 275; Dehnen & Binney (1998), MNRAS, 298, 387; Schoenrich et al. (2010), MNRAS, 403, 1829',
-    notes: 'Velocity combines LSR circular speed (220 km/s toward l=90°) with solar peculiar motion (U,V,W = 11.1, 12.2, 7.3 km/s per Schoenrich+ 2010). Solar System oscillates ~27 pc above/below galactic plane with period ~33 Myr.'
+    notes: 'Velocity combines LSR circular speed (220 km/s toward l=90°) with solar peculiar motion (U,V,W = 11.1, 12.2, 7.3 km/s per Schoenrich+ 2010). Solar System now sits ~21 pc above the galactic plane and oscillates through it, crossing every ~33 Myr (full period ~66 Myr).'
   },
 
   {
@@ -161,14 +316,25 @@ export const COSMIC_LEVELS = [
     scale: 10000000, // light-years (10 million ly)
     scaleDescription: 'Local Group diameter = ~10 million light-years',
 
-    // Coordinates (RA/Dec) - LG barycenter lies on MW-M31 axis
-    // Galactic: l = 121.7, b = -21.5 (Makarov et al. 2025)
-    coordinates: {
-      type: 'radec',
-      ra: 0.756, // 00h 45m (toward LG barycenter, near M31)
-      dec: 41.36, // +41.4°
-      galactic: 'l = 121.7°, b = -21.5°',
-      description: 'RA: 00h 45m, Dec: +41° (LG barycenter, near M31)'
+    // Coordinates (galactic) - LG barycenter lies on MW-M31 axis
+    // l = 121.7, b = -21.5 (Makarov et al. 2025)
+    coordinates: coordinatesFrom(FRAMES.GALACTIC, 121.7, -21.5, 'LG barycenter, near M31'),
+
+    // Uncertainty (1-sigma): speed from Makarov et al. 2025 (62.6 ± 2.6 km/s);
+    // apex scatter reflects the uncertain M31 mass ratio
+    uncertainty: {
+      velocity: 2.6, // km/s
+      direction: 5 // degrees
+    },
+
+    // Time dependence (Myr): the Milky Way keeps falling toward M31. Its share of
+    // the pull, G M_M31 / r^2 with M_M31 ~ 2.4e12 M_sun at 770 kpc, adds
+    // ~0.018 km/s per Myr (linear: the pull strengthens as the gap closes)
+    timeDependence: {
+      epoch: 2000,
+      terms: [
+        { quantity: 'velocity', rate: 0.018 } // km/s per Myr
+      ]
     },
 
     // Implementation
@@ -198,14 +364,24 @@ export const COSMIC_LEVELS = [
     scale: 100000000, // light-years (~100 million ly void diameter)
     scaleDescription: 'Local Void diameter = ~100 million light-years',
 
-    // Coordinates (RA/Dec) - direction AWAY from Local Void
-    // Galactic: l = 210, b = -2 (Tully et al. 2008)
-    coordinates: {
-      type: 'radec',
-      ra: 6.649, // 06h 39m
-      dec: 1.70, // +1.7°
-      galactic: 'l = 210°, b = -2°',
-      description: 'RA: 06h 39m, Dec: +2° (away from Local Void, toward Monoceros/Orion)'
+    // Coordinates (galactic) - direction AWAY from Local Void
+    // l = 210, b = -2 (Tully et al. 2008)
+    coordinates: coordinatesFrom(FRAMES.GALACTIC, 210, -2, 'away from Local Void, toward Monoceros/Orion'),
+
+    // Uncertainty (1-sigma): Tully et al. 2008 give no formal errors for the
+    // decomposition; ~10% in speed and ~10° in direction are adopted
+    uncertainty: {
+      velocity: 26, // km/s
+      direction: 10 // degrees
+    },
+
+    // Time dependence (Myr): the void's underdensity grows with the linear growth
+    // factor, d ln D/dt = f H0 ~ 0.52 * 0.0716 per Gyr, so the push grows ~3.7% per Gyr
+    timeDependence: {
+      epoch: 2000,
+      terms: [
+        { quantity: 'velocity', rate: 0.0096 } // km/s per Myr
+      ]
     },
 
     // Implementation
@@ -235,14 +411,16 @@ export const COSMIC_LEVELS = [
     scale: 110000000, // light-years (110 million ly)
     scaleDescription: 'Virgo Supercluster diameter = ~110 million light-years',
 
-    // Coordinates (RA/Dec) - M87 / Virgo Cluster center
-    // Galactic: l = 283.8, b = +74.5
-    coordinates: {
-      type: 'radec',
-      ra: 12.514, // 12h 31m (M87)
-      dec: 12.39, // +12.4°
-      galactic: 'l = 283.8°, b = +74.5°',
-      description: 'RA: 12h 31m, Dec: +12° (M87, Virgo Cluster center, 53 Mly distant)'
+    // Coordinates (equatorial) - M87 / Virgo Cluster center
+    // RA 12h 30m 49.4s, Dec +12° 23' 28" (galactic l ≈ 283.8, b ≈ +74.5)
+    coordinates: coordinatesFrom(FRAMES.EQUATORIAL, 187.706, 12.391, 'M87, Virgo Cluster center, 53 Mly distant'),
+
+    // Uncertainty (1-sigma): speed ~10% (Tully et al. 2008, no formal errors);
+    // the pull points at the cluster core, known to well under a degree, but
+    // the infall centroid may be offset from M87 by a few degrees
+    uncertainty: {
+      velocity: 19, // km/s
+      direction: 3 // degrees
     },
 
     // Implementation
@@ -272,14 +450,15 @@ export const COSMIC_LEVELS = [
     scale: 650000000, // light-years (Shapley at ~650 Mly)
     scaleDescription: 'Flow extends to Shapley Concentration at ~650 million light-years',
 
-    // Coordinates (RA/Dec) - combined flow direction
-    // Galactic: l = 299, b = +15 (Tully et al. 2008)
-    coordinates: {
-      type: 'radec',
-      ra: 12.481, // 12h 29m
-      dec: -47.70, // -47.7°
-      galactic: 'l = 299°, b = +15°',
-      description: 'RA: 12h 29m, Dec: -48° (toward Centaurus, includes GA + Shapley)'
+    // Coordinates (galactic) - combined flow direction
+    // l = 299, b = +15 (Tully et al. 2008)
+    coordinates: coordinatesFrom(FRAMES.GALACTIC, 299, 15, 'toward Centaurus, includes GA + Shapley'),
+
+    // Uncertainty (1-sigma): Tully et al. 2008 give no formal errors for the
+    // decomposition; ~10% in speed and ~10° in direction are adopted
+    uncertainty: {
+      velocity: 46, // km/s
+      direction: 10 // degrees
     },
 
     // Implementation
@@ -312,13 +491,15 @@ export const COSMIC_LEVELS = [
     scale: 93000000000, // light-years (observable universe diameter)
     scaleDescription: 'Observable universe diameter = ~93 billion light-years',
 
-    // Coordinates (multiple systems)
-    coordinates: {
-      type: 'radec',
-      ra: parseRA('11h 12m'), // 11.2 hours
-      dec: parseDec('-7°'), // -7 degrees
-      galactic: 'l = 264°, b = +48°',
-      description: 'RA: 11h 12m, Dec: -7° (Galactic: l = 264°, b = +48°, Near: Regulus, Hydra)'
+    // Coordinates (galactic) - Planck 2018 dipole direction
+    // l = 264.021, b = +48.253
+    coordinates: coordinatesFrom(FRAMES.GALACTIC, 264.021, 48.253, 'Near: Regulus, Hydra'),
+
+    // Uncertainty (1-sigma): Planck 2018, 369.82 ± 0.11 km/s,
+    // l = 264.021 ± 0.011°, b = 48.253 ± 0.005°
+    uncertainty: {
+      velocity: 0.11, // km/s
+      direction: 0.01 // degrees
     },
 
     // Implementation
@@ -341,10 +522,17 @@ export function getCosmicLevel(id) {
 }
 
 /**
- * Get cosmic level by number (1-8)
+ * Get cosmic level by number (0-8); sub-levels are reached through getCosmicLevel
  */
 export function getCosmicLevelByNumber(levelNumber) {
-  return COSMIC_LEVELS.find(level => level.level === levelNumber);
+  return COSMIC_LEVELS.find(level => level.level === levelNumber && !level.subLevel);
+}
+
+/**
+ * Get sub-levels registered under a level number
+ */
+export function getSubLevels(levelNumber) {
+  return COSMIC_LEVELS.filter(level => level.level === levelNumber && level.subLevel);
 }
 
 /**
@@ -0,0 +1,298 @@
+/**
+ * Level Catalog - Cosmic levels loaded from JSON
+ *
+ * A catalog adds levels with a fixed direction on the sky, or replaces the values of
+ * existing ones, without editing COSMIC_LEVELS. Schema (version 1):
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "Cosmicflows-4 flow",       // optional, shown in logs and data.html
+ *     "replace": false,                  // optional: true drops the built-in fixed-direction
+ *                                        //   levels (levels 4-8) before adding these
+ *     "levels": [
+ *       {
+ *         "id": "greatAttractor",        // letters and digits; an existing id overrides
+ *                                        //   that level, a new id adds one
+ *         "level": 7,                    // integer >= 1 (required for a new id)
+ *         "subLevel": false,             // optional: sit beside the level's main entry
+ *         "name": "Great Attractor",     // required for a new id
+ *         "shortName": "Attractor",      // optional sidebar label
+ *         "description": "...",          // optional
+ *         "frame": "galactic",           // equatorial | galactic | supergalactic | ecliptic
+ *         "direction": { "lon": 307, "lat": 9, "description": "Norma cluster" },
+ *         "velocity": 300,               // km/s
+ *         "uncertainty": { "velocity": 30, "direction": 10 },   // optional, 1-sigma
+ *         "references": ["Dressler et al. (1987), ApJ, 313, L37"], // string or list
+ *         "isVerification": false        // optional: a measured total checked against the
+ *                                        //   sum instead of added to it (at most one)
+ *       }
+ *     ]
+ *   }
+ *
+ * Levels computed by their own motion class (Earth rotation and orbit, the Galactic
+ * orbit, ...) cannot be set from a catalog. Load one with loadLevelCatalog and pass its
+ * levels as the levels calculation option, or hand it to LevelManager.setLevelCatalog.
+ */
+
+import { FRAMES } from '../astronomy/Coordinates.js';
+import { CosmicMotion } from '../motion/CosmicMotion.js';
+import { COSMIC_LEVELS, coordinatesFrom } from './CosmicLevels.js';
+
+export const LEVEL_CATALOG_VERSION = 1;
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+const FRAME_NAMES = Object.values(FRAMES);
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+// Whether a level takes its values from the config alone (CosmicMotion), so a catalog may set it
+const isFixedDirection = level => level.motionClass === CosmicMotion;
+
+function kebabCase(id) {
+  return id.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+function parseSource(source) {
+  if (typeof source !== 'string') return { catalog: source, errors: [] };
+  try {
+    return { catalog: JSON.parse(source), errors: [] };
+  } catch (error) {
+    return { catalog: null, errors: [`catalog: not valid JSON (${error.message})`] };
+  }
+}
+
+/**
+ * Field errors for one catalog entry
+ * @returns {string[]} Messages prefixed with the entry's path
+ */
+function validateEntry(entry, path, existing) {
+  const errors = [];
+  const fail = (field, message) => errors.push(`${path}${field ? '.' + field : ''}: ${message}`);
+
+  if (existing && !isFixedDirection(existing)) {
+    fail('id', `"${existing.id}" is computed by ${existing.motionClass?.name ?? 'its motion class'} and cannot be set from a catalog`);
+    return errors;
+  }
+
+  if (entry.level !== undefined) {
+    if (!Number.isInteger(entry.level) || entry.level < 1) {
+      fail('level', 'must be an integer of 1 or more');
+    } else if (existing && entry.level !== existing.level) {
+      fail('level', `"${existing.id}" is level ${existing.level}; a catalog cannot move it to level ${entry.level}`);
+    }
+  } else if (!existing) {
+    fail('level', 'is required for a new level');
+  }
+
+  if (entry.name !== undefined ? !isText(entry.name) : !existing) {
+    fail('name', existing ? 'must be a non-empty string' : 'is required for a new level');
+  }
+  ['shortName', 'description'].forEach(field => {
+    if (entry[field] !== undefined && typeof entry[field] !== 'string') fail(field, 'must be a string');
+  });
+  ['subLevel', 'isVerification'].forEach(field => {
+    if (entry[field] !== undefined && typeof entry[field] !== 'boolean') fail(field, 'must be true or false');
+  });
+
+  if (!FRAME_NAMES.includes(entry.frame)) {
+    fail('frame', `must be one of ${FRAME_NAMES.join(', ')}${entry.frame === undefined ? '' : ` (got ${JSON.stringify(entry.frame)})`}`);
+  }
+
+  if (!isObject(entry.direction)) {
+    fail('direction', 'must be an object { lon, lat, description } in degrees');
+  } else {
+    if (!isNumber(entry.direction.lon)) fail('direction.lon', 'must be a number of degrees');
+    if (!isNumber(entry.direction.lat) || Math.abs(entry.direction.lat) > 90) {
+      fail('direction.lat', 'must be a number of degrees between -90 and 90');
+    }
+    if (entry.direction.description !== undefined && typeof entry.direction.description !== 'string') {
+      fail('direction.description', 'must be a string');
+    }
+  }
+
+  if (!isNumber(entry.velocity) || entry.velocity < 0) fail('velocity', 'must be a non-negative number of km/s');
+
+  if (entry.uncertainty !== undefined) {
+    if (!isObject(entry.uncertainty)) {
+      fail('uncertainty', 'must be an object { velocity (km/s), direction (degrees) }');
+    } else {
+      ['velocity', 'direction'].forEach(field => {
+        const value = entry.uncertainty[field];
+        if (value !== undefined && (!isNumber(value) || value < 0)) fail(`uncertainty.${field}`, 'must be a non-negative number');
+      });
+    }
+  }
+
+  const references = entry.references;
+  if (Array.isArray(references)) {
+    if (references.length === 0) fail('references', 'must list at least one source');
+    references.forEach((reference, i) => {
+      if (!isText(reference)) fail(`references[${i}]`, 'must be a non-empty string');
+    });
+  } else if (!isText(references)) {
+    fail('references', 'must be a citation string or a list of them');
+  }
+
+  return errors;
+}
+
+/**
+ * Level configuration for a catalog entry, merged over the level it overrides
+ */
+function toLevel(entry, existing, catalogName) {
+  const references = Array.isArray(entry.references) ? entry.references.join('; ') : entry.references;
+  const note = entry.direction.description ?? `${entry.frame} ${entry.direction.lon}, ${entry.direction.lat}`;
+  const base = existing ?? {
+    level: entry.level,
+    id: entry.id,
+    period: 'N/A',
+    scale: null,
+    scaleDescription: '',
+    implemented: true,
+    motionClass: CosmicMotion,
+    bodyId: entry.id,
+    elementId: `${kebabCase(entry.id)}-hud-text`
+  };
+
+  const level = {
+    ...base,
+    name: entry.name ?? base.name,
+    description: entry.description ?? base.description ?? entry.name,
+    velocity: entry.velocity,
+    velocityDescription: `~${Math.round(entry.velocity)} km/s`,
+    direction: entry.direction.description ?? base.direction ?? note,
+    coordinates: coordinatesFrom(entry.frame, entry.direction.lon, entry.direction.lat, note),
+    uncertainty: entry.uncertainty ? { ...entry.uncertainty } : base.uncertainty,
+    references: references,
+    catalog: catalogName
+  };
+  // A changed measurement replaces the old time dependence rather than drifting from it
+  delete level.timeDependence;
+  if (entry.shortName !== undefined) level.shortName = entry.shortName;
+  if (entry.isVerification !== undefined) level.isVerification = entry.isVerification;
+  if (entry.subLevel !== undefined) level.subLevel = entry.subLevel;
+  return level;
+}
+
+/**
+ * Build the level list a catalog describes, collecting every problem on the way
+ * @returns {Object} { catalog, levels, errors }
+ */
+function buildLevels(source, baseLevels) {
+  const { catalog, errors } = parseSource(source);
+  if (errors.length) return { catalog, levels: null, errors };
+
+  if (!isObject(catalog)) {
+    return { catalog, levels: null, errors: ['catalog: must be a JSON object with version and levels'] };
+  }
+  if (catalog.version !== LEVEL_CATALOG_VERSION) {
+    errors.push(`version: must be ${LEVEL_CATALOG_VERSION}${catalog.version === undefined ? '' : ` (got ${JSON.stringify(catalog.version)})`}`);
+  }
+  if (catalog.name !== undefined && typeof catalog.name !== 'string') errors.push('name: must be a string');
+  if (catalog.replace !== undefined && typeof catalog.replace !== 'boolean') errors.push('replace: must be true or false');
+  if (!Array.isArray(catalog.levels) || catalog.levels.length === 0) {
+    errors.push('levels: must be a non-empty array');
+    return { catalog, levels: null, errors };
+  }
+
+  const catalogName = isText(catalog.name) ? catalog.name : 'Custom catalog';
+  const levels = catalog.replace === true ? baseLevels.filter(level => !isFixedDirection(level)) : [...baseLevels];
+  const seen = new Set();
+
+  catalog.levels.forEach((entry, i) => {
+    let path = `levels[${i}]`;
+    if (!isObject(entry)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (!isText(entry.id) || !ID_PATTERN.test(entry.id)) {
+      errors.push(`${path}.id: must start with a letter and contain only letters and digits`);
+      return;
+    }
+    path += ` (${entry.id})`;
+    if (seen.has(entry.id)) {
+      errors.push(`${path}.id: appears more than once`);
+      return;
+    }
+    seen.add(entry.id);
+
+    const index = levels.findIndex(level => level.id === entry.id);
+    const existing = index >= 0 ? levels[index] : baseLevels.find(level => level.id === entry.id);
+    const entryErrors = validateEntry(entry, path, existing);
+    if (entryErrors.length) {
+      errors.push(...entryErrors);
+      return;
+    }
+
+    const level = toLevel(entry, existing, catalogName);
+    if (index >= 0) {
+      levels[index] = level;
+    } else {
+      levels.push(level);
+    }
+  });
+  if (errors.length) return { catalog, levels: null, errors };
+
+  // Each level number has one main entry; sub-levels sit beside it
+  levels.filter(level => level.catalog).forEach(level => {
+    const path = `levels[${catalog.levels.findIndex(entry => entry.id === level.id)}] (${level.id})`;
+    const main = levels.find(other => other !== level && other.level === level.level && !other.subLevel);
+    if (level.subLevel) {
+      if (main) {
+        level.parentId = main.id;
+      } else {
+        errors.push(`${path}.subLevel: level ${level.level} has no main entry to sit beside`);
+      }
+    } else if (main) {
+      errors.push(`${path}.level: level ${level.level} is already "${main.id}"; reuse that id to override it or set subLevel: true`);
+    }
+  });
+
+  const verification = levels.filter(level => level.isVerification);
+  if (verification.length > 1) {
+    errors.push(`levels: at most one verification level is allowed (found ${verification.map(level => level.id).join(', ')})`);
+  }
+  if (errors.length) return { catalog, levels: null, errors };
+
+  // Keep the built-in order: by level number, main entry before its sub-levels
+  const order = new Map(levels.map((level, i) => [level, i]));
+  levels.sort((a, b) => a.level - b.level || Number(!!a.subLevel) - Number(!!b.subLevel) || order.get(a) - order.get(b));
+  return { catalog, levels, errors };
+}
+
+/**
+ * Check a catalog without loading it
+ * @param {Object|string} source - Parsed catalog or JSON text
+ * @param {Array} baseLevels - Levels the catalog builds on (default: COSMIC_LEVELS)
+ * @returns {string[]} Readable problems, each prefixed with its path
+ *   (e.g. 'levels[2] (greatAttractor).velocity: must be a non-negative number of km/s');
+ *   empty when the catalog is valid
+ */
+export function validateLevelCatalog(source, baseLevels = COSMIC_LEVELS) {
+  return buildLevels(source, baseLevels).errors;
+}
+
+/**
+ * Load a level catalog
+ * @param {Object|string} source - Parsed catalog or JSON text
+ * @param {Array} baseLevels - Levels the catalog builds on (default: COSMIC_LEVELS)
+ * @returns {Object} { name, version, levels } where levels is the complete level list,
+ *   ordered like COSMIC_LEVELS, for the levels calculation option
+ * @throws {Error} Listing every problem found; the messages are also on error.errors
+ */
+export function loadLevelCatalog(source, baseLevels = COSMIC_LEVELS) {
+  const { catalog, levels, errors } = buildLevels(source, baseLevels);
+  if (errors.length) {
+    const name = isObject(catalog) && isText(catalog.name) ? ` "${catalog.name}"` : '';
+    const error = new Error(`Invalid level catalog${name}:\n  ${errors.join('\n  ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return {
+    name: isText(catalog.name) ? catalog.name : 'Custom catalog',
+    version: catalog.version,
+    levels: levels
+  };
+}
@@ -2,52 +2,167 @@
  * Level Manager - Manages cosmic level selection and configuration state
  */
 
-import { COSMIC_LEVELS, getLevelsUpTo, getCosmicLevelByNumber } from './CosmicLevels.js';
+import { COSMIC_LEVELS } from './CosmicLevels.js';
+import { PARAMETER_SETS, DEFAULT_PARAMETER_SET, getParameterSet, resolveLevel } from './ParameterSets.js';
+import { loadLevelCatalog } from './LevelCatalog.js';
+import { COORDINATE_MODES } from '../astronomy/ApparentPlace.js';
+import { REFRACTION_MODELS } from '../astronomy/Refraction.js';
+
+// Levels shown until the user picks others: 0 to 8, every level in COSMIC_LEVELS
+const DEFAULT_MAX_LEVEL = 8;
 
 export class LevelManager {
   constructor(uiControls) {
     this.uiControls = uiControls;
 
     // Default state: show up to level 8 (all cosmic motion levels implemented)
-    this.maxLevel = 8;
+    this.maxLevel = DEFAULT_MAX_LEVEL;
     this.isUIVisible = false;
 
-    // Event listeners for level changes
+    // Observer's own state for level 0 and Earth rotation: { altitude, speed, heading }
+    this.observer = null;
+
+    // How the sky is placed: { coordinateMode, refraction (model id, or null for geometric) }
+    this.skyOptions = { coordinateMode: COORDINATE_MODES.APPARENT, refraction: null };
+
+    // Published values the levels are drawn from (see PARAMETER_SETS)
+    this.parameterSet = DEFAULT_PARAMETER_SET;
+
+    // Level list in use: COSMIC_LEVELS, or the levels of a loaded catalog (see LevelCatalog.js)
+    this.levels = COSMIC_LEVELS;
+    this.catalog = null;
+
+    // Levels included in sums and views, by id. setMaxLevel fills it with levels 0 to N;
+    // setLevelActive and toggleLevel pick levels one by one. maxLevel follows the
+    // highest active level.
+    this.activeLevelIds = new Set(this.levelIdsUpTo(this.maxLevel));
+
+    // Event listeners for level, active set, parameter set and catalog changes
     this.listeners = new Set();
+    this.activeLevelsListeners = new Set();
+    this.parameterSetListeners = new Set();
+    this.catalogListeners = new Set();
+    this.skyOptionsListeners = new Set();
 
     this.uiControls?.debugLog('LevelManager initialized with max level: ' + this.maxLevel);
   }
 
   /**
-   * Get current maximum level setting
+   * Get the highest active level number (0 when only level 0, or nothing, is active)
    */
   getMaxLevel() {
     return this.maxLevel;
   }
 
   /**
-   * Set maximum level (1-8)
-   * Triggers level change events
+   * Highest level number in the level list (8 for COSMIC_LEVELS)
+   */
+  getHighestLevel() {
+    return Math.max(...this.levels.map(level => level.level));
+  }
+
+  /**
+   * Preset: make levels 0 to N (with their sub-levels) the active set, N clamped to
+   * 1 to the highest level. Triggers active set and level change events.
    */
   setMaxLevel(level) {
-    const newLevel = Math.max(1, Math.min(8, level));
+    const newLevel = Math.max(1, Math.min(this.getHighestLevel(), level));
+    this.updateActiveLevels(this.levelIdsUpTo(newLevel));
+  }
+
+  /**
+   * Ids of the levels numbered 0 to maxLevel, in level order
+   */
+  levelIdsUpTo(maxLevel) {
+    return this.levels.filter(level => level.level <= maxLevel).map(level => level.id);
+  }
+
+  /**
+   * Ids of the levels a level number or id stands for: a number covers the main
+   * level and its sub-levels, an id just that level. Throws on unknown levels.
+   */
+  levelIdsFor(levelOrId) {
+    const ids = this.levels
+      .filter(level => (typeof levelOrId === 'number' ? level.level === levelOrId : level.id === levelOrId))
+      .map(level => level.id);
+    if (ids.length === 0) {
+      throw new Error(`Unknown level: ${levelOrId} (expected a level number or one of ${this.levels.map(level => level.id).join(', ')})`);
+    }
+    return ids;
+  }
+
+  /**
+   * Get the ids of the active levels, in level order
+   */
+  getActiveLevelIds() {
+    return this.levels.filter(level => this.activeLevelIds.has(level.id)).map(level => level.id);
+  }
+
+  /**
+   * Make exactly these levels active (level numbers and/or ids, see levelIdsFor),
+   * e.g. ['virgoPull', 'localVoidPush'] or [5, 6]
+   * Triggers active set events, and level change events when maxLevel moves
+   */
+  setActiveLevels(levels) {
+    this.updateActiveLevels(levels.flatMap(level => this.levelIdsFor(level)));
+  }
 
-    if (newLevel !== this.maxLevel) {
-      const oldLevel = this.maxLevel;
-      this.maxLevel = newLevel;
+  /**
+   * Include or exclude one level (number or id)
+   */
+  setLevelActive(levelOrId, active) {
+    const ids = this.levelIdsFor(levelOrId);
+    const next = new Set(this.activeLevelIds);
+    ids.forEach(id => (active ? next.add(id) : next.delete(id)));
+    this.updateActiveLevels([...next]);
+  }
+
+  /**
+   * Flip one level (number or id) in or out of the active set
+   * @returns {boolean} Whether the level is now active
+   */
+  toggleLevel(levelOrId) {
+    const active = !this.isLevelActive(levelOrId);
+    this.setLevelActive(levelOrId, active);
+    return active;
+  }
 
-      this.uiControls?.debugLog(`Level changed: ${oldLevel} → ${newLevel}`);
+  /**
+   * Replace the active set, recompute maxLevel and notify listeners of what changed
+   * @param {string[]} ids - Level ids; ids not in the level list are dropped
+   * @param {Object} previous - { ids, maxLevel } to compare against (default: current state)
+   */
+  updateActiveLevels(ids, previous = { ids: this.getActiveLevelIds(), maxLevel: this.maxLevel }) {
+    const wanted = new Set(ids);
+    const active = this.levels.filter(level => wanted.has(level.id));
+    this.activeLevelIds = new Set(active.map(level => level.id));
+    this.maxLevel = Math.max(0, ...active.map(level => level.level));
 
-      // Notify all listeners
-      this.notifyLevelChange(oldLevel, newLevel);
+    const newIds = this.getActiveLevelIds();
+    if (newIds.join() !== previous.ids.join()) {
+      this.uiControls?.debugLog(`Active levels: ${newIds.join(', ') || 'none'}`);
+      this.notifyActiveLevelsChange(previous.ids, newIds);
+    }
+    if (this.maxLevel !== previous.maxLevel) {
+      this.uiControls?.debugLog(`Level changed: ${previous.maxLevel} → ${this.maxLevel}`);
+      this.notifyLevelChange(previous.maxLevel, this.maxLevel);
     }
   }
 
   /**
-   * Get all levels that should be displayed (up to maxLevel)
+   * Whether the active set is a preset: every level from 0 to maxLevel
+   */
+  isPresetActive() {
+    return this.getActiveLevelIds().join() === this.levelIdsUpTo(this.maxLevel).join();
+  }
+
+  /**
+   * Get the active levels, with the parameter set applied
    */
   getActiveLevels() {
-    return getLevelsUpTo(this.maxLevel);
+    return this.levels
+      .filter(level => this.activeLevelIds.has(level.id))
+      .map(level => resolveLevel(level, this.parameterSet));
   }
 
   /**
@@ -58,17 +173,180 @@ export class LevelManager {
   }
 
   /**
-   * Check if a specific level should be displayed
+   * Check if a level is active: a level number asks about its main entry, an id
+   * about that level
    */
-  isLevelActive(levelNumber) {
-    return levelNumber <= this.maxLevel;
+  isLevelActive(levelOrId) {
+    const level = typeof levelOrId === 'number'
+      ? this.levels.find(l => l.level === levelOrId && !l.subLevel)
+      : this.levels.find(l => l.id === levelOrId);
+    return !!level && this.activeLevelIds.has(level.id);
   }
 
   /**
    * Get level configuration by number
    */
   getLevelConfig(levelNumber) {
-    return getCosmicLevelByNumber(levelNumber);
+    const level = this.levels.find(l => l.level === levelNumber && !l.subLevel);
+    return resolveLevel(level, this.parameterSet);
+  }
+
+  /**
+   * Get every level in the list, active or not, with the parameter set applied
+   */
+  getLevels() {
+    return this.levels.map(level => resolveLevel(level, this.parameterSet));
+  }
+
+  /**
+   * Get the loaded level catalog ({ name, version, levels }), or null for COSMIC_LEVELS
+   */
+  getLevelCatalog() {
+    return this.catalog;
+  }
+
+  /**
+   * Replace the level list with a level catalog (parsed object or JSON text, see
+   * LevelCatalog.js); null goes back to COSMIC_LEVELS. Active levels that remain stay
+   * active and new levels up to maxLevel join them. Triggers catalog change events, then
+   * active set and level change events when those change.
+   * Throws, leaving the current levels in place, when the catalog is invalid.
+   */
+  setLevelCatalog(source) {
+    const oldCatalog = this.catalog;
+    const previous = { ids: this.getActiveLevelIds(), maxLevel: this.maxLevel };
+    const known = new Set(this.levels.map(level => level.id));
+    this.catalog = source == null ? null : loadLevelCatalog(source);
+    this.levels = this.catalog?.levels ?? COSMIC_LEVELS;
+
+    this.uiControls?.debugLog(`Level catalog: ${this.catalog ? `loaded (${this.levels.length} levels)` : 'built-in'}`);
+
+    this.notifyCatalogChange(oldCatalog, this.catalog);
+    const added = this.levels.filter(level => !known.has(level.id) && level.level <= previous.maxLevel);
+    this.updateActiveLevels([...previous.ids, ...added.map(level => level.id)], previous);
+  }
+
+  /**
+   * Get the id of the parameter set in use
+   */
+  getParameterSet() {
+    return this.parameterSet;
+  }
+
+  /**
+   * List the available parameter sets: [{ id, name, description }]
+   */
+  getParameterSets() {
+    return Object.values(PARAMETER_SETS).map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  /**
+   * Switch the published values the levels use (key of PARAMETER_SETS)
+   * Triggers parameter set change events; throws on an unknown id
+   */
+  setParameterSet(id) {
+    const newSet = getParameterSet(id).id;
+
+    if (newSet !== this.parameterSet) {
+      const oldSet = this.parameterSet;
+      this.parameterSet = newSet;
+
+      this.uiControls?.debugLog(`Parameter set changed: ${oldSet} → ${newSet}`);
+
+      this.notifyParameterSetChange(oldSet, newSet);
+    }
+  }
+
+  /**
+   * The choices worth keeping between sessions: { activeLevels (ids), parameterSet }
+   */
+  getState() {
+    return {
+      activeLevels: this.getActiveLevelIds(),
+      parameterSet: this.parameterSet
+    };
+  }
+
+  /**
+   * Apply a getState snapshot, e.g. one saved in an earlier session. Levels may be
+   * given by number or id; levels and parameter sets that no longer exist are
+   * skipped rather than thrown on. Missing fields leave the current choice alone.
+   */
+  restoreState({ activeLevels, parameterSet } = {}) {
+    if (parameterSet && PARAMETER_SETS[parameterSet]) {
+      this.setParameterSet(parameterSet);
+    }
+    if (Array.isArray(activeLevels)) {
+      const known = activeLevels.filter(level => this.levels.some(l => (typeof level === 'number' ? l.level === level : l.id === level)));
+      this.setActiveLevels(known);
+    }
+  }
+
+  /**
+   * Set the observer's altitude (m), ground speed (m/s) and heading (degrees
+   * from true north), from GPS or entered by hand. null clears it.
+   */
+  setObserver(observer) {
+    this.observer = observer ? { ...observer } : null;
+  }
+
+  /**
+   * Get the observer state set by setObserver
+   */
+  getObserver() {
+    return this.observer;
+  }
+
+  /**
+   * Set the coordinate mode (COORDINATE_MODES) and refraction (a REFRACTION_MODELS id
+   * for a standard atmosphere, or null for geometric altitudes). Missing fields leave
+   * the current choice alone.
+   */
+  setSkyOptions({ coordinateMode, refraction } = {}) {
+    const next = { ...this.skyOptions };
+    if (coordinateMode !== undefined) {
+      if (!Object.values(COORDINATE_MODES).includes(coordinateMode)) {
+        throw new Error(`Unknown coordinate mode: ${coordinateMode}`);
+      }
+      next.coordinateMode = coordinateMode;
+    }
+    if (refraction !== undefined) {
+      if (refraction !== null && !Object.values(REFRACTION_MODELS).includes(refraction)) {
+        throw new Error(`Unknown refraction model: ${refraction}`);
+      }
+      next.refraction = refraction;
+    }
+
+    if (next.coordinateMode !== this.skyOptions.coordinateMode || next.refraction !== this.skyOptions.refraction) {
+      const oldOptions = this.skyOptions;
+      this.skyOptions = next;
+
+      this.uiControls?.debugLog(`Sky options: ${next.coordinateMode}, refraction ${next.refraction ?? 'off'}`);
+
+      this.notifySkyOptionsChange(oldOptions, next);
+    }
+  }
+
+  /**
+   * Get the sky options set by setSkyOptions: { coordinateMode, refraction }
+   */
+  getSkyOptions() {
+    return { ...this.skyOptions };
+  }
+
+  /**
+   * Calculation options for the current state, passed to calculateVectorSum and
+   * calculateCelestialPositions
+   */
+  getCalculationOptions() {
+    const options = {};
+    if (this.skyOptions.coordinateMode !== COORDINATE_MODES.APPARENT) options.coordinateMode = this.skyOptions.coordinateMode;
+    if (this.skyOptions.refraction) options.refraction = { model: this.skyOptions.refraction };
+    if (this.observer) options.observer = this.observer;
+    if (this.parameterSet !== DEFAULT_PARAMETER_SET) options.parameterSet = this.parameterSet;
+    if (this.catalog) options.levels = this.levels;
+    if (!this.isPresetActive()) options.activeLevels = this.getActiveLevelIds();
+    return options;
   }
 
   /**
@@ -110,7 +388,7 @@ export class LevelManager {
   }
 
   /**
-   * Add listener for level changes
+   * Add listener for changes of the highest active level (maxLevel)
    * Callback receives (oldLevel, newLevel)
    */
   addLevelChangeListener(callback) {
@@ -137,6 +415,118 @@ export class LevelManager {
     });
   }
 
+  /**
+   * Add listener for active set changes (presets and single levels alike)
+   * Callback receives (oldIds, newIds)
+   */
+  addActiveLevelsChangeListener(callback) {
+    this.activeLevelsListeners.add(callback);
+  }
+
+  /**
+   * Remove active set change listener
+   */
+  removeActiveLevelsChangeListener(callback) {
+    this.activeLevelsListeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners of an active set change
+   */
+  notifyActiveLevelsChange(oldIds, newIds) {
+    this.activeLevelsListeners.forEach(callback => {
+      try {
+        callback(oldIds, newIds);
+      } catch (error) {
+        this.uiControls?.debugLog(`Error in active levels change listener: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Add listener for parameter set changes
+   * Callback receives (oldSetId, newSetId)
+   */
+  addParameterSetChangeListener(callback) {
+    this.parameterSetListeners.add(callback);
+  }
+
+  /**
+   * Remove parameter set change listener
+   */
+  removeParameterSetChangeListener(callback) {
+    this.parameterSetListeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners of a parameter set change
+   */
+  notifyParameterSetChange(oldSet, newSet) {
+    this.parameterSetListeners.forEach(callback => {
+      try {
+        callback(oldSet, newSet);
+      } catch (error) {
+        this.uiControls?.debugLog(`Error in parameter set change listener: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Add listener for level catalog changes
+   * Callback receives (oldCatalog, newCatalog), null standing for COSMIC_LEVELS
+   */
+  addCatalogChangeListener(callback) {
+    this.catalogListeners.add(callback);
+  }
+
+  /**
+   * Remove level catalog change listener
+   */
+  removeCatalogChangeListener(callback) {
+    this.catalogListeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners of a level catalog change
+   */
+  notifyCatalogChange(oldCatalog, newCatalog) {
+    this.catalogListeners.forEach(callback => {
+      try {
+        callback(oldCatalog, newCatalog);
+      } catch (error) {
+        this.uiControls?.debugLog(`Error in catalog change listener: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Add listener for sky option changes
+   * Callback receives (oldOptions, newOptions), see getSkyOptions
+   */
+  addSkyOptionsChangeListener(callback) {
+    this.skyOptionsListeners.add(callback);
+  }
+
+  /**
+   * Remove sky options change listener
+   */
+  removeSkyOptionsChangeListener(callback) {
+    this.skyOptionsListeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners of a sky options change
+   */
+  notifySkyOptionsChange(oldOptions, newOptions) {
+    this.skyOptionsListeners.forEach(callback => {
+      try {
+        callback(oldOptions, newOptions);
+      } catch (error) {
+        this.uiControls?.debugLog(`Error in sky options change listener: ${error.message}`);
+      }
+    });
+  }
+
   /**
    * Notify UI toggle listeners (extend listeners if needed)
    */
@@ -155,11 +545,14 @@ export class LevelManager {
 
     return {
       maxLevel: this.maxLevel,
+      activeLevels: this.getActiveLevelIds(),
+      parameterSet: this.parameterSet,
+      catalog: this.catalog?.name ?? null,
       totalLevels: totalCount,
       implementedLevels: implementedCount,
       unimplementedLevels: totalCount - implementedCount,
       isUIVisible: this.isUIVisible,
-      description: `Showing ${implementedCount}/${totalCount} levels (up to level ${this.maxLevel})`
+      description: `Showing ${implementedCount}/${totalCount} levels (${this.isPresetActive() ? `up to level ${this.maxLevel}` : this.getActiveLevelIds().join(', ')})`
     };
   }
 
@@ -185,7 +578,8 @@ export class LevelManager {
    * Reset to default state
    */
   reset() {
-    this.setMaxLevel(6); // Default to max currently implemented
+    this.setParameterSet(DEFAULT_PARAMETER_SET);
+    this.setMaxLevel(DEFAULT_MAX_LEVEL);
     this.hideUI();
   }
 }
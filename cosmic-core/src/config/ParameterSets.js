@@ -0,0 +1,186 @@
+/**
+ * Parameter Sets - Named choices of published values for the cosmic levels
+ *
+ * COSMIC_LEVELS holds one reading of the literature (the default set, whose entries
+ * only cite the papers behind the values of levels 3-8; levels 0-2 are computed from
+ * the date and the observer). A parameter set replaces selected fields of selected
+ * levels, keyed by level id; every override names the paper its values come from, and
+ * levels a set leaves alone keep the default values and reference. Fields are merged
+ * into a copy of the level: plain objects (galacticOrbit, uncertainty) one level deep,
+ * everything else replaced. Level 3's direction follows from galacticOrbit
+ * (GalacticOrbit), so sets change that rather than its coordinates.
+ *
+ * Select a set with the parameterSet calculation option or LevelManager.setParameterSet.
+ * Levels loaded from a level catalog (see LevelCatalog.js) keep the catalog's values.
+ */
+
+import { FRAMES } from '../astronomy/Coordinates.js';
+import { COSMIC_LEVELS, coordinatesFrom } from './CosmicLevels.js';
+
+export const DEFAULT_PARAMETER_SET = 'default';
+
+export const PARAMETER_SETS = {
+  default: {
+    id: 'default',
+    name: 'Schoenrich 2010 + Tully 2008 + Planck 2018',
+    description: 'The values in COSMIC_LEVELS: LSR 220 km/s with the Schoenrich et al. (2010) ' +
+      'peculiar motion, the Tully et al. (2008) flow decomposition and the Planck 2018 dipole ' +
+      '(published 2020, A&A 641, A1)',
+    levels: {
+      solarOrbit: {
+        reference: 'Kerr & Lynden-Bell (1986), MNRAS, 221, 1023 (Theta0 = 220 km/s); ' +
+          'Reid (1993), ARA&A, 31, 345 (R0 = 8.0 kpc); Schoenrich et al. (2010), MNRAS, 403, 1829 (U, V, W); ' +
+          'Bennett & Bovy (2019), MNRAS, 482, 1417 (z = 20.8 pc)'
+      },
+      localGroupMotion: {
+        reference: 'Makarov et al. (2025), A&A (62.6 ± 2.6 km/s toward the Local Group barycentre, l = 121.7°, b = -21.5°)'
+      },
+      localVoidPush: {
+        reference: 'Tully et al. (2008), ApJ, 676, 184 (259 km/s away from the Local Void, l = 210°, b = -2°)'
+      },
+      virgoPull: {
+        reference: 'Tully et al. (2008), ApJ, 676, 184 (185 km/s toward the Virgo Cluster, centred on M87)'
+      },
+      largeScaleFlow: {
+        reference: 'Tully et al. (2008), ApJ, 676, 184 (455 km/s toward l = 299°, b = 15°)'
+      },
+      cmbDipole: {
+        reference: 'Planck Collaboration (2020), A&A, 641, A1 (Planck 2018: 3362.08 ± 0.99 μK, ' +
+          'l = 264.021°, b = 48.253°, T0 = 2.7255 K)'
+      }
+    }
+  },
+
+  classic: {
+    id: 'classic',
+    name: 'IAU 1985 + Dehnen & Binney 1998 + WMAP5',
+    description: 'The pre-Gaia standard: IAU galactic constants (R0 = 8.5 kpc, Theta0 = 220 km/s), ' +
+      'the Hipparcos solar motion and the WMAP five-year dipole',
+    levels: {
+      solarOrbit: {
+        galacticOrbit: {
+          circularSpeed: 220,
+          radius: 8.5,
+          peculiar: { U: 10.0, V: 5.25, W: 7.17 }
+        },
+        velocity: 225.6,
+        velocityDescription: '~226 km/s',
+        reference: 'Kerr & Lynden-Bell (1986), MNRAS, 221, 1023 (IAU 1985 constants); ' +
+          'Dehnen & Binney (1998), MNRAS, 298, 387 (U, V, W)'
+      },
+      cmbDipole: {
+        velocity: 369.0,
+        velocityDescription: '~369 km/s (measured total)',
+        coordinates: coordinatesFrom(FRAMES.GALACTIC, 263.99, 48.26, 'Near: Regulus, Hydra'),
+        uncertainty: { velocity: 0.9, direction: 0.14 },
+        reference: 'Hinshaw et al. (2009), ApJS, 180, 225 (WMAP5: 3.355 mK, l = 263.99°, b = 48.26°)'
+      }
+    }
+  },
+
+  maser: {
+    id: 'maser',
+    name: 'Reid 2014 + Tully 2008 + Planck 2018',
+    description: 'Faster Galactic rotation from maser parallaxes (Theta0 = 240 km/s, R0 = 8.34 kpc), ' +
+      'otherwise as the default set',
+    levels: {
+      solarOrbit: {
+        galacticOrbit: {
+          circularSpeed: 240,
+          radius: 8.34
+        },
+        velocity: 252.6,
+        velocityDescription: '~253 km/s',
+        uncertainty: { velocity: 8 },
+        reference: 'Reid et al. (2014), ApJ, 783, 130 (Theta0 = 240 ± 8 km/s, R0 = 8.34 ± 0.16 kpc); ' +
+          'Schoenrich et al. (2010), MNRAS, 403, 1829 (U, V, W)'
+      }
+    }
+  },
+
+  planck2020: {
+    id: 'planck2020',
+    name: 'Schoenrich 2010 + Tully 2008 + Planck PR4',
+    description: 'The CMB dipole from the 2020 Planck PR4 (NPIPE) reprocessing of the LFI and HFI ' +
+      'maps, otherwise as the default set',
+    levels: {
+      cmbDipole: {
+        velocity: 370.31,
+        velocityDescription: '~370 km/s (measured total)',
+        coordinates: coordinatesFrom(FRAMES.GALACTIC, 263.986, 48.247, 'Near: Regulus, Hydra'),
+        uncertainty: { velocity: 0.29, direction: 0.03 },
+        reference: 'Planck Collaboration (2020), A&A, 643, A42 (PR4: 3366.6 ± 2.6 μK, ' +
+          'l = 263.986 ± 0.035°, b = 48.247 ± 0.023°, T0 = 2.7255 K)'
+      }
+    }
+  }
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object'
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Get a parameter set by id (default set when id is null/undefined)
+ * @param {string} id - Key of PARAMETER_SETS
+ * @returns {Object} The parameter set
+ */
+export function getParameterSet(id = DEFAULT_PARAMETER_SET) {
+  const set = PARAMETER_SETS[id ?? DEFAULT_PARAMETER_SET];
+  if (!set) {
+    throw new Error(`Unknown parameter set: ${id} (expected one of ${Object.keys(PARAMETER_SETS).join(', ')})`);
+  }
+  return set;
+}
+
+/**
+ * A level with a parameter set's overrides applied
+ * @param {Object} level - Entry of COSMIC_LEVELS
+ * @param {string} setId - Key of PARAMETER_SETS
+ * @returns {Object} The level itself when no set cites it (levels 0-2, or one from a
+ *   level catalog), otherwise a copy carrying parameterSet (the set its values come
+ *   from: setId, or the default set for levels setId leaves alone) and parameterReference
+ */
+export function resolveLevel(level, setId = DEFAULT_PARAMETER_SET) {
+  const own = getParameterSet(setId).levels[level?.id];
+  const source = own ? setId : DEFAULT_PARAMETER_SET;
+  const override = own ?? PARAMETER_SETS[DEFAULT_PARAMETER_SET].levels[level?.id];
+  if (!override || level.catalog) return level;
+
+  const { reference, ...fields } = override;
+  const resolved = { ...level, parameterSet: source, parameterReference: reference };
+  Object.entries(fields).forEach(([key, value]) => {
+    resolved[key] = isPlainObject(value) && isPlainObject(level[key])
+      ? { ...level[key], ...value }
+      : value;
+  });
+  return resolved;
+}
+
+/**
+ * Levels with a parameter set applied
+ * @param {string} setId - Key of PARAMETER_SETS
+ * @param {Array} levels - Levels to resolve (default: COSMIC_LEVELS; a level catalog's levels)
+ * @returns {Array} Level configurations
+ */
+export function resolveLevels(setId = DEFAULT_PARAMETER_SET, levels = COSMIC_LEVELS) {
+  return levels.map(level => resolveLevel(level, setId));
+}
+
+/**
+ * Values a parameter set changes and where they come from
+ * @param {string} setId - Key of PARAMETER_SETS
+ * @returns {Array} [{ level, id, name, fields, reference }]
+ */
+export function getParameterSetReferences(setId = DEFAULT_PARAMETER_SET) {
+  return Object.entries(getParameterSet(setId).levels).map(([id, override]) => {
+    const level = COSMIC_LEVELS.find(l => l.id === id);
+    const { reference, ...fields } = override;
+    return {
+      level: level?.level,
+      id,
+      name: level?.name ?? id,
+      fields: Object.keys(fields),
+      reference
+    };
+  });
+}
@@ -1,35 +1,65 @@
 // Astronomy
-export { Coordinates } from './astronomy/Coordinates.js';
+export { Coordinates, FRAMES } from './astronomy/Coordinates.js';
 export { StellarCalculations } from './astronomy/StellarCalculations.js';
 export { GalacticCenter } from './astronomy/GalacticCenter.js';
+export { ApparentPlace, COORDINATE_MODES } from './astronomy/ApparentPlace.js';
+export { Refraction, REFRACTION_MODELS } from './astronomy/Refraction.js';
+export { Planets, PLANETS, VISIBLE_PLANETS } from './astronomy/Planets.js';
+export { DeepTime, CALENDARS } from './astronomy/DeepTime.js';
+export { SkyCatalog, SKY_OBJECTS, OBJECT_TYPES } from './astronomy/SkyCatalog.js';
 
 // Motion
+export { ObserverVehicle } from './motion/ObserverVehicle.js';
 export { EarthRotation } from './motion/EarthRotation.js';
 export { EarthOrbit } from './motion/EarthOrbit.js';
+export { EarthMoonWobble } from './motion/EarthMoonWobble.js';
+export { SolarReflex } from './motion/SolarReflex.js';
 export { CosmicMotion } from './motion/CosmicMotion.js';
+export { GalacticOrbit } from './motion/GalacticOrbit.js';
 
 // Math
-export { VectorSum } from './math/VectorSum.js';
+export { VectorSum, REFERENCE_FRAMES, UNCERTAINTY_METHODS, COMPOSITION_MODES } from './math/VectorSum.js';
 
 // Config
 export {
   COSMIC_LEVELS,
   getCosmicLevel,
   getCosmicLevelByNumber,
+  getSubLevels,
   getImplementedLevels,
   getUnimplementedLevels,
   getLevelsUpTo,
   getScaleRange,
-  getCoordinatesForLevel
+  getCoordinatesForLevel,
+  coordinatesFrom
 } from './config/CosmicLevels.js';
 export { LevelManager } from './config/LevelManager.js';
+export {
+  PARAMETER_SETS,
+  DEFAULT_PARAMETER_SET,
+  getParameterSet,
+  resolveLevel,
+  resolveLevels,
+  getParameterSetReferences
+} from './config/ParameterSets.js';
+export {
+  LEVEL_CATALOG_VERSION,
+  validateLevelCatalog,
+  loadLevelCatalog
+} from './config/LevelCatalog.js';
 
 // Calculations
 export {
   calculateCelestialPositions,
+  calculatePlanetPositions,
   calculateMotionVectors,
   calculateVectorSum,
-  calculateAll
+  compareParameterSets,
+  calculateAll,
+  calculateTimeSeries,
+  calculateApexEvents,
+  calculateSpeedExtremes,
+  VERIFICATION_TOLERANCE
 } from './calculations/CelestialCalculations.js';
 
 // Version
@@ -1,4 +1,141 @@
 import { Coordinates } from '../astronomy/Coordinates.js';
+import { StellarCalculations } from '../astronomy/StellarCalculations.js';
+
+/**
+ * Frames the resultant can be reported in (see calculateVectorSum)
+ * - HORIZON: observer-local azimuth/altitude (changes as the Earth turns)
+ * - EQUATORIAL, GALACTIC, SUPERGALACTIC, ECLIPTIC: fixed sky frames (J2000)
+ * - HELIOCENTRIC: ecliptic axes, geocentric levels (rotation, orbit, lunar wobble) excluded,
+ *   i.e. the Sun's own velocity
+ */
+export const REFERENCE_FRAMES = {
+  HORIZON: 'horizon',
+  EQUATORIAL: 'equatorial',
+  GALACTIC: 'galactic',
+  SUPERGALACTIC: 'supergalactic',
+  ECLIPTIC: 'ecliptic',
+  HELIOCENTRIC: 'heliocentric'
+};
+
+/**
+ * Ways VectorSum.getUncertainty propagates level uncertainties
+ * - ANALYTIC: linear propagation of per-vector covariances (fast, default)
+ * - MONTE_CARLO: seeded random sampling of every vector (captures non-linearity)
+ */
+export const UNCERTAINTY_METHODS = {
+  ANALYTIC: 'analytic',
+  MONTE_CARLO: 'montecarlo'
+};
+
+/**
+ * Ways VectorSum combines velocities into the resultant
+ * - GALILEAN: plain vector addition (default; good to v²/c², ~1e-6 at cosmic speeds)
+ * - RELATIVISTIC: Lorentz velocity addition, composed in the order the vectors were
+ *   added, from the smallest frame outward (see VectorSum.compose)
+ */
+export const COMPOSITION_MODES = {
+  GALILEAN: 'galilean',
+  RELATIVISTIC: 'relativistic'
+};
+
+// Speed of light (km/s)
+const SPEED_OF_LIGHT = 299792.458;
+
+const DEFAULT_CONFIDENCE = 0.95;
+const DEFAULT_SAMPLES = 4000;
+const DEFAULT_SEED = 1;
+const OUTLINE_POINTS = 48;
+
+/**
+ * Seeded uniform PRNG (mulberry32) so Monte Carlo results are reproducible
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal deviates from a uniform PRNG (Box-Muller)
+ */
+function createGaussian(random) {
+  return () => {
+    const u = 1 - random(); // (0, 1]
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  };
+}
+
+/**
+ * Two-sided normal quantile for a confidence level, e.g. 0.95 -> 1.96
+ * (Abramowitz & Stegun 26.2.23, |error| < 4.5e-4)
+ */
+function normalQuantile(confidence) {
+  const p = (1 - confidence) / 2;
+  const t = Math.sqrt(-2 * Math.log(p));
+  return t - (2.515517 + 0.802853 * t + 0.010328 * t * t)
+    / (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+}
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+/**
+ * Lorentz factor for a speed in km/s
+ */
+function lorentzFactor(speed) {
+  return 1 / Math.sqrt(1 - (speed / SPEED_OF_LIGHT) ** 2);
+}
+
+/**
+ * Relativistic velocity addition (Jackson 11.4): an object moving at v inside a frame
+ * that itself moves at u, seen from the outer frame:
+ *   w = [u + v/γu + γu/(1 + γu) (u·v) u/c²] / (1 + u·v/c²)
+ * Not commutative when u and v are not parallel.
+ */
+function lorentzAdd(u, v) {
+  const c2 = SPEED_OF_LIGHT * SPEED_OF_LIGHT;
+  const gamma = lorentzFactor(Math.sqrt(dot(u, u)));
+  const uv = dot(u, v);
+  const k = 1 + gamma / (1 + gamma) * uv / c2;
+  const denominator = 1 + uv / c2;
+  return {
+    x: (k * u.x + v.x / gamma) / denominator,
+    y: (k * u.y + v.y / gamma) / denominator,
+    z: (k * u.z + v.z / gamma) / denominator
+  };
+}
+
+/**
+ * Unit vectors along increasing azimuth and increasing altitude at a direction
+ */
+function tangentBasis(azimuth, altitude) {
+  return {
+    east: { x: Math.cos(azimuth), y: -Math.sin(azimuth), z: 0 },
+    up: {
+      x: -Math.sin(altitude) * Math.sin(azimuth),
+      y: -Math.sin(altitude) * Math.cos(azimuth),
+      z: Math.cos(altitude)
+    }
+  };
+}
+
+/**
+ * Project a 3x3 covariance onto two unit vectors: [[a·Ca, a·Cb], [b·Ca, b·Cb]]
+ */
+function projectCovariance(cov, a, b) {
+  const apply = v => ({
+    x: cov[0][0] * v.x + cov[0][1] * v.y + cov[0][2] * v.z,
+    y: cov[1][0] * v.x + cov[1][1] * v.y + cov[1][2] * v.z,
+    z: cov[2][0] * v.x + cov[2][1] * v.y + cov[2][2] * v.z
+  });
+  const ca = apply(a);
+  const cb = apply(b);
+  return [[dot(a, ca), dot(a, cb)], [dot(b, ca), dot(b, cb)]];
+}
 
 /**
  * VectorSum - Mathematical class for 3D velocity vector addition
@@ -19,11 +156,47 @@ import { Coordinates } from '../astronomy/Coordinates.js';
  * - This provides the most scientifically accurate representation of Earth's total motion through space
  */
 export class VectorSum {
-  constructor() {
+  /**
+   * @param {Object} options - { composition: one of COMPOSITION_MODES (default galilean) }
+   */
+  constructor(options = {}) {
+    this.composition = options.composition ?? COMPOSITION_MODES.GALILEAN;
+    if (!Object.values(COMPOSITION_MODES).includes(this.composition)) {
+      throw new Error(`Unknown composition mode: ${this.composition}`);
+    }
     this.vectors = [];
     this.resultant = null;
   }
 
+  /**
+   * Combine Cartesian velocities (km/s, any common axes)
+   *
+   * Relativistic composition treats each velocity as the motion of the previous
+   * frame inside the next one: w = v_n ⊕ (... ⊕ (v_2 ⊕ v_1)), so vectors must be
+   * ordered from the smallest frame (observer) to the largest.
+   *
+   * @param {Array} velocities - [{ x, y, z }] in km/s
+   * @param {string} composition - One of COMPOSITION_MODES
+   * @returns {Object} { x, y, z } in km/s
+   */
+  static compose(velocities, composition = COMPOSITION_MODES.GALILEAN) {
+    if (composition === COMPOSITION_MODES.GALILEAN) {
+      return velocities.reduce(
+        (sum, v) => ({ x: sum.x + v.x, y: sum.y + v.y, z: sum.z + v.z }),
+        { x: 0, y: 0, z: 0 }
+      );
+    }
+    if (composition !== COMPOSITION_MODES.RELATIVISTIC) {
+      throw new Error(`Unknown composition mode: ${composition}`);
+    }
+    velocities.forEach(v => {
+      if (dot(v, v) >= SPEED_OF_LIGHT * SPEED_OF_LIGHT) {
+        throw new Error('Velocities must be below the speed of light for relativistic composition');
+      }
+    });
+    return velocities.reduce((inner, frame) => lorentzAdd(frame, inner), { x: 0, y: 0, z: 0 });
+  }
+
   /**
    * Add a velocity vector to the sum
    * @param {string} name - Human-readable name (e.g., "Earth Rotation")
@@ -85,6 +258,10 @@ export class VectorSum {
 
   /**
    * Calculate the vector sum (resultant) of all added vectors
+   *
+   * Besides the direction and speed, the resultant reports beta (v/c), the Lorentz
+   * factor gamma and galileanDifference: how far the composed resultant is from the
+   * plain vector sum (zero in Galilean mode).
    */
   calculateResultant() {
     if (this.vectors.length === 0) {
@@ -92,25 +269,33 @@ export class VectorSum {
       return;
     }
 
-    // Sum all Cartesian components
-    let sumX = 0, sumY = 0, sumZ = 0;
-
-    this.vectors.forEach(vector => {
-      sumX += vector.cartesian.x;
-      sumY += vector.cartesian.y;
-      sumZ += vector.cartesian.z;
-    });
+    const cartesians = this.vectors.map(vector => vector.cartesian);
+    const galilean = VectorSum.compose(cartesians, COMPOSITION_MODES.GALILEAN);
+    const sum = this.composition === COMPOSITION_MODES.GALILEAN
+      ? galilean
+      : VectorSum.compose(cartesians, this.composition);
 
     // Convert back to spherical coordinates
-    const spherical = this.cartesianToSpherical(sumX, sumY, sumZ);
+    const spherical = this.cartesianToSpherical(sum.x, sum.y, sum.z);
+    const galileanMagnitude = Math.sqrt(dot(galilean, galilean));
+    const cosSeparation = dot(sum, galilean) / (spherical.magnitude * galileanMagnitude);
 
     this.resultant = {
-      cartesian: { x: sumX, y: sumY, z: sumZ },
+      cartesian: sum,
       magnitude: spherical.magnitude,
       azimuth: spherical.azimuth,
       altitude: spherical.altitude,
       azimuthDegrees: Coordinates.toDegrees(spherical.azimuth),
-      altitudeDegrees: Coordinates.toDegrees(spherical.altitude)
+      altitudeDegrees: Coordinates.toDegrees(spherical.altitude),
+      composition: this.composition,
+      beta: spherical.magnitude / SPEED_OF_LIGHT,
+      gamma: lorentzFactor(spherical.magnitude),
+      galileanDifference: {
+        magnitude: spherical.magnitude - galileanMagnitude,
+        separationDegrees: this.composition === COMPOSITION_MODES.GALILEAN
+          ? 0
+          : Coordinates.toDegrees(Math.acos(Math.max(-1, Math.min(1, cosSeparation))))
+      }
     };
   }
 
@@ -178,4 +363,307 @@ export class VectorSum {
       percentage: Math.round((vector.magnitude / this.resultant.magnitude) * 10000) / 100
     }));
   }
+
+  /**
+   * Compare the resultant against a measured reference vector (e.g. the CMB dipole)
+   *
+   * The residual is resultant - reference. Each component's contribution is its
+   * projection onto the residual direction, so component contributions minus the
+   * reference's projection add up to the residual magnitude. residualWithout is the
+   * residual magnitude if that component were left out of the sum.
+   *
+   * @param {Object} reference - { name, magnitude, azimuth, altitude } (radians)
+   * @returns {Object|null} Verification block, or null if no vectors added
+   */
+  verifyAgainst(reference) {
+    if (!this.resultant) {
+      return null;
+    }
+
+    const ref = this.sphericalToCartesian(reference.magnitude, reference.azimuth, reference.altitude);
+    const sum = this.resultant.cartesian;
+    const residual = { x: sum.x - ref.x, y: sum.y - ref.y, z: sum.z - ref.z };
+    const residualMagnitude = Math.sqrt(residual.x ** 2 + residual.y ** 2 + residual.z ** 2);
+
+    // Unit residual direction (zero vector if the sum matches exactly)
+    const unit = residualMagnitude > 0
+      ? { x: residual.x / residualMagnitude, y: residual.y / residualMagnitude, z: residual.z / residualMagnitude }
+      : { x: 0, y: 0, z: 0 };
+
+    const contributions = this.vectors.map(vector => {
+      const c = vector.cartesian;
+      const without = { x: residual.x - c.x, y: residual.y - c.y, z: residual.z - c.z };
+      return {
+        name: vector.name,
+        ...vector.metadata,
+        magnitude: vector.magnitude,
+        alongResidual: dot(c, unit),
+        residualWithout: Math.sqrt(dot(without, without))
+      };
+    });
+
+    const cosSeparation = dot(sum, ref) / (this.resultant.magnitude * reference.magnitude);
+
+    return {
+      reference: {
+        name: reference.name,
+        magnitude: reference.magnitude,
+        azimuthDegrees: Coordinates.toDegrees(reference.azimuth),
+        altitudeDegrees: Coordinates.toDegrees(reference.altitude),
+        alongResidual: -dot(ref, unit)
+      },
+      separationDegrees: Coordinates.toDegrees(Math.acos(Math.max(-1, Math.min(1, cosSeparation)))),
+      magnitudeDifference: this.resultant.magnitude - reference.magnitude,
+      residual: {
+        cartesian: residual,
+        magnitude: residualMagnitude
+      },
+      contributions
+    };
+  }
+
+  /**
+   * Velocity component toward a direction on the sky (a star, planet or body)
+   *
+   * closingSpeed is the resultant projected onto the target direction: positive when
+   * moving toward the target, negative when receding from it. Each vector's own
+   * projection is listed too; in Galilean mode they add up to closingSpeed.
+   *
+   * @param {Object} target - { azimuth, altitude } in radians (as addVector), or J2000
+   *   { ra (hours), dec (degrees) } converted with StellarCalculations.calculateStarLocation
+   * @param {Object} observer - { lat, lon, date, options (calculateStarLocation options) },
+   *   required for an RA/Dec target
+   * @returns {Object|null} { azimuthDegrees, altitudeDegrees (of the target), closingSpeed,
+   *   transverseSpeed (km/s), angleDegrees (between the apex and the target),
+   *   contributions: [{ name, ...metadata, closingSpeed }] }, or null if no vectors added
+   */
+  projectOnto(target, observer = null) {
+    if (!this.resultant) {
+      return null;
+    }
+
+    let { azimuth, altitude } = target ?? {};
+    if (target?.ra != null && target?.dec != null) {
+      if (!observer) {
+        throw new Error('Projecting onto an RA/Dec target needs the observer { lat, lon, date }');
+      }
+      const [altDeg, azDeg] = StellarCalculations.calculateStarLocation(
+        observer.lat, observer.lon, target.ra, target.dec, observer.date, observer.options
+      );
+      azimuth = Coordinates.toRadians(azDeg);
+      altitude = Coordinates.toRadians(altDeg);
+    }
+    if (!Number.isFinite(azimuth) || !Number.isFinite(altitude)) {
+      throw new Error('Projection target needs azimuth and altitude (radians) or ra and dec');
+    }
+
+    const unit = this.sphericalToCartesian(1, azimuth, altitude);
+    const closingSpeed = dot(this.resultant.cartesian, unit);
+    const magnitude = this.resultant.magnitude;
+    const cosAngle = magnitude > 0 ? closingSpeed / magnitude : 1;
+
+    return {
+      azimuthDegrees: ((Coordinates.toDegrees(azimuth) % 360) + 360) % 360,
+      altitudeDegrees: Coordinates.toDegrees(altitude),
+      closingSpeed,
+      transverseSpeed: Math.sqrt(Math.max(0, magnitude * magnitude - closingSpeed * closingSpeed)),
+      angleDegrees: Coordinates.toDegrees(Math.acos(Math.max(-1, Math.min(1, cosAngle)))),
+      contributions: this.vectors.map(vector => ({
+        name: vector.name,
+        ...vector.metadata,
+        closingSpeed: dot(vector.cartesian, unit)
+      }))
+    };
+  }
+
+  /**
+   * Propagate per-vector uncertainties into the resultant
+   *
+   * Vectors carry uncertainty in metadata.uncertainty as { velocity (km/s),
+   * direction (degrees) }, both 1-sigma; direction is the per-axis scatter of the
+   * apex on the sky. Vectors without it are treated as exact. Errors propagate
+   * through the plain vector sum in either composition mode.
+   *
+   * @param {Object} options - { method: one of UNCERTAINTY_METHODS (default analytic),
+   *   confidence (default 0.95), samples and seed (Monte Carlo only) }
+   * @returns {Object|null} { method, confidence, speed: { sigma, interval: [min, max] },
+   *   direction: { sigmaMajor, sigmaMinor, semiMajor, semiMinor, orientation (degrees,
+   *   from up toward increasing azimuth), outline: [{ azimuthDegrees, altitudeDegrees }] } }
+   */
+  getUncertainty(options = {}) {
+    if (!this.resultant || this.resultant.magnitude === 0) {
+      return null;
+    }
+
+    const method = options.method ?? UNCERTAINTY_METHODS.ANALYTIC;
+    const confidence = options.confidence ?? DEFAULT_CONFIDENCE;
+    if (!(confidence > 0 && confidence < 1)) {
+      throw new Error(`Confidence must be between 0 and 1: ${confidence}`);
+    }
+
+    const { magnitude, azimuth, altitude } = this.resultant;
+    const { east, up } = tangentBasis(azimuth, altitude);
+    let speedSigma, tangent;
+
+    if (method === UNCERTAINTY_METHODS.ANALYTIC) {
+      const cov = this.covariance();
+      const unit = this.sphericalToCartesian(1, azimuth, altitude);
+      speedSigma = Math.sqrt(projectCovariance(cov, unit, unit)[0][0]);
+      // Small-angle: transverse scatter / |R| is the angular scatter (radians)
+      tangent = projectCovariance(cov, east, up).map(row => row.map(v => v / (magnitude * magnitude)));
+    } else if (method === UNCERTAINTY_METHODS.MONTE_CARLO) {
+      ({ speedSigma, tangent } = this.sampleResultant(
+        options.samples ?? DEFAULT_SAMPLES,
+        options.seed ?? DEFAULT_SEED,
+        east, up
+      ));
+    } else {
+      throw new Error(`Unknown uncertainty method: ${method}`);
+    }
+
+    // Principal axes of the 2x2 angular covariance
+    const [[a, b], [, d]] = tangent;
+    const mean = (a + d) / 2;
+    const spread = Math.sqrt(((a - d) / 2) ** 2 + b * b);
+    const sigmaMajor = Math.sqrt(Math.max(0, mean + spread));
+    const sigmaMinor = Math.sqrt(Math.max(0, mean - spread));
+    // Angle of the major axis from 'up' toward 'east'
+    const orientation = 0.5 * Math.atan2(2 * b, d - a);
+
+    const speedScale = normalQuantile(confidence);
+    const ellipseScale = Math.sqrt(-2 * Math.log(1 - confidence)); // chi-square, 2 dof
+
+    return {
+      method,
+      confidence,
+      speed: {
+        sigma: speedSigma,
+        interval: [Math.max(0, magnitude - speedScale * speedSigma), magnitude + speedScale * speedSigma]
+      },
+      direction: {
+        sigmaMajor: Coordinates.toDegrees(sigmaMajor),
+        sigmaMinor: Coordinates.toDegrees(sigmaMinor),
+        semiMajor: Coordinates.toDegrees(ellipseScale * sigmaMajor),
+        semiMinor: Coordinates.toDegrees(ellipseScale * sigmaMinor),
+        orientation: Coordinates.toDegrees(orientation),
+        outline: this.ellipseOutline(ellipseScale * sigmaMajor, ellipseScale * sigmaMinor, orientation, east, up)
+      }
+    };
+  }
+
+  /**
+   * Summed 3x3 Cartesian covariance of all vectors (km/s)^2
+   * Each vector contributes speed variance along itself and
+   * (speed * direction sigma)^2 across it.
+   * @returns {Array} 3x3 matrix
+   */
+  covariance() {
+    const cov = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    this.vectors.forEach(vector => {
+      const { velocity = 0, direction = 0 } = vector.metadata.uncertainty ?? {};
+      if (!velocity && !direction) return;
+
+      const u = this.sphericalToCartesian(1, vector.azimuth, vector.altitude);
+      const along = velocity * velocity;
+      const across = (vector.magnitude * Coordinates.toRadians(direction)) ** 2;
+      const components = [u.x, u.y, u.z];
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          const outer = components[i] * components[j];
+          cov[i][j] += along * outer + across * ((i === j ? 1 : 0) - outer);
+        }
+      }
+    });
+    return cov;
+  }
+
+  /**
+   * Monte Carlo: perturb every vector, resum, and measure the scatter of the
+   * resultant speed and of its direction around the nominal resultant
+   * @returns {Object} { speedSigma, tangent (2x2 angular covariance, radians^2) }
+   */
+  sampleResultant(samples, seed, east, up) {
+    const gaussian = createGaussian(createRandom(seed));
+    const speeds = [];
+    let ee = 0, eu = 0, uu = 0;
+
+    for (let n = 0; n < samples; n++) {
+      const sum = { x: 0, y: 0, z: 0 };
+      this.vectors.forEach(vector => {
+        const { velocity = 0, direction = 0 } = vector.metadata.uncertainty ?? {};
+        const sigma = Coordinates.toRadians(direction);
+        const speed = vector.magnitude + velocity * gaussian();
+        // Offset the apex in its own tangent plane, then renormalize
+        const basis = tangentBasis(vector.azimuth, vector.altitude);
+        const u = this.sphericalToCartesian(1, vector.azimuth, vector.altitude);
+        const de = sigma * gaussian();
+        const du = sigma * gaussian();
+        const p = {
+          x: u.x + de * basis.east.x + du * basis.up.x,
+          y: u.y + de * basis.east.y + du * basis.up.y,
+          z: u.z + de * basis.east.z + du * basis.up.z
+        };
+        const norm = Math.sqrt(dot(p, p));
+        sum.x += speed * p.x / norm;
+        sum.y += speed * p.y / norm;
+        sum.z += speed * p.z / norm;
+      });
+
+      const length = Math.sqrt(dot(sum, sum));
+      speeds.push(length);
+      // Gnomonic offsets from the nominal apex
+      const radial = dot(sum, this.sphericalToCartesian(1, this.resultant.azimuth, this.resultant.altitude));
+      const e = dot(sum, east) / radial;
+      const u = dot(sum, up) / radial;
+      ee += e * e;
+      eu += e * u;
+      uu += u * u;
+    }
+
+    const meanSpeed = speeds.reduce((total, v) => total + v, 0) / samples;
+    const speedVariance = speeds.reduce((total, v) => total + (v - meanSpeed) ** 2, 0) / (samples - 1);
+
+    return {
+      speedSigma: Math.sqrt(speedVariance),
+      tangent: [[ee / samples, eu / samples], [eu / samples, uu / samples]]
+    };
+  }
+
+  /**
+   * Horizon-frame points tracing an error ellipse around the resultant
+   * @param {number} semiMajor - Radians
+   * @param {number} semiMinor - Radians
+   * @param {number} orientation - Major axis angle from up toward east (radians)
+   * @returns {Array} [{ azimuthDegrees, altitudeDegrees }]
+   */
+  ellipseOutline(semiMajor, semiMinor, orientation, east, up) {
+    const center = this.sphericalToCartesian(1, this.resultant.azimuth, this.resultant.altitude);
+    const major = {
+      x: Math.cos(orientation) * up.x + Math.sin(orientation) * east.x,
+      y: Math.cos(orientation) * up.y + Math.sin(orientation) * east.y,
+      z: Math.cos(orientation) * up.z + Math.sin(orientation) * east.z
+    };
+    const minor = {
+      x: -Math.sin(orientation) * up.x + Math.cos(orientation) * east.x,
+      y: -Math.sin(orientation) * up.y + Math.cos(orientation) * east.y,
+      z: -Math.sin(orientation) * up.z + Math.cos(orientation) * east.z
+    };
+
+    const outline = [];
+    for (let i = 0; i < OUTLINE_POINTS; i++) {
+      const t = (2 * Math.PI * i) / OUTLINE_POINTS;
+      const m = Math.tan(semiMajor) * Math.cos(t);
+      const n = Math.tan(semiMinor) * Math.sin(t);
+      const point = this.cartesianToSpherical(
+        center.x + m * major.x + n * minor.x,
+        center.y + m * major.y + n * minor.y,
+        center.z + m * major.z + n * minor.z
+      );
+      outline.push({
+        azimuthDegrees: Coordinates.toDegrees(point.azimuth),
+        altitudeDegrees: Coordinates.toDegrees(point.altitude)
+      });
+    }
+    return outline;
+  }
 }
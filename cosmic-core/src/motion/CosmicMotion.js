@@ -1,9 +1,21 @@
 import { StellarCalculations } from '../astronomy/StellarCalculations.js';
+import { Coordinates, FRAMES } from '../astronomy/Coordinates.js';
+
+// Quantities a time-dependent term can change: speed (km/s) and the direction's
+// longitude/latitude in the level's coordinate frame (degrees)
+const TERM_QUANTITIES = ['velocity', 'lon', 'lat'];
 
 /**
  * Generic motion class for simple cosmic motions with constant velocity
  * and fixed RA/Dec coordinates. Used for motions like Solar Orbit,
  * Virgo Cluster Infall, etc. that don't require complex calculations.
+ *
+ * A level may add config.timeDependence = { epoch, terms } to let its speed and
+ * direction evolve: the configured values hold at epoch (Julian year, default
+ * 2000), and each term adds either a linear drift { quantity, rate (per Myr) } or
+ * a periodic term { quantity, amplitude, period (Myr), phase (degrees) } that
+ * contributes amplitude * (sin(2πt/period + phase) - sin(phase)), i.e. nothing at
+ * the epoch. Directions are drifted in config.coordinates.frame.
  */
 export class CosmicMotion {
   constructor(config) {
@@ -12,13 +24,68 @@ export class CosmicMotion {
   }
 
   /**
-   * Get velocity (constant for this motion)
+   * Time since the level's epoch
+   * @param {Date} date - UTC date
+   * @param {Object} options - Calculation options; timeOffset (Myr) shifts the
+   *   evaluation beyond the range of a Date
+   * @returns {number} Myr
+   */
+  elapsedMyr(date = new Date(), options = {}) {
+    const epoch = this.config.timeDependence?.epoch ?? 2000;
+    const years = Coordinates.daysSinceJ2000(date) / 365.25 + 2000 - epoch;
+    return years / 1e6 + (options.timeOffset ?? 0);
+  }
+
+  /**
+   * Sum of the time-dependent terms for one quantity
+   * @param {string} quantity - 'velocity', 'lon' or 'lat'
+   * @param {number} t - Myr since the epoch
+   */
+  termOffset(quantity, t) {
+    return (this.config.timeDependence?.terms ?? [])
+      .filter(term => {
+        if (!TERM_QUANTITIES.includes(term.quantity)) {
+          throw new Error(`Unknown time-dependent quantity: ${term.quantity} (${this.config.id})`);
+        }
+        return term.quantity === quantity;
+      })
+      .reduce((sum, term) => {
+        if (term.period != null) {
+          const phase = Coordinates.toRadians(term.phase ?? 0);
+          return sum + term.amplitude * (Math.sin(2 * Math.PI * t / term.period + phase) - Math.sin(phase));
+        }
+        return sum + term.rate * t;
+      }, 0);
+  }
+
+  /**
+   * Get velocity (constant unless the level has time-dependent terms)
    * @param {number} latitude - Observer's latitude in degrees (not used for simple motions)
    * @param {number} longitude - Observer's longitude in degrees (not used for simple motions)
+   * @param {Date} date - Date the level is evaluated at
+   * @param {Object} options - Calculation options (timeOffset)
    * @returns {number} Velocity in km/s
    */
-  getVelocity(latitude, longitude) {
-    return this.config.velocity;
+  getVelocity(latitude, longitude, date = new Date(), options = {}) {
+    if (!this.config.timeDependence) return this.config.velocity;
+    return this.config.velocity + this.termOffset('velocity', this.elapsedMyr(date, options));
+  }
+
+  /**
+   * J2000 RA/Dec of the motion, with any time-dependent drift applied
+   * @returns {Object} { ra (hours), dec (degrees) }
+   */
+  getTargetRaDec(date = new Date(), options = {}) {
+    const { coordinates, timeDependence } = this.config;
+    if (!timeDependence || !coordinates.frame) {
+      return { ra: coordinates.ra, dec: coordinates.dec };
+    }
+
+    const t = this.elapsedMyr(date, options);
+    const lat = Math.max(-90, Math.min(90, coordinates.lat + this.termOffset('lat', t)));
+    const lon = coordinates.lon + this.termOffset('lon', t);
+    const equatorial = Coordinates.convertFrame(lon, lat, coordinates.frame, FRAMES.EQUATORIAL);
+    return { ra: equatorial.lon / 15, dec: equatorial.lat };
   }
 
   /**
@@ -26,17 +93,21 @@ export class CosmicMotion {
    * @param {number} latitude - Observer's latitude in degrees
    * @param {number} longitude - Observer's longitude in degrees
    * @param {Date} date - Current date for coordinate calculations
+   * @param {Object} options - Calculation options (e.g. coordinateMode, timeOffset)
    * @returns {Object} Direction info with azimuth and altitude
    */
-  getDirection(latitude, longitude, date) {
+  getDirection(latitude, longitude, date, options = {}) {
+    const { ra, dec } = this.getTargetRaDec(date, options);
+
     // Convert RA/Dec to azimuth/altitude using existing stellar calculations
     // calculateStarLocation returns [altitude, azimuth] in degrees
     const location = StellarCalculations.calculateStarLocation(
       latitude,
       longitude,
-      this.config.coordinates.ra, // RA in hours
-      this.config.coordinates.dec, // Dec in degrees
-      date
+      ra, // RA in hours
+      dec, // Dec in degrees
+      date,
+      options
     );
 
     // Convert to radians for consistency with other motion classes
@@ -0,0 +1,106 @@
+import { Coordinates } from '../astronomy/Coordinates.js';
+import { StellarCalculations } from '../astronomy/StellarCalculations.js';
+import { Refraction } from '../astronomy/Refraction.js';
+
+// SunCalc: use globalThis (browser sets window.SunCalc via <script>), fall back to npm package in Node.js
+const SunCalc = globalThis.SunCalc ?? (await import('suncalc')).default;
+
+// Moon / (Earth + Moon) mass ratio (IAU: Earth/Moon = 81.3006)
+const MOON_MASS_FRACTION = 1 / (1 + 81.3006);
+
+// Half-width of the central difference used to differentiate the Moon's position
+const STEP_SECONDS = 1800;
+
+/**
+ * Motion of Earth's centre around the Earth-Moon barycentre.
+ *
+ * The barycentre (not the geocentre) follows the Keplerian orbit of level 2;
+ * Earth swings around it once a month, ~4,670 km out, always opposite the Moon.
+ * Its velocity is the Moon's geocentric velocity scaled by -m_Moon / (m_Earth + m_Moon),
+ * about 12 m/s.
+ */
+export class EarthMoonWobble {
+  constructor() {
+    this.massFraction = MOON_MASS_FRACTION;
+  }
+
+  /**
+   * Geocentric Moon position as a J2000 equatorial vector
+   * @returns {Array} [x, y, z] in km
+   */
+  moonVector(date, options) {
+    // SunCalc's moon position is geocentric; any observer gives the same vector
+    const position = SunCalc.getMoonPosition(date, 0, 0);
+    const { ra, dec } = StellarCalculations.calculateRaDec(
+      0, 0,
+      Coordinates.toDegrees(position.azimuth + Math.PI), // SunCalc azimuth is south-based
+      Coordinates.toDegrees(Refraction.removeSunCalcRefraction(position.altitude)),
+      date,
+      options
+    );
+    return Coordinates.sphericalToVector(ra * 15, dec).map(c => c * position.distance);
+  }
+
+  /**
+   * Velocity of Earth's centre relative to the barycentre
+   * @param {Date} date - UTC date
+   * @param {Object} options - Calculation options (coordinateMode)
+   * @returns {Object} { speed (km/s), ra (hours), dec (degrees) } J2000 direction
+   */
+  getBarycentricVelocity(date = new Date(), options = {}) {
+    const before = this.moonVector(new Date(date.getTime() - STEP_SECONDS * 1000), options);
+    const after = this.moonVector(new Date(date.getTime() + STEP_SECONDS * 1000), options);
+
+    const velocity = before.map((c, i) => -this.massFraction * (after[i] - c) / (2 * STEP_SECONDS));
+    const { lon, lat } = Coordinates.vectorToSpherical(velocity);
+
+    return {
+      speed: Math.sqrt(velocity[0] ** 2 + velocity[1] ** 2 + velocity[2] ** 2),
+      ra: lon / 15,
+      dec: lat
+    };
+  }
+
+  /**
+   * Wobble speed for a date (the same for all observers)
+   * @param {number} latitude - Observer's latitude in degrees (not used)
+   * @param {number} longitude - Observer's longitude in degrees (not used)
+   * @param {Date} date - UTC date (default: now)
+   * @returns {number} Velocity in km/s (~0.012)
+   */
+  getVelocity(latitude, longitude, date = new Date()) {
+    return this.getBarycentricVelocity(date).speed;
+  }
+
+  /**
+   * Sky direction of the wobble velocity
+   * @param {number} latitude  Observer latitude (degrees)
+   * @param {number} longitude Observer longitude (degrees)
+   * @param {Date}   date      UTC date/time
+   * @param {Object} options   Calculation options (coordinateMode, refraction)
+   * @returns {Object} { azimuth, altitude } in radians
+   */
+  getDirection(latitude, longitude, date = new Date(), options = {}) {
+    const { ra, dec } = this.getBarycentricVelocity(date, options);
+    const [altitude, azimuth] = StellarCalculations.calculateStarLocation(latitude, longitude, ra, dec, date, options);
+
+    return {
+      azimuth: Coordinates.toRadians(azimuth),
+      altitude: Coordinates.toRadians(altitude),
+      description: 'Earth around the Earth-Moon barycentre (opposite the Moon\'s motion)'
+    };
+  }
+
+  /**
+   * Get info about the barycentre wobble
+   */
+  getInfo() {
+    return {
+      name: 'Earth-Moon Barycentre Wobble',
+      speed: '~12 m/s',
+      period: '27.3 days',
+      direction: 'Opposite the Moon\'s orbital motion',
+      description: 'Earth circles the Earth-Moon barycentre, ~4,670 km from its centre, once a month.'
+    };
+  }
+}
@@ -1,82 +1,113 @@
-import { Coordinates } from '../astronomy/Coordinates.js';
+import { Coordinates, FRAMES } from '../astronomy/Coordinates.js';
+import { StellarCalculations } from '../astronomy/StellarCalculations.js';
+import { DeepTime } from '../astronomy/DeepTime.js';
+
+// Heliocentric gravitational constant (km^3/s^2) and astronomical unit (km)
+const GM_SUN = 1.32712440018e11;
+const AU = 1.495978707e8;
 
 export class EarthOrbit {
   constructor() {
-    // Earth's orbital speed around the Sun: ~30 km/s
-    this.orbitalSpeed = 29.8; // km/s
-    // Obliquity of ecliptic (axial tilt)
-    this.obliquity = Coordinates.toRadians(23.44); // ~23.44 degrees
+    // Mean orbital speed sqrt(GM/a) for a = 1 AU: ~29.78 km/s
+    this.meanSpeed = Math.sqrt(GM_SUN / AU); // km/s
   }
 
   /**
-   * Calculate orbital velocity (constant regardless of observer position)
+   * Keplerian state of Earth's orbit for a date (Meeus, Astronomical Algorithms, ch. 25).
+   * Closed form, no Kepler iteration: the equation of centre series is accurate to
+   * ~0.01° for Earth's small eccentricity, which keeps this cheap to call every frame.
+   * @param {Date} date - UTC date
+   * @param {Object} options - Calculation options; deepTime evaluates the series in TT
+   * @returns {Object} { speed (km/s), distance (AU), trueAnomaly, flightPathAngle,
+   *   longitude (Earth's heliocentric ecliptic longitude), apexLongitude (ecliptic
+   *   longitude of the velocity), all angles in degrees, J2000 ecliptic }
+   */
+  getOrbitalState(date = new Date(), options = {}) {
+    const T = options.deepTime
+      ? DeepTime.julianCenturiesTT(date)
+      : Coordinates.daysSinceJ2000(date) / 36525;
+
+    // Sun's geometric mean longitude and mean anomaly, eccentricity (mean equinox of date)
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+    const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+    const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+
+    const Mrad = Coordinates.toRadians(M);
+    const center = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(Mrad)
+                 + (0.019993 - 0.000101 * T) * Math.sin(2 * Mrad)
+                 + 0.000289 * Math.sin(3 * Mrad);
+
+    const nu = Coordinates.toRadians(M + center);
+    const cosNu = Math.cos(nu);
+    const sinNu = Math.sin(nu);
+
+    // Vis-viva for a = 1 AU: v = sqrt(GM/a) * sqrt((1 + e^2 + 2e cos(nu)) / (1 - e^2))
+    const speed = this.meanSpeed * Math.sqrt((1 + e * e + 2 * e * cosNu) / (1 - e * e));
+    const distance = (1 - e * e) / (1 + e * cosNu);
+
+    // Flight-path angle: tilt of the velocity away from the local circular direction,
+    // positive while receding from the Sun (perihelion -> aphelion)
+    const gamma = Math.atan2(e * sinNu, 1 + e * cosNu);
+
+    // Earth's heliocentric longitude is opposite the Sun's geocentric longitude;
+    // refer it to the J2000 equinox by removing the general precession in longitude
+    // (IAU 2006: ~0.01397° per year, plus a quadratic term that matters over millennia)
+    const sunLongitude = L0 + center - (5028.796195 * T + 1.1054348 * T * T) / 3600;
+    const longitude = sunLongitude + 180;
+
+    // Velocity = 90° ahead of the radius vector, tilted outward by gamma
+    const apexLongitude = longitude + 90 - Coordinates.toDegrees(gamma);
+
+    return {
+      speed,
+      distance,
+      trueAnomaly: Coordinates.toDegrees(nu),
+      flightPathAngle: Coordinates.toDegrees(gamma),
+      longitude: ((longitude % 360) + 360) % 360,
+      apexLongitude: ((apexLongitude % 360) + 360) % 360
+    };
+  }
+
+  /**
+   * Orbital speed for a date: ~30.29 km/s at perihelion (early January),
+   * ~29.29 km/s at aphelion (early July). The same for all observers.
    * @param {number} latitude - Observer's latitude in degrees (not used for orbital motion)
    * @param {number} longitude - Observer's longitude in degrees (not used for orbital motion)
+   * @param {Date} date - UTC date (default: now)
+   * @param {Object} options - Calculation options (deepTime)
    * @returns {number} Velocity in km/s
    */
-  getVelocity(latitude, longitude) {
-    // Earth's orbital velocity is constant for all observers on Earth
-    return this.orbitalSpeed;
+  getVelocity(latitude, longitude, date = new Date(), options = {}) {
+    return this.getOrbitalState(date, options).speed;
   }
 
   /**
    * Get the apparent sky direction of Earth's orbital velocity vector.
    *
-   * IMPORTANT PHYSICAL NOTES:
-   * - First-order geometric approximation of Earth's orbital velocity direction.
-   * - Assumes circular orbit in the ecliptic plane.
-   * - Velocity vector is approximated as 90 ahead of the Sun's true ecliptic longitude.
-   * - True elliptical orbit deviates by up to ~1 seasonally.
-   *
-   * RETURNS:
-   * - azimuth / altitude in observer's LOCAL HORIZON FRAME
-   * - Suitable for visualization / HUDs
-   * - Not for high-precision astrometry
+   * The apex lies in the ecliptic about 90° behind the Sun's longitude, offset by
+   * the flight-path angle (up to ~1°) of the elliptical orbit. It is converted to
+   * J2000 RA/Dec and placed on the sky like any catalogue direction, so the coordinate
+   * mode applies as for the other levels.
    *
    * @param {number} latitude  Observer latitude (degrees)
    * @param {number} longitude Observer longitude (degrees)
    * @param {Date}   date      UTC date/time
-   * @returns {Object} { azimuth, altitude }
+   * @param {Object} options   Calculation options (coordinateMode, refraction, deepTime)
+   * @returns {Object} { azimuth, altitude } in radians, plus flightPathAngle (degrees)
    */
-  getDirection(latitude, longitude, date = new Date()) {
-
-    const eps = this.obliquity; // obliquity of ecliptic (radians)
-
-    // Days since J2000 (includes fractional day)
-    const d = Coordinates.daysSinceJ2000(date);
-
-    // Sun's mean longitude / anomaly (low-order approximation)
-    const L = Coordinates.toRadians(280.460 + 0.9856474 * d);
-    const g = Coordinates.toRadians(357.528 + 0.9856003 * d);
-
-    // Sun's true ecliptic longitude
-    const lambda = L + Coordinates.toRadians(1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g));
-
-    // Apex: tangent to orbit, 90 ahead of Sun
-    let lambdaApex = (lambda + Math.PI / 2) % (2 * Math.PI);
-
-    // Convert to equatorial coordinates (RA/Dec)
-    const { ra, dec } = Coordinates.eclipticToEquatorial(lambdaApex, 0, eps);
-
-    const latRad = Coordinates.toRadians(latitude);
-
-    // Local Sidereal Time (LST) -- fractional day included in 'd', no UT added
-    const lstDeg = Coordinates.localSiderealTime(d, longitude);
-    const lstRad = Coordinates.toRadians(lstDeg);
-
-    // Hour angle, normalized to [-pi, pi]
-    let ha = lstRad - ra;
-    ha = ((ha + Math.PI) % (2 * Math.PI)) - Math.PI;
+  getDirection(latitude, longitude, date = new Date(), options = {}) {
+    const state = this.getOrbitalState(date, options);
+    const { lon, lat } = Coordinates.convertFrame(state.apexLongitude, 0, FRAMES.ECLIPTIC, FRAMES.EQUATORIAL);
 
-    // Equatorial -> horizontal coordinates
-    const horizontal = Coordinates.equatorialToHorizontal(ha, dec, latRad);
+    const [altitude, azimuth] = StellarCalculations.calculateStarLocation(
+      latitude, longitude, lon / 15, lat, date, options
+    );
 
     return {
-      azimuth: horizontal.azimuth,
-      // Flip altitude for Three.js / A-Frame Y-up coordinate system
-      // Not sure about the sign on this. It looks right but not sure it's correct
-      altitude: -horizontal.altitude,
-      description: "Approximate Earth orbital velocity direction (tangent to ecliptic)"
+      azimuth: Coordinates.toRadians(azimuth),
+      altitude: Coordinates.toRadians(altitude),
+      flightPathAngle: state.flightPathAngle,
+      description: 'Earth orbital velocity direction (Keplerian, tangent to the ellipse)'
     };
   }
 
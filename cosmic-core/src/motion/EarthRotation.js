@@ -1,3 +1,6 @@
+// Equatorial radius (km, WGS84)
+const EARTH_RADIUS = 6378.137;
+
 export class EarthRotation {
   constructor() {
     // Earth's rotational speed at equator: ~0.5 km/s (1,700 km/hr)
@@ -5,27 +8,30 @@ export class EarthRotation {
   }
 
   /**
-   * Calculate rotational velocity at given latitude
+   * Calculate rotational velocity at given latitude and height
    * @param {number} latitude - Observer's latitude in degrees
    * @param {number} longitude - Observer's longitude in degrees (not used for rotation)
+   * @param {Date} date - Current date (not used for rotation)
+   * @param {Object} options - Calculation options; observer.altitude (m above sea level)
+   *   raises the radius of the circle the observer is carried around
    * @returns {number} Velocity in km/s
    */
-  getVelocity(latitude, longitude) {
+  getVelocity(latitude, longitude, date, options = {}) {
     // Convert latitude to radians
     const latRad = latitude * Math.PI / 180;
-    
-    // Velocity = equatorial speed * cos(latitude)
+
+    // Velocity = equatorial speed * cos(latitude) * (R + h) / R
     // At equator (lat=0): full speed
     // At poles (lat=±90): zero speed
-    const velocity = this.equatorialSpeed * Math.cos(latRad);
-    
-    return Math.round(velocity * 100) / 100;
+    // An airliner at 11 km is carried ~0.8 m/s faster than the ground below it
+    const altitude = (options.observer?.altitude ?? 0) / 1000; // km
+    return this.equatorialSpeed * Math.cos(latRad) * (EARTH_RADIUS + altitude) / EARTH_RADIUS;
   }
 
   /**
    * Get direction of rotation (always eastward)
    * @param {number} latitude - Observer's latitude in degrees (not used for rotation direction)
-   * @param {number} longitude - Observer's longitude in degrees (not used for rotation direction)  
+   * @param {number} longitude - Observer's longitude in degrees (not used for rotation direction)
    * @param {Date} date - Current date (not used for rotation direction)
    * @returns {Object} Direction info
    */
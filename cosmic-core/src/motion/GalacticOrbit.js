@@ -0,0 +1,99 @@
+import { Coordinates, FRAMES } from '../astronomy/Coordinates.js';
+import { CosmicMotion } from './CosmicMotion.js';
+
+// km/s in pc per Myr
+const PC_PER_MYR = 1.0227;
+
+/**
+ * The Sun's orbit in the Milky Way: circular rotation of the Local Standard of
+ * Rest (LSR) plus the Sun's peculiar motion (U toward the Galactic centre, V along
+ * the rotation, W toward the north Galactic pole).
+ *
+ * Configured by config.galacticOrbit = { circularSpeed (km/s), radius (kpc),
+ * peculiar: { U, V, W } (km/s at the epoch), vertical: { height (pc at the epoch),
+ * period (Myr) } }. Over time the in-plane velocity turns toward the Galactic
+ * centre at the angular speed Omega = circularSpeed / radius, and W follows a
+ * harmonic oscillation through the disk: z = Z sin(wt + phi), W = Z w cos(wt + phi),
+ * with amplitude and phase fixed by today's height and W. Epicyclic motion in the
+ * plane is left out, so U and V keep their present values.
+ */
+export class GalacticOrbit extends CosmicMotion {
+  /**
+   * Vertical oscillation through the disk
+   * @returns {Object} { amplitude (pc), period (Myr), phase (degrees at the epoch) }
+   */
+  getVerticalOscillation() {
+    const { peculiar, vertical } = this.config.galacticOrbit;
+    const omega = 2 * Math.PI / vertical.period; // per Myr
+    const w0 = peculiar.W * PC_PER_MYR; // pc/Myr
+    return {
+      amplitude: Math.hypot(vertical.height, w0 / omega),
+      period: vertical.period,
+      phase: Coordinates.toDegrees(Math.atan2(vertical.height * omega, w0))
+    };
+  }
+
+  /**
+   * Velocity split into LSR rotation and peculiar motion for a date
+   * @param {Date} date - UTC date
+   * @param {Object} options - Calculation options (timeOffset)
+   * @returns {Object} { lsr, U, V, W (km/s), height (pc above the plane),
+   *   verticalPhase and orbitalTurn (degrees since the epoch), speed (km/s),
+   *   vector: [x, y, z] galactic Cartesian km/s (x toward l = 0, z toward the NGP) }
+   */
+  getComponents(date = new Date(), options = {}) {
+    const { circularSpeed, radius, peculiar } = this.config.galacticOrbit;
+    const t = this.elapsedMyr(date, options);
+
+    const { amplitude, period, phase } = this.getVerticalOscillation();
+    const angle = 2 * Math.PI * t / period + Coordinates.toRadians(phase);
+    const height = amplitude * Math.sin(angle);
+    const W = amplitude * (2 * Math.PI / period) * Math.cos(angle) / PC_PER_MYR;
+
+    // The orbit turns the rotation direction toward the Galactic centre (l decreasing)
+    const turn = circularSpeed / radius * PC_PER_MYR / 1000 * t; // radians
+    const inPlane = [peculiar.U, circularSpeed + peculiar.V];
+    const cos = Math.cos(turn);
+    const sin = Math.sin(turn);
+    const vector = [
+      inPlane[0] * cos + inPlane[1] * sin,
+      -inPlane[0] * sin + inPlane[1] * cos,
+      W
+    ];
+
+    return {
+      lsr: circularSpeed,
+      U: peculiar.U,
+      V: peculiar.V,
+      W,
+      height,
+      verticalPhase: ((Coordinates.toDegrees(angle) % 360) + 360) % 360,
+      orbitalTurn: Coordinates.toDegrees(turn),
+      speed: Math.hypot(...vector),
+      vector
+    };
+  }
+
+  /**
+   * Speed relative to the Galactic centre
+   * @param {number} latitude - Observer's latitude in degrees (not used)
+   * @param {number} longitude - Observer's longitude in degrees (not used)
+   * @param {Date} date - Date the orbit is evaluated at
+   * @param {Object} options - Calculation options (timeOffset)
+   * @returns {number} Velocity in km/s
+   */
+  getVelocity(latitude, longitude, date = new Date(), options = {}) {
+    return this.getComponents(date, options).speed;
+  }
+
+  /**
+   * J2000 RA/Dec of the summed velocity
+   * @returns {Object} { ra (hours), dec (degrees) }
+   */
+  getTargetRaDec(date = new Date(), options = {}) {
+    const { vector } = this.getComponents(date, options);
+    const equatorial = Coordinates.rotateVector(vector, FRAMES.GALACTIC, FRAMES.EQUATORIAL);
+    const { lon, lat } = Coordinates.vectorToSpherical(equatorial);
+    return { ra: lon / 15, dec: lat };
+  }
+}
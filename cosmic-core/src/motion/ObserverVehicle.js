@@ -0,0 +1,63 @@
+import { Coordinates } from '../astronomy/Coordinates.js';
+
+/**
+ * Motion of the observer over the ground: walking, driving, sailing or flying.
+ *
+ * Unlike the other levels this one has no fixed physics: speed and heading come
+ * from the calculation options (options.observer), entered by hand or taken from
+ * the Geolocation API (coords.speed in m/s, coords.heading in degrees from true
+ * north). Without a ground speed the level is skipped.
+ */
+export class ObserverVehicle {
+  /**
+   * Whether the options carry a usable ground velocity
+   * @param {Object} options - Calculation options
+   * @returns {boolean}
+   */
+  isAvailable(options = {}) {
+    const { speed, heading } = options.observer ?? {};
+    return Number.isFinite(speed) && speed > 0 && Number.isFinite(heading);
+  }
+
+  /**
+   * Ground speed of the observer
+   * @param {number} latitude - Observer's latitude in degrees (not used)
+   * @param {number} longitude - Observer's longitude in degrees (not used)
+   * @param {Date} date - UTC date (not used)
+   * @param {Object} options - Calculation options with observer.speed (m/s)
+   * @returns {number} Velocity in km/s
+   */
+  getVelocity(latitude, longitude, date, options = {}) {
+    return this.isAvailable(options) ? options.observer.speed / 1000 : 0;
+  }
+
+  /**
+   * Direction of travel: the heading, along the horizon
+   * @param {number} latitude  Observer latitude (degrees, not used)
+   * @param {number} longitude Observer longitude (degrees, not used)
+   * @param {Date}   date      UTC date/time (not used)
+   * @param {Object} options   Calculation options with observer.heading (degrees from true north)
+   * @returns {Object} { azimuth, altitude } in radians
+   */
+  getDirection(latitude, longitude, date, options = {}) {
+    const heading = options.observer?.heading ?? 0;
+    return {
+      azimuth: Coordinates.toRadians(((heading % 360) + 360) % 360),
+      altitude: 0, // Horizontal
+      description: 'Observer ground track'
+    };
+  }
+
+  /**
+   * Get info about the observer's own motion
+   */
+  getInfo() {
+    return {
+      name: 'Observer Vehicle',
+      speed: '0-0.25 km/s (walking to airliner)',
+      period: 'None',
+      direction: 'Heading over the ground',
+      description: 'Your own motion over Earth\'s surface, from GPS or entered by hand.'
+    };
+  }
+}
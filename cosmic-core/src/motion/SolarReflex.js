@@ -0,0 +1,98 @@
+import { Coordinates, FRAMES } from '../astronomy/Coordinates.js';
+import { StellarCalculations } from '../astronomy/StellarCalculations.js';
+import { Planets, PLANETS } from '../astronomy/Planets.js';
+
+/**
+ * Motion of the Sun around the Solar System barycentre.
+ *
+ * Momentum balance: the Sun's barycentric velocity is
+ *   v_Sun = -sum(m_i v_i) / (M_Sun + sum(m_i))
+ * with v_i the heliocentric planet velocities. Jupiter alone gives ~12.5 m/s and
+ * Saturn ~2.8 m/s; the total wanders between ~9 and ~16 m/s over their 20-year
+ * synodic cycle.
+ */
+export class SolarReflex {
+  constructor() {
+    this.planetIds = Object.keys(PLANETS);
+    const planetMass = this.planetIds.reduce((sum, id) => sum + 1 / PLANETS[id].sunMassRatio, 0);
+    this.totalMass = 1 + planetMass; // in solar masses
+  }
+
+  /**
+   * Mass-weighted sum of a planetary state vector, negated: the Sun's
+   * barycentric position or velocity
+   */
+  reflex(date, key) {
+    const sum = [0, 0, 0];
+    this.planetIds.forEach(id => {
+      const state = Planets.heliocentricState(id, date)[key];
+      const mass = 1 / PLANETS[id].sunMassRatio;
+      for (let i = 0; i < 3; i++) sum[i] += mass * state[i];
+    });
+    return sum.map(c => -c / this.totalMass);
+  }
+
+  /**
+   * Sun's position relative to the barycentre, J2000 ecliptic axes
+   * @param {Date} date - UTC date
+   * @returns {Array} [x, y, z] in AU
+   */
+  getBarycentricPosition(date = new Date()) {
+    return this.reflex(date, 'position');
+  }
+
+  /**
+   * Sun's velocity relative to the barycentre, J2000 ecliptic axes
+   * @param {Date} date - UTC date
+   * @returns {Array} [x, y, z] in km/s
+   */
+  getBarycentricVelocity(date = new Date()) {
+    return this.reflex(date, 'velocity');
+  }
+
+  /**
+   * Reflex speed for a date (the same for all observers)
+   * @param {number} latitude - Observer's latitude in degrees (not used)
+   * @param {number} longitude - Observer's longitude in degrees (not used)
+   * @param {Date} date - UTC date (default: now)
+   * @returns {number} Velocity in km/s (~0.013)
+   */
+  getVelocity(latitude, longitude, date = new Date()) {
+    const [x, y, z] = this.getBarycentricVelocity(date);
+    return Math.sqrt(x * x + y * y + z * z);
+  }
+
+  /**
+   * Sky direction of the Sun's barycentric velocity
+   * @param {number} latitude  Observer latitude (degrees)
+   * @param {number} longitude Observer longitude (degrees)
+   * @param {Date}   date      UTC date/time
+   * @param {Object} options   Calculation options (coordinateMode, refraction)
+   * @returns {Object} { azimuth, altitude } in radians
+   */
+  getDirection(latitude, longitude, date = new Date(), options = {}) {
+    const velocity = this.getBarycentricVelocity(date);
+    const equatorial = Coordinates.rotateVector(velocity, FRAMES.ECLIPTIC, FRAMES.EQUATORIAL);
+    const { lon, lat } = Coordinates.vectorToSpherical(equatorial);
+    const [altitude, azimuth] = StellarCalculations.calculateStarLocation(latitude, longitude, lon / 15, lat, date, options);
+
+    return {
+      azimuth: Coordinates.toRadians(azimuth),
+      altitude: Coordinates.toRadians(altitude),
+      description: 'Sun around the Solar System barycentre (reflex of Jupiter and Saturn)'
+    };
+  }
+
+  /**
+   * Get info about the Sun's reflex motion
+   */
+  getInfo() {
+    return {
+      name: 'Solar System Barycentre Reflex',
+      speed: '~9-16 m/s',
+      period: '~11.9 years (Jupiter), modulated by Saturn over ~20 years',
+      direction: 'Opposite the momentum of the planets, mostly Jupiter\'s',
+      description: 'The Sun circles the Solar System barycentre, up to ~2 solar radii away.'
+    };
+  }
+}
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import { strictEqual, deepStrictEqual, throws, ok } from 'node:assert';
+import { StellarCalculations } from '../src/astronomy/StellarCalculations.js';
+import { calculateApexEvents, calculateVectorSum } from '../src/calculations/CelestialCalculations.js';
+
+function assertClose(actual, expected, tolerance = 0.01) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const LAT = 53.35;
+const LON = -6.26;
+const START = new Date(Date.UTC(2025, 0, 1));
+const END = new Date(Date.UTC(2025, 0, 2));
+const J2000 = { coordinateMode: 'j2000' };
+const SIDEREAL = 0.9972696; // solar hours per sidereal hour
+
+const types = result => result.events.map(event => event.type);
+const find = (result, type) => result.events.find(event => event.type === type);
+
+describe('StellarCalculations.riseTransitSet', () => {
+  it('matches the spherical-astronomy rise, transit and set of a star', () => {
+    // Regulus: RA 10.1395h, Dec +11.967°
+    const result = StellarCalculations.riseTransitSet(LAT, LON, 10.1395, 11.967, START, END, J2000);
+    const transit = find(result, 'transit');
+    assertClose(transit.altitudeDegrees, 90 - (LAT - 11.967), 0.01);
+    assertClose(transit.azimuthDegrees, 180, 0.05);
+
+    // Semi-diurnal arc: cos H0 = -tan(lat) tan(dec)
+    const rad = Math.PI / 180;
+    const h0 = Math.acos(-Math.tan(LAT * rad) * Math.tan(11.967 * rad)) / rad / 15 * SIDEREAL; // hours
+    const rise = find(result, 'rise');
+    const set = find(result, 'set');
+    // Either the rise before or the set after the transit may fall on the previous/next day
+    const arc = rise.time < transit.time ? (transit.time - rise.time) : (set.time - transit.time);
+    assertClose(arc / 3600000, h0, 1 / 60);
+    assertClose(rise.altitudeDegrees, 0, 0.001);
+  });
+
+  it('reports circumpolar and never-rising directions without crossings', () => {
+    const polaris = StellarCalculations.riseTransitSet(LAT, LON, 2.53, 89.26, START, END, J2000);
+    ok(polaris.alwaysUp);
+    ok(!types(polaris).includes('rise'));
+
+    const southern = StellarCalculations.riseTransitSet(LAT, LON, 6.4, -52.7, START, END, J2000);
+    ok(southern.neverUp);
+    ok(southern.highest.altitudeDegrees < 0);
+  });
+
+  it('finds a transit in the first or last sample interval', () => {
+    const full = find(StellarCalculations.riseTransitSet(LAT, LON, 10.1395, 11.967, START, END, J2000), 'transit');
+    const window = (before, after) => StellarCalculations.riseTransitSet(LAT, LON, 10.1395, 11.967,
+      new Date(full.time.getTime() - before * 60000), new Date(full.time.getTime() + after * 60000), J2000);
+
+    // Starts 3 minutes before the transit: the first two samples already straddle it
+    const early = window(3, 120);
+    deepStrictEqual(types(early), ['transit']);
+    assertClose(find(early, 'transit').time.getTime(), full.time.getTime(), 2000);
+    assertClose(early.highest.altitudeDegrees, full.altitudeDegrees, 1e-6);
+
+    // Ends 4 minutes after it: the last two samples straddle it
+    const late = window(124, 4);
+    deepStrictEqual(types(late), ['transit']);
+    assertClose(find(late, 'transit').time.getTime(), full.time.getTime(), 2000);
+
+    // Ends before it: still climbing, no transit
+    deepStrictEqual(types(window(120, -1)), []);
+  });
+
+  it('marks a culmination near the zenith', () => {
+    const overhead = StellarCalculations.riseTransitSet(LAT, LON, 12, LAT + 0.3, START, END, J2000);
+    deepStrictEqual(types(overhead).filter(type => type !== 'rise' && type !== 'set'), ['transit', 'zenith']);
+    const strict = StellarCalculations.riseTransitSet(LAT, LON, 12, LAT + 0.3, START, END, { ...J2000, zenithTolerance: 0.1 });
+    ok(!types(strict).includes('zenith'));
+  });
+});
+
+describe('calculateApexEvents', () => {
+  it('finds events for the levels and the resultant over a day', () => {
+    const result = calculateApexEvents(LAT, LON, { start: START });
+    strictEqual(result.end.getTime(), END.getTime());
+
+    // Earth rotation always points due east on the horizon: nothing happens
+    const rotation = result.levels.find(level => level.id === 'earthRotation');
+    deepStrictEqual(rotation.events, []);
+    ok(!rotation.alwaysUp && !rotation.neverUp);
+
+    // The resultant's transit is its highest point of the day
+    const transit = find(result.resultant, 'transit');
+    const before = calculateVectorSum(LAT, LON, new Date(transit.time.getTime() - 600000)).resultant;
+    const at = calculateVectorSum(LAT, LON, transit.time).resultant;
+    assertClose(at.altitudeDegrees, transit.altitudeDegrees, 1e-6);
+    ok(before.altitudeDegrees < transit.altitudeDegrees);
+
+    // Sky-fixed levels transit once a day, at most
+    result.levels.filter(level => level.level >= 4).forEach(level => {
+      ok(types(level).filter(type => type === 'transit').length <= 1, level.id);
+    });
+  });
+
+  it('limits the search to chosen levels and skips an empty resultant', () => {
+    const result = calculateApexEvents(LAT, LON, { start: START, levels: ['virgoPull'] }, 8, { activeLevels: [] });
+    deepStrictEqual(result.levels.map(level => level.id), ['virgoPull']);
+    strictEqual(result.resultant, null);
+  });
+
+  it('treats the levels and the resultant alike with refraction on: geometric', () => {
+    const plain = calculateApexEvents(LAT, LON, { start: START });
+    const refracted = calculateApexEvents(LAT, LON, { start: START }, 8, { refraction: true });
+    const times = result => result.events.map(event => event.time.getTime());
+    deepStrictEqual(times(refracted.resultant), times(plain.resultant));
+    plain.levels.forEach((level, i) => {
+      strictEqual(refracted.levels[i].id, level.id);
+      deepStrictEqual(times(refracted.levels[i]), times(level), level.id);
+    });
+    ok(types(refracted.levels.find(level => level.id === 'virgoPull')).includes('rise'));
+  });
+
+  it('rejects a missing or reversed range', () => {
+    throws(() => calculateApexEvents(LAT, LON, {}), /need a start Date/);
+    throws(() => calculateApexEvents(LAT, LON, { start: END, end: START }), /need a start Date before the end Date/);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import { strictEqual, throws } from 'node:assert';
+import { ApparentPlace, COORDINATE_MODES } from '../src/astronomy/ApparentPlace.js';
+import { StellarCalculations } from '../src/astronomy/StellarCalculations.js';
+
+function assertClose(actual, expected, tolerance = 0.0001) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const ARCSEC = 1 / 3600;
+
+// Meeus, Astronomical Algorithms, examples 21.b and 23.a: theta Persei, 2028 Nov 13.19
+const THETA_PER_RA = 41.054063;
+const THETA_PER_DEC = 49.227750;
+const EXAMPLE_DATE = new Date(Date.UTC(2028, 10, 13, 4, 33, 36));
+
+describe('ApparentPlace', () => {
+  it('precession is the identity at J2000', () => {
+    const { ra, dec } = ApparentPlace.precess(THETA_PER_RA, THETA_PER_DEC, 0);
+    assertClose(ra, THETA_PER_RA, 1e-9);
+    assertClose(dec, THETA_PER_DEC, 1e-9);
+  });
+
+  it('precession matches Meeus example 21.b', () => {
+    const { ra, dec } = ApparentPlace.precess(THETA_PER_RA, THETA_PER_DEC, 0.288670500);
+    assertClose(ra, 41.547214, 1e-5);
+    assertClose(dec, 49.348483, 1e-5);
+  });
+
+  it('nutation matches Meeus example 23.a within truncation error', () => {
+    const T = ApparentPlace.julianCenturies(EXAMPLE_DATE);
+    const { deltaPsi, deltaEpsilon, trueObliquity } = ApparentPlace.nutation(T);
+    assertClose(deltaPsi, 14.861 * ARCSEC, 0.5 * ARCSEC);
+    assertClose(deltaEpsilon, 2.705 * ARCSEC, 0.5 * ARCSEC);
+    assertClose(trueObliquity, 23.436, 0.001);
+  });
+
+  it('aberration matches Meeus example 23.a', () => {
+    const T = ApparentPlace.julianCenturies(EXAMPLE_DATE);
+    const mean = ApparentPlace.precess(THETA_PER_RA, THETA_PER_DEC, T);
+    const { deltaRa, deltaDec } = ApparentPlace.aberrationOffset(mean.ra, mean.dec, T);
+    assertClose(deltaRa, 30.045 * ARCSEC, 0.1 * ARCSEC);
+    assertClose(deltaDec, 6.697 * ARCSEC, 0.1 * ARCSEC);
+  });
+
+  it('j2000 mode returns catalogue coordinates unchanged', () => {
+    const { ra, dec } = ApparentPlace.apparentPosition(17.7611, -28.992, EXAMPLE_DATE, COORDINATE_MODES.J2000);
+    strictEqual(ra, 17.7611);
+    strictEqual(dec, -28.992);
+  });
+
+  it('rejects unknown coordinate modes', () => {
+    throws(() => ApparentPlace.apparentPosition(0, 0, EXAMPLE_DATE, 'b1950'));
+  });
+
+  it('correction for Sgr A* in 2025 is about a third of a degree', () => {
+    const correction = ApparentPlace.correctionAngle(17.7611, -28.992, new Date(Date.UTC(2025, 0, 1, 12)));
+    assertClose(correction, 0.35, 0.05);
+  });
+
+  it('calculateStarLocation differs between modes by the correction size', () => {
+    const date = new Date(Date.UTC(2025, 0, 1, 12));
+    const apparent = StellarCalculations.calculateStarLocation(53.35, -6.26, 12.514, 12.39, date);
+    const mean = StellarCalculations.calculateStarLocation(53.35, -6.26, 12.514, 12.39, date, { coordinateMode: COORDINATE_MODES.J2000 });
+    const diff = Math.abs(apparent[0] - mean[0]) + Math.abs(apparent[1] - mean[1]);
+    if (diff < 0.05 || diff > 1) {
+      throw new Error(`Expected apparent/J2000 alt+az difference between 0.05° and 1°, got ${diff}`);
+    }
+  });
+
+  it('meanPosition inverts apparentPosition', () => {
+    const apparent = ApparentPlace.apparentPosition(THETA_PER_RA / 15, THETA_PER_DEC, EXAMPLE_DATE);
+    const { ra, dec } = ApparentPlace.meanPosition(apparent.ra, apparent.dec, EXAMPLE_DATE);
+    assertClose(ra, THETA_PER_RA / 15, 1e-8);
+    assertClose(dec, THETA_PER_DEC, 1e-7);
+  });
+
+  it('calculateRaDec inverts calculateStarLocation', () => {
+    const date = new Date(Date.UTC(2025, 0, 1, 12));
+    const [alt, az] = StellarCalculations.calculateStarLocation(53.35, -6.26, 11.196, -6.944, date);
+    const { ra, dec } = StellarCalculations.calculateRaDec(53.35, -6.26, az, alt, date);
+    assertClose(ra, 11.196, 1e-8);
+    assertClose(dec, -6.944, 1e-7);
+  });
+});
@@ -1,11 +1,12 @@
 import { describe, it } from 'node:test';
-import { strictEqual } from 'node:assert';
+import { strictEqual, deepStrictEqual, throws } from 'node:assert';
 import {
   calculateCelestialPositions,
   calculateMotionVectors,
   calculateVectorSum,
   calculateAll
 } from '../src/calculations/CelestialCalculations.js';
+import { Coordinates } from '../src/astronomy/Coordinates.js';
 
 function assertClose(actual, expected, tolerance = 0.5) {
   if (Math.abs(actual - expected) > tolerance) {
@@ -35,9 +36,30 @@ describe('calculateCelestialPositions', () => {
 });
 
 describe('calculateMotionVectors', () => {
-  it('returns 8 vectors', () => {
+  it('returns 8 levels plus the level 2 sub-levels', () => {
     const vectors = calculateMotionVectors(LAT, LON, DATE);
-    strictEqual(vectors.length, 8);
+    strictEqual(vectors.length, 10);
+    strictEqual(vectors.filter(v => !v.subLevel).length, 8);
+    deepStrictEqual(vectors.filter(v => v.subLevel).map(v => v.id), ['earthMoonWobble', 'solarReflex']);
+  });
+
+  it('Earth-Moon wobble is ~12 m/s and enabled with level 2', () => {
+    const vectors = calculateMotionVectors(LAT, LON, DATE);
+    const wobble = vectors.find(v => v.id === 'earthMoonWobble');
+    strictEqual(wobble.level, 2);
+    assertClose(wobble.velocity, 0.0124, 0.0015);
+    strictEqual(calculateVectorSum(LAT, LON, DATE, 1).activeVectors.length, 1);
+    strictEqual(calculateVectorSum(LAT, LON, DATE, 2).activeVectors.length, 4);
+  });
+
+  it('level 0 appears only when the observer has a ground velocity', () => {
+    strictEqual(calculateMotionVectors(LAT, LON, DATE).some(v => v.level === 0), false);
+
+    const options = { observer: { speed: 30, heading: 90 } };
+    const vehicle = calculateMotionVectors(LAT, LON, DATE, options).find(v => v.level === 0);
+    strictEqual(vehicle.id, 'observerVehicle');
+    strictEqual(vehicle.geocentric, true);
+    assertClose(vehicle.velocity, 0.03, 1e-12);
   });
 
   it('all vectors are implemented with no errors', () => {
@@ -88,8 +110,38 @@ describe('calculateVectorSum', () => {
     if (hasCmb) {
       throw new Error('CMB dipole should be excluded from vector sum (isVerification=true)');
     }
-    // Should have 7 active vectors (levels 1-7), not 8
-    strictEqual(activeVectors.length, 7);
+    // Should have 9 active vectors (levels 1-7 and the two level 2 sub-levels), not 10
+    strictEqual(activeVectors.length, 9);
+  });
+
+  it('a moving observer adds level 0 to every sum but not to the CMB check', () => {
+    const options = { observer: { speed: 250, heading: 0, altitude: 11000 } };
+    const level1 = calculateVectorSum(LAT, LON, DATE, 1, options);
+    strictEqual(level1.activeVectors.length, 2);
+    // 250 m/s north plus ~0.28 km/s east
+    assertClose(level1.resultant.magnitude, Math.hypot(0.25, level1.activeVectors[1].velocity), 1e-9);
+
+    const still = calculateVectorSum(LAT, LON, DATE, 8);
+    const moving = calculateVectorSum(LAT, LON, DATE, 8, options);
+    strictEqual(moving.activeVectors.length, still.activeVectors.length + 1);
+    strictEqual(moving.verification.contributions.length, still.verification.contributions.length);
+  });
+
+  it('activeLevels picks levels out of the sum', () => {
+    const subset = calculateVectorSum(LAT, LON, DATE, 8, { activeLevels: ['virgoPull', 'localVoidPush'] });
+    deepStrictEqual(subset.activeVectors.map(v => v.id), ['localVoidPush', 'virgoPull']);
+
+    const vectors = calculateMotionVectors(LAT, LON, DATE);
+    const [voidPush, virgo] = ['localVoidPush', 'virgoPull'].map(id => vectors.find(v => v.id === id));
+    const cos = Math.cos(Coordinates.toRadians(Coordinates.angleBetweenPoints(
+      virgo.direction.azimuthDegrees, virgo.direction.altitudeDegrees,
+      voidPush.direction.azimuthDegrees, voidPush.direction.altitudeDegrees)));
+    assertClose(subset.resultant.magnitude,
+      Math.sqrt(virgo.velocity ** 2 + voidPush.velocity ** 2 + 2 * virgo.velocity * voidPush.velocity * cos), 1e-6);
+
+    // maxLevel still cuts off above it
+    strictEqual(calculateVectorSum(LAT, LON, DATE, 5, { activeLevels: ['virgoPull', 'localVoidPush'] }).activeVectors.length, 1);
+    strictEqual(calculateVectorSum(LAT, LON, DATE, 8, { activeLevels: [] }).resultant, null);
   });
 
   it('full vector sum (levels 1-7) is in the right ballpark for CMB dipole', () => {
@@ -102,6 +154,138 @@ describe('calculateVectorSum', () => {
   });
 });
 
+describe('calculateVectorSum frames', () => {
+  it('defaults to the horizon frame', () => {
+    const { resultant, frameResultant } = calculateVectorSum(LAT, LON, DATE, 8);
+    strictEqual(frameResultant.frame, 'horizon');
+    assertClose(frameResultant.magnitude, resultant.magnitude, 1e-9);
+    assertClose(frameResultant.lat, resultant.altitudeDegrees, 1e-9);
+  });
+
+  it('sky-frame resultant is fixed while the horizon resultant turns', () => {
+    const later = new Date(DATE.getTime() + 6 * 3600 * 1000);
+    const a = calculateVectorSum(LAT, LON, DATE, 8, { frame: 'galactic' }).frameResultant;
+    const b = calculateVectorSum(LAT, LON, later, 8, { frame: 'galactic' }).frameResultant;
+    // Only Earth rotation (~0.3 km/s) changes direction on the sky over six hours
+    assertClose(a.lon, b.lon, 0.2);
+    assertClose(a.lat, b.lat, 0.2);
+
+    const h1 = calculateVectorSum(LAT, LON, DATE, 8).resultant;
+    const h2 = calculateVectorSum(LAT, LON, later, 8).resultant;
+    if (Math.abs(h1.azimuthDegrees - h2.azimuthDegrees) < 10) {
+      throw new Error('Expected horizon azimuth to change over six hours');
+    }
+  });
+
+  it('magnitude is the same in every frame', () => {
+    const horizon = calculateVectorSum(LAT, LON, DATE, 8).resultant.magnitude;
+    for (const frame of ['equatorial', 'galactic', 'supergalactic', 'ecliptic']) {
+      const { frameResultant } = calculateVectorSum(LAT, LON, DATE, 8, { frame });
+      assertClose(frameResultant.magnitude, horizon, 0.2);
+    }
+  });
+
+  it('galactic resultant of levels 1-7 points near the CMB dipole (l=264°, b=+48°)', () => {
+    const { frameResultant } = calculateVectorSum(LAT, LON, DATE, 8, { frame: 'galactic' });
+    assertClose(frameResultant.lon, 264, 10);
+    assertClose(frameResultant.lat, 48, 10);
+  });
+
+  it('heliocentric frame drops Earth rotation, orbit and lunar wobble', () => {
+    const { frameResultant } = calculateVectorSum(LAT, LON, DATE, 8, { frame: 'heliocentric' });
+    strictEqual(frameResultant.vectorCount, 6);
+  });
+
+  it('ignores refraction when converting to a sky frame', () => {
+    const plain = calculateVectorSum(LAT, LON, DATE, 8, { frame: 'equatorial' }).frameResultant;
+    const refracted = calculateVectorSum(LAT, LON, DATE, 8, { frame: 'equatorial', refraction: true }).frameResultant;
+    assertClose(refracted.lon, plain.lon, 1e-9);
+    assertClose(refracted.lat, plain.lat, 1e-9);
+  });
+
+  it('rejects unknown frames', () => {
+    throws(() => calculateVectorSum(LAT, LON, DATE, 8, { frame: 'cartesian' }));
+  });
+});
+
+describe('calculateVectorSum over deep time', () => {
+  const vectorAt = (timeOffset, id) =>
+    calculateMotionVectors(LAT, LON, DATE, { timeOffset }).find(v => v.id === id);
+
+  it('the Milky Way falls faster toward M31 and the Local Void push grows', () => {
+    assertClose(vectorAt(1000, 'localGroupMotion').velocity - vectorAt(0, 'localGroupMotion').velocity, 18, 0.01);
+    assertClose(vectorAt(1000, 'localVoidPush').velocity - vectorAt(0, 'localVoidPush').velocity, 9.6, 0.01);
+  });
+
+  it('the solar apex turns with the galactic orbit', () => {
+    const now = vectorAt(0, 'solarOrbit').direction;
+    const before = vectorAt(-10, 'solarOrbit').direction;
+    const separation = Coordinates.angleBetweenPoints(
+      now.azimuthDegrees, now.altitudeDegrees, before.azimuthDegrees, before.altitudeDegrees
+    );
+    // 16° of orbital turn plus under 0.2° of vertical swing
+    assertClose(separation, 16, 0.3);
+  });
+});
+
+describe('calculateVectorSum composition', () => {
+  it('relativistic sum differs from the Galilean one by well under 1 m/s', () => {
+    const galilean = calculateVectorSum(LAT, LON, DATE, 8);
+    const relativistic = calculateVectorSum(LAT, LON, DATE, 8, { composition: 'relativistic' });
+    strictEqual(relativistic.resultant.composition, 'relativistic');
+    const difference = relativistic.resultant.magnitude - galilean.resultant.magnitude;
+    assertClose(relativistic.resultant.galileanDifference.magnitude, difference, 1e-9);
+    if (!(difference !== 0 && Math.abs(difference) < 0.001)) {
+      throw new Error(`Unexpected relativistic correction ${difference} km/s`);
+    }
+  });
+
+  it('a 0.5c vehicle dominates the composed resultant', () => {
+    const options = { composition: 'relativistic', observer: { speed: 0.5 * 299792458, heading: 0 } };
+    const { resultant } = calculateVectorSum(LAT, LON, DATE, 8, options);
+    // Lorentz addition does not depend on the axes it is done in
+    const { frameResultant } = calculateVectorSum(LAT, LON, DATE, 8, { ...options, frame: 'galactic' });
+    assertClose(frameResultant.magnitude, resultant.magnitude, resultant.magnitude * 1e-6);
+    if (!(resultant.beta > 0.49 && resultant.beta < 0.51)) {
+      throw new Error(`Expected beta near 0.5, got ${resultant.beta}`);
+    }
+  });
+});
+
+describe('calculateVectorSum verification', () => {
+  it('compares the heliocentric sum with the CMB dipole', () => {
+    const { verification } = calculateVectorSum(LAT, LON, DATE, 8);
+    strictEqual(verification.level, 8);
+    // Levels 3-7 plus the Sun's barycentric reflex (level 2 sub-level)
+    strictEqual(verification.contributions.length, 6);
+    assertClose(verification.reference.magnitude, 369.82, 0.01);
+    if (verification.separationDegrees > 10) {
+      throw new Error(`Expected sum within 10° of the dipole, got ${verification.separationDegrees}°`);
+    }
+    strictEqual(verification.withinTolerance, true);
+  });
+
+  it('contributions add up to the residual magnitude', () => {
+    const { verification } = calculateVectorSum(LAT, LON, DATE, 8);
+    const total = verification.contributions.reduce((sum, c) => sum + c.alongResidual, 0)
+      + verification.reference.alongResidual;
+    assertClose(total, verification.residual.magnitude, 1e-9);
+  });
+
+  it('does not depend on observer place', () => {
+    const dublin = calculateVectorSum(LAT, LON, DATE, 8).verification;
+    const sydney = calculateVectorSum(-33.87, 151.21, DATE, 8).verification;
+    assertClose(sydney.separationDegrees, dublin.separationDegrees, 1e-6);
+    assertClose(sydney.residual.magnitude, dublin.residual.magnitude, 1e-6);
+  });
+
+  it('applies custom tolerances', () => {
+    const { verification } = calculateVectorSum(LAT, LON, DATE, 8, { verificationTolerance: { separationDegrees: 1 } });
+    strictEqual(verification.tolerance.magnitude, 50);
+    strictEqual(verification.withinTolerance, false);
+  });
+});
+
 describe('calculateAll', () => {
   it('returns input, celestialBodies, motionVectors, vectorSum', () => {
     const result = calculateAll(LAT, LON, DATE, 8);
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
-import { strictEqual } from 'node:assert';
-import { Coordinates } from '../src/astronomy/Coordinates.js';
+import { strictEqual, throws } from 'node:assert';
+import { Coordinates, FRAMES } from '../src/astronomy/Coordinates.js';
+import { COSMIC_LEVELS } from '../src/config/CosmicLevels.js';
 
 function assertClose(actual, expected, tolerance = 0.0001) {
   if (Math.abs(actual - expected) > tolerance) {
@@ -78,3 +79,69 @@ describe('Coordinates', () => {
     assertClose(altitude, Math.PI / 2, 0.01);
   });
 });
+
+describe('Coordinate frames', () => {
+  it('horizontalToEquatorial inverts calculateAltitude/calculateAzimuth', () => {
+    const lat = Coordinates.toRadians(53.35);
+    const dec = Coordinates.toRadians(-20);
+    const ha = Coordinates.toRadians(300);
+    const alt = Coordinates.calculateAltitude(lat, dec, ha);
+    const az = Coordinates.calculateAzimuth(lat, dec, alt, ha);
+    const result = Coordinates.horizontalToEquatorial(az, alt, lat);
+    assertClose(result.ha, ha, 1e-9);
+    assertClose(result.dec, dec, 1e-9);
+  });
+
+  it('galactic north pole is at RA 192.859°, Dec +27.128°', () => {
+    const { ra, dec } = Coordinates.galacticToEquatorial(0, 90);
+    assertClose(ra, 192.85948, 0.0001);
+    assertClose(dec, 27.12825, 0.0001);
+  });
+
+  it('galactic center (l=0, b=0) is at RA 266.405°, Dec -28.936°', () => {
+    const { ra, dec } = Coordinates.galacticToEquatorial(0, 0);
+    assertClose(ra, 266.40500, 0.001);
+    assertClose(dec, -28.93617, 0.001);
+  });
+
+  it('equatorialToGalactic inverts galacticToEquatorial', () => {
+    const { ra, dec } = Coordinates.galacticToEquatorial(264.021, 48.253);
+    const { l, b } = Coordinates.equatorialToGalactic(ra, dec);
+    assertClose(l, 264.021, 1e-6);
+    assertClose(b, 48.253, 1e-6);
+  });
+
+  it('supergalactic north pole is at galactic l = 47.37°, b = +6.32°', () => {
+    const { sgb } = Coordinates.galacticToSupergalactic(47.37, 6.32);
+    assertClose(sgb, 90, 0.001);
+    const { l, b } = Coordinates.supergalacticToGalactic(0, 0);
+    assertClose(l, 137.37, 0.001);
+    assertClose(b, 0, 0.001);
+  });
+
+  it('ecliptic pole is at RA 270°, Dec +66.56°', () => {
+    const { lon, lat } = Coordinates.convertFrame(0, 90, FRAMES.ECLIPTIC, FRAMES.EQUATORIAL);
+    assertClose(lon, 270, 0.001);
+    assertClose(lat, 66.5607, 0.001);
+  });
+
+  it('equatorialToEcliptic inverts eclipticToEquatorial', () => {
+    const eps = Coordinates.toRadians(23.44);
+    const { lambda, beta } = Coordinates.equatorialToEcliptic(1.2, 0.3, eps);
+    const { ra, dec } = Coordinates.eclipticToEquatorial(lambda, beta, eps);
+    assertClose(ra, 1.2, 1e-9);
+    assertClose(dec, 0.3, 1e-9);
+  });
+
+  it('rejects unknown frames', () => {
+    throws(() => Coordinates.convertFrame(0, 0, FRAMES.GALACTIC, 'heliocentric'));
+  });
+
+  it('level RA/Dec is computed from the source frame', () => {
+    const cmb = COSMIC_LEVELS.find(level => level.id === 'cmbDipole');
+    strictEqual(cmb.coordinates.frame, FRAMES.GALACTIC);
+    const { l, b } = Coordinates.equatorialToGalactic(cmb.coordinates.ra * 15, cmb.coordinates.dec);
+    assertClose(l, 264.021, 1e-6);
+    assertClose(b, 48.253, 1e-6);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import { strictEqual, throws } from 'node:assert';
+import { DeepTime, CALENDARS } from '../src/astronomy/DeepTime.js';
+import { ApparentPlace } from '../src/astronomy/ApparentPlace.js';
+import { StellarCalculations } from '../src/astronomy/StellarCalculations.js';
+import { Coordinates } from '../src/astronomy/Coordinates.js';
+
+function assertClose(actual, expected, tolerance = 0.0001) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const J2000 = new Date(Date.UTC(2000, 0, 1, 12));
+
+// Stonehenge, and Thuban (alpha Draconis, J2000), the pole star of the pyramid builders
+const STONEHENGE = { lat: 51.1789, lon: -1.8262 };
+const THUBAN_RA = 14.0731;
+const THUBAN_DEC = 64.3758;
+
+describe('DeepTime', () => {
+  describe('calendar', () => {
+    it('Julian day of J2000.0 and of the Julian period epoch', () => {
+      strictEqual(DeepTime.julianDay(J2000), 2451545);
+      strictEqual(DeepTime.calendarToJulianDay({ year: 2000, month: 1, day: 1, hour: 12 }), 2451545);
+      strictEqual(DeepTime.calendarToJulianDay({ year: -4712, month: 1, day: 1, hour: 12 }), 0);
+    });
+
+    it('matches Meeus example 7.a and the reverse example 7.c', () => {
+      strictEqual(DeepTime.calendarToJulianDay({ year: -1000, month: 7, day: 12, hour: 12 }), 1356001);
+      const c = DeepTime.julianDayToCalendar(1355866.5);
+      strictEqual(c.year, -1000);
+      strictEqual(c.month, 2);
+      strictEqual(c.day, 29); // leap day: every fourth year in the Julian calendar
+      strictEqual(c.calendar, CALENDARS.JULIAN);
+    });
+
+    it('switches calendar at the Gregorian reform in auto mode', () => {
+      const before = DeepTime.calendarToJulianDay({ year: 1582, month: 10, day: 4 });
+      const after = DeepTime.calendarToJulianDay({ year: 1582, month: 10, day: 15 });
+      strictEqual(after - before, 1);
+    });
+
+    it('agrees with Date for proleptic Gregorian dates', () => {
+      const date = new Date(Date.UTC(2000, 0, 1));
+      date.setUTCFullYear(-2999);
+      const fromCalendar = DeepTime.fromCalendar({ year: -2999, month: 1, day: 1 }, CALENDARS.GREGORIAN);
+      strictEqual(fromCalendar.getTime(), date.getTime());
+    });
+
+    it('round-trips a BCE date through parse, Date and format', () => {
+      const parts = DeepTime.parseCalendarDate('3000 BCE-06-21 04:30');
+      strictEqual(parts.year, -2999);
+      const date = DeepTime.fromCalendar(parts);
+      strictEqual(DeepTime.formatCalendarDate(date), '3000 BCE-06-21 04:30:00 UT (Julian)');
+      strictEqual(DeepTime.parseCalendarDate('-2999-06-21T04:30').year, -2999);
+      strictEqual(DeepTime.parseCalendarDate('AD 1066-10-14').year, 1066);
+    });
+
+    it('knows the leap years of each calendar', () => {
+      strictEqual(DeepTime.parseCalendarDate('2024-02-29').day, 29);
+      strictEqual(DeepTime.parseCalendarDate('2000-02-29').day, 29);
+      // 1900 and 1500 are leap years only in the Julian calendar
+      throws(() => DeepTime.parseCalendarDate('1900-02-29'), /out of range/);
+      strictEqual(DeepTime.parseCalendarDate('1900-02-29', CALENDARS.JULIAN).day, 29);
+      strictEqual(DeepTime.parseCalendarDate('1500-02-29').day, 29);
+      throws(() => DeepTime.parseCalendarDate('1500-02-29', CALENDARS.GREGORIAN), /out of range/);
+      // Astronomical year -2999 (3000 BCE) is not divisible by 4, year 0 (1 BCE) is
+      throws(() => DeepTime.parseCalendarDate('3000 BCE-02-29'), /out of range/);
+      strictEqual(DeepTime.parseCalendarDate('1 BCE-02-29').year, 0);
+      strictEqual(DeepTime.daysInMonth(2025, 12), 31);
+    });
+
+    it('rejects malformed dates and unknown calendars', () => {
+      throws(() => DeepTime.parseCalendarDate('June 3000 BC'), /Unrecognised date/);
+      throws(() => DeepTime.parseCalendarDate('0 BCE-01-01'), /not a valid era year/);
+      throws(() => DeepTime.parseCalendarDate('2000-13-01'), /out of range/);
+      throws(() => DeepTime.parseCalendarDate('2025-02-31'), /out of range/);
+      throws(() => DeepTime.parseCalendarDate('2025-04-31'), /out of range/);
+      throws(() => DeepTime.parseCalendarDate('2025-02-29'), /out of range/);
+      throws(() => DeepTime.parseCalendarDate('2000-01-01', 'mayan'), /Unknown calendar/);
+      throws(() => DeepTime.calendarToJulianDay({ year: 2000, month: 1, day: 1 }, 'mayan'), /Unknown calendar/);
+    });
+  });
+
+  describe('time scales', () => {
+    it('ΔT matches the Espenak & Meeus values', () => {
+      assertClose(DeepTime.deltaT(J2000), 63.86, 0.01);
+      assertClose(DeepTime.deltaT(new Date(Date.UTC(1900, 0, 1))), -2.79, 0.1);
+      // Morrison & Stephenson parabola: ~20.6 hours in 3000 BCE
+      const bronzeAge = DeepTime.fromCalendar({ year: -2999, month: 1, day: 1 });
+      assertClose(DeepTime.deltaT(bronzeAge) / 3600, 20.6, 0.1);
+    });
+
+    it('ΔT is continuous across the -500 boundary', () => {
+      const before = DeepTime.fromCalendar({ year: -501, month: 12, day: 31 });
+      const after = DeepTime.fromCalendar({ year: -500, month: 1, day: 2 });
+      assertClose(DeepTime.deltaT(before), DeepTime.deltaT(after), 5);
+    });
+
+    it('sidereal time agrees with the linear formula near J2000', () => {
+      const d = Coordinates.daysSinceJ2000(J2000);
+      assertClose(DeepTime.greenwichMeanSiderealTime(J2000), Coordinates.localSiderealTime(d, 0), 0.001);
+    });
+  });
+
+  describe('long-term precession', () => {
+    it('matches the SOFA iauLtp reference matrix for 1666.666', () => {
+      const m = DeepTime.precessionMatrix((1666.666 - 2000) / 100);
+      assertClose(m[0][0], 0.9967044141159213819, 1e-12);
+      assertClose(m[0][1], 0.7437801893193210840e-1, 1e-12);
+      assertClose(m[0][2], 0.3237624409345603401e-1, 1e-12);
+      assertClose(m[1][0], -0.7437802731819618167e-1, 1e-12);
+      assertClose(m[2][0], -0.3237622482766575399e-1, 1e-12);
+      assertClose(m[2][2], 0.9994750246704010914, 1e-12);
+    });
+
+    it('agrees with IAU 1976 precession over a few centuries', () => {
+      const deep = DeepTime.precess(41.054063, 49.227750, 0.288670500);
+      const meeus = ApparentPlace.precess(41.054063, 49.227750, 0.288670500);
+      assertClose(deep.ra, meeus.ra, 1 / 3600);
+      assertClose(deep.dec, meeus.dec, 1 / 3600);
+    });
+
+    it('puts Thuban near the celestial pole around 2800 BCE', () => {
+      const T = DeepTime.julianCenturiesTT(DeepTime.fromCalendar({ year: -2829, month: 1, day: 1 }));
+      const { dec } = DeepTime.precess(THUBAN_RA * 15, THUBAN_DEC, T);
+      assertClose(dec, 90, 0.5);
+    });
+
+    it('apparentPosition and meanPosition are inverses', () => {
+      const date = DeepTime.fromCalendar({ year: -2999, month: 6, day: 21 });
+      const apparent = DeepTime.apparentPosition(6.5, -20, date);
+      const mean = DeepTime.meanPosition(apparent.ra, apparent.dec, date);
+      assertClose(mean.ra, 6.5, 1e-6);
+      assertClose(mean.dec, -20, 1e-5);
+    });
+  });
+
+  describe('deepTime option', () => {
+    it('Thuban stands at the latitude of Stonehenge all night in 2830 BCE', () => {
+      const evening = DeepTime.fromCalendar({ year: -2829, month: 9, day: 21, hour: 18 });
+      const dawn = DeepTime.fromCalendar({ year: -2829, month: 9, day: 22, hour: 6 });
+      [evening, dawn].forEach(date => {
+        const [altitude] = StellarCalculations.calculateStarLocation(
+          STONEHENGE.lat, STONEHENGE.lon, THUBAN_RA, THUBAN_DEC, date, { deepTime: true }
+        );
+        assertClose(altitude, STONEHENGE.lat, 0.5);
+      });
+    });
+
+    it('changes nothing measurable for present-day dates', () => {
+      const date = new Date(Date.UTC(2024, 5, 21, 22));
+      const standard = StellarCalculations.calculateStarLocation(STONEHENGE.lat, STONEHENGE.lon, 17.7611, -28.992, date);
+      const deep = StellarCalculations.calculateStarLocation(STONEHENGE.lat, STONEHENGE.lon, 17.7611, -28.992, date, { deepTime: true });
+      assertClose(deep[0], standard[0], 0.01);
+      assertClose(deep[1], standard[1], 0.01);
+    });
+
+    it('calculateRaDec inverts calculateStarLocation', () => {
+      const date = DeepTime.fromCalendar({ year: -2999, month: 6, day: 21, hour: 4 });
+      const options = { deepTime: true };
+      const [alt, az] = StellarCalculations.calculateStarLocation(STONEHENGE.lat, STONEHENGE.lon, 5.5, 10, date, options);
+      const { ra, dec } = StellarCalculations.calculateRaDec(STONEHENGE.lat, STONEHENGE.lon, az, alt, date, options);
+      assertClose(ra, 5.5, 1e-5);
+      assertClose(dec, 10, 1e-4);
+    });
+  });
+});
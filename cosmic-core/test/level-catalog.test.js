@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test';
+import { strictEqual, deepStrictEqual, throws, ok } from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { loadLevelCatalog, validateLevelCatalog } from '../src/config/LevelCatalog.js';
+import { COSMIC_LEVELS, getCosmicLevel } from '../src/config/CosmicLevels.js';
+import { resolveLevels } from '../src/config/ParameterSets.js';
+import { LevelManager } from '../src/config/LevelManager.js';
+import { calculateMotionVectors, calculateVectorSum } from '../src/calculations/CelestialCalculations.js';
+
+function assertClose(actual, expected, tolerance = 0.01) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const LAT = 53.35;
+const LON = -6.26;
+const DATE = new Date(Date.UTC(2025, 0, 1, 12));
+
+const EXAMPLE = readFileSync(new URL('../../docs/level-catalog.example.json', import.meta.url), 'utf8');
+
+// A new outermost level toward the Shapley Concentration
+const shapley = (fields = {}) => ({
+  id: 'shapleyPull',
+  level: 9,
+  name: 'Shapley Pull',
+  frame: 'galactic',
+  direction: { lon: 312, lat: 31, description: 'Shapley Concentration' },
+  velocity: 50,
+  uncertainty: { velocity: 25, direction: 15 },
+  references: ['Test value'],
+  ...fields
+});
+
+describe('LevelCatalog', () => {
+  it('loads the example catalog over COSMIC_LEVELS', () => {
+    const catalog = loadLevelCatalog(EXAMPLE);
+    strictEqual(catalog.name, 'COBE dipole');
+    strictEqual(catalog.levels.length, COSMIC_LEVELS.length);
+
+    const dipole = catalog.levels.find(level => level.id === 'cmbDipole');
+    strictEqual(dipole.velocity, 369.0);
+    strictEqual(dipole.coordinates.frame, 'galactic');
+    strictEqual(dipole.uncertainty.direction, 0.2);
+    strictEqual(dipole.isVerification, true);
+    strictEqual(dipole.bodyId, getCosmicLevel('cmbDipole').bodyId); // the scene container is reused
+    strictEqual(dipole.catalog, 'COBE dipole');
+    strictEqual(getCosmicLevel('cmbDipole').velocity, 369.82); // built-in list untouched
+  });
+
+  it('accepts parsed objects as well as JSON text', () => {
+    deepStrictEqual(validateLevelCatalog(JSON.parse(EXAMPLE)), []);
+    deepStrictEqual(validateLevelCatalog(EXAMPLE), []);
+  });
+
+  it('a new level flows through calculateMotionVectors and the sum', () => {
+    const { levels } = loadLevelCatalog({ version: 1, levels: [shapley()] });
+    const added = levels[levels.length - 1];
+    strictEqual(added.id, 'shapleyPull');
+    strictEqual(added.elementId, 'shapley-pull-hud-text');
+
+    const vector = calculateMotionVectors(LAT, LON, DATE, { levels }).find(v => v.id === 'shapleyPull');
+    strictEqual(vector.velocity, 50);
+    strictEqual(vector.bodyId, 'shapleyPull');
+    deepStrictEqual(vector.uncertainty, { velocity: 25, direction: 15 });
+
+    const withLevel = calculateVectorSum(LAT, LON, DATE, 9, { levels });
+    const without = calculateVectorSum(LAT, LON, DATE, 8, { levels });
+    strictEqual(withLevel.activeVectors.length, without.activeVectors.length + 1);
+    ok(withLevel.activeVectors.some(v => v.id === 'shapleyPull'));
+  });
+
+  it('the catalog verification level is what the sum is checked against', () => {
+    const { levels } = loadLevelCatalog(EXAMPLE);
+    const { verification } = calculateVectorSum(LAT, LON, DATE, 8, { levels });
+    assertClose(verification.reference.magnitude, 369.0, 1e-9);
+  });
+
+  it('reports every problem with its path', () => {
+    const errors = validateLevelCatalog({
+      version: 2,
+      levels: [
+        { id: 'earthOrbit', frame: 'galactic' },
+        { id: 'bad id' },
+        { id: 'foo', level: 6, frame: 'gal', direction: { lon: 10, lat: 95 }, velocity: -1, references: [] }
+      ]
+    });
+    deepStrictEqual(errors, [
+      'version: must be 1 (got 2)',
+      'levels[0] (earthOrbit).id: "earthOrbit" is computed by EarthOrbit and cannot be set from a catalog',
+      'levels[1].id: must start with a letter and contain only letters and digits',
+      'levels[2] (foo).name: is required for a new level',
+      'levels[2] (foo).frame: must be one of equatorial, galactic, supergalactic, ecliptic (got "gal")',
+      'levels[2] (foo).direction.lat: must be a number of degrees between -90 and 90',
+      'levels[2] (foo).velocity: must be a non-negative number of km/s',
+      'levels[2] (foo).references: must list at least one source'
+    ]);
+    deepStrictEqual(validateLevelCatalog([]), ['catalog: must be a JSON object with version and levels']);
+    ok(validateLevelCatalog('{ "version": 1,').at(0).startsWith('catalog: not valid JSON'));
+  });
+
+  it('rejects clashes with existing levels and a second verification level', () => {
+    deepStrictEqual(validateLevelCatalog({ version: 1, levels: [shapley({ level: 6 })] }), [
+      'levels[0] (shapleyPull).level: level 6 is already "virgoPull"; reuse that id to override it or set subLevel: true'
+    ]);
+    deepStrictEqual(validateLevelCatalog({ version: 1, levels: [shapley({ subLevel: true })] }), [
+      'levels[0] (shapleyPull).subLevel: level 9 has no main entry to sit beside'
+    ]);
+    deepStrictEqual(validateLevelCatalog({ version: 1, levels: [shapley({ isVerification: true })] }), [
+      'levels: at most one verification level is allowed (found cmbDipole, shapleyPull)'
+    ]);
+    deepStrictEqual(validateLevelCatalog({ version: 1, levels: [shapley(), shapley()] }), [
+      'levels[1] (shapleyPull).id: appears more than once'
+    ]);
+  });
+
+  it('adds sub-levels beside the main entry', () => {
+    const { levels } = loadLevelCatalog({ version: 1, levels: [shapley({ level: 7, subLevel: true })] });
+    const index = levels.findIndex(level => level.id === 'shapleyPull');
+    strictEqual(levels[index - 1].id, 'largeScaleFlow');
+    strictEqual(levels[index].parentId, 'largeScaleFlow');
+    strictEqual(levels[index + 1].id, 'cmbDipole');
+  });
+
+  it('replace drops the built-in fixed-direction levels', () => {
+    const { levels } = loadLevelCatalog({ version: 1, replace: true, levels: [shapley({ level: 4 })] });
+    deepStrictEqual(levels.map(level => level.id), [
+      'observerVehicle', 'earthRotation', 'earthOrbit', 'earthMoonWobble', 'solarReflex',
+      'solarOrbit', 'shapleyPull'
+    ]);
+  });
+
+  it('throws one error listing all problems', () => {
+    throws(() => loadLevelCatalog({ version: 1, name: 'Broken', levels: [shapley({ velocity: 'fast' })] }), error => {
+      deepStrictEqual(error.errors, ['levels[0] (shapleyPull).velocity: must be a non-negative number of km/s']);
+      ok(error.message.startsWith('Invalid level catalog "Broken":'));
+      return true;
+    });
+  });
+
+  it('parameter sets leave catalog levels alone', () => {
+    const { levels } = loadLevelCatalog(EXAMPLE);
+    const classic = resolveLevels('classic', levels);
+    strictEqual(classic.find(level => level.id === 'cmbDipole').velocity, 369.0);
+    strictEqual(classic.find(level => level.id === 'solarOrbit').parameterSet, 'classic');
+  });
+});
+
+describe('LevelManager level catalogs', () => {
+  it('switches the level list and tells listeners', () => {
+    const manager = new LevelManager();
+    const changes = [];
+    manager.addCatalogChangeListener((oldCatalog, newCatalog) => changes.push([oldCatalog?.name ?? null, newCatalog?.name ?? null]));
+
+    manager.setLevelCatalog({ version: 1, name: 'Shapley', levels: [shapley()] });
+    strictEqual(manager.getHighestLevel(), 9);
+    strictEqual(manager.getCalculationOptions().levels, manager.getLevelCatalog().levels);
+    manager.setMaxLevel(12);
+    strictEqual(manager.getMaxLevel(), 9);
+    ok(manager.getActiveLevels().some(level => level.id === 'shapleyPull'));
+    strictEqual(manager.getStateDescription().catalog, 'Shapley');
+
+    manager.setLevelCatalog(null);
+    strictEqual(manager.getCalculationOptions().levels, undefined);
+    strictEqual(manager.getLevels().length, COSMIC_LEVELS.length);
+    deepStrictEqual(changes, [[null, 'Shapley'], ['Shapley', null]]);
+  });
+
+  it('keeps the current levels when a catalog is invalid', () => {
+    const manager = new LevelManager();
+    manager.setLevelCatalog(EXAMPLE);
+    throws(() => manager.setLevelCatalog({ version: 1, levels: [] }), /levels: must be a non-empty array/);
+    strictEqual(manager.getLevelCatalog().name, 'COBE dipole');
+  });
+
+  it('lowers the maximum level when the catalog has fewer levels', () => {
+    const manager = new LevelManager();
+    const levelChanges = [];
+    manager.addLevelChangeListener((oldLevel, newLevel) => levelChanges.push([oldLevel, newLevel]));
+
+    manager.setLevelCatalog({ version: 1, replace: true, levels: [shapley({ level: 4 })] });
+    strictEqual(manager.getMaxLevel(), 4);
+    deepStrictEqual(levelChanges, [[8, 4]]);
+    strictEqual(manager.getLevelConfig(4).id, 'shapleyPull');
+  });
+});
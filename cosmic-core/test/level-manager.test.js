@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import { strictEqual, deepStrictEqual, throws, ok } from 'node:assert';
+import { LevelManager } from '../src/config/LevelManager.js';
+import { COSMIC_LEVELS } from '../src/config/CosmicLevels.js';
+import { calculateVectorSum } from '../src/calculations/CelestialCalculations.js';
+
+const LAT = 53.35;
+const LON = -6.26;
+const DATE = new Date(Date.UTC(2025, 0, 1, 12));
+
+const ALL_IDS = COSMIC_LEVELS.map(level => level.id);
+
+describe('LevelManager active levels', () => {
+  it('starts with every level active', () => {
+    const manager = new LevelManager();
+    deepStrictEqual(manager.getActiveLevelIds(), ALL_IDS);
+    strictEqual(manager.getMaxLevel(), 8);
+    ok(manager.isPresetActive());
+    strictEqual(manager.getCalculationOptions().activeLevels, undefined);
+  });
+
+  it('setMaxLevel is a preset for levels 0 to N with their sub-levels', () => {
+    const manager = new LevelManager();
+    manager.setMaxLevel(2);
+    deepStrictEqual(manager.getActiveLevelIds(),
+      ['observerVehicle', 'earthRotation', 'earthOrbit', 'earthMoonWobble', 'solarReflex']);
+    ok(manager.isPresetActive());
+    manager.setMaxLevel(0);
+    strictEqual(manager.getMaxLevel(), 1);
+  });
+
+  it('toggles levels one by one', () => {
+    const manager = new LevelManager();
+    const changes = [];
+    manager.addActiveLevelsChangeListener((oldIds, newIds) => changes.push(newIds.length - oldIds.length));
+
+    strictEqual(manager.toggleLevel('virgoPull'), false);
+    ok(!manager.isLevelActive(6));
+    ok(!manager.isPresetActive());
+    deepStrictEqual(manager.getCalculationOptions().activeLevels, ALL_IDS.filter(id => id !== 'virgoPull'));
+
+    strictEqual(manager.toggleLevel(6), true);
+    ok(manager.isPresetActive());
+    deepStrictEqual(changes, [-1, 1]);
+
+    // A level number covers the sub-levels, an id just the one level
+    manager.setLevelActive(2, false);
+    ok(!manager.isLevelActive('solarReflex'));
+    manager.setLevelActive('solarReflex', true);
+    deepStrictEqual(['earthOrbit', 'earthMoonWobble', 'solarReflex'].map(id => manager.isLevelActive(id)), [false, false, true]);
+  });
+
+  it('maxLevel follows the highest active level', () => {
+    const manager = new LevelManager();
+    const levelChanges = [];
+    manager.addLevelChangeListener((oldLevel, newLevel) => levelChanges.push([oldLevel, newLevel]));
+
+    manager.setActiveLevels(['virgoPull', 'localVoidPush']);
+    deepStrictEqual(manager.getActiveLevelIds(), ['localVoidPush', 'virgoPull']);
+    strictEqual(manager.getMaxLevel(), 6);
+    deepStrictEqual(manager.getActiveLevels().map(level => level.level), [5, 6]);
+
+    manager.setActiveLevels([]);
+    strictEqual(manager.getMaxLevel(), 0);
+    deepStrictEqual(levelChanges, [[8, 6], [6, 0]]);
+  });
+
+  it('only notifies on real changes', () => {
+    const manager = new LevelManager();
+    let calls = 0;
+    manager.addActiveLevelsChangeListener(() => calls++);
+    manager.addLevelChangeListener(() => calls++);
+    manager.setMaxLevel(8);
+    manager.setLevelActive('cmbDipole', true);
+    strictEqual(calls, 0);
+  });
+
+  it('rejects unknown levels', () => {
+    const manager = new LevelManager();
+    throws(() => manager.toggleLevel('greatWall'), /Unknown level: greatWall/);
+    throws(() => manager.setActiveLevels([5, 42]), /Unknown level: 42/);
+    deepStrictEqual(manager.getActiveLevelIds(), ALL_IDS);
+  });
+
+  it('calculation options give the sum for the chosen subset', () => {
+    const manager = new LevelManager();
+    manager.setActiveLevels(['virgoPull', 'localVoidPush']);
+    const { activeVectors } = calculateVectorSum(LAT, LON, DATE, manager.getMaxLevel(), manager.getCalculationOptions());
+    deepStrictEqual(activeVectors.map(v => v.id), ['localVoidPush', 'virgoPull']);
+  });
+});
+
+describe('LevelManager saved state', () => {
+  it('round-trips the active levels and parameter set', () => {
+    const manager = new LevelManager();
+    manager.setActiveLevels(['virgoPull', 'localVoidPush']);
+    manager.setParameterSet('classic');
+
+    const restored = new LevelManager();
+    restored.restoreState(JSON.parse(JSON.stringify(manager.getState())));
+    deepStrictEqual(restored.getActiveLevelIds(), ['localVoidPush', 'virgoPull']);
+    strictEqual(restored.getParameterSet(), 'classic');
+  });
+
+  it('skips levels and parameter sets that no longer exist', () => {
+    const manager = new LevelManager();
+    manager.restoreState({ activeLevels: [1, 'greatWall', 'solarOrbit'], parameterSet: 'retired' });
+    deepStrictEqual(manager.getActiveLevelIds(), ['earthRotation', 'solarOrbit']);
+    strictEqual(manager.getParameterSet(), 'default');
+
+    manager.restoreState({});
+    deepStrictEqual(manager.getActiveLevelIds(), ['earthRotation', 'solarOrbit']);
+  });
+
+  it('passes the sky options on to the calculations and tells listeners once', () => {
+    const manager = new LevelManager();
+    const changes = [];
+    manager.addSkyOptionsChangeListener((oldOptions, newOptions) => changes.push(newOptions));
+    strictEqual(manager.getCalculationOptions().coordinateMode, undefined);
+    strictEqual(manager.getCalculationOptions().refraction, undefined);
+
+    manager.setSkyOptions({ coordinateMode: 'j2000', refraction: 'bennett' });
+    manager.setSkyOptions({ refraction: 'bennett' });
+    deepStrictEqual(changes, [{ coordinateMode: 'j2000', refraction: 'bennett' }]);
+    const options = manager.getCalculationOptions();
+    strictEqual(options.coordinateMode, 'j2000');
+    deepStrictEqual(options.refraction, { model: 'bennett' });
+
+    manager.setSkyOptions({ refraction: null });
+    deepStrictEqual(manager.getSkyOptions(), { coordinateMode: 'j2000', refraction: null });
+    strictEqual(manager.getCalculationOptions().refraction, undefined);
+    throws(() => manager.setSkyOptions({ coordinateMode: 'B1950' }), /Unknown coordinate mode/);
+    throws(() => manager.setSkyOptions({ refraction: true }), /Unknown refraction model/);
+  });
+
+  it('reset goes back to every level and the default parameter set', () => {
+    const manager = new LevelManager();
+    manager.setActiveLevels(['virgoPull']);
+    manager.setParameterSet('maser');
+    manager.reset();
+    deepStrictEqual(manager.getActiveLevelIds(), ALL_IDS);
+    strictEqual(manager.getParameterSet(), 'default');
+  });
+});
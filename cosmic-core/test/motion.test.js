@@ -1,8 +1,16 @@
 import { describe, it } from 'node:test';
-import { strictEqual } from 'node:assert';
+import { strictEqual, throws } from 'node:assert';
 import { EarthRotation } from '../src/motion/EarthRotation.js';
+import { ObserverVehicle } from '../src/motion/ObserverVehicle.js';
 import { EarthOrbit } from '../src/motion/EarthOrbit.js';
+import { EarthMoonWobble } from '../src/motion/EarthMoonWobble.js';
+import { SolarReflex } from '../src/motion/SolarReflex.js';
+import { Planets } from '../src/astronomy/Planets.js';
+import { FRAMES } from '../src/astronomy/Coordinates.js';
 import { CosmicMotion } from '../src/motion/CosmicMotion.js';
+import { GalacticOrbit } from '../src/motion/GalacticOrbit.js';
+import { getCosmicLevel } from '../src/config/CosmicLevels.js';
+import { Coordinates } from '../src/astronomy/Coordinates.js';
 
 function assertClose(actual, expected, tolerance = 0.01) {
   if (Math.abs(actual - expected) > tolerance) {
@@ -14,8 +22,14 @@ describe('EarthRotation', () => {
   const rotation = new EarthRotation();
 
   it('returns ~0.465 km/s at equator', () => {
-    // getVelocity rounds to 2 decimal places, so 0.465 rounds to 0.47
-    assertClose(rotation.getVelocity(0, 0), 0.47, 0.001);
+    assertClose(rotation.getVelocity(0, 0), 0.465, 0.001);
+  });
+
+  it('scales with Earth radius plus the observer\'s altitude', () => {
+    // 11 km cruising altitude: (6378.137 + 11) / 6378.137 of the sea-level speed
+    const cruise = rotation.getVelocity(0, 0, new Date(), { observer: { altitude: 11000 } });
+    assertClose(cruise - rotation.getVelocity(0, 0), 0.465 * 11 / 6378.137, 1e-9);
+    assertClose(rotation.getVelocity(60, 0, new Date(), { observer: { altitude: 11000 } }), cruise / 2, 1e-9);
   });
 
   it('returns 0 km/s at poles', () => {
@@ -36,12 +50,65 @@ describe('EarthRotation', () => {
   });
 });
 
+describe('ObserverVehicle', () => {
+  const vehicle = new ObserverVehicle();
+  const airliner = { observer: { speed: 250, heading: 270, altitude: 11000 } };
+
+  it('speed comes from observer.speed in m/s', () => {
+    assertClose(vehicle.getVelocity(0, 0, new Date(), airliner), 0.25, 1e-12);
+  });
+
+  it('direction is the heading along the horizon', () => {
+    const dir = vehicle.getDirection(0, 0, new Date(), airliner);
+    assertClose(Coordinates.toDegrees(dir.azimuth), 270, 1e-9);
+    strictEqual(dir.altitude, 0);
+  });
+
+  it('is unavailable without a ground speed and heading', () => {
+    strictEqual(vehicle.isAvailable(airliner), true);
+    strictEqual(vehicle.isAvailable({}), false);
+    strictEqual(vehicle.isAvailable({ observer: { altitude: 11000 } }), false);
+    strictEqual(vehicle.isAvailable({ observer: { speed: 0, heading: 90 } }), false);
+    strictEqual(vehicle.isAvailable({ observer: { speed: 10, heading: NaN } }), false);
+  });
+});
+
 describe('EarthOrbit', () => {
   const orbit = new EarthOrbit();
 
-  it('returns 29.8 km/s everywhere', () => {
-    strictEqual(orbit.getVelocity(0, 0), 29.8);
-    strictEqual(orbit.getVelocity(90, 180), 29.8);
+  const PERIHELION = new Date(Date.UTC(2025, 0, 4, 13));
+  const APHELION = new Date(Date.UTC(2025, 6, 3, 20));
+
+  it('speed is the same for every observer', () => {
+    strictEqual(orbit.getVelocity(0, 0, PERIHELION), orbit.getVelocity(90, 180, PERIHELION));
+  });
+
+  it('speed peaks at perihelion and dips at aphelion', () => {
+    assertClose(orbit.getVelocity(0, 0, PERIHELION), 30.29, 0.01);
+    assertClose(orbit.getVelocity(0, 0, APHELION), 29.29, 0.01);
+  });
+
+  it('flight-path angle is zero at the apsides and about ±1° between', () => {
+    assertClose(orbit.getOrbitalState(PERIHELION).flightPathAngle, 0, 0.05);
+    assertClose(orbit.getOrbitalState(new Date(Date.UTC(2025, 3, 4))).flightPathAngle, 0.96, 0.03);
+    assertClose(orbit.getOrbitalState(new Date(Date.UTC(2025, 9, 3))).flightPathAngle, -0.96, 0.03);
+  });
+
+  it('Earth is opposite the Sun of Meeus example 25.a (1992 Oct 13.0 TD)', () => {
+    const state = orbit.getOrbitalState(new Date(Date.UTC(1992, 9, 13) - 59000)); // ΔT 59 s
+    // True longitude 199.90988° (equinox of date) + 180°, plus 0.10083° of precession back to J2000
+    assertClose(state.longitude, 20.01071, 0.002);
+    assertClose(state.distance, 0.99766, 0.00001);
+  });
+
+  it('apex is the direction of the JPL mean-element velocity of the Earth-Moon barycentre', () => {
+    ['2010-06-01', '2025-01-04', '2025-04-04', '2025-07-03', '2025-10-03'].forEach(day => {
+      const date = new Date(`${day}T00:00:00Z`);
+      const [vx, vy] = Planets.heliocentricState('earthMoon', date).velocity;
+      const jplApex = (Coordinates.toDegrees(Math.atan2(vy, vx)) + 360) % 360;
+      // The barycentre's velocity differs from Earth's by the ~12 m/s lunar wobble (<0.03°)
+      assertClose(orbit.getOrbitalState(date).apexLongitude, jplApex, 0.03);
+    });
   });
 
   it('getDirection returns azimuth and altitude', () => {
@@ -52,6 +119,75 @@ describe('EarthOrbit', () => {
   });
 });
 
+describe('EarthMoonWobble', () => {
+  const wobble = new EarthMoonWobble();
+  const DATE = new Date(Date.UTC(2025, 0, 1, 12));
+
+  it('speed is the Moon\'s orbital speed scaled by its mass fraction (~12 m/s)', () => {
+    for (let day = 0; day < 28; day += 7) {
+      const speed = wobble.getVelocity(0, 0, new Date(DATE.getTime() + day * 86400000));
+      assertClose(speed, 0.0124, 0.0015);
+    }
+  });
+
+  it('moves opposite the Moon\'s motion, perpendicular-ish to the Earth-Moon line', () => {
+    const moon = wobble.moonVector(DATE, {});
+    const { ra, dec } = wobble.getBarycentricVelocity(DATE);
+    const moonDir = Coordinates.vectorToSpherical(moon);
+    const separation = Coordinates.angleBetweenPoints(moonDir.lon, moonDir.lat, ra * 15, dec);
+    assertClose(separation, 90, 5);
+
+    const later = wobble.moonVector(new Date(DATE.getTime() + 3600000), {});
+    const moonMotion = later.map((c, i) => c - moon[i]);
+    const v = Coordinates.sphericalToVector(ra * 15, dec);
+    const dot = moonMotion.reduce((sum, c, i) => sum + c * v[i], 0);
+    if (dot >= 0) throw new Error('Expected wobble velocity opposite the Moon\'s motion');
+  });
+});
+
+describe('SolarReflex', () => {
+  const reflex = new SolarReflex();
+  const J2000 = new Date(Date.UTC(2000, 0, 1, 12));
+
+  it('Sun\'s barycentric position at J2000 matches DE405', () => {
+    // DE405, ICRF: (-7.1399e-3, -2.6438e-3, -9.215e-4) AU
+    const position = Coordinates.rotateVector(reflex.getBarycentricPosition(J2000), FRAMES.ECLIPTIC, FRAMES.EQUATORIAL);
+    assertClose(position[0], -7.1399e-3, 5e-5);
+    assertClose(position[1], -2.6438e-3, 5e-5);
+    assertClose(position[2], -9.215e-4, 5e-5);
+  });
+
+  it('velocity is the derivative of the barycentric position', () => {
+    const day = 86400000;
+    const before = reflex.getBarycentricPosition(new Date(J2000.getTime() - day));
+    const after = reflex.getBarycentricPosition(new Date(J2000.getTime() + day));
+    const velocity = reflex.getBarycentricVelocity(J2000);
+    const kmPerAuDay = 1.495978707e8 / 86400;
+    for (let i = 0; i < 3; i++) {
+      assertClose(velocity[i], (after[i] - before[i]) / 2 * kmPerAuDay, 1e-6);
+    }
+  });
+
+  it('speed at J2000 is ~15.8 m/s (Jupiter-Saturn conjunction of 2000)', () => {
+    assertClose(reflex.getVelocity(0, 0, J2000), 0.0158, 0.0003);
+  });
+
+  it('speed is fastest at Jupiter-Saturn conjunction and slowest at opposition', () => {
+    const conjunction = reflex.getVelocity(0, 0, new Date(Date.UTC(2020, 11, 21)));
+    const opposition = reflex.getVelocity(0, 0, new Date(Date.UTC(2010, 8, 1)));
+    assertClose(conjunction, 0.01545, 0.0003);
+    assertClose(opposition, 0.0109, 0.0003);
+  });
+
+  it('Jupiter dominates: the Sun moves roughly opposite Jupiter\'s velocity', () => {
+    const jupiter = Planets.heliocentricState('jupiter', J2000).velocity;
+    const sun = reflex.getBarycentricVelocity(J2000);
+    const cos = jupiter.reduce((sum, c, i) => sum + c * sun[i], 0)
+      / (Math.hypot(...jupiter) * Math.hypot(...sun));
+    if (cos > -0.9) throw new Error(`Expected Sun velocity opposite Jupiter's, cos = ${cos}`);
+  });
+});
+
 describe('CosmicMotion', () => {
   const config = {
     velocity: 220,
@@ -79,4 +215,92 @@ describe('CosmicMotion', () => {
     strictEqual(info.name, 'Solar Galactic Orbit');
     strictEqual(info.speed, '~220 km/s');
   });
+  describe('time dependence', () => {
+    const J2000 = new Date(Date.UTC(2000, 0, 1, 12));
+    const drifting = new CosmicMotion({
+      id: 'test',
+      velocity: 100,
+      coordinates: { frame: FRAMES.GALACTIC, lon: 90, lat: 0, ra: 21.2, dec: 48.3 },
+      timeDependence: {
+        epoch: 2000,
+        terms: [
+          { quantity: 'velocity', rate: 0.5 },
+          { quantity: 'lon', rate: -2 },
+          { quantity: 'lat', amplitude: 3, period: 40, phase: 90 }
+        ]
+      }
+    });
+    const galacticAt = (options) => {
+      const { ra, dec } = drifting.getTargetRaDec(J2000, options);
+      return Coordinates.convertFrame(ra * 15, dec, FRAMES.EQUATORIAL, FRAMES.GALACTIC);
+    };
+
+    it('holds the configured values at the epoch', () => {
+      assertClose(drifting.getVelocity(0, 0, J2000), 100, 1e-9);
+      const { lon, lat } = galacticAt();
+      assertClose(lon, 90, 1e-6);
+      assertClose(lat, 0, 1e-6);
+    });
+
+    it('applies linear drift for a time offset in Myr', () => {
+      assertClose(drifting.getVelocity(0, 0, J2000, { timeOffset: 1000 }), 600, 1e-9);
+      assertClose(drifting.getVelocity(0, 0, J2000, { timeOffset: -10 }), 95, 1e-9);
+      assertClose(galacticAt({ timeOffset: 10 }).lon, 70, 1e-6);
+    });
+
+    it('periodic terms swing around the epoch value', () => {
+      // phase 90°: 3 * (cos(2πt/40) - 1), so -6° at half a period, back to 0 after a full one
+      assertClose(galacticAt({ timeOffset: 20 }).lat, -6, 1e-6);
+      assertClose(galacticAt({ timeOffset: 40 }).lat, 0, 1e-6);
+    });
+
+    it('rejects unknown quantities', () => {
+      const bad = new CosmicMotion({ ...drifting.config, timeDependence: { terms: [{ quantity: 'ra', rate: 1 }] } });
+      throws(() => bad.getVelocity(0, 0, J2000));
+    });
+  });
+});
+
+describe('GalacticOrbit', () => {
+  const J2000 = new Date(Date.UTC(2000, 0, 1, 12));
+  const orbit = new GalacticOrbit(getCosmicLevel('solarOrbit'));
+  const galacticAt = (options) => {
+    const { ra, dec } = orbit.getTargetRaDec(J2000, options);
+    return Coordinates.convertFrame(ra * 15, dec, FRAMES.EQUATORIAL, FRAMES.GALACTIC);
+  };
+
+  it('sums LSR rotation and U, V, W to the level 3 apex today', () => {
+    const c = orbit.getComponents(J2000);
+    assertClose(c.lsr, 220, 1e-9);
+    assertClose(c.U, 11.1, 1e-9);
+    assertClose(c.V, 12.2, 1e-9);
+    assertClose(c.W, 7.3, 1e-6);
+    assertClose(c.height, 20.8, 1e-6);
+    assertClose(c.speed, 232.5, 0.1);
+    const { lon, lat } = galacticAt();
+    assertClose(lon, 87.3, 0.05);
+    assertClose(lat, 1.8, 0.05);
+  });
+
+  it('W follows the vertical oscillation through the disk', () => {
+    const { amplitude, period } = orbit.getVerticalOscillation();
+    assertClose(amplitude, 81, 1);
+    // Half a period later the Sun is mirrored below the plane, moving the other way
+    const half = orbit.getComponents(J2000, { timeOffset: period / 2 });
+    assertClose(half.height, -20.8, 1e-6);
+    assertClose(half.W, -7.3, 1e-6);
+    // W peaks when the Sun crosses the plane
+    const { phase } = orbit.getVerticalOscillation();
+    const crossing = orbit.getComponents(J2000, { timeOffset: (360 - phase) / 360 * period });
+    assertClose(crossing.height, 0, 1e-6);
+    assertClose(crossing.W, amplitude * 2 * Math.PI / period / 1.0227, 1e-6);
+  });
+
+  it('turns toward the Galactic centre at Omega = V/R', () => {
+    const c = orbit.getComponents(J2000, { timeOffset: 10 });
+    assertClose(c.orbitalTurn, 16.1, 0.05);
+    assertClose(galacticAt({ timeOffset: 10 }).lon, 87.3 - 16.1, 0.1);
+    // The speed only changes through W
+    assertClose(Math.hypot(c.vector[0], c.vector[1]), Math.hypot(11.1, 232.2), 1e-9);
+  });
 });
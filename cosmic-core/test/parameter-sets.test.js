@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import { strictEqual, throws, ok } from 'node:assert';
+import {
+  PARAMETER_SETS,
+  resolveLevel,
+  resolveLevels,
+  getParameterSetReferences
+} from '../src/config/ParameterSets.js';
+import { COSMIC_LEVELS, getCosmicLevel } from '../src/config/CosmicLevels.js';
+import { LevelManager } from '../src/config/LevelManager.js';
+import { calculateMotionVectors, compareParameterSets } from '../src/calculations/CelestialCalculations.js';
+
+function assertClose(actual, expected, tolerance = 0.01) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const LAT = 53.35;
+const LON = -6.26;
+const DATE = new Date(Date.UTC(2025, 0, 1, 12));
+
+describe('ParameterSets', () => {
+  it('the default set keeps the COSMIC_LEVELS values and cites them', () => {
+    resolveLevels().forEach((level, i) => {
+      const { parameterSet, parameterReference, ...values } = level;
+      Object.entries(COSMIC_LEVELS[i]).forEach(([key, value]) => strictEqual(values[key], value));
+      if (COSMIC_LEVELS[i].level >= 3) {
+        strictEqual(parameterSet, 'default');
+        strictEqual(typeof parameterReference, 'string');
+      } else {
+        strictEqual(level, COSMIC_LEVELS[i]); // computed from the date, nothing to cite
+      }
+    });
+  });
+
+  it('levels a set leaves alone keep the default reference', () => {
+    const virgo = resolveLevel(getCosmicLevel('virgoPull'), 'maser');
+    strictEqual(virgo.parameterSet, 'default');
+    strictEqual(virgo.parameterReference, resolveLevel(getCosmicLevel('virgoPull')).parameterReference);
+    strictEqual(resolveLevel(getCosmicLevel('solarOrbit'), 'maser').parameterSet, 'maser');
+  });
+
+  it('merges overrides into a copy of the level', () => {
+    const base = getCosmicLevel('solarOrbit');
+    const maser = resolveLevel(base, 'maser');
+    strictEqual(maser.galacticOrbit.circularSpeed, 240);
+    strictEqual(maser.galacticOrbit.peculiar, base.galacticOrbit.peculiar); // kept from the default
+    strictEqual(maser.uncertainty.velocity, 8);
+    strictEqual(maser.uncertainty.direction, base.uncertainty.direction);
+    strictEqual(maser.parameterSet, 'maser');
+    strictEqual(base.galacticOrbit.circularSpeed, 220);
+  });
+
+  it('every override names its reference', () => {
+    Object.keys(PARAMETER_SETS).forEach(id => {
+      getParameterSetReferences(id).forEach(entry => {
+        if (!entry.reference) throw new Error(`${id}.${entry.id} has no reference`);
+        if (entry.level == null) throw new Error(`${id}.${entry.id} is not a level id`);
+      });
+    });
+    const classic = getParameterSetReferences('classic').find(entry => entry.id === 'cmbDipole');
+    strictEqual(classic.fields.includes('velocity'), true);
+  });
+
+  it('rejects unknown sets', () => {
+    throws(() => resolveLevels('cosmicflows-9'), /Unknown parameter set/);
+  });
+
+  it('the level 3 display speed matches the orbit each set configures', () => {
+    Object.keys(PARAMETER_SETS).forEach(id => {
+      const vector = calculateMotionVectors(LAT, LON, DATE, { parameterSet: id }).find(v => v.id === 'solarOrbit');
+      // Display values are rounded (the default's 232 km/s is 232.6 computed)
+      assertClose(vector.velocity, resolveLevel(getCosmicLevel('solarOrbit'), id).velocity, 1);
+    });
+  });
+});
+
+describe('LevelManager parameter sets', () => {
+  it('switches sets, notifies listeners and passes the set to calculations', () => {
+    const manager = new LevelManager();
+    const changes = [];
+    manager.addParameterSetChangeListener((oldSet, newSet) => changes.push([oldSet, newSet]));
+
+    strictEqual(manager.getCalculationOptions().parameterSet, undefined);
+    manager.setParameterSet('classic');
+    manager.setParameterSet('classic'); // no change, no event
+    strictEqual(changes.length, 1);
+    strictEqual(changes[0][1], 'classic');
+    strictEqual(manager.getCalculationOptions().parameterSet, 'classic');
+    strictEqual(manager.getLevelConfig(8).velocity, 369.0);
+    strictEqual(manager.getActiveLevels().find(level => level.id === 'solarOrbit').galacticOrbit.radius, 8.5);
+    throws(() => manager.setParameterSet('nope'), /Unknown parameter set/);
+    strictEqual(manager.getParameterSet(), 'classic');
+  });
+});
+
+describe('compareParameterSets', () => {
+  it('reports the resultant difference and the levels that changed', () => {
+    const diff = compareParameterSets(LAT, LON, DATE, 8, 'default', 'maser');
+    strictEqual(diff.a.set.id, 'default');
+    strictEqual(diff.b.set.id, 'maser');
+    strictEqual(diff.levels.length, 1);
+    strictEqual(diff.levels[0].id, 'solarOrbit');
+    assertClose(diff.levels[0].velocityDifference, 20, 0.2);
+    ok(diff.levels[0].referenceA.includes('Kerr & Lynden-Bell'));
+    ok(diff.levels[0].referenceB.includes('Reid et al. (2014)'));
+    assertClose(diff.magnitudeDifference, diff.b.resultant.magnitude - diff.a.resultant.magnitude, 1e-9);
+    if (!(diff.separationDegrees > 0)) throw new Error('Expected the apex to move');
+  });
+
+  it('the CMB dipole only changes the verification', () => {
+    const diff = compareParameterSets(LAT, LON, DATE, 8, 'default', 'classic');
+    const dipole = diff.levels.find(level => level.id === 'cmbDipole');
+    assertClose(dipole.velocityDifference, -0.82, 1e-6);
+    strictEqual(diff.b.verification.reference.magnitude, 369.0);
+  });
+
+  it('the Planck PR4 set moves only the dipole, by under a tenth of a degree', () => {
+    const diff = compareParameterSets(LAT, LON, DATE, 8, 'default', 'planck2020');
+    strictEqual(diff.levels.length, 1);
+    strictEqual(diff.levels[0].id, 'cmbDipole');
+    assertClose(diff.levels[0].velocityDifference, 0.49, 1e-6);
+    ok(diff.levels[0].separationDegrees > 0.01 && diff.levels[0].separationDegrees < 0.1);
+    ok(diff.levels[0].referenceB.includes('A&A, 643, A42'));
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import { strictEqual, deepStrictEqual, throws, ok } from 'node:assert';
+import { Planets, VISIBLE_PLANETS } from '../src/astronomy/Planets.js';
+import { StellarCalculations } from '../src/astronomy/StellarCalculations.js';
+import { Coordinates } from '../src/astronomy/Coordinates.js';
+import { calculatePlanetPositions, calculateCelestialPositions } from '../src/calculations/CelestialCalculations.js';
+
+function assertClose(actual, expected, tolerance = 0.01) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const at = iso => new Date(iso);
+
+describe('Planets.geocentricPosition', () => {
+  it('Venus reaches greatest western elongation on 23 October 2023 (46.4°)', () => {
+    const venus = Planets.geocentricPosition('venus', at('2023-10-23T00:00:00Z'));
+    assertClose(venus.elongation, 46.4, 0.1);
+    assertClose(venus.phaseAngle, 90, 1);
+    assertClose(venus.magnitude, -4.4, 0.15);
+  });
+
+  it('Jupiter at its 2023 opposition: opposite the Sun, magnitude -2.9', () => {
+    const jupiter = Planets.geocentricPosition('jupiter', at('2023-11-03T00:00:00Z'));
+    ok(jupiter.elongation > 178);
+    assertClose(jupiter.distance, 3.98, 0.01);
+    assertClose(jupiter.magnitude, -2.9, 0.1);
+  });
+
+  it('Mars at its 2025 opposition, in Gemini', () => {
+    const mars = Planets.geocentricPosition('mars', at('2025-01-16T00:00:00Z'));
+    // Opposite the Sun, near RA 7h 55m, Dec +25°
+    assertClose(mars.ra, 7.918, 0.01);
+    assertClose(mars.dec, 25.17, 0.1);
+    assertClose(mars.magnitude, -1.4, 0.1);
+  });
+
+  it('Saturn\'s rings add brightness when open and none edge-on', () => {
+    const open = Planets.geocentricPosition('saturn', at('2017-06-15T00:00:00Z'));
+    const edgeOn = Planets.geocentricPosition('saturn', at('2025-03-23T00:00:00Z'));
+    assertClose(open.magnitude, 0.0, 0.15);
+    const disk = Planets.magnitude('saturn', edgeOn.sunDistance, edgeOn.distance, edgeOn.phaseAngle);
+    assertClose(edgeOn.magnitude, disk, 0.05);
+  });
+
+  it('rejects the Earth-Moon barycentre and unknown ids', () => {
+    ok(!VISIBLE_PLANETS.includes('earthMoon'));
+    throws(() => Planets.geocentricPosition('earthMoon', at('2025-01-01T00:00:00Z')), /Not a planet seen from Earth/);
+    throws(() => Planets.geocentricPosition('pluto', at('2025-01-01T00:00:00Z')), /Not a planet seen from Earth/);
+  });
+});
+
+describe('calculatePlanetPositions', () => {
+  const LAT = 53.35;
+  const LON = -6.26;
+  const DATE = at('2025-01-17T00:00:00Z');
+
+  it('places each planet like a star at its geocentric RA and Dec', () => {
+    const planets = calculatePlanetPositions(LAT, LON, DATE, { refraction: true });
+    deepStrictEqual(Object.keys(planets), VISIBLE_PLANETS);
+    VISIBLE_PLANETS.forEach(id => {
+      const { ra, dec } = Planets.geocentricPosition(id, DATE);
+      const [altitude, azimuth] = StellarCalculations.calculateStarLocation(LAT, LON, ra, dec, DATE, { refraction: true });
+      assertClose(Coordinates.toDegrees(planets[id].altitude), altitude, 1e-9);
+      assertClose(Coordinates.toDegrees(planets[id].azimuth), azimuth, 1e-9);
+    });
+    strictEqual(planets.mars.name, 'Mars');
+    // Mars at opposition culminates around midnight, 90° - 53.35° + 25.2° high
+    ok(Coordinates.toDegrees(planets.mars.altitude) > 60);
+    assertClose(Coordinates.toDegrees(planets.mars.azimuth), 180, 20);
+  });
+
+  it('is part of calculateCelestialPositions', () => {
+    const { planets } = calculateCelestialPositions(LAT, LON, DATE);
+    deepStrictEqual(planets, calculatePlanetPositions(LAT, LON, DATE));
+  });
+});
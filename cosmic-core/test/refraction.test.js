@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import { strictEqual, throws } from 'node:assert';
+import { Refraction, REFRACTION_MODELS } from '../src/astronomy/Refraction.js';
+import { Coordinates } from '../src/astronomy/Coordinates.js';
+import { calculateCelestialPositions, calculateMotionVectors, calculateVectorSum } from '../src/calculations/CelestialCalculations.js';
+
+function assertClose(actual, expected, tolerance = 0.01) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const LAT = 53.35;
+const LON = -6.26;
+const DATE = new Date(Date.UTC(2025, 0, 1, 12));
+
+describe('Refraction', () => {
+  it('is disabled by default', () => {
+    strictEqual(Refraction.resolveSettings(undefined), null);
+    strictEqual(Refraction.resolveSettings(false), null);
+    strictEqual(Refraction.apparentAltitude(0.1, false), 0.1);
+  });
+
+  it('true selects Saemundsson in a standard atmosphere', () => {
+    const settings = Refraction.resolveSettings(true);
+    strictEqual(settings.model, REFRACTION_MODELS.SAEMUNDSSON);
+    strictEqual(settings.pressure, 1010);
+    strictEqual(settings.temperature, 10);
+  });
+
+  it('rejects unknown models', () => {
+    throws(() => Refraction.resolveSettings({ model: 'snell' }));
+  });
+
+  it('lifts a horizon object by about half a degree', () => {
+    const lifted = Coordinates.toDegrees(Refraction.apparentAltitude(0, true));
+    assertClose(lifted, 0.48, 0.03);
+  });
+
+  it('Bennett and Saemundsson agree to within an arcminute', () => {
+    for (const alt of [0, 2, 10, 45]) {
+      const s = Refraction.refractionAt(alt, Refraction.resolveSettings({ model: REFRACTION_MODELS.SAEMUNDSSON }));
+      const b = Refraction.refractionAt(alt, Refraction.resolveSettings({ model: REFRACTION_MODELS.BENNETT }));
+      assertClose(s, b, 1 / 60);
+    }
+  });
+
+  it('is negligible near the zenith', () => {
+    assertClose(Refraction.refractionAt(90, Refraction.resolveSettings(true)), 0, 1e-4);
+  });
+
+  it('scales with pressure and temperature', () => {
+    const standard = Refraction.refractionAt(5, Refraction.resolveSettings(true));
+    const thin = Refraction.refractionAt(5, Refraction.resolveSettings({ pressure: 505 }));
+    assertClose(thin, standard / 2, 1e-6);
+    const hot = Refraction.refractionAt(5, Refraction.resolveSettings({ temperature: 40 }));
+    if (hot >= standard) throw new Error('Expected less refraction in warmer air');
+  });
+
+  it('fades to zero well below the horizon', () => {
+    const settings = Refraction.resolveSettings(true);
+    strictEqual(Refraction.refractionAt(-10, settings), 0);
+    const atStart = Refraction.refractionAt(-1, settings);
+    const justBelow = Refraction.refractionAt(-1.001, settings);
+    assertClose(atStart, justBelow, 1e-3);
+  });
+
+  it('calculateCelestialPositions raises sun and moon when enabled', () => {
+    const off = calculateCelestialPositions(LAT, LON, DATE);
+    const on = calculateCelestialPositions(LAT, LON, DATE, { refraction: true });
+    if (on.sun.altitude <= off.sun.altitude) throw new Error('Sun not lifted by refraction');
+    if (on.moon.altitude <= off.moon.altitude) throw new Error('Moon not lifted by refraction');
+    strictEqual(on.sun.azimuth, off.sun.azimuth);
+  });
+
+  it('calculateMotionVectors keeps apexes geometric and adds their apparent altitude', () => {
+    const off = calculateMotionVectors(LAT, LON, DATE);
+    const on = calculateMotionVectors(LAT, LON, DATE, { refraction: true });
+    const virgoOff = off.find(v => v.id === 'virgoPull');
+    const virgoOn = on.find(v => v.id === 'virgoPull');
+    // A velocity is not light: its direction is not bent
+    strictEqual(virgoOn.direction.altitude, virgoOff.direction.altitude);
+    strictEqual(virgoOff.direction.apparentAltitude, undefined);
+    if (virgoOn.direction.apparentAltitude <= virgoOn.direction.altitude) {
+      throw new Error('Expected the apparent Virgo apex above the geometric one');
+    }
+    assertClose(virgoOn.direction.apparentAltitudeDegrees,
+      Coordinates.toDegrees(Refraction.apparentAltitude(virgoOff.direction.altitude, true)), 1e-9);
+  });
+
+  it('calculateVectorSum sums geometric directions and labels the apparent resultant', () => {
+    const off = calculateVectorSum(LAT, LON, DATE, 8).resultant;
+    const on = calculateVectorSum(LAT, LON, DATE, 8, { refraction: true }).resultant;
+    strictEqual(on.altitudeDegrees, off.altitudeDegrees);
+    strictEqual(on.magnitude, off.magnitude);
+    assertClose(on.apparentAltitude, Refraction.apparentAltitude(off.altitude, true), 1e-12);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import { strictEqual, deepStrictEqual, ok } from 'node:assert';
+import { SkyCatalog, SKY_OBJECTS, OBJECT_TYPES } from '../src/astronomy/SkyCatalog.js';
+import { StellarCalculations } from '../src/astronomy/StellarCalculations.js';
+import { Coordinates } from '../src/astronomy/Coordinates.js';
+
+function assertClose(actual, expected, tolerance = 0.01) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+describe('SkyCatalog', () => {
+  it('holds bright stars, all Messier objects and the named galaxies', () => {
+    const messier = SKY_OBJECTS.filter(entry => /^M\d+$/.test(entry.designation));
+    strictEqual(messier.length, 110);
+    ok(SKY_OBJECTS.filter(entry => entry.type === OBJECT_TYPES.STAR).length > 150);
+    ['M31', 'M87', 'Centaurus A', 'Shapley Supercluster'].forEach(name => ok(SkyCatalog.find(name), name));
+    SKY_OBJECTS.forEach(entry => {
+      ok(entry.ra >= 0 && entry.ra < 24 && Math.abs(entry.dec) <= 90, entry.name);
+    });
+  });
+
+  it('finds objects by name, designation and alias', () => {
+    strictEqual(SkyCatalog.find('Regulus').designation, 'α Leo');
+    strictEqual(SkyCatalog.find('alpha leo').name, 'Regulus');
+    strictEqual(SkyCatalog.find('Messier 31').name, 'Andromeda Galaxy');
+    strictEqual(SkyCatalog.find('m 87').name, 'Virgo A');
+    strictEqual(SkyCatalog.find('NGC 5128').name, 'Centaurus A');
+    strictEqual(SkyCatalog.find('Bodes Galaxy').designation, 'M81');
+    strictEqual(SkyCatalog.find('Great Attractor').name, 'Norma Cluster');
+    strictEqual(SkyCatalog.find('Vulcan'), null);
+  });
+
+  it('finds stars by common name and by Greek letter with the constellation genitive', () => {
+    strictEqual(SkyCatalog.find('Alpha Centauri').name, 'Rigil Kentaurus');
+    strictEqual(SkyCatalog.find('Agena').designation, 'β Cen');
+    strictEqual(SkyCatalog.find('North Star').name, 'Polaris');
+    strictEqual(SkyCatalog.find('Beta Orionis').name, 'Rigel');
+    strictEqual(SkyCatalog.find('alpha Canis Majoris').name, 'Sirius');
+    strictEqual(SkyCatalog.find('Mu Ursae  Majoris').designation, 'μ UMa');
+    strictEqual(SkyCatalog.find('eta Boötis').name, 'Muphrid');
+    // Tau is both a Greek letter and Taurus
+    strictEqual(SkyCatalog.find('alpha Tauri').name, 'Aldebaran');
+    strictEqual(SkyCatalog.find('Beta Tauri').name, 'Elnath');
+    strictEqual(SkyCatalog.find('eta Tau').name, 'Alcyone');
+    strictEqual(SkyCatalog.find('Zeta Tauri').name, 'Tianguan');
+    strictEqual(SkyCatalog.find('tau Scorpii').name, 'Paikauhale');
+    strictEqual(SkyCatalog.find('Omega Centauri').designation, 'NGC 5139');
+    SKY_OBJECTS.forEach(entry => {
+      [entry.name, entry.designation, ...entry.aliases].forEach(text => strictEqual(SkyCatalog.find(text), entry, text));
+    });
+  });
+
+  it('puts the catalogue targets where the levels point', () => {
+    // Shapley Concentration near l = 312°, b = 31° and Sgr A* at the Galactic centre
+    const shapley = SkyCatalog.find('Shapley');
+    const { l, b } = Coordinates.equatorialToGalactic(shapley.ra * 15, shapley.dec);
+    assertClose(l, 312, 0.5);
+    assertClose(b, 31, 0.5);
+    const sgrA = SkyCatalog.find('Sgr A*');
+    assertClose(Coordinates.angleBetweenPoints(sgrA.ra * 15, sgrA.dec, 266.405, -28.936), 0, 0.1);
+  });
+
+  it('lists the nearest objects first, with filters', () => {
+    const regulus = SkyCatalog.find('Regulus');
+    // 4° south of Regulus
+    const [nearest] = SkyCatalog.nearest(regulus.ra, regulus.dec - 4);
+    strictEqual(nearest.name, 'Regulus');
+    assertClose(nearest.separationDegrees, 4, 1e-6);
+
+    const three = SkyCatalog.nearest(12.5, 12.5, { limit: 3 });
+    strictEqual(three.length, 3);
+    ok(three[0].separationDegrees <= three[1].separationDegrees && three[1].separationDegrees <= three[2].separationDegrees);
+
+    const bright = SkyCatalog.nearest(12.5, 12.5, { types: [OBJECT_TYPES.STAR], maxMagnitude: 1.5 });
+    strictEqual(bright[0].type, OBJECT_TYPES.STAR);
+    ok(bright[0].magnitude <= 1.5);
+    deepStrictEqual(SkyCatalog.nearest(12.5, 12.5, { types: [OBJECT_TYPES.STAR], maxSeparation: 0.1 }), []);
+  });
+
+  it('searches from a direction in the observer\'s sky', () => {
+    const date = new Date(Date.UTC(2025, 2, 20, 22));
+    const [alt, az] = StellarCalculations.calculateStarLocation(53.35, -6.26, 10.1395, 11.9672, date);
+    const [nearest] = SkyCatalog.nearestInSky(53.35, -6.26, az, alt, date);
+    strictEqual(nearest.name, 'Regulus');
+    assertClose(nearest.separationDegrees, 0, 0.01);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import { strictEqual, throws, ok } from 'node:assert';
+import { calculateSpeedExtremes, calculateVectorSum } from '../src/calculations/CelestialCalculations.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const LAT = 53.35;
+const LON = -6.26;
+const START = new Date(Date.UTC(2025, 2, 20, 6));
+const DAY = 24 * 3600 * 1000;
+
+const dayRange = { start: START, end: new Date(START.getTime() + DAY) };
+const vertical = sum => sum.magnitude * Math.sin(sum.altitudeDegrees * Math.PI / 180);
+
+describe('calculateSpeedExtremes', () => {
+  const day = calculateSpeedExtremes(LAT, LON, dayRange);
+
+  it('samples a day every 10 minutes', () => {
+    strictEqual(day.step, 10 * 60 * 1000);
+    strictEqual(day.series.times.length, 145);
+    strictEqual(day.series.magnitude.length, 145);
+    strictEqual(day.series.times[144].getTime(), dayRange.end.getTime());
+  });
+
+  it('finds the extremes of the summed speed and its vertical component', () => {
+    const maxSpeed = Math.max(...day.series.magnitude);
+    const minSpeed = Math.min(...day.series.magnitude);
+    ok(day.fastest.magnitude >= maxSpeed);
+    ok(day.slowest.magnitude <= minSpeed);
+    ok(day.mostUpward.vertical >= Math.max(...day.series.vertical));
+    ok(day.mostDownward.vertical <= Math.min(...day.series.vertical));
+    ok(day.mostUpward.vertical > 0 && day.mostDownward.vertical < 0);
+
+    // Over a day mostly Earth's rotation (about 0.28 km/s here) changes the total
+    ok(day.fastest.magnitude - day.slowest.magnitude < 2);
+    ok(day.fastest.time > dayRange.start && day.fastest.time < dayRange.end);
+  });
+
+  it('reports the resultant calculateVectorSum gives at each moment', () => {
+    ['fastest', 'slowest', 'mostUpward', 'mostDownward'].forEach(kind => {
+      const { resultant } = calculateVectorSum(LAT, LON, day[kind].time, 8);
+      assertClose(day[kind].magnitude, resultant.magnitude);
+      assertClose(day[kind].vertical, vertical(resultant));
+    });
+  });
+
+  it('refines a peak to within about a second', () => {
+    const { time, magnitude } = day.fastest;
+    [-5000, 5000].forEach(offset => {
+      const { resultant } = calculateVectorSum(LAT, LON, new Date(time.getTime() + offset), 8);
+      ok(resultant.magnitude <= magnitude + 1e-9);
+    });
+  });
+
+  it('Earth\'s orbit sets the extremes over a year', () => {
+    const year = calculateSpeedExtremes(LAT, LON, { start: new Date(Date.UTC(2025, 0, 1)), end: new Date(Date.UTC(2026, 0, 1)) });
+    ok(year.series.times.length <= 1502);
+    // Orbital speed projected on the resultant: tens of km/s between the seasons
+    ok(year.fastest.magnitude - year.slowest.magnitude > 40);
+    ok(Math.abs(year.fastest.time - year.slowest.time) > 120 * DAY);
+  });
+
+  it('sums only the active levels and rejects bad ranges', () => {
+    const rotation = calculateSpeedExtremes(LAT, LON, dayRange, 8, { activeLevels: ['earthRotation'] });
+    assertClose(rotation.fastest.magnitude, rotation.slowest.magnitude, 1e-6);
+    assertClose(rotation.mostUpward.vertical, 0, 1e-6);
+
+    throws(() => calculateSpeedExtremes(LAT, LON, { start: dayRange.end, end: dayRange.start }), /start Date before the end/);
+    throws(() => calculateSpeedExtremes(LAT, LON, { ...dayRange, step: 0 }), /positive number of milliseconds/);
+    throws(() => calculateSpeedExtremes(LAT, LON, dayRange, 8, { activeLevels: [] }), /at least one active level/);
+  });
+});
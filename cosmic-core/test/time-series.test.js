@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import { strictEqual, deepStrictEqual, throws, ok } from 'node:assert';
+import {
+  calculateTimeSeries,
+  calculateVectorSum,
+  calculateCelestialPositions
+} from '../src/calculations/CelestialCalculations.js';
+import { COSMIC_LEVELS } from '../src/config/CosmicLevels.js';
+import { CosmicMotion } from '../src/motion/CosmicMotion.js';
+import { Coordinates } from '../src/astronomy/Coordinates.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const LAT = 53.35;
+const LON = -6.26;
+const START = new Date(Date.UTC(2025, 0, 1, 0));
+const HOUR = 3600 * 1000;
+
+describe('calculateTimeSeries', () => {
+  it('samples from start to end inclusive', () => {
+    const series = calculateTimeSeries(LAT, LON, { start: START, end: new Date(START.getTime() + 6 * HOUR), step: HOUR });
+    strictEqual(series.times.length, 7);
+    strictEqual(series.times[6].getTime(), START.getTime() + 6 * HOUR);
+    strictEqual(series.resultant.length, 7);
+    series.levels.forEach(level => strictEqual(level.samples.length, 7));
+    deepStrictEqual(Object.keys(series.celestial), ['sun', 'moon', 'galacticCenter']);
+  });
+
+  it('matches calculateVectorSum at every sample', () => {
+    const options = { parameterSet: 'classic', activeLevels: ['earthRotation', 'earthOrbit', 'virgoPull'] };
+    const series = calculateTimeSeries(LAT, LON, { start: START, end: new Date(START.getTime() + 12 * HOUR), step: 4 * HOUR }, 8, options);
+
+    series.times.forEach((date, i) => {
+      const single = calculateVectorSum(LAT, LON, date, 8, options);
+      assertClose(series.resultant[i].magnitude, single.resultant.magnitude);
+      assertClose(series.resultant[i].azimuthDegrees, single.resultant.azimuthDegrees);
+      assertClose(series.resultant[i].altitudeDegrees, single.resultant.altitudeDegrees);
+
+      const orbit = single.motionVectors.find(v => v.id === 'earthOrbit');
+      const sample = series.levels.find(level => level.id === 'earthOrbit').samples[i];
+      assertClose(sample.velocity, orbit.velocity);
+      assertClose(sample.altitudeDegrees, orbit.direction.altitudeDegrees);
+
+      const sun = calculateCelestialPositions(LAT, LON, date).sun;
+      assertClose(series.celestial.sun[i].altitudeDegrees, Coordinates.toDegrees(sun.altitude));
+    });
+  });
+
+  it('follows Earth rotation through the day', () => {
+    const series = calculateTimeSeries(LAT, LON, { start: START, end: new Date(START.getTime() + 12 * HOUR), step: 6 * HOUR });
+    const rotation = series.levels.find(level => level.id === 'earthRotation').samples;
+    // Rotation always points due east; its place among the stars turns with the sky
+    rotation.forEach(sample => assertClose(sample.azimuthDegrees, 90, 1e-6));
+    const gc = series.celestial.galacticCenter;
+    ok(Math.abs(gc[0].azimuthDegrees - gc[2].azimuthDegrees) > 10);
+  });
+
+  it('builds each motion class once for the whole series', () => {
+    let built = 0;
+    class CountingMotion extends CosmicMotion {
+      constructor(config) {
+        super(config);
+        built++;
+      }
+    }
+    const levels = COSMIC_LEVELS.map(level => (level.id === 'virgoPull' ? { ...level, motionClass: CountingMotion } : level));
+    calculateTimeSeries(LAT, LON, { start: START, end: new Date(START.getTime() + 24 * HOUR), step: HOUR }, 8, { levels });
+    strictEqual(built, 1);
+  });
+
+  it('leaves gaps for levels without a value and sums with none active', () => {
+    const series = calculateTimeSeries(LAT, LON, { start: START, end: START, step: HOUR }, 8, { activeLevels: [] });
+    deepStrictEqual(series.levels.find(level => level.id === 'observerVehicle').samples, [null]);
+    deepStrictEqual(series.resultant, [null]);
+  });
+
+  it('rejects bad ranges', () => {
+    const end = new Date(START.getTime() + HOUR);
+    throws(() => calculateTimeSeries(LAT, LON, { start: START, end, step: 0 }), /step must be a positive number/);
+    throws(() => calculateTimeSeries(LAT, LON, { start: end, end: START, step: HOUR }), /end is before its start/);
+    throws(() => calculateTimeSeries(LAT, LON, { start: START, end: '2025-01-02', step: HOUR }), /needs start and end Dates/);
+    throws(() => calculateTimeSeries(LAT, LON, { start: START, end: new Date(START.getTime() + 365 * 24 * HOUR), step: 1000 }), /use a larger step/);
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it } from 'node:test';
+import { strictEqual, deepStrictEqual, throws } from 'node:assert';
+import { VectorSum, UNCERTAINTY_METHODS, COMPOSITION_MODES } from '../src/math/VectorSum.js';
+import { Coordinates } from '../src/astronomy/Coordinates.js';
+import { StellarCalculations } from '../src/astronomy/StellarCalculations.js';
+import { calculateVectorSum } from '../src/calculations/CelestialCalculations.js';
+
+function assertClose(actual, expected, tolerance = 0.5) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`Expected ${actual} to be close to ${expected} (tolerance: ${tolerance})`);
+  }
+}
+
+const deg = Coordinates.toRadians;
+
+describe('VectorSum uncertainty', () => {
+  it('returns null with no vectors', () => {
+    strictEqual(new VectorSum().getUncertainty(), null);
+  });
+
+  it('treats vectors without uncertainty as exact', () => {
+    const sum = new VectorSum();
+    sum.addVector('A', 100, deg(30), deg(10));
+    const { speed, direction } = sum.getUncertainty();
+    strictEqual(speed.sigma, 0);
+    strictEqual(direction.semiMajor, 0);
+  });
+
+  it('a single vector keeps its own speed and direction sigma', () => {
+    const sum = new VectorSum();
+    sum.addVector('A', 100, deg(30), deg(10), { uncertainty: { velocity: 5, direction: 2 } });
+    const { speed, direction } = sum.getUncertainty({ confidence: 0.6827 });
+    assertClose(speed.sigma, 5, 1e-9);
+    assertClose(speed.interval[0], 95, 0.01);
+    assertClose(speed.interval[1], 105, 0.01);
+    assertClose(direction.sigmaMajor, 2, 1e-9);
+    assertClose(direction.sigmaMinor, 2, 1e-9);
+  });
+
+  it('speed error of a component stretches the ellipse along its pull', () => {
+    // Exact vector north, uncertain speed east: the apex only slides in azimuth
+    const sum = new VectorSum();
+    sum.addVector('North', 100, 0, 0);
+    sum.addVector('East', 100, deg(90), 0, { uncertainty: { velocity: 10 } });
+    const { direction } = sum.getUncertainty();
+    assertClose(Math.abs(direction.orientation), 90, 1e-6);
+    assertClose(direction.sigmaMinor, 0, 1e-9);
+  });
+
+  it('outline points lie at the semi-major axis distance along the major axis', () => {
+    const sum = new VectorSum();
+    sum.addVector('A', 100, deg(120), deg(40), { uncertainty: { velocity: 1, direction: 3 } });
+    const { direction } = sum.getUncertainty();
+    const resultant = sum.getResultant();
+    const first = direction.outline[0];
+    const separation = Coordinates.angleBetweenPoints(
+      resultant.azimuthDegrees, resultant.altitudeDegrees,
+      first.azimuthDegrees, first.altitudeDegrees
+    );
+    assertClose(separation, direction.semiMajor, 1e-6);
+  });
+
+  it('Monte Carlo is reproducible for a seed and agrees with the analytic result', () => {
+    const build = () => {
+      const sum = new VectorSum();
+      sum.addVector('A', 200, deg(10), deg(20), { uncertainty: { velocity: 10, direction: 3 } });
+      sum.addVector('B', 150, deg(80), deg(-5), { uncertainty: { velocity: 5, direction: 5 } });
+      return sum;
+    };
+    const options = { method: UNCERTAINTY_METHODS.MONTE_CARLO, samples: 2000, seed: 42 };
+    const first = build().getUncertainty(options);
+    const second = build().getUncertainty(options);
+    deepStrictEqual(first.speed, second.speed);
+
+    const analytic = build().getUncertainty();
+    assertClose(first.speed.sigma, analytic.speed.sigma, analytic.speed.sigma * 0.1);
+    assertClose(first.direction.sigmaMajor, analytic.direction.sigmaMajor, analytic.direction.sigmaMajor * 0.1);
+  });
+
+  it('rejects unknown methods and invalid confidence levels', () => {
+    const sum = new VectorSum();
+    sum.addVector('A', 100, 0, 0);
+    throws(() => sum.getUncertainty({ method: 'bootstrap' }));
+    throws(() => sum.getUncertainty({ confidence: 95 }));
+  });
+});
+
+describe('VectorSum relativistic composition', () => {
+  const C = 299792.458;
+  const relativistic = () => new VectorSum({ composition: COMPOSITION_MODES.RELATIVISTIC });
+
+  it('Galilean mode is the default and reports no difference', () => {
+    const sum = new VectorSum();
+    sum.addVector('A', 300, deg(10), deg(20));
+    sum.addVector('B', 400, deg(100), deg(-5));
+    const resultant = sum.getResultant();
+    strictEqual(resultant.composition, COMPOSITION_MODES.GALILEAN);
+    strictEqual(resultant.galileanDifference.magnitude, 0);
+    assertClose(resultant.beta, resultant.magnitude / C, 1e-15);
+  });
+
+  it('collinear 0.5c + 0.5c composes to 0.8c', () => {
+    const sum = relativistic();
+    sum.addVector('Spacecraft', 0.5 * C, 0, 0);
+    sum.addVector('Frame', 0.5 * C, 0, 0);
+    const resultant = sum.getResultant();
+    assertClose(resultant.beta, 0.8, 1e-12);
+    assertClose(resultant.gamma, 5 / 3, 1e-9);
+    assertClose(resultant.galileanDifference.magnitude, -0.2 * C, 1e-6);
+  });
+
+  it('a perpendicular inner velocity is slowed by the outer frame\'s gamma', () => {
+    // 0.6c frame (gamma 1.25) carrying a 0.4c motion at right angles
+    const sum = relativistic();
+    sum.addVector('Inner', 0.4 * C, 0, 0);
+    sum.addVector('Frame', 0.6 * C, deg(90), 0);
+    const { cartesian, galileanDifference } = sum.getResultant();
+    assertClose(cartesian.x, 0.6 * C, 1e-6);
+    assertClose(cartesian.y, 0.4 * C / 1.25, 1e-6);
+    if (!(galileanDifference.separationDegrees > 0)) {
+      throw new Error('Expected the composed direction to differ from the plain sum');
+    }
+  });
+
+  it('agrees with the plain sum to v²/c² at cosmic speeds', () => {
+    const sum = relativistic();
+    sum.addVector('A', 30, deg(10), deg(20));
+    sum.addVector('B', 370, deg(100), deg(-5));
+    const { galileanDifference } = sum.getResultant();
+    if (!(Math.abs(galileanDifference.magnitude) < 370 * (400 / C) ** 2)) {
+      throw new Error(`Difference ${galileanDifference.magnitude} km/s larger than expected`);
+    }
+  });
+
+  it('rejects unknown modes and speeds of c or more', () => {
+    throws(() => new VectorSum({ composition: 'newtonian' }));
+    throws(() => relativistic().addVector('Light', C, 0, 0));
+  });
+});
+
+describe('VectorSum projection', () => {
+  const twoVectors = () => {
+    const sum = new VectorSum();
+    sum.addVector('A', 300, deg(10), deg(20), { level: 1 });
+    sum.addVector('B', 400, deg(100), deg(-5), { level: 2 });
+    return sum;
+  };
+
+  it('closes on the apex at full speed and recedes from the antapex', () => {
+    const sum = twoVectors();
+    const { magnitude, azimuth, altitude } = sum.getResultant();
+    const toward = sum.projectOnto({ azimuth, altitude });
+    assertClose(toward.closingSpeed, magnitude, 1e-9);
+    assertClose(toward.angleDegrees, 0, 1e-6);
+    assertClose(toward.transverseSpeed, 0, 1e-3);
+
+    const away = sum.projectOnto({ azimuth: azimuth + Math.PI, altitude: -altitude });
+    assertClose(away.closingSpeed, -magnitude, 1e-9);
+    assertClose(away.angleDegrees, 180, 1e-6);
+  });
+
+  it('splits the closing speed between the vectors', () => {
+    const target = { azimuth: deg(45), altitude: deg(30) };
+    const projection = twoVectors().projectOnto(target);
+    strictEqual(projection.contributions.length, 2);
+    strictEqual(projection.contributions[1].level, 2);
+    const total = projection.contributions.reduce((sum, c) => sum + c.closingSpeed, 0);
+    assertClose(total, projection.closingSpeed, 1e-9);
+    const { magnitude } = twoVectors().getResultant();
+    assertClose(Math.hypot(projection.closingSpeed, projection.transverseSpeed), magnitude, 1e-9);
+    assertClose(Math.cos(deg(projection.angleDegrees)) * magnitude, projection.closingSpeed, 1e-9);
+  });
+
+  it('takes J2000 RA/Dec targets with the observer', () => {
+    const observer = { lat: 53.35, lon: -6.26, date: new Date(Date.UTC(2025, 2, 20, 22)) };
+    const [alt, az] = StellarCalculations.calculateStarLocation(observer.lat, observer.lon, 10.1395, 11.9672, observer.date);
+    const sum = twoVectors();
+    const byRaDec = sum.projectOnto({ ra: 10.1395, dec: 11.9672 }, observer);
+    const byHorizon = sum.projectOnto({ azimuth: deg(az), altitude: deg(alt) });
+    assertClose(byRaDec.closingSpeed, byHorizon.closingSpeed, 1e-9);
+    assertClose(byRaDec.altitudeDegrees, alt, 1e-9);
+
+    throws(() => sum.projectOnto({ ra: 10.1395, dec: 11.9672 }), /needs the observer/);
+    throws(() => sum.projectOnto({}), /azimuth and altitude/);
+    strictEqual(new VectorSum().projectOnto({ azimuth: 0, altitude: 0 }), null);
+  });
+});
+
+describe('calculateVectorSum uncertainty', () => {
+  const DATE = new Date(Date.UTC(2025, 0, 1, 12));
+
+  it('propagates level uncertainties into a speed interval around the resultant', () => {
+    const { resultant, uncertainty } = calculateVectorSum(53.35, -6.26, DATE, 8);
+    strictEqual(uncertainty.confidence, 0.95);
+    const [min, max] = uncertainty.speed.interval;
+    if (!(min < resultant.magnitude && resultant.magnitude < max)) {
+      throw new Error(`Resultant ${resultant.magnitude} outside interval [${min}, ${max}]`);
+    }
+  });
+
+  it('levels 1-2 have no uncertainty, so the level 2 sum is exact', () => {
+    const { uncertainty } = calculateVectorSum(53.35, -6.26, DATE, 2);
+    strictEqual(uncertainty.speed.sigma, 0);
+  });
+});
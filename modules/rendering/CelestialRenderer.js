@@ -37,8 +37,8 @@ export class CelestialRenderer {
     this.sceneManager.positionCelestialBody(bodyId, direction.azimuth, direction.altitude);
     
     // Update HUD text with velocity
-    const velocity = instance.getVelocity(lat, lon);
-    this.updateHUDText(elementId, `${velocity} km/s`);
+    const velocity = instance.getVelocity(lat, lon, date);
+    this.updateHUDText(elementId, `${Math.round(velocity * 100) / 100} km/s`);
   }
 
   processMotionHUDWithConfig(MotionClass, levelConfig, bodyId, elementId, lat, lon, date) {
@@ -55,8 +55,8 @@ export class CelestialRenderer {
     this.sceneManager.positionCelestialBody(bodyId, direction.azimuth, direction.altitude);
     
     // Update HUD text with velocity
-    const velocity = instance.getVelocity(lat, lon);
-    this.updateHUDText(elementId, `${velocity} km/s`);
+    const velocity = instance.getVelocity(lat, lon, date);
+    this.updateHUDText(elementId, `${Math.round(velocity * 100) / 100} km/s`);
   }
 
   processMotionHUDsBasedOnLevels(lat, lon, date) {
@@ -113,11 +113,15 @@ export class CelestialRenderer {
 
     try {
       // Calculate celestial positions using the calculation layer
-      const celestialData = calculateCelestialPositions(lat, lon, date);
+      const celestialData = calculateCelestialPositions(lat, lon, date, this.levelManager?.getCalculationOptions());
 
       // Log calculations
       this.logCoordinates("Sun", celestialData.sun.azimuth, celestialData.sun.altitude);
       this.logCoordinates("Moon", celestialData.moon.azimuth, celestialData.moon.altitude);
+      Object.values(celestialData.planets).forEach(planet => {
+        this.logCoordinates(`${planet.name} (mag ${planet.magnitude.toFixed(1)})`, planet.azimuth, planet.altitude);
+      });
+      this.uiControls?.debugLog(`Coordinates: ${celestialData.debug.calculations.coordinateMode} (J2000 → apparent correction ${celestialData.debug.calculations.apparentCorrection.toFixed(3)}°)`);
 
       // Apply skybox rotations (using galactic center rotations)
       this.sceneManager.applySkyboxRotation(compassCorrection, celestialData.galacticCenter.rotations);
@@ -125,21 +129,18 @@ export class CelestialRenderer {
       // Apply compass correction to all containers
       this.sceneManager.applyCompassCorrection(compassCorrection);
 
-      // Position celestial bodies
-      this.sceneManager.positionCelestialBody('sun', celestialData.sun.azimuth, celestialData.sun.altitude);
-      this.sceneManager.positionCelestialBody('moon', celestialData.moon.azimuth, celestialData.moon.altitude);
+      // Position celestial bodies and the galactic center
+      this.placeCelestialBodies(celestialData);
 
       // Process motion HUDs based on level configuration
       this.processMotionHUDsBasedOnLevels(lat, lon, date);
 
-      // Position galactic center
-      this.sceneManager.positionGalacticCenter(celestialData.galacticCenter.rotations);
-
       this.uiControls?.debugLog("Celestial scene rendered successfully");
 
       return {
         sun: celestialData.sun,
         moon: celestialData.moon,
+        planets: celestialData.planets,
         galactic: celestialData.galacticCenter.rotations
       };
 
@@ -149,6 +150,29 @@ export class CelestialRenderer {
     }
   }
 
+  placeCelestialBodies(celestialData) {
+    this.sceneManager.positionCelestialBody('sun', celestialData.sun.azimuth, celestialData.sun.altitude);
+    this.sceneManager.positionCelestialBody('moon', celestialData.moon.azimuth, celestialData.moon.altitude);
+    Object.entries(celestialData.planets).forEach(([id, planet]) => {
+      this.sceneManager.positionPlanet(id, planet);
+    });
+    this.sceneManager.positionGalacticCenter(celestialData.galacticCenter.rotations);
+  }
+
+  // Place the sky, Sun, Moon, planets and galactic center again with the current
+  // coordinate mode and refraction, keeping the compass correction
+  updateCelestialBodies(position, currentTime = null) {
+    if (!this.sceneManager || !position || !this.sceneManager.resetSkyPlacement()) return;
+
+    const date = currentTime || new Date();
+    const celestialData = calculateCelestialPositions(position.lat, position.lon, date, this.levelManager?.getCalculationOptions());
+
+    // The compass correction survived the reset; only the galactic alignment is added
+    this.sceneManager.applySkyboxRotation(0, celestialData.galacticCenter.rotations);
+    this.placeCelestialBodies(celestialData);
+    this.uiControls?.debugLog(`Celestial bodies placed again (${celestialData.debug.calculations.coordinateMode}, refraction ${celestialData.debug.calculations.refraction?.model ?? 'off'})`);
+  }
+
   updateSkyboxTexture(imageSrc) {
     if (!this.sceneManager) return;
     
@@ -184,16 +208,18 @@ export class CelestialRenderer {
     if (!this.levelManager) return null;
 
     const maxLevel = this.levelManager.getMaxLevel();
-    const vectorSumData = calcVectorSum(lat, lon, date, maxLevel);
+    const vectorSumData = calcVectorSum(lat, lon, date, maxLevel, this.levelManager.getCalculationOptions());
     const resultant = vectorSumData.resultant;
 
     if (resultant) {
       this.uiControls?.debugLog(`Your velocity: ${Math.round(resultant.magnitude)} km/s toward ${Math.round(resultant.azimuthDegrees)}° az ${Math.round(resultant.altitudeDegrees)}° alt`);
-
-      // Pass all 8 levels (including inactive/unimplemented) to the sidebar
-      this.uiControls?.updateSidebar(vectorSumData.motionVectors, resultant, maxLevel);
     }
 
+    // Pass all levels (including inactive/unimplemented) to the sidebar; with every
+    // level switched off there is no resultant and its row is cleared
+    this.uiControls?.setSkyContext(lat, lon, date);
+    this.uiControls?.updateSidebar(vectorSumData.motionVectors, resultant, maxLevel, vectorSumData.verification);
+
     return vectorSumData.vectorSum;
   }
 
@@ -1,10 +1,31 @@
 import { Coordinates } from '../../cosmic-core/src/astronomy/Coordinates.js';
+import { VISIBLE_PLANETS } from '../../cosmic-core/src/astronomy/Planets.js';
+
+// Planet markers: inside the Moon (490) and galactic centre, tinted roughly as seen
+const PLANET_DISTANCE = 470;
+const PLANET_COLORS = {
+  mercury: 0xC9C0B4,
+  venus:   0xFFF6DC,
+  mars:    0xFF9A66,
+  jupiter: 0xFFE9C8,
+  saturn:  0xF2D58C,
+  uranus:  0xA8E4EC,
+  neptune: 0x7FA6FF
+};
 
 export class SceneManager {
   constructor() {
     this.scene = null;
     this.skybox = null;
     this.containers = {};
+
+    // Motion and resultant containers, hidden together by hideAllMotionContainers
+    this.motionContainerNames = [
+      'earthRotation', 'earthOrbit', 'solarOrbit', 'localGroupMotion',
+      'localVoidPush', 'virgoPull', 'largeScaleFlow', 'cmbDipoleMotion',
+      'resultant1', 'resultant2', 'resultant3', 'resultant4',
+      'resultant5', 'resultant6', 'resultant7', 'resultant8'
+    ];
   }
 
   initialize() {
@@ -51,6 +72,7 @@ export class SceneManager {
 
     this.buildRealisticSun();
     this.buildRealisticMoon();
+    this.buildPlanetMarkers();
 
     return true;
   }
@@ -263,6 +285,79 @@ export class SceneManager {
     }
   }
 
+  /**
+   * A container per planet ("<id>-container" holding "<id>-sphere", like the Sun and
+   * Moon), registered under the planet id so compass correction turns it with the rest.
+   * Each marker is a small disk with a soft halo; positionPlanet scales it by magnitude.
+   */
+  buildPlanetMarkers() {
+    if (!this.scene) return;
+
+    VISIBLE_PLANETS.forEach(id => {
+      const container = document.createElement('a-entity');
+      container.id = `${id}-container`;
+      const marker = document.createElement('a-entity');
+      marker.id = `${id}-sphere`;
+      marker.setAttribute('position', `-${PLANET_DISTANCE} 0 0`);
+      container.appendChild(marker);
+      this.scene.appendChild(container);
+      this.containers[id] = container;
+
+      const buildPlanet = () => {
+        const color = new THREE.Color(PLANET_COLORS[id]);
+        const obj = marker.object3D;
+
+        obj.add(new THREE.Mesh(
+          new THREE.SphereGeometry(1, 16, 12),
+          new THREE.MeshBasicMaterial({ color })
+        ));
+
+        // Halo: camera-facing sprite, a radial falloff drawn once per planet
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+        gradient.addColorStop(0, 'rgba(255,255,255,0.8)');
+        gradient.addColorStop(0.25, 'rgba(255,255,255,0.25)');
+        gradient.addColorStop(1, 'rgba(255,255,255,0)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 64, 64);
+
+        const halo = new THREE.Sprite(new THREE.SpriteMaterial({
+          map: new THREE.CanvasTexture(canvas),
+          color,
+          transparent: true,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false,
+        }));
+        halo.scale.setScalar(6);
+        obj.add(halo);
+      };
+
+      if (marker.hasLoaded) {
+        buildPlanet();
+      } else {
+        marker.addEventListener('loaded', buildPlanet);
+      }
+    });
+  }
+
+  /**
+   * Point a planet's container at its azimuth and altitude (radians) and size its marker
+   * by apparent magnitude: Venus at -4.5 about 6 times the radius of Uranus at +5.7
+   * @param {string} id - Planet id, see VISIBLE_PLANETS
+   * @param {Object} planet - { azimuth, altitude, magnitude }, from calculatePlanetPositions
+   */
+  positionPlanet(id, { azimuth, altitude, magnitude }) {
+    this.positionCelestialBody(id, azimuth, altitude);
+
+    const marker = document.getElementById(`${id}-sphere`);
+    if (marker?.object3D) {
+      const radius = Math.min(6, Math.max(1, 2.5 * Math.pow(10, -0.1 * magnitude)));
+      marker.object3D.scale.setScalar(radius);
+    }
+  }
+
   applySkyboxRotation(compassCorrection, galacticRotations) {
     if (!this.skybox) return;
 
@@ -286,6 +381,59 @@ export class SceneManager {
     });
   }
 
+  /**
+   * Undo applySkyboxRotation, positionCelestialBody and positionGalacticCenter for the sky
+   * image, Sun, Moon, planets and Milky Way, keeping only the compass correction, so they
+   * can be placed again (a coordinate mode or refraction change)
+   * @returns {boolean} false before the scene has been set up
+   */
+  resetSkyPlacement() {
+    if (this.compassCorrection == null) return false;
+    const turn = Coordinates.toRadians(this.compassCorrection);
+    const bodies = ['milkyWay', 'sun', 'moon', ...VISIBLE_PLANETS].map(name => this.containers[name]);
+    [this.skybox, ...bodies].forEach(el => el?.object3D.rotation.set(0, turn, 0));
+    return true;
+  }
+
+  /**
+   * Turn the sky and every container about the vertical by a further delta degrees,
+   * as if the compass correction had been that much larger from the start
+   * (a calibration change after the scene is set up)
+   */
+  adjustCompassCorrection(delta) {
+    if (!delta || this.compassCorrection == null) return;
+    this.compassCorrection += delta;
+
+    const up = new THREE.Vector3(0, 1, 0);
+    const angle = Coordinates.toRadians(delta);
+    [this.skybox, ...Object.values(this.containers)].forEach(el => {
+      el?.object3D.rotateOnWorldAxis(up, angle);
+    });
+  }
+
+  /**
+   * Compass heading the camera looks toward, in degrees from north (null before the
+   * compass correction is known)
+   */
+  getCameraHeading() {
+    const camera = document.getElementById('camera');
+    if (!camera || this.compassCorrection == null) return null;
+    const dir = camera.object3D.getWorldDirection(new THREE.Vector3()).negate(); // entity +Z points backward
+    const az = Coordinates.toDegrees(Math.atan2(-dir.z, -dir.x)) + this.compassCorrection;
+    return ((az % 360) + 360) % 360;
+  }
+
+  /**
+   * Turn the camera to a compass heading (degrees from north). Only look-controls' own
+   * yaw is set, so on a phone the device orientation takes over again as it moves.
+   */
+  setCameraHeading(heading) {
+    const lookControls = document.getElementById('camera')?.components['look-controls'];
+    if (!lookControls?.yawObject || this.compassCorrection == null) return;
+    const worldAz = heading - this.compassCorrection;
+    lookControls.yawObject.rotation.y = Coordinates.toRadians(90 - worldAz);
+  }
+
   positionCelestialBody(containerName, azimuth, altitude) {
     const container = this.containers[containerName];
     if (!container) return;
@@ -328,9 +476,28 @@ export class SceneManager {
     return this.skybox;
   }
 
+  /**
+   * Get the container for a level's bodyId, creating it for levels that have no
+   * entity in index.html (levels loaded from a catalog): an invisible a-entity with
+   * id "<kebab-case bodyId>-container" in the scene
+   */
+  ensureMotionContainer(containerName) {
+    if (this.containers[containerName]) return this.containers[containerName];
+    if (!this.scene) return null;
+
+    const container = document.createElement('a-entity');
+    container.id = `${containerName.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}-container`;
+    container.setAttribute('visible', false);
+    this.scene.appendChild(container);
+
+    this.containers[containerName] = container;
+    this.motionContainerNames.push(containerName);
+    return container;
+  }
+
   // Set visibility of a motion container
   setMotionContainerVisibility(containerName, visible) {
-    const container = this.containers[containerName];
+    const container = visible ? this.ensureMotionContainer(containerName) : this.containers[containerName];
     if (container) {
       container.setAttribute('visible', visible);
     }
@@ -338,13 +505,7 @@ export class SceneManager {
 
   // Hide all motion containers
   hideAllMotionContainers() {
-    const motionContainers = [
-      'earthRotation', 'earthOrbit', 'solarOrbit', 'localGroupMotion',
-      'localVoidPush', 'virgoPull', 'largeScaleFlow', 'cmbDipoleMotion',
-      'resultant1', 'resultant2', 'resultant3', 'resultant4',
-      'resultant5', 'resultant6', 'resultant7', 'resultant8'
-    ];
-    motionContainers.forEach(name => {
+    this.motionContainerNames.forEach(name => {
       this.setMotionContainerVisibility(name, false);
     });
   }
@@ -1,3 +1,9 @@
+import { getUnits } from './Units.js';
+import { calculateApexEvents } from '../../cosmic-core/src/calculations/CelestialCalculations.js';
+
+// Apex events in the open description are recomputed after this long (ms)
+const EVENTS_MAX_AGE = 10 * 60 * 1000;
+
 export class UIControls {
   constructor() {
     this.debugExpanded = false;
@@ -12,9 +18,31 @@ export class UIControls {
     // Distance/timer state
     this.startTime = null;
     this.cachedVelocities = {}; // level → km/s
+    this.cachedSubLevelVelocities = {}; // sub-level id → km/s
+    this.cachedComponents = {}; // level → velocity breakdown (GalacticOrbit)
     this.cachedResultantMag = 0; // km/s
     this.distIntervalId = null;
 
+    // Level 0 source: 'gps' follows setGpsObserver, 'manual' reads the vehicle form
+    this.vehicleSource = 'gps';
+    this.gpsObserver = null;
+
+    // Main level numbers with a sidebar row, kept in step with the level list
+    this.levelNumbers = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+
+    // Display units ('metric' or 'imperial', see Units.js) and the compass offset
+    // (degrees added to the device heading) set in the sidebar
+    this.units = 'metric';
+    this.calibration = { heading: 0 };
+
+    // Listeners for changes worth saving: units, sky options, sidebar state, calibration
+    this.settingsListeners = new Set();
+
+    // Where and when the sky was last calculated (setSkyContext), and the apex events
+    // found for the open description: { level, start, html }
+    this.skyContext = null;
+    this.cachedEvents = null;
+
     this.openDescLevel = null;
     this.initialized = false;
   }
@@ -60,6 +88,48 @@ export class UIControls {
       }
     }
 
+    // Tapping a level's name includes or excludes just that level; tapping the rest of
+    // the row selects levels 1 to N. Captured so the row's own handler does not run.
+    this.sidebar?.addEventListener('click', (e) => {
+      const node = e.target.closest('.level-name')?.closest('.level-node');
+      if (!node?.id.startsWith('sidebar-level-') || !this.levelManager) return;
+      e.stopPropagation();
+      const key = node.id.slice('sidebar-level-'.length);
+      this.levelManager.toggleLevel(/^\d+$/.test(key) ? Number(key) : key);
+    }, true);
+
+    // Vehicle row opens the level 0 entry form
+    const vehicleNode = document.getElementById('sidebar-level-0');
+    const vehicleForm = document.getElementById('sidebar-vehicle-form');
+    if (vehicleNode && vehicleForm) {
+      vehicleNode.addEventListener('click', () => {
+        vehicleForm.style.display = vehicleForm.style.display === 'none' ? '' : 'none';
+      });
+      document.getElementById('vehicle-source')?.addEventListener('change', (e) => {
+        this.vehicleSource = e.target.value;
+        this.applyObserver();
+        this.notifySettingsChange();
+      });
+      ['vehicle-speed', 'vehicle-heading', 'vehicle-altitude'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', () => {
+          this.applyObserver();
+          this.notifySettingsChange();
+        });
+      });
+      this.applyObserver();
+    }
+
+    // Units and compass offset
+    document.getElementById('units-select')?.addEventListener('change', (e) => this.setUnits(e.target.value));
+    document.getElementById('calibration-heading')?.addEventListener('input', (e) => {
+      const heading = e.target.value === '' ? 0 : Number(e.target.value);
+      if (Number.isFinite(heading)) this.setCalibration({ heading });
+    });
+
+    // Coordinate mode and refraction, kept by the level manager for the calculations
+    document.getElementById('coordinate-mode-select')?.addEventListener('change', (e) => this.setSkyOptions({ coordinateMode: e.target.value }));
+    document.getElementById('refraction-select')?.addEventListener('change', (e) => this.setSkyOptions({ refraction: e.target.value || null }));
+
     // Timer reset button
     const resetBtn = document.getElementById('timer-reset');
     if (resetBtn) {
@@ -99,6 +169,175 @@ export class UIControls {
     if (this.levelToggleBtn) {
       this.levelToggleBtn.style.borderColor = isVisible ? 'rgba(68,170,255,0.25)' : '#4af';
     }
+    this.notifySettingsChange();
+  }
+
+  isSidebarOpen() {
+    return !!this.sidebar && this.sidebar.style.display !== 'none';
+  }
+
+  /**
+   * Switch the sidebar and HUD between km ('metric') and miles ('imperial')
+   */
+  setUnits(units) {
+    const previous = getUnits(this.units);
+    const next = getUnits(units);
+    this.units = next.id;
+
+    const select = document.getElementById('units-select');
+    if (select) select.value = next.id;
+    document.querySelectorAll('.level-header').forEach(header => {
+      const labels = header.querySelectorAll('.col-label');
+      if (labels[0]) labels[0].textContent = `Speed (${next.speed})`;
+      if (labels[3]) labels[3].textContent = `Distance (${next.distance})`;
+    });
+    this._setText('vehicle-speed-unit', next.groundSpeed);
+
+    // A hand-entered ground speed keeps its meaning in the new unit
+    const speed = document.getElementById('vehicle-speed');
+    if (this.vehicleSource === 'manual' && speed && speed.value !== '' && previous !== next) {
+      speed.value = Math.round(Number(speed.value) / previous.perKm * next.perKm);
+    }
+    this.applyObserver();
+
+    if (previous !== next) {
+      this.debugLog(`Units: ${next.id}`);
+      this.notifySettingsChange();
+    }
+  }
+
+  getUnits() {
+    return this.units;
+  }
+
+  /**
+   * Set the compass offset: { heading } in degrees, added to the device heading
+   */
+  setCalibration(calibration) {
+    const heading = calibration?.heading ?? 0;
+    if (heading === this.calibration.heading) return;
+    this.calibration = { heading };
+
+    const input = document.getElementById('calibration-heading');
+    if (input && Number(input.value) !== heading) input.value = heading || '';
+    this.notifySettingsChange();
+  }
+
+  getCalibration() {
+    return { ...this.calibration };
+  }
+
+  /**
+   * Set the coordinate mode and refraction model (see LevelManager.setSkyOptions) and
+   * show them in the sidebar
+   */
+  setSkyOptions(options) {
+    if (!this.levelManager) return;
+    const previous = this.levelManager.getSkyOptions();
+    this.levelManager.setSkyOptions(options);
+    const sky = this.levelManager.getSkyOptions();
+
+    const mode = document.getElementById('coordinate-mode-select');
+    if (mode) mode.value = sky.coordinateMode;
+    const refraction = document.getElementById('refraction-select');
+    if (refraction) refraction.value = sky.refraction ?? '';
+
+    if (sky.coordinateMode !== previous.coordinateMode || sky.refraction !== previous.refraction) {
+      this.notifySettingsChange();
+    }
+  }
+
+  /**
+   * Units, sky options, sidebar and calibration settings in StateStore form
+   */
+  getSettings() {
+    const perKm = getUnits(this.units).perKm;
+    const read = id => {
+      const input = document.getElementById(id);
+      return input && input.value !== '' && Number.isFinite(Number(input.value)) ? Number(input.value) : null;
+    };
+    const speed = read('vehicle-speed');
+
+    return {
+      units: this.units,
+      sky: this.levelManager?.getSkyOptions(),
+      sidebar: {
+        open: this.isSidebarOpen(),
+        description: this.openDescLevel,
+        vehicle: {
+          source: this.vehicleSource,
+          speed: speed != null ? speed / perKm : null, // km/h
+          heading: read('vehicle-heading'),
+          altitude: read('vehicle-altitude')
+        }
+      },
+      calibration: this.getCalibration()
+    };
+  }
+
+  /**
+   * Restore getSettings output (e.g. from StateStore) once the level manager is
+   * connected. Hand-entered vehicle values only apply in manual mode.
+   */
+  applySettings({ units, sky, sidebar, calibration } = {}) {
+    if (units) this.setUnits(units);
+    if (sky) this.setSkyOptions(sky);
+    if (calibration) this.setCalibration(calibration);
+
+    const vehicle = sidebar?.vehicle;
+    if (vehicle) {
+      this.vehicleSource = vehicle.source === 'manual' ? 'manual' : 'gps';
+      const source = document.getElementById('vehicle-source');
+      if (source) source.value = this.vehicleSource;
+      if (this.vehicleSource === 'manual') {
+        const perKm = getUnits(this.units).perKm;
+        const fill = (id, value) => {
+          const input = document.getElementById(id);
+          if (input) input.value = value != null ? value : '';
+        };
+        fill('vehicle-speed', vehicle.speed != null ? Math.round(vehicle.speed * perKm) : null);
+        fill('vehicle-heading', vehicle.heading);
+        fill('vehicle-altitude', vehicle.altitude);
+      }
+      this.applyObserver();
+    }
+
+    if (sidebar?.description != null && sidebar.description !== this.openDescLevel) {
+      this.toggleLevelDescription(sidebar.description);
+    }
+    if (sidebar?.open != null && sidebar.open !== this.isSidebarOpen()) {
+      this.toggleSidebar();
+    }
+  }
+
+  /**
+   * Add listener for settings changes (units, sky options, sidebar, calibration)
+   * Callback receives getSettings()
+   */
+  addSettingsChangeListener(callback) {
+    this.settingsListeners.add(callback);
+  }
+
+  /**
+   * Remove settings change listener
+   */
+  removeSettingsChangeListener(callback) {
+    this.settingsListeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners of a settings change
+   */
+  notifySettingsChange() {
+    if (this.settingsListeners.size === 0) return;
+    const settings = this.getSettings();
+    this.settingsListeners.forEach(callback => {
+      try {
+        callback(settings);
+      } catch (error) {
+        this.debugLog(`Error in settings change listener: ${error.message}`);
+      }
+    });
   }
 
   setupHiResButton(callback) {
@@ -188,8 +427,9 @@ export class UIControls {
       const cb = label.querySelector('input[type="checkbox"]');
       if (!cb) return;
 
-      // Set initial active state
-      if (cb.checked) label.classList.add('active');
+      // Start from the modes already enabled (restored or defaults)
+      cb.checked = this.vizModeManager.isModeActive(cb.value);
+      label.classList.toggle('active', cb.checked);
 
       // Toggle on label tap (checkbox is hidden)
       label.addEventListener('click', (e) => {
@@ -203,17 +443,156 @@ export class UIControls {
 
   connectLevelManager(levelManager) {
     this.levelManager = levelManager;
+    this.applyObserver();
 
     if (this.levelManager) {
-      this.levelManager.addLevelChangeListener((oldLevel, newLevel) => {
-        this.updateLevelActiveStates(newLevel);
+      this.levelManager.addActiveLevelsChangeListener(() => {
+        this.updateLevelActiveStates(this.levelManager.getMaxLevel());
+      });
+
+      // A loaded level catalog may add, rename or drop rows, and its levels point
+      // elsewhere than the events found for the old ones
+      this.levelManager.addCatalogChangeListener(() => {
+        this.cachedEvents = null;
+        this.syncLevelRows();
+        this.updateLevelActiveStates(this.levelManager.getMaxLevel());
       });
+      this.syncLevelRows();
 
       const currentLevel = this.levelManager.getMaxLevel();
       this.updateLevelActiveStates(currentLevel);
     }
   }
 
+  /**
+   * Match the sidebar rows to the level manager's level list. Rows in index.html
+   * cover COSMIC_LEVELS; levels from a catalog that have none get a generated row
+   * (with description and header) above the next level down, catalog levels show
+   * their own names, and rows for levels no longer in the list are hidden.
+   */
+  syncLevelRows() {
+    if (!this.sidebar || !this.levelManager) return;
+    const levels = this.levelManager.getLevels();
+
+    levels.filter(level => level.level > 0).forEach(level => {
+      const key = level.subLevel ? level.id : level.level;
+      let node = document.getElementById(`sidebar-level-${key}`);
+      if (!node) node = this._createLevelRow(level, key);
+
+      const nameEl = node.querySelector('.level-name');
+      if (nameEl) {
+        nameEl.dataset.defaultName ??= nameEl.textContent;
+        nameEl.textContent = level.catalog ? (level.shortName ?? level.name) : nameEl.dataset.defaultName;
+      }
+    });
+
+    // Hide rows whose level is gone; generated rows are removed outright
+    this.sidebar.querySelectorAll('.level-node[data-level], .level-sublevel').forEach(node => {
+      const present = node.classList.contains('level-sublevel')
+        ? levels.some(level => level.subLevel && `sidebar-level-${level.id}` === node.id)
+        : levels.some(level => !level.subLevel && level.level === Number(node.dataset.level));
+      if (!present && node.dataset.generated) {
+        const key = node.id.slice('sidebar-level-'.length);
+        document.getElementById(`sidebar-desc-${key}`)?.remove();
+        document.getElementById(`sidebar-header-${key}`)?.remove();
+        node.remove();
+      } else {
+        node.style.display = present ? '' : 'none';
+      }
+    });
+
+    this.levelNumbers = [...new Set([0, ...levels.filter(level => !level.subLevel).map(level => level.level)])];
+  }
+
+  /**
+   * Build a sidebar row like the ones in index.html for a level that has none,
+   * inserted above the rows of the next lower level (sub-levels above their parent)
+   */
+  _createLevelRow(level, key) {
+    const row = document.createElement('div');
+    row.className = level.subLevel ? 'level-node level-sublevel' : 'level-node';
+    row.id = `sidebar-level-${key}`;
+    row.dataset.generated = 'true';
+    if (level.subLevel) {
+      row.dataset.parentLevel = level.level;
+    } else {
+      row.dataset.level = level.level;
+    }
+    row.innerHTML = `<div class="level-name" style="color:#9fd8ff"></div>`
+      + ['vel', 'az', 'alt', 'dist'].map(cell => `<div class="level-${cell}" id="sidebar-${key}-${cell}">—</div>`).join('')
+      + `<div class="level-dot" style="background:#AAAAAA"></div>`;
+
+    const rows = [row];
+    if (!level.subLevel) {
+      const desc = document.createElement('div');
+      desc.className = 'level-description';
+      desc.id = `sidebar-desc-${key}`;
+      desc.style.display = 'none';
+
+      const header = document.createElement('div');
+      header.className = 'level-node level-header';
+      header.id = `sidebar-header-${key}`;
+      header.style.display = 'none';
+      const units = getUnits(this.units);
+      header.innerHTML = [`Speed (${units.speed})`, 'az', 'alt', `Distance (${units.distance})`]
+        .map(label => `<div class="col-label">${label}</div>`).join('') + '<div></div>';
+
+      rows.unshift(desc, header);
+      row.addEventListener('click', () => this.onLevelNodeClick(level.level));
+    }
+
+    // Rows run from the highest level at the top down to the vehicle row
+    const below = [...this.sidebar.querySelectorAll('.level-node[data-level]')]
+      .filter(node => Number(node.dataset.level) <= level.level && node !== row)
+      .sort((a, b) => Number(b.dataset.level) - Number(a.dataset.level))[0];
+    const anchor = below
+      ? (document.getElementById(`sidebar-desc-${below.dataset.level}`) ?? below)
+      : document.getElementById('sidebar-vehicle-form');
+    rows.forEach(node => anchor.parentNode.insertBefore(node, anchor));
+    return row;
+  }
+
+  /**
+   * Latest GPS altitude, ground speed and heading (see Geolocation.getObserverState);
+   * used for level 0 unless the form is set to manual
+   */
+  setGpsObserver(observer) {
+    this.gpsObserver = observer;
+    this.applyObserver();
+  }
+
+  /**
+   * Push the observer state for the selected source to the level manager.
+   * In GPS mode the form shows the readings; in manual mode it is the input.
+   */
+  applyObserver() {
+    const manual = this.vehicleSource === 'manual';
+    const speed = document.getElementById('vehicle-speed');
+    const heading = document.getElementById('vehicle-heading');
+    const altitude = document.getElementById('vehicle-altitude');
+    [speed, heading, altitude].forEach(input => { if (input) input.disabled = !manual; });
+
+    const perKm = getUnits(this.units).perKm;
+    let observer = this.gpsObserver;
+    if (manual) {
+      const read = input => (input && input.value !== '' ? Number(input.value) : NaN);
+      const kmh = read(speed) / perKm;
+      observer = {};
+      if (Number.isFinite(kmh)) observer.speed = kmh / 3.6; // m/s
+      if (Number.isFinite(read(heading))) observer.heading = read(heading);
+      if (Number.isFinite(read(altitude))) observer.altitude = read(altitude);
+    } else {
+      const show = (input, value, digits) => {
+        if (input) input.value = Number.isFinite(value) ? value.toFixed(digits) : '';
+      };
+      show(speed, observer?.speed != null ? observer.speed * 3.6 * perKm : NaN, 0);
+      show(heading, observer?.heading, 0);
+      show(altitude, observer?.altitude, 0);
+    }
+
+    this.levelManager?.setObserver(observer && Object.keys(observer).length ? observer : null);
+  }
+
   onLevelNodeClick(level) {
     if (this.levelManager) {
       this.levelManager.setMaxLevel(level);
@@ -237,58 +616,157 @@ export class UIControls {
     if (this.openDescLevel === level && descEl.style.display !== 'none') {
       descEl.style.display = 'none';
       this.openDescLevel = null;
+      this.notifySettingsChange();
       return;
     }
 
     const config = this.levelManager.getLevelConfig(level);
     if (!config) return;
-    descEl.innerHTML = `<strong>${config.name}</strong><br>${config.description}<br><em>${config.velocityDescription} ${config.direction}</em><br><small>${config.scaleDescription}</small>`;
+    // Catalog levels may come from a URL, so their text is escaped
+    const [name, description, speed, direction, scale] = [config.name, config.description,
+      config.velocityDescription, config.direction, config.scaleDescription].map(_escapeHtml);
+    descEl.innerHTML = `<strong>${name}</strong><br>${description}<br><em>${speed} ${direction}</em><br><small>${scale}</small>`
+      + `<div class="level-components" id="sidebar-components-${level}"></div>`
+      + `<div class="level-components" id="sidebar-events-${level}"></div>`;
     descEl.style.display = 'block';
     this.openDescLevel = level;
+    this.renderComponents(level);
+    this.renderEvents(level);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * Fill the open description with the level's velocity breakdown, when its
+   * motion class provides one (level 3: LSR rotation and peculiar U, V, W)
+   */
+  renderComponents(level) {
+    const el = document.getElementById(`sidebar-components-${level}`);
+    if (!el) return;
+    const c = this.cachedComponents[level];
+    if (!c) {
+      el.innerHTML = '';
+      return;
+    }
+
+    const signed = v => `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(1)}`;
+    el.innerHTML = [
+      `LSR rotation <b>${c.lsr.toFixed(1)}</b> km/s`,
+      `U <b>${signed(c.U)}</b> toward Galactic centre`,
+      `V <b>${signed(c.V)}</b> along rotation`,
+      `W <b>${signed(c.W)}</b> toward north pole`,
+      `z <b>${signed(c.height)}</b> pc, ${c.W >= 0 ? 'rising' : 'sinking'} through the disk`
+    ].join('<br>');
+  }
+
+  /**
+   * Position and time the sidebar's figures are for; apex events are searched from here
+   */
+  setSkyContext(lat, lon, date) {
+    this.skyContext = { lat, lon, date };
   }
 
+  /**
+   * Fill the open description with when the level's apex and the resultant next rise,
+   * culminate and set (24 h from the last calculation, device time zone)
+   */
+  renderEvents(level) {
+    const el = document.getElementById(`sidebar-events-${level}`);
+    if (!el || !this.skyContext || !this.levelManager) return;
+
+    const { lat, lon, date } = this.skyContext;
+    const maxLevel = this.levelManager.getMaxLevel();
+    const options = this.levelManager.getCalculationOptions();
+    // Anything that changes the directions invalidates the events, not only the clock
+    // (a new level catalog clears them in the catalog change listener)
+    const key = JSON.stringify([level, lat, lon, maxLevel, { ...options, levels: undefined }]);
+    const cached = this.cachedEvents;
+    if (!cached || cached.key !== key || Math.abs(date - cached.start) > EVENTS_MAX_AGE) {
+      const id = this.levelManager.getLevelConfig(level)?.id;
+      try {
+        const found = calculateApexEvents(lat, lon, { start: date, levels: [id] }, maxLevel, options);
+        const apex = found.levels[0];
+        this.cachedEvents = {
+          key,
+          start: date,
+          html: [
+            apex && `Apex: ${_describeEvents(apex)}`,
+            found.resultant && `Resultant: ${_describeEvents(found.resultant)}`
+          ].filter(Boolean).join('<br>')
+        };
+      } catch (error) {
+        this.debugLog(`ERROR finding apex events: ${error.message}`);
+        this.cachedEvents = { key, start: date, html: '' };
+      }
+    }
+    el.innerHTML = this.cachedEvents.html;
+  }
+
+  /**
+   * Dim the rows of inactive levels and mark the highest active one. Without a
+   * level manager every level up to maxLevel counts as active.
+   */
   updateLevelActiveStates(maxLevel) {
-    for (let lvl = 1; lvl <= 8; lvl++) {
+    const isActive = (levelOrId, levelNumber) => (this.levelManager
+      ? this.levelManager.isLevelActive(levelOrId)
+      : levelNumber <= maxLevel);
+
+    for (const lvl of this.levelNumbers) {
       const node = document.getElementById(`sidebar-level-${lvl}`);
       if (node) {
-        node.classList.toggle('active', lvl <= maxLevel);
-        node.classList.toggle('selected', lvl === maxLevel);
+        node.classList.toggle('active', isActive(lvl, lvl));
+        node.classList.toggle('selected', lvl > 0 && lvl === maxLevel);
       }
       const header = document.getElementById(`sidebar-header-${lvl}`);
       if (header) header.style.display = lvl === maxLevel ? '' : 'none';
     }
+
+    this.sidebar?.querySelectorAll('.level-sublevel').forEach(node => {
+      const id = node.id.slice('sidebar-level-'.length);
+      node.classList.toggle('active', isActive(id, Number(node.dataset.parentLevel)));
+    });
   }
 
   /**
    * Update sidebar with fresh velocity/direction data. Caches velocities for
    * the distance ticker to use between renders.
    */
-  updateSidebar(motionVectors, resultant, maxLevel) {
+  updateSidebar(motionVectors, resultant, maxLevel, verification = null) {
     // Cache resultant for ticker
     this.cachedResultantMag = resultant?.magnitude ?? 0;
+    const perKm = getUnits(this.units).perKm;
 
     // Resultant row
     if (resultant) {
-      const mag = resultant.magnitude;
+      const mag = resultant.magnitude * perKm;
       const spd = mag < 10 ? mag.toFixed(2) : mag.toFixed(1);
       const az  = resultant.azimuthDegrees.toFixed(2);
       const alt = resultant.altitudeDegrees.toFixed(2);
       this._setText('sidebar-resultant-vel', spd);
       this._setText('sidebar-resultant-az',  `${az}°`);
       this._setText('sidebar-resultant-alt', `${alt}°`);
-
+    } else {
+      ['vel', 'az', 'alt'].forEach(cell => this._setText(`sidebar-resultant-${cell}`, '—'));
     }
 
+    this.updateVerification(verification);
+
     this.updateLevelActiveStates(maxLevel);
 
-    for (let lvl = 1; lvl <= 8; lvl++) {
-      const vector = motionVectors?.find(v => v.level === lvl);
+    // Level 0 is only present while the observer is moving
+    if (!motionVectors?.some(v => v.level === 0)) {
+      delete this.cachedVelocities[0];
+      ['vel', 'az', 'alt', 'dist'].forEach(cell => this._setText(`sidebar-0-${cell}`, '—'));
+    }
+
+    for (const lvl of this.levelNumbers) {
+      const vector = motionVectors?.find(v => v.level === lvl && !v.subLevel);
       if (vector?.implemented && vector.velocity != null) {
         // Cache velocity for distance ticker
         this.cachedVelocities[lvl] = vector.velocity;
+        this.cachedComponents[lvl] = vector.components ?? null;
 
-        const v = vector.velocity;
-        const spd = lvl === 1 ? v.toFixed(2) : v.toFixed(1);
+        const v = vector.velocity * perKm;
+        const spd = lvl === 0 ? v.toFixed(3) : lvl === 1 ? v.toFixed(2) : v.toFixed(1);
         const az  = vector.direction.azimuthDegrees.toFixed(2);
         const alt = vector.direction.altitudeDegrees.toFixed(2);
         this._setText(`sidebar-${lvl}-vel`, spd);
@@ -296,6 +774,52 @@ export class UIControls {
         this._setText(`sidebar-${lvl}-alt`, `${alt}°`);
       }
     }
+
+    if (this.openDescLevel != null) {
+      this.renderComponents(this.openDescLevel);
+      this.renderEvents(this.openDescLevel);
+    }
+
+    // Sub-level rows are keyed by level id (speeds of a few m/s need more decimals)
+    motionVectors?.filter(v => v.subLevel && v.implemented && v.velocity != null).forEach(vector => {
+      this.cachedSubLevelVelocities[vector.id] = vector.velocity;
+      this._setText(`sidebar-${vector.id}-vel`, (vector.velocity * perKm).toFixed(4));
+      this._setText(`sidebar-${vector.id}-az`,  `${vector.direction.azimuthDegrees.toFixed(2)}°`);
+      this._setText(`sidebar-${vector.id}-alt`, `${vector.direction.altitudeDegrees.toFixed(2)}°`);
+    });
+  }
+
+  /**
+   * Update the CMB check row: speed difference, angular separation and
+   * residual of the heliocentric sum against the dipole. The tooltip lists
+   * each level's share of the residual.
+   */
+  updateVerification(verification) {
+    const node = document.getElementById('sidebar-verification');
+    if (!node) return;
+
+    if (!verification) {
+      ['dv', 'sep', 'res', 'status'].forEach(cell => this._setText(`sidebar-verification-${cell}`, '—'));
+      node.title = '';
+      return;
+    }
+
+    const dv = verification.magnitudeDifference;
+    this._setText('sidebar-verification-dv', `${dv >= 0 ? '+' : ''}${dv.toFixed(1)}`);
+    this._setText('sidebar-verification-sep', `${verification.separationDegrees.toFixed(2)}°`);
+    this._setText('sidebar-verification-res', verification.residual.magnitude.toFixed(1));
+    this._setText('sidebar-verification-status', verification.withinTolerance ? 'OK' : 'OFF');
+
+    const status = document.getElementById('sidebar-verification-status');
+    status?.classList.toggle('out-of-tolerance', !verification.withinTolerance);
+    const dot = document.getElementById('sidebar-verification-dot');
+    if (dot) dot.style.background = verification.withinTolerance ? '#4f4' : '#fa4';
+
+    node.title = [
+      `Residual vs ${verification.reference.name}: ${verification.residual.magnitude.toFixed(1)} km/s`,
+      ...verification.contributions.map(c => `L${c.level} ${c.name}: ${c.alongResidual >= 0 ? '+' : ''}${c.alongResidual.toFixed(1)} km/s`),
+      `Dipole: ${verification.reference.alongResidual.toFixed(1)} km/s`
+    ].join('\n');
   }
 
   /** Called at 100ms intervals to update the timer and distance cells. */
@@ -303,19 +827,24 @@ export class UIControls {
     if (!this.startTime) return;
     if (this.sidebar?.style.display === 'none') return;
     const elapsed = (Date.now() - this.startTime) / 1000;
+    const units = getUnits(this.units);
+    const dist = km => _formatDist(km * units.perKm, units.distance);
 
     this._setText('sidebar-timer', _formatDuration(elapsed));
 
     // Resultant distance
-    this._setText('sidebar-resultant-dist', _formatDist(this.cachedResultantMag * elapsed));
+    this._setText('sidebar-resultant-dist', dist(this.cachedResultantMag * elapsed));
 
     // Per-level distances
-    for (let lvl = 1; lvl <= 8; lvl++) {
+    for (const lvl of this.levelNumbers) {
       const vel = this.cachedVelocities[lvl];
       if (vel != null) {
-        this._setText(`sidebar-${lvl}-dist`, _formatDist(vel * elapsed));
+        this._setText(`sidebar-${lvl}-dist`, dist(vel * elapsed));
       }
     }
+    for (const [id, vel] of Object.entries(this.cachedSubLevelVelocities)) {
+      this._setText(`sidebar-${id}-dist`, dist(vel * elapsed));
+    }
   }
 
   _setText(id, text) {
@@ -332,9 +861,29 @@ function _formatDuration(seconds) {
   return `${Math.floor(m / 60)}h ${m % 60}m`;
 }
 
-function _formatDist(km) {
-  if (km < 1000)   return `${km.toFixed(1)} km`;
-  if (km < 1e6)    return `${(km / 1e3).toFixed(1)}K km`;
-  if (km < 1e9)    return `${(km / 1e6).toFixed(2)}M km`;
-  return               `${(km / 1e9).toFixed(2)}G km`;
+function _formatDist(d, unit = 'km') {
+  if (d < 1000)   return `${d.toFixed(1)} ${unit}`;
+  if (d < 1e6)    return `${(d / 1e3).toFixed(1)}K ${unit}`;
+  if (d < 1e9)    return `${(d / 1e6).toFixed(2)}M ${unit}`;
+  return              `${(d / 1e9).toFixed(2)}G ${unit}`;
+}
+
+// "rises 18:10 · highest 00:22 at 38° · sets 06:30", local time, for findAltitudeEvents results
+function _describeEvents(result) {
+  if (result.error) return 'not available';
+  const time = date => date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', hour12: false });
+  const parts = result.events.filter(event => event.type !== 'zenith').map(event => {
+    if (event.type === 'rise') return `rises <b>${time(event.time)}</b>`;
+    if (event.type === 'set') return `sets <b>${time(event.time)}</b>`;
+    const zenith = result.events.some(e => e.type === 'zenith' && e.time === event.time);
+    return `${zenith ? 'overhead' : 'highest'} <b>${time(event.time)}</b> at ${event.altitudeDegrees.toFixed(0)}°`;
+  });
+  if (result.alwaysUp) parts.unshift('up all day');
+  if (result.neverUp) parts.unshift('below the horizon all day');
+  if (parts.length === 0) parts.push(`stays at ${result.highest.altitudeDegrees.toFixed(0)}°`);
+  return parts.join(' · ');
+}
+
+function _escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
 }
@@ -0,0 +1,17 @@
+/**
+ * Display units. Calculations work in km and km/s; the sidebar and HUD show them
+ * as they are (metric) or in miles (imperial). Multiply km by perKm to display.
+ */
+export const KM_PER_MILE = 1.609344;
+
+export const UNITS = {
+  metric:   { id: 'metric',   distance: 'km', speed: 'km/s', groundSpeed: 'km/h', perKm: 1 },
+  imperial: { id: 'imperial', distance: 'mi', speed: 'mi/s', groundSpeed: 'mph',  perKm: 1 / KM_PER_MILE }
+};
+
+/**
+ * Unit definitions by id, metric for anything unknown
+ */
+export function getUnits(id) {
+  return UNITS[id] ?? UNITS.metric;
+}
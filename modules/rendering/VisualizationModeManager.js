@@ -26,6 +26,10 @@ export class VisualizationModeManager {
     return this.modes.get(this.activeModes.values().next().value);
   }
 
+  getActiveModeNames() {
+    return [...this.activeModes];
+  }
+
   isModeActive(name) {
     return this.activeModes.has(name);
   }
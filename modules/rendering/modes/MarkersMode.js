@@ -7,10 +7,20 @@
  *            direction. Per-level telemetry around the edges:
  *              TOP:    speed + live distance traveled per level
  *              BOTTOM: az / alt per level
+ *              BELOW:  nearest bright star to the apex (SkyCatalog)
  *            Centre is open & transparent. Reticle locks into centre.
+ *
+ * REGION   — 95% confidence ellipse around the apex, propagated from the
+ *            per-level measurement uncertainties (see VectorSum.getUncertainty).
+ *
+ * TARGET   — a locked body's label shows our speed toward it (closing or
+ *            receding, total and per level) and its angle from the apex
+ *            (see VectorSum.projectOnto).
  */
 import { calculateVectorSum } from '../../../cosmic-core/src/calculations/CelestialCalculations.js';
 import { Coordinates } from '../../../cosmic-core/src/astronomy/Coordinates.js';
+import { SkyCatalog, OBJECT_TYPES } from '../../../cosmic-core/src/astronomy/SkyCatalog.js';
+import { getUnits } from '../Units.js';
 
 const C            = 299792.458;
 const PROJECT_DIST = 5;
@@ -23,6 +33,13 @@ const LABEL_FADE_END   = 40;
 const CELESTIAL_BODIES = [
   { id: 'sun-sphere',        name: 'SOL',    type: 'G2V MAIN SEQUENCE',    dist: '1.00 AU · 150M km' },
   { id: 'moon-sphere',       name: 'LUNA',   type: 'NATURAL SATELLITE',    dist: '384,400 km' },
+  { id: 'mercury-sphere',    name: 'MERCURY', type: 'TERRESTRIAL PLANET',  dist: 'ORBIT 0.39 AU' },
+  { id: 'venus-sphere',      name: 'VENUS',  type: 'TERRESTRIAL PLANET',   dist: 'ORBIT 0.72 AU' },
+  { id: 'mars-sphere',       name: 'MARS',   type: 'TERRESTRIAL PLANET',   dist: 'ORBIT 1.52 AU' },
+  { id: 'jupiter-sphere',    name: 'JUPITER', type: 'GAS GIANT',           dist: 'ORBIT 5.20 AU' },
+  { id: 'saturn-sphere',     name: 'SATURN', type: 'GAS GIANT',            dist: 'ORBIT 9.54 AU' },
+  { id: 'uranus-sphere',     name: 'URANUS', type: 'ICE GIANT',            dist: 'ORBIT 19.2 AU' },
+  { id: 'neptune-sphere',    name: 'NEPTUNE', type: 'ICE GIANT',           dist: 'ORBIT 30.1 AU' },
   { id: 'black-hole-sphere', name: 'SGR A*', type: 'SUPERMASSIVE BLACK HOLE<br>Milky Way Center', dist: '26,000 ly' },
 ];
 
@@ -37,7 +54,8 @@ function shortName(name) {
   return name
     .replace("Earth's Orbit Around Sun", 'ORBIT')
     .replace("Solar System's Galactic Orbit", 'GALACTIC')
-    .replace('Earth Rotation', 'ROTATION');
+    .replace('Earth Rotation', 'ROTATION')
+    .replace('Observer Vehicle', 'VEHICLE');
 }
 
 export class MarkersMode {
@@ -49,7 +67,12 @@ export class MarkersMode {
     this.needsRenderReplay = true;
 
     this.resultant  = null;
+    this.vectorSum  = null;     // VectorSum of the last recalc, for target projections
+    this.nearStar   = null;     // catalogue star nearest the apex, with separationDegrees
     this.worldPos   = null;
+    this.uncertainty = null;
+    this.regionWorld = [];  // world-space outline of the apex confidence region
+    this.regionEl   = null;
     this.levelData  = [];   // [{ name, velocity, azDeg, altDeg }]
     this.reticleEl  = null;
     this.panelEl    = null;
@@ -59,6 +82,7 @@ export class MarkersMode {
     this.lastLat    = null;
     this.lastLon    = null;
     this.lastDate   = null;
+    this.now        = () => new Date(); // clock for the 1 s recalc; a fixed time from a deep link replaces it
     this.startTime  = Date.now();
     this.recalcTimer = 0;
   }
@@ -70,12 +94,14 @@ export class MarkersMode {
     if (!this.reticleEl) this._build();
     this.reticleEl.style.display = '';
     this.panelEl.style.display   = '';
+    this.regionEl.style.display  = '';
     this.celLabels.forEach(l => l.dom.style.display = '');
   }
 
   deactivate() {
     if (this.reticleEl) this.reticleEl.style.display = 'none';
     if (this.panelEl)   this.panelEl.style.display   = 'none';
+    if (this.regionEl)  this.regionEl.style.display  = 'none';
     this.celLabels.forEach(l => l.dom.style.display = 'none');
   }
 
@@ -91,10 +117,16 @@ export class MarkersMode {
   _recalc() {
     this.sceneManager.hideAllMotionContainers();
     const maxLvl = this.levelManager?.getMaxLevel() ?? 1;
-    const data   = calculateVectorSum(this.lastLat, this.lastLon, this.lastDate, maxLvl);
+    const options = this.levelManager?.getCalculationOptions();
+    const data   = calculateVectorSum(this.lastLat, this.lastLon, this.lastDate, maxLvl, options);
     if (!data?.resultant) return;
 
     this.resultant = data.resultant;
+    [this.nearStar] = SkyCatalog.nearestInSky(this.lastLat, this.lastLon,
+      data.resultant.azimuthDegrees, data.resultant.altitudeDegrees, this.lastDate,
+      { ...options, types: [OBJECT_TYPES.STAR] });
+    this.vectorSum = data.vectorSum;
+    this.uncertainty = data.uncertainty;
 
     // Per-level: name, velocity, direction
     this.levelData = (data.activeVectors || []).map(v => ({
@@ -104,18 +136,24 @@ export class MarkersMode {
       altDeg:   v.direction.altitudeDegrees,
     }));
 
-    // World-space target
+    // World-space target + confidence region outline
+    this.worldPos = this._toWorld(this.resultant.azimuthDegrees, this.resultant.altitudeDegrees);
+    this.regionWorld = (this.uncertainty?.direction.outline || [])
+      .map(p => this._toWorld(p.azimuthDegrees, p.altitudeDegrees));
+
+    this._rebuildRows();
+  }
+
+  _toWorld(azDeg, altDeg) {
     const corr = Coordinates.toRadians(this.sceneManager.compassCorrection ?? 0);
-    const az   = Coordinates.toRadians(this.resultant.azimuthDegrees);
-    const alt  = Coordinates.toRadians(this.resultant.altitudeDegrees);
+    const az   = Coordinates.toRadians(azDeg);
+    const alt  = Coordinates.toRadians(altDeg);
     const dir  = new THREE.Vector3(
       -Math.cos(alt) * Math.cos(az),
        Math.sin(alt),
       -Math.cos(alt) * Math.sin(az),
     ).normalize().applyAxisAngle(new THREE.Vector3(0, 1, 0), corr);
-    this.worldPos = dir.multiplyScalar(PROJECT_DIST);
-
-    this._rebuildRows();
+    return dir.multiplyScalar(PROJECT_DIST);
   }
 
   /* ── per-frame (60 Hz) ─────────────────────────────────── */
@@ -148,6 +186,8 @@ export class MarkersMode {
       && ty > pad && ty < window.innerHeight - pad;
     this.panelEl.style.opacity = onScreen ? '1' : '0.15';
 
+    this._updateRegion(scene.camera, hw, hh);
+
     /* ── panel lock ── */
     const panelLocked = dist < LOCK_RADIUS && onScreen;
     this.panelEl.classList.toggle('locked', panelLocked);
@@ -177,7 +217,7 @@ export class MarkersMode {
     this.recalcTimer += dt;
     if (this.recalcTimer >= 1 && this.lastLat != null) {
       this.recalcTimer = 0;
-      this.lastDate = new Date();
+      this.lastDate = this.now();
       this._recalc();
     }
 
@@ -185,7 +225,7 @@ export class MarkersMode {
     if (this.resultant) {
       const elapsed = (Date.now() - this.startTime) / 1000;
       const el = document.getElementById('wf-dist');
-      if (el) el.textContent = fmtDist(this.resultant.magnitude * elapsed);
+      if (el) el.textContent = fmtDist(this.resultant.magnitude * elapsed * this._units().perKm);
     }
   }
 
@@ -219,15 +259,23 @@ export class MarkersMode {
     this.panelEl.innerHTML = `
       <div class="wf-label" id="wf-label"></div>
       <div class="wf-top">
-        <span class="wf-left"><span class="wf-speed" id="wf-speed">---</span> <span class="wf-unit">km/s</span></span>
+        <span class="wf-left"><span class="wf-speed" id="wf-speed">---</span> <span class="wf-spread" id="wf-spread"></span> <span class="wf-unit">km/s</span></span>
         <span class="wf-right"><span class="wf-dist" id="wf-dist">0</span> <span class="wf-unit">km</span></span>
       </div>
       <div class="wf-bottom">
         <span class="wf-az" id="wf-az">---°</span>
+        <span class="wf-beta" id="wf-beta"></span>
         <span class="wf-alt" id="wf-alt">---°</span>
-      </div>`;
+      </div>
+      <div class="wf-near" id="wf-near"></div>`;
     document.body.appendChild(this.panelEl);
 
+    /* ── Apex confidence region ── */
+    this.regionEl = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    this.regionEl.id = 'hud-apex-region';
+    this.regionEl.innerHTML = '<polygon points=""/>';
+    document.body.appendChild(this.regionEl);
+
     /* ── Celestial body labels ── */
     this.celLabels = CELESTIAL_BODIES.map(body => {
       const div = document.createElement('div');
@@ -239,16 +287,35 @@ export class MarkersMode {
         <div class="cel-data">
           ${body.dist}<br>
           <span id="${azAltId}">---</span>
-        </div>`;
+        </div>
+        <div class="cel-closing"></div>`;
       document.body.appendChild(div);
       return {
         id: body.id,
         dom: div,
         azAltEl: div.querySelector(`#${azAltId}`),
+        closingEl: div.querySelector('.cel-closing'),
+        closingHtml: '',
+        azDeg: null,
+        altDeg: null,
       };
     });
   }
 
+  /** Project the confidence outline; hidden if any part is behind the camera. */
+  _updateRegion(camera, hw, hh) {
+    const poly = this.regionEl.querySelector('polygon');
+    if (!this.regionWorld.length) { poly.setAttribute('points', ''); return; }
+
+    const pts = [];
+    for (const w of this.regionWorld) {
+      const p = w.clone().project(camera);
+      if (p.z > 1) { poly.setAttribute('points', ''); return; }
+      pts.push(`${(hw + p.x * hw).toFixed(1)},${(hh - p.y * hh).toFixed(1)}`);
+    }
+    poly.setAttribute('points', pts.join(' '));
+  }
+
   _updateCelestialLabels(camera, hw, hh) {
     const _pos = new THREE.Vector3();
     // Collect screen positions for all visible bodies
@@ -286,6 +353,8 @@ export class MarkersMode {
         const altDeg = Coordinates.toDegrees(alt);
         const sign = altDeg >= 0 ? '+' : '';
         label.azAltEl.textContent = `${azDeg.toFixed(1)}° ${sign}${altDeg.toFixed(1)}°`;
+        label.azDeg = azDeg;
+        label.altDeg = altDeg;
       }
     });
 
@@ -327,6 +396,37 @@ export class MarkersMode {
         targetEl.textContent = '';
       }
     }
+
+    this._updateClosing();
+  }
+
+  /** Speed toward the locked body, in its label; the other labels are cleared. */
+  _updateClosing() {
+    const units = this._units();
+    this.celLabels.forEach(label => {
+      const projection = label === this.targetLock && label.azDeg != null
+        ? this.vectorSum?.projectOnto({
+            azimuth:  Coordinates.toRadians(label.azDeg),
+            altitude: Coordinates.toRadians(label.altDeg),
+          })
+        : null;
+
+      let html = '';
+      if (projection) {
+        const closing = projection.closingSpeed * units.perKm;
+        html = `${closing >= 0 ? 'CLOSING' : 'RECEDING'} <span>${fmtSpd(Math.abs(closing))}</span> ${units.speed}<br>`
+          + `<span>${projection.angleDegrees.toFixed(1)}°</span> FROM APEX`
+          + projection.contributions.map(c => {
+            const v = c.closingSpeed * units.perKm;
+            return `<div class="cel-level">${shortName(c.name).toUpperCase()} ${v >= 0 ? '+' : '−'}${fmtSpd(Math.abs(v))}</div>`;
+          }).join('');
+      }
+      // Rewrite only on change: this runs every frame
+      if (html !== label.closingHtml) {
+        label.closingHtml = html;
+        label.closingEl.innerHTML = html;
+      }
+    });
   }
 
   _rebuildRows() {
@@ -337,11 +437,25 @@ export class MarkersMode {
     const top = this.levelData[this.levelData.length - 1];
     this._s('wf-label', top ? top.name.toUpperCase() : '');
 
-    this._s('wf-speed', m < 10 ? m.toFixed(2) : m.toFixed(1));
+    const units = this._units();
+    const shown = m * units.perKm;
+    this._s('wf-speed', shown < 10 ? shown.toFixed(2) : shown.toFixed(1));
+    const [speedUnit, distUnit] = this.panelEl.querySelectorAll('.wf-unit');
+    if (speedUnit) speedUnit.textContent = units.speed;
+    if (distUnit) distUnit.textContent = units.distance;
+    // Half-width of the speed interval (same confidence as the region)
+    const iv = this.uncertainty?.speed.interval;
+    this._s('wf-spread', iv && iv[1] > iv[0] ? `±${fmtSpd((iv[1] - iv[0]) / 2 * units.perKm)}` : '');
+    // Fraction of light speed
+    const beta = m / C;
+    this._s('wf-beta', `β ${beta < 0.01 ? beta.toFixed(5) : beta.toFixed(3)}`);
     this._s('wf-az', `${this.resultant.azimuthDegrees.toFixed(1)}°`);
     const sign = this.resultant.altitudeDegrees >= 0 ? '+' : '';
     this._s('wf-alt', `${sign}${this.resultant.altitudeDegrees.toFixed(1)}°`);
+    const star = this.nearStar;
+    this._s('wf-near', star ? `${star.separationDegrees.toFixed(1)}° FROM ${star.name.toUpperCase()}` : '');
   }
 
+  _units() { return getUnits(this.uiControls?.getUnits?.()); }
   _s(id, t) { const e = document.getElementById(id); if (e) e.textContent = t; }
 }
@@ -7,8 +7,8 @@
  *
  *   1. Exhaust sparks — stream backward from hoverboard
  *   2. Incoming sparks — fly in from the direction of travel
- *   3. Moon sparks (level 2+) — drift from the moon's direction
- *   4. Sun sparks (level 3+) — drift from the sun's direction
+ *   3. Moon sparks (level 2 active) — drift from the moon's direction
+ *   4. Sun sparks (level 3 active) — drift from the sun's direction
  */
 import { calculateVectorSum } from '../../../cosmic-core/src/calculations/CelestialCalculations.js';
 import { Coordinates } from '../../../cosmic-core/src/astronomy/Coordinates.js';
@@ -109,15 +109,20 @@ export class ParticlesMode {
   onLevelChange(activeLevels) {
     if (this.lastLat == null) return;
     this.updateDirections();
-    const maxLevel = this.levelManager?.getMaxLevel() ?? 1;
-    if (maxLevel < 2) this.clearStream(this.moonParticles);
-    if (maxLevel < 3) this.clearStream(this.sunParticles);
+    if (!this.isLevelShown(2)) this.clearStream(this.moonParticles);
+    if (!this.isLevelShown(3)) this.clearStream(this.sunParticles);
+  }
+
+  /** Whether a level is in the active set (only level 1 without a level manager) */
+  isLevelShown(level) {
+    return this.levelManager ? this.levelManager.isLevelActive(level) : level <= 1;
   }
 
   updateDirections() {
     if (!this.levelManager) return;
     const maxLevel = this.levelManager.getMaxLevel();
-    const vectorSumData = calculateVectorSum(this.lastLat, this.lastLon, this.lastDate, maxLevel);
+    const vectorSumData = calculateVectorSum(this.lastLat, this.lastLon, this.lastDate, maxLevel,
+                                             this.levelManager.getCalculationOptions());
     if (!vectorSumData?.resultant) return;
 
     this.speed = vectorSumData.resultant.magnitude;
@@ -140,7 +145,6 @@ export class ParticlesMode {
     if (!this.container || dt <= 0) return;
 
     const vs = BASE_SPEED * Math.log10(Math.max(this.speed, 1) + 1);
-    const maxLevel = this.levelManager?.getMaxLevel() ?? 1;
     const inMove = this.exhaustDir.clone().multiplyScalar(vs * 1.2 * dt);
 
     // 1. Exhaust sparks
@@ -152,8 +156,8 @@ export class ParticlesMode {
     while (this.incomingParticles.length < MAX_INCOMING) this.spawnIncoming();
     this.advanceSparks(this.incomingParticles, inMove, dt);
 
-    // 3. Moon sparks (level 2+)
-    if (maxLevel >= 2) {
+    // 3. Moon sparks (while level 2 is active)
+    if (this.isLevelShown(2)) {
       const moonDir = this.getWorldDir('moon-sphere');
       if (moonDir) {
         while (this.moonParticles.length < MAX_MOON)
@@ -162,8 +166,8 @@ export class ParticlesMode {
       }
     }
 
-    // 4. Sun sparks (level 3+)
-    if (maxLevel >= 3) {
+    // 4. Sun sparks (while level 3 is active)
+    if (this.isLevelShown(3)) {
       const sunDir = this.getWorldDir('sun-sphere');
       if (sunDir) {
         while (this.sunParticles.length < MAX_SUN)
@@ -3,6 +3,7 @@ export class DeviceOrientation {
     this.compassAttempts = 0;
     this.isCalibrated = false;
     this.onReadyCallback = null;
+    this.headingOffset = 0; // degrees added to the compass heading (user calibration)
     this.boundHandleOrientation = this.handleOrientation.bind(this);
   }
 
@@ -39,8 +40,20 @@ export class DeviceOrientation {
     }
   }
 
+  /**
+   * Set the calibration offset in degrees, for compasses that read consistently
+   * off (magnetic declination, nearby metal)
+   * @returns {number} Change from the previous offset, to apply to a scene already set up
+   */
+  setHeadingOffset(offset) {
+    const delta = offset - this.headingOffset;
+    this.headingOffset = offset;
+    return delta;
+  }
+
   getOrientationCorrection(heading) {
     const portrait = window.matchMedia("(orientation: portrait)").matches;
-    return portrait ? heading - 90 : heading;
+    const corrected = heading + this.headingOffset;
+    return portrait ? corrected - 90 : corrected;
   }
 }
\ No newline at end of file
@@ -1,6 +1,7 @@
 export class Geolocation {
   constructor() {
     this.currentPosition = null;
+    this.watchId = null;
   }
 
   async getCurrentPosition() {
@@ -12,11 +13,7 @@ export class Geolocation {
 
       navigator.geolocation.getCurrentPosition(
         (position) => {
-          this.currentPosition = {
-            lat: position.coords.latitude,
-            lon: position.coords.longitude,
-            accuracy: position.coords.accuracy
-          };
+          this.storePosition(position);
           console.log(`Latitude: ${this.currentPosition.lat}, Longitude: ${this.currentPosition.lon}`);
           resolve(this.currentPosition);
         },
@@ -33,7 +30,63 @@ export class Geolocation {
     });
   }
 
+  /**
+   * Follow the position as the observer moves (car, train, aircraft).
+   * Callback receives the stored position on every fix.
+   */
+  watchPosition(callback) {
+    if (!navigator.geolocation || this.watchId != null) return;
+
+    this.watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        this.storePosition(position);
+        callback?.(this.currentPosition);
+      },
+      (error) => {
+        console.error('Geolocation watch error:', error);
+      },
+      {
+        enableHighAccuracy: true,
+        maximumAge: 5000
+      }
+    );
+  }
+
+  clearWatch() {
+    if (this.watchId == null) return;
+    navigator.geolocation.clearWatch(this.watchId);
+    this.watchId = null;
+  }
+
+  storePosition(position) {
+    const coords = position.coords;
+    // altitude, speed and heading are null when the device cannot measure them;
+    // heading is NaN while stationary
+    this.currentPosition = {
+      lat: coords.latitude,
+      lon: coords.longitude,
+      accuracy: coords.accuracy,
+      altitude: coords.altitude,
+      speed: coords.speed,
+      heading: coords.heading
+    };
+  }
+
   getPosition() {
     return this.currentPosition;
   }
-}
\ No newline at end of file
+
+  /**
+   * Observer state for the calculation layer: { altitude (m), speed (m/s), heading (°) },
+   * with missing readings left out
+   */
+  getObserverState() {
+    if (!this.currentPosition) return null;
+    const { altitude, speed, heading } = this.currentPosition;
+    const state = {};
+    if (Number.isFinite(altitude)) state.altitude = altitude;
+    if (Number.isFinite(speed)) state.speed = speed;
+    if (Number.isFinite(heading)) state.heading = heading;
+    return Object.keys(state).length ? state : null;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * StateStore - Versioned app settings kept in localStorage between sessions
+ *
+ * One JSON record under STORAGE_KEY:
+ *   {
+ *     version: STATE_VERSION,
+ *     levels: { activeLevels: [ids or numbers] | null, parameterSet }, // LevelManager.getState
+ *     vizModes: ['markers', ...],                                     // active visualization modes
+ *     units: 'metric' | 'imperial',
+ *     sky: { coordinateMode: 'apparent' | 'j2000',
+ *            refraction: 'saemundsson' | 'bennett' | null },        // LevelManager.getSkyOptions
+ *     sidebar: { open, description (level number or null),
+ *                vehicle: { source: 'gps' | 'manual', speed (km/h), heading, altitude (m) } },
+ *     calibration: { heading } // degrees added to the compass heading
+ *   }
+ *
+ * The first release of this record is version 1. When a later version changes its
+ * layout, MIGRATIONS brings older records up to date one version at a time. Unreadable
+ * records, records without a version and records from a newer version are ignored
+ * (defaults are used), and every field is checked so a bad value falls back to its default.
+ */
+
+export const STATE_VERSION = 1;
+
+const STORAGE_KEY = 'cosmicState';
+
+export const DEFAULT_STATE = {
+  version: STATE_VERSION,
+  levels: { activeLevels: null, parameterSet: 'default' },
+  vizModes: ['markers', 'particles'],
+  units: 'metric',
+  sky: { coordinateMode: 'apparent', refraction: null },
+  sidebar: {
+    open: false,
+    description: null,
+    vehicle: { source: 'gps', speed: null, heading: null, altitude: null }
+  },
+  calibration: { heading: 0 }
+};
+
+/**
+ * MIGRATIONS[n] turns a version n record into version n + 1 (none yet: version 1 is the
+ * first saved layout)
+ */
+const MIGRATIONS = {};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+export class StateStore {
+  /**
+   * @param {Object} uiControls - For debug logging (optional)
+   * @param {Storage} storage - localStorage or anything with getItem/setItem/removeItem
+   */
+  constructor(uiControls = null, storage = globalThis.localStorage) {
+    this.uiControls = uiControls;
+    this.storage = storage;
+    this.state = structuredClone(DEFAULT_STATE);
+  }
+
+  /**
+   * Read the saved record, migrating and checking it
+   * @returns {Object} Complete state (defaults where nothing usable was saved)
+   */
+  load() {
+    let saved = null;
+    try {
+      const text = this.storage?.getItem(STORAGE_KEY);
+      saved = text ? JSON.parse(text) : null;
+    } catch (error) {
+      this.uiControls?.debugLog(`Saved state unreadable, using defaults: ${error.message}`);
+    }
+
+    this.state = StateStore.normalize(StateStore.migrate(saved, this.uiControls));
+    return structuredClone(this.state);
+  }
+
+  /**
+   * Bring a saved record up to STATE_VERSION
+   * @returns {Object|null} Migrated record, or null when it cannot be used
+   */
+  static migrate(saved, uiControls = null) {
+    if (!isObject(saved)) return null;
+
+    let state = saved;
+    let version = state.version;
+    if (!Number.isInteger(version) || version < 1) {
+      uiControls?.debugLog('Saved state has no version; using defaults');
+      return null;
+    }
+    if (version > STATE_VERSION) {
+      uiControls?.debugLog(`Saved state is version ${version}, newer than ${STATE_VERSION}; using defaults`);
+      return null;
+    }
+    while (version < STATE_VERSION) {
+      state = MIGRATIONS[version](state);
+      version++;
+      uiControls?.debugLog(`Saved state migrated to version ${version}`);
+    }
+    return state;
+  }
+
+  /**
+   * Fill in defaults and drop values of the wrong type
+   * @param {Object|null} state - Record at STATE_VERSION
+   * @returns {Object} Complete state
+   */
+  static normalize(state) {
+    const d = DEFAULT_STATE;
+    const levels = isObject(state?.levels) ? state.levels : {};
+    const sidebar = isObject(state?.sidebar) ? state.sidebar : {};
+    const vehicle = isObject(sidebar.vehicle) ? sidebar.vehicle : {};
+    const sky = isObject(state?.sky) ? state.sky : {};
+    const calibration = isObject(state?.calibration) ? state.calibration : {};
+    const numberOrNull = value => finiteOr(value, null);
+    const isLevelNumber = value => Number.isInteger(value) && value >= 0;
+
+    return {
+      version: STATE_VERSION,
+      levels: {
+        activeLevels: Array.isArray(levels.activeLevels)
+          ? levels.activeLevels.filter(level => typeof level === 'string' || isLevelNumber(level))
+          : d.levels.activeLevels,
+        parameterSet: typeof levels.parameterSet === 'string' ? levels.parameterSet : d.levels.parameterSet
+      },
+      vizModes: Array.isArray(state?.vizModes)
+        ? state.vizModes.filter(name => typeof name === 'string')
+        : [...d.vizModes],
+      units: ['metric', 'imperial'].includes(state?.units) ? state.units : d.units,
+      sky: {
+        coordinateMode: ['apparent', 'j2000'].includes(sky.coordinateMode) ? sky.coordinateMode : d.sky.coordinateMode,
+        refraction: ['saemundsson', 'bennett'].includes(sky.refraction) ? sky.refraction : d.sky.refraction
+      },
+      sidebar: {
+        open: typeof sidebar.open === 'boolean' ? sidebar.open : d.sidebar.open,
+        description: isLevelNumber(sidebar.description) ? sidebar.description : d.sidebar.description,
+        vehicle: {
+          source: ['gps', 'manual'].includes(vehicle.source) ? vehicle.source : d.sidebar.vehicle.source,
+          speed: numberOrNull(vehicle.speed),
+          heading: numberOrNull(vehicle.heading),
+          altitude: numberOrNull(vehicle.altitude)
+        }
+      },
+      calibration: {
+        heading: finiteOr(calibration.heading, d.calibration.heading)
+      }
+    };
+  }
+
+  /**
+   * Get the current state (a copy)
+   */
+  get() {
+    return structuredClone(this.state);
+  }
+
+  /**
+   * Replace top-level sections (levels, vizModes, units, sky, sidebar, calibration) and write
+   * the record. Storage errors (quota, private browsing) are logged, not thrown.
+   * @param {Object} changes - Sections to replace, e.g. { units: 'imperial' }
+   */
+  save(changes = {}) {
+    this.state = StateStore.normalize({ ...this.state, ...changes });
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      this.uiControls?.debugLog(`Could not save state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget the saved record and go back to the defaults
+   */
+  clear() {
+    this.state = structuredClone(DEFAULT_STATE);
+    try {
+      this.storage?.removeItem(STORAGE_KEY);
+    } catch (error) {
+      this.uiControls?.debugLog(`Could not clear state: ${error.message}`);
+    }
+  }
+}
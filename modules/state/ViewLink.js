@@ -0,0 +1,107 @@
+/**
+ * ViewLink - What someone is looking at, as a URL hash both index.html and data.html read
+ *
+ *   #lat=53.3498&lon=-6.2603&t=2025-03-20T09:01:00Z&levels=virgoPull,localVoidPush&modes=markers&heading=135
+ *
+ *   lat, lon  Observer position in degrees
+ *   t         'live' (follow the clock) or an ISO 8601 UTC time (years outside 0-9999 as
+ *             +/-YYYYYY, the form Date.toISOString writes)
+ *   levels    Active levels, ids or level numbers ("levels=" for none)
+ *   modes     Active visualization modes ("modes=" for none)
+ *   heading   Camera heading in degrees from north (index.html)
+ *   coords    Coordinate mode, 'apparent' or 'j2000'
+ *   refr      Refraction model ('saemundsson' or 'bennett', standard atmosphere) or 'off'
+ *
+ * Parameters that are missing or cannot be read are left out of the parsed view, so the
+ * page keeps its own (saved or default) choice for them. Query parameters such as
+ * ?catalog= are not touched.
+ */
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const parseNumber = (text, min, max) => {
+  const value = text === '' ? NaN : Number(text);
+  return Number.isFinite(value) && value >= min && value <= max ? value : undefined;
+};
+
+const COORDINATE_MODES = ['apparent', 'j2000'];
+const REFRACTION_MODELS = ['saemundsson', 'bennett'];
+
+const parseList = text => text.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Read a view from a URL hash
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Object} { lat, lon, time (Date or 'live'), levels (ids and numbers),
+ *   modes, heading, coordinateMode, refraction (model id, or null when off) }, each
+ *   present only when given and valid
+ */
+export function parseViewLink(hash = '') {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const view = {};
+
+  const lat = params.has('lat') ? parseNumber(params.get('lat'), -90, 90) : undefined;
+  const lon = params.has('lon') ? parseNumber(params.get('lon'), -180, 180) : undefined;
+  if (lat !== undefined && lon !== undefined) {
+    view.lat = lat;
+    view.lon = lon;
+  }
+
+  if (params.has('t')) {
+    const t = params.get('t').replace(/ /g, '+'); // a bare '+' (year 10000 on) reads as a space
+    const date = new Date(t);
+    if (t === 'live') view.time = 'live';
+    else if (!isNaN(date.getTime())) view.time = date;
+  }
+
+  if (params.has('levels')) {
+    view.levels = parseList(params.get('levels')).map(level => (/^\d+$/.test(level) ? Number(level) : level));
+  }
+  if (params.has('modes')) {
+    view.modes = parseList(params.get('modes'));
+  }
+
+  if (params.has('heading')) {
+    const heading = parseNumber(params.get('heading'), -360, 720);
+    if (heading !== undefined) view.heading = ((heading % 360) + 360) % 360;
+  }
+
+  if (COORDINATE_MODES.includes(params.get('coords'))) {
+    view.coordinateMode = params.get('coords');
+  }
+  if (params.get('refr') === 'off') view.refraction = null;
+  else if (REFRACTION_MODELS.includes(params.get('refr'))) view.refraction = params.get('refr');
+
+  return view;
+}
+
+/**
+ * Write a view as a URL hash; fields left undefined are left out
+ * @param {Object} view - As returned by parseViewLink
+ * @returns {string} '#lat=...' ('' for an empty view)
+ */
+export function formatViewLink({ lat, lon, time, levels, modes, heading, coordinateMode, refraction } = {}) {
+  const parts = [];
+  if (Number.isFinite(lat) && Number.isFinite(lon)) {
+    parts.push(`lat=${round(lat, 5)}`, `lon=${round(lon, 5)}`);
+  }
+  if (time === 'live') parts.push('t=live');
+  else if (time instanceof Date && !isNaN(time.getTime())) parts.push(`t=${time.toISOString().replace('.000Z', 'Z').replace('+', '%2B')}`);
+  if (levels) parts.push(`levels=${levels.map(encodeURIComponent).join(',')}`);
+  if (modes) parts.push(`modes=${modes.map(encodeURIComponent).join(',')}`);
+  if (Number.isFinite(heading)) parts.push(`heading=${((Math.round(heading) % 360) + 360) % 360}`);
+  if (COORDINATE_MODES.includes(coordinateMode)) parts.push(`coords=${coordinateMode}`);
+  if (refraction === null) parts.push('refr=off');
+  else if (REFRACTION_MODELS.includes(refraction)) parts.push(`refr=${refraction}`);
+  return parts.length ? `#${parts.join('&')}` : '';
+}
+
+/**
+ * Put a view in the address bar without adding a history entry (no-op when unchanged)
+ */
+export function replaceViewLink(view) {
+  const hash = formatViewLink(view);
+  if (hash !== location.hash) {
+    history.replaceState(history.state, '', `${location.pathname}${location.search}${hash}`);
+  }
+}
@@ -10,6 +10,16 @@ import { LevelManager } from './cosmic-core/src/config/LevelManager.js';
 import { VisualizationModeManager } from './modules/rendering/VisualizationModeManager.js';
 import { MarkersMode } from './modules/rendering/modes/MarkersMode.js';
 import { ParticlesMode } from './modules/rendering/modes/ParticlesMode.js';
+import { StateStore } from './modules/state/StateStore.js';
+import { parseViewLink, replaceViewLink } from './modules/state/ViewLink.js';
+
+// A shared link (#lat=..&lon=..&t=..&levels=..&modes=..&heading=.., see ViewLink.js)
+// fixes the position and time and takes precedence over the saved state
+const link = parseViewLink(location.hash);
+const linkPosition = link.lat != null ? { lat: link.lat, lon: link.lon } : null;
+const fixedTime = link.time instanceof Date ? link.time : null;
+const now = () => fixedTime ?? new Date();
+let viewReady = false; // the address bar follows the view once the scene is set up
 
 // Global instances
 const deviceOrientation = new DeviceOrientation();
@@ -18,10 +28,13 @@ const sceneManager = new SceneManager();
 const uiControls = new UIControls();
 const levelManager = new LevelManager(uiControls);
 const vizModeManager = new VisualizationModeManager(uiControls);
-vizModeManager.registerMode('markers', new MarkersMode(sceneManager, uiControls, levelManager));
+const markersMode = new MarkersMode(sceneManager, uiControls, levelManager);
+markersMode.now = now;
+vizModeManager.registerMode('markers', markersMode);
 vizModeManager.registerMode('particles', new ParticlesMode(sceneManager, uiControls, levelManager));
 const celestialRenderer = new CelestialRenderer(sceneManager, uiControls, levelManager, vizModeManager);
 const assetManager = new AssetManager(uiControls);
+const stateStore = new StateStore(uiControls);
 
 // Listen for service worker messages
 navigator.serviceWorker?.addEventListener('message', (event) => {
@@ -90,28 +103,80 @@ function loadBG() {
     uiControls.initialize();
     uiControls.setupHiResButton(loadHighResImage);
 
+    // Settings from the last session (defaults on a first visit)
+    const saved = stateStore.load();
+
     // Connect UI controls to level manager and viz mode manager
     uiControls.connectLevelManager(levelManager);
+    (link.modes ?? saved.vizModes).forEach(name => vizModeManager.enableMode(name));
     uiControls.connectVisualizationModeManager(vizModeManager);
-    vizModeManager.enableMode('markers');
-    vizModeManager.enableMode('particles');
+    // A link's coordinate mode and refraction win over the saved ones, as its levels do
+    uiControls.applySettings({
+      ...saved,
+      sky: {
+        ...saved.sky,
+        ...(link.coordinateMode !== undefined && { coordinateMode: link.coordinateMode }),
+        ...(link.refraction !== undefined && { refraction: link.refraction })
+      }
+    });
+    deviceOrientation.setHeadingOffset(saved.calibration.heading);
+
+    // Save every change; a new compass offset also turns the scene already set up
+    vizModeManager.addModeChangeListener(active => {
+      stateStore.save({ vizModes: active });
+      updateViewLink();
+    });
+    uiControls.addSettingsChangeListener(settings => {
+      sceneManager.adjustCompassCorrection(deviceOrientation.setHeadingOffset(settings.calibration.heading));
+      stateStore.save(settings);
+    });
     
-    // Add level change listener to update motion container visibility when level changes
-    levelManager.addLevelChangeListener((oldLevel, newLevel) => {
+    // Update motion container visibility when levels are switched on or off (presets included)
+    levelManager.addActiveLevelsChangeListener(() => {
       celestialRenderer.updateMotionContainerVisibility();
       
+      updateViewLink();
+
       // Calculate and log vector sum for current levels
-      const position = geolocation.getPosition();
+      const position = currentPosition();
       if (position) {
-        const vectorSum = celestialRenderer.calculateVectorSum(position.lat, position.lon, new Date());
+        const vectorSum = celestialRenderer.calculateVectorSum(position.lat, position.lon, now());
         if (vectorSum) {
           const resultant = vectorSum.getResultant();
           if (resultant) {
-            uiControls.debugLog(`Level ${newLevel}: Your velocity ${Math.round(resultant.magnitude)} km/s @ ${Math.round(resultant.azimuthDegrees)}° az  ${Math.round(resultant.altitudeDegrees)}° alt`);
+            const levels = levelManager.isPresetActive()
+              ? `Level ${levelManager.getMaxLevel()}`
+              : `Levels ${levelManager.getActiveLevelIds().join(', ')}`;
+            uiControls.debugLog(`${levels}: Your velocity ${Math.round(resultant.magnitude)} km/s @ ${Math.round(resultant.azimuthDegrees)}° az  ${Math.round(resultant.altitudeDegrees)}° alt`);
           }
         }
       }
     });
+
+    // Another coordinate mode or refraction moves the Sun, Moon and planets; redraw at once
+    levelManager.addSkyOptionsChangeListener(() => {
+      const position = currentPosition();
+      if (position) {
+        celestialRenderer.updateCelestialBodies(position, now());
+        celestialRenderer.calculateVectorSum(position.lat, position.lon, now());
+      }
+      updateViewLink();
+    });
+
+    // A new level catalog changes which containers and rows exist; redraw at once
+    levelManager.addCatalogChangeListener(() => {
+      celestialRenderer.updateMotionContainerVisibility();
+      const position = currentPosition();
+      if (position) celestialRenderer.calculateVectorSum(position.lat, position.lon, now());
+    });
+
+    // Saved or linked levels may come from the catalog, so they are restored once it has loaded
+    loadLevelCatalogFromUrl().then(() => {
+      levelManager.restoreState({ ...saved.levels, activeLevels: link.levels ?? saved.levels.activeLevels });
+      const saveLevels = () => stateStore.save({ levels: levelManager.getState() });
+      levelManager.addActiveLevelsChangeListener(saveLevels);
+      levelManager.addParameterSetChangeListener(saveLevels);
+    });
     
     // Version info for debugging (after UI is initialized)
     uiControls.debugLog(`Tilt Meter v${VERSION}`);
@@ -140,17 +205,73 @@ function loadBG() {
   deviceOrientation.startCalibration(handleDeviceReady);
 }
 
+/**
+ * Load the level catalog named in the page URL (index.html?catalog=levels.json),
+ * see cosmic-core/src/config/LevelCatalog.js for the schema. The built-in levels
+ * stay in place when it cannot be fetched or is invalid.
+ */
+async function loadLevelCatalogFromUrl() {
+  const url = new URLSearchParams(location.search).get('catalog');
+  if (!url) return;
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    levelManager.setLevelCatalog(await response.text());
+  } catch (error) {
+    // The catalog's own text ends up in the message; keep it out of the markup
+    const message = `ERROR loading level catalog ${url}: ${error.message}`.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    uiControls.debugLog(message.replace(/\n/g, '<br>'));
+  }
+}
+
+/**
+ * Observer position: the linked one, else the latest GPS fix
+ */
+function currentPosition() {
+  return linkPosition ?? geolocation.getPosition();
+}
+
+/**
+ * Write the current view to the address bar so the URL can be shared
+ */
+function updateViewLink() {
+  if (!viewReady) return;
+  const position = currentPosition();
+  replaceViewLink({
+    lat: position?.lat,
+    lon: position?.lon,
+    time: fixedTime ?? 'live',
+    levels: levelManager.isPresetActive()
+      ? Array.from({ length: levelManager.getMaxLevel() + 1 }, (_, level) => level)
+      : levelManager.getActiveLevelIds(),
+    modes: vizModeManager.getActiveModeNames(),
+    heading: sceneManager.getCameraHeading(),
+    ...levelManager.getSkyOptions()
+  });
+}
+
 async function handleDeviceReady(heading) {
   try {
-    const position = await geolocation.getCurrentPosition();
+    const position = linkPosition ?? await geolocation.getCurrentPosition();
+
+    // GPS altitude, ground speed and heading feed level 0 unless entered by hand
+    // (a linked position is someone else's, so GPS stays out of it)
+    if (!linkPosition) {
+      uiControls.setGpsObserver(geolocation.getObserverState());
+      geolocation.watchPosition(() => uiControls.setGpsObserver(geolocation.getObserverState()));
+    }
+
     const compassCorrection = deviceOrientation.getOrientationCorrection(heading);
     uiControls.debugLog('Using compass correction: ' + compassCorrection);
     
     // Render the celestial scene using the new rendering system
-    celestialRenderer.renderCelestialScene(position, compassCorrection);
+    celestialRenderer.renderCelestialScene(position, compassCorrection, now());
+    if (link.heading != null) sceneManager.setCameraHeading(link.heading);
+    if (fixedTime) uiControls.debugLog(`Fixed time from link: ${fixedTime.toISOString()}`);
     
     // Calculate initial vector sum
-    const vectorSum = celestialRenderer.calculateVectorSum(position.lat, position.lon, new Date());
+    const vectorSum = celestialRenderer.calculateVectorSum(position.lat, position.lon, now());
     if (vectorSum) {
       const resultant = vectorSum.getResultant();
       if (resultant) {
@@ -158,9 +279,13 @@ async function handleDeviceReady(heading) {
       }
     }
 
-    // Recalculate az/alt every second (earth rotation shifts directions)
+    // Recalculate az/alt every second (earth rotation shifts directions),
+    // following the latest fix while the observer travels; the link follows the camera
+    viewReady = true;
     setInterval(() => {
-      celestialRenderer.calculateVectorSum(position.lat, position.lon, new Date());
+      const latest = currentPosition() ?? position;
+      celestialRenderer.calculateVectorSum(latest.lat, latest.lon, now());
+      updateViewLink();
     }, 1000);
   } catch (error) {
     uiControls.debugLog('ERROR in handleDeviceReady: ' + error.message);
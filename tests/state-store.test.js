@@ -0,0 +1,94 @@
+import { StateStore, STATE_VERSION, DEFAULT_STATE } from '../modules/state/StateStore.js';
+
+// Wait for testRunner to be available
+if (!window.testRunner) {
+    throw new Error('TestRunner not available');
+}
+
+const { suite, test, assertEquals, assertDeepEquals } = window.testRunner;
+
+// In-memory stand-in for localStorage
+function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    items
+  };
+}
+
+const saved = record => memoryStorage({ cosmicState: JSON.stringify(record) });
+
+suite('StateStore', () => {
+  test('starts from the defaults when nothing is saved', () => {
+    assertDeepEquals(new StateStore(null, memoryStorage()).load(), DEFAULT_STATE);
+  });
+
+  test('uses the defaults for a corrupt record and logs why', () => {
+    const logged = [];
+    const store = new StateStore({ debugLog: text => logged.push(text) }, memoryStorage({ cosmicState: '{"version":1,' }));
+    assertDeepEquals(store.load(), DEFAULT_STATE);
+    assertEquals(logged.length, 1);
+  });
+
+  test('ignores records from a newer version and records without one', () => {
+    const future = { ...DEFAULT_STATE, version: STATE_VERSION + 1, units: 'imperial' };
+    assertDeepEquals(new StateStore(null, saved(future)).load(), DEFAULT_STATE);
+    const unversioned = { units: 'imperial', vizModes: ['particles'] };
+    assertDeepEquals(new StateStore(null, saved(unversioned)).load(), DEFAULT_STATE);
+    assertDeepEquals(new StateStore(null, saved([1, 2])).load(), DEFAULT_STATE);
+  });
+
+  test('drops out-of-range and mistyped values field by field', () => {
+    const state = new StateStore(null, saved({
+      version: 1,
+      levels: { activeLevels: [3, -1, 2.5, 'virgoPull', null, {}], parameterSet: 42 },
+      vizModes: ['markers', 7],
+      units: 'furlongs',
+      sky: { coordinateMode: 'B1950', refraction: true },
+      sidebar: { open: 'yes', description: -2, vehicle: { source: 'radar', speed: 80, heading: 'north' } },
+      calibration: { heading: Infinity }
+    })).load();
+
+    assertDeepEquals(state.levels, { activeLevels: [3, 'virgoPull'], parameterSet: 'default' });
+    assertDeepEquals(state.vizModes, ['markers']);
+    assertEquals(state.units, 'metric');
+    assertDeepEquals(state.sky, { coordinateMode: 'apparent', refraction: null });
+    assertDeepEquals(state.sidebar, {
+      open: false,
+      description: null,
+      vehicle: { source: 'gps', speed: 80, heading: null, altitude: null }
+    });
+    assertEquals(state.calibration.heading, 0);
+  });
+
+  test('saves sections and reads them back', () => {
+    const storage = memoryStorage();
+    const store = new StateStore(null, storage);
+    store.load();
+    store.save({ units: 'imperial', levels: { activeLevels: ['virgoPull', 5], parameterSet: 'classic' } });
+    store.save({ calibration: { heading: -12.5 }, sky: { coordinateMode: 'j2000', refraction: 'bennett' } });
+
+    const reloaded = new StateStore(null, storage).load();
+    assertDeepEquals(reloaded, store.get());
+    assertEquals(reloaded.units, 'imperial');
+    assertDeepEquals(reloaded.levels.activeLevels, ['virgoPull', 5]);
+    assertEquals(reloaded.calibration.heading, -12.5);
+    assertDeepEquals(reloaded.sky, { coordinateMode: 'j2000', refraction: 'bennett' });
+    assertEquals(JSON.parse(storage.items.get('cosmicState')).version, STATE_VERSION);
+
+    store.clear();
+    assertEquals(storage.items.size, 0);
+    assertDeepEquals(new StateStore(null, storage).load(), DEFAULT_STATE);
+  });
+
+  test('logs instead of throwing when storage refuses a write', () => {
+    const logged = [];
+    const full = { ...memoryStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    const store = new StateStore({ debugLog: text => logged.push(text) }, full);
+    store.save({ units: 'imperial' });
+    assertEquals(store.get().units, 'imperial');
+    assertEquals(logged.length, 1);
+  });
+});
@@ -0,0 +1,76 @@
+import { parseViewLink, formatViewLink } from '../modules/state/ViewLink.js';
+
+// Wait for testRunner to be available
+if (!window.testRunner) {
+    throw new Error('TestRunner not available');
+}
+
+const { suite, test, assertEquals, assertDeepEquals } = window.testRunner;
+
+const roundTrip = view => parseViewLink(formatViewLink(view));
+
+suite('ViewLink', () => {
+  test('round-trips a position to five decimals', () => {
+    assertDeepEquals(roundTrip({ lat: 53.3498061, lon: -6.2603097 }), { lat: 53.34981, lon: -6.26031 });
+    assertDeepEquals(roundTrip({ lat: -90, lon: 180 }), { lat: -90, lon: 180 });
+  });
+
+  test('needs both coordinates, in range', () => {
+    assertDeepEquals(parseViewLink('#lat=53.35'), {});
+    assertDeepEquals(parseViewLink('#lat=91&lon=0'), {});
+    assertDeepEquals(parseViewLink('#lat=10&lon=-180.5'), {});
+    assertDeepEquals(parseViewLink('#lat=&lon=0'), {});
+    assertDeepEquals(formatViewLink({ lat: 10 }), '');
+  });
+
+  test('tells a fixed time from live', () => {
+    const time = new Date(Date.UTC(2025, 2, 20, 9, 1));
+    assertEquals(formatViewLink({ time }), '#t=2025-03-20T09:01:00Z');
+    assertDeepEquals(roundTrip({ time }), { time });
+    assertEquals(formatViewLink({ time: 'live' }), '#t=live');
+    assertDeepEquals(parseViewLink('t=live'), { time: 'live' });
+    assertDeepEquals(parseViewLink('#t=yesterday'), {});
+  });
+
+  test('round-trips extended years, both signs', () => {
+    const past = new Date(Date.UTC(2000, 0, 1));
+    past.setUTCFullYear(-2830, 5, 21);
+    const future = new Date(Date.UTC(12025, 0, 1, 12));
+
+    assertEquals(formatViewLink({ time: past }), '#t=-002830-06-21T00:00:00Z');
+    assertEquals(formatViewLink({ time: future }), '#t=%2B012025-01-01T12:00:00Z');
+    assertEquals(roundTrip({ time: past }).time.getTime(), past.getTime());
+    assertEquals(roundTrip({ time: future }).time.getTime(), future.getTime());
+  });
+
+  test('reads a bare + in the hash, which URLSearchParams decodes as a space', () => {
+    const future = new Date(Date.UTC(12025, 0, 1, 12));
+    assertEquals(parseViewLink('#t=+012025-01-01T12:00:00Z').time.getTime(), future.getTime());
+    assertEquals(parseViewLink('#t=%2B012025-01-01T12:00:00Z').time.getTime(), future.getTime());
+  });
+
+  test('passes level ids and mode names through, unknown ones included', () => {
+    const view = parseViewLink('#levels=virgoPull,%20noSuchLevel,,5&modes=markers,warpDrive');
+    assertDeepEquals(view.levels, ['virgoPull', 'noSuchLevel', 5]);
+    assertDeepEquals(view.modes, ['markers', 'warpDrive']);
+    assertDeepEquals(roundTrip({ levels: ['virgoPull', 3], modes: [] }), { levels: ['virgoPull', 3], modes: [] });
+    assertDeepEquals(parseViewLink('#levels='), { levels: [] });
+  });
+
+  test('wraps headings outside 0-360 and ignores wild ones', () => {
+    assertEquals(parseViewLink('#heading=-90').heading, 270);
+    assertEquals(parseViewLink('#heading=450').heading, 90);
+    assertEquals(parseViewLink('#heading=800').heading, undefined);
+    assertEquals(parseViewLink('#heading=east').heading, undefined);
+    assertEquals(formatViewLink({ heading: -45.4 }), '#heading=315');
+    assertEquals(formatViewLink({ heading: 719.6 }), '#heading=0');
+  });
+
+  test('keeps the coordinate mode and refraction, off included', () => {
+    assertDeepEquals(roundTrip({ coordinateMode: 'j2000', refraction: 'bennett' }), { coordinateMode: 'j2000', refraction: 'bennett' });
+    assertEquals(formatViewLink({ refraction: null }), '#refr=off');
+    assertDeepEquals(parseViewLink('#refr=off'), { refraction: null });
+    assertDeepEquals(parseViewLink('#coords=B1950&refr=on'), {});
+    assertEquals(formatViewLink({ coordinateMode: 'galactic', refraction: undefined }), '');
+  });
+});